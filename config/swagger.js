@@ -30,6 +30,16 @@ const options = {
           bearerFormat: 'JWT',
         },
       },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: { type: 'string', maxLength: 255 },
+          description:
+            'Unique key per logical request (e.g. a UUID). Retries with the same key and body get the first response back (Idempotent-Replayed: true header) instead of repeating the action.',
+        },
+      },
     },
     security: [
       {
@@ -1,4 +1,21 @@
 const Address = require('../models/Address');
+const { checkPincode } = require('../services/serviceabilityService');
+
+/**
+* Serviceability of an address's pincode and a warning when it cannot be delivered to
+* (the address is still saved; checkout blocks unserviceable pincodes)
+*/
+const serviceabilityFor = async (address) => {
+  const serviceability = await checkPincode(address.postal_code);
+  return {
+    serviceability: {
+      serviceable: serviceability.serviceable,
+      cod_allowed: serviceability.cod_allowed,
+      delivery: serviceability.delivery,
+    },
+    ...(serviceability.serviceable ? {} : { warning: serviceability.message }),
+  };
+};
  
 /**
 * Get all addresses for a user
@@ -72,6 +89,7 @@ exports.createAddress = async (req, res, next) => {
     res.status(201).json({
       success: true,
       data: address,
+      ...(await serviceabilityFor(address)),
     });
   } catch (error) {
     if (error.name === 'ValidationError') {
@@ -118,6 +136,7 @@ exports.updateAddress = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: address,
+      ...(await serviceabilityFor(address)),
     });
   } catch (error) {
     if (error.name === 'ValidationError') {
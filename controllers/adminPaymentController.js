@@ -1,6 +1,12 @@
 const Payment = require('../models/Payment');
 const Order = require('../models/Order');
-const { createRefund, fetchPaymentDetails } = require('../services/razorpayService');
+const Invoice = require('../models/Invoice');
+const { fetchPaymentDetails } = require('../services/razorpayService');
+const { refundOrderPayment, retryOrderRefund } = require('../services/refundService');
+const {
+  CUSTOMER_CANCELLABLE_STATUSES,
+  cancelOrderAsAdmin,
+} = require('../services/orderCancellationService');
 
 /**
  * Get all payments (Admin)
@@ -158,6 +164,7 @@ exports.getPaymentById = async (req, res, next) => {
 /**
  * Process refund (Admin)
  * POST /api/admin/payments/:id/refund
+ * Only a full refund of a pending or processing order cancels it.
  */
 exports.processRefund = async (req, res, next) => {
   try {
@@ -174,8 +181,15 @@ exports.processRefund = async (req, res, next) => {
       });
     }
 
+    if (payment.payment_method === 'cod') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash on delivery payments cannot be refunded through Razorpay',
+      });
+    }
+
     // Check if payment is captured
-    if (payment.status !== 'captured') {
+    if (!['captured', 'partial_refund'].includes(payment.status)) {
       return res.status(400).json({
         success: false,
         message: 'Only captured payments can be refunded',
@@ -193,45 +207,208 @@ exports.processRefund = async (req, res, next) => {
       });
     }
 
-    // Create refund in Razorpay
-    const refund = await createRefund(
-      payment.razorpay_payment_id,
-      refundAmount,
-      {
+    const order = await Order.findById(payment.order_id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    // A full refund of an order not yet shipped cancels it (stock, coupon and invoice included);
+    // anything else only refunds, and the order stays as it is
+    let refund;
+    let cancelled = false;
+    if (refundAmount >= maxRefundAmount && CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      ({ refund } = await cancelOrderAsAdmin({
+        orderId: order._id,
+        adminId: req.user._id,
         reason: reason || 'Admin initiated refund',
-        admin_id: req.user._id.toString(),
+      }));
+      cancelled = true;
+    } else {
+      refund = await refundOrderPayment(order, {
+        amount: refundAmount,
+        reason: reason || 'Admin initiated refund',
+        userId: req.user._id,
+      });
+      await order.save();
+      if (refund.status === 'processed' && order.payment_status === 'refunded' && order.invoice_id) {
+        await Invoice.findByIdAndUpdate(order.invoice_id, { payment_status: 'refunded' });
       }
-    );
+    }
 
-    // Update payment record
-    payment.refund_id = refund.id;
-    payment.refund_amount += refundAmount;
-    payment.refund_status = 'processed';
-    payment.status = refundAmount === payment.amount ? 'refunded' : 'partial_refund';
-    await payment.save();
-
-    // Update order
-    await Order.findByIdAndUpdate(payment.order_id, {
-      payment_status: 'refunded',
-      status: 'cancelled',
-    });
+    if (refund.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: 'The refund could not be processed. Retry it from the order.',
+        data: { order_cancelled: cancelled },
+      });
+    }
 
+    const updated = await Payment.findById(payment._id).select('status').lean();
     res.status(200).json({
       success: true,
       data: {
-        refund_id: refund.id,
-        amount: refundAmount,
+        refund_id: refund.refund_id,
+        amount: refund.amount,
         status: refund.status,
-        payment_status: payment.status,
+        payment_status: updated?.status || payment.status,
+        order_cancelled: cancelled,
       },
-      message: 'Refund processed successfully',
+      message: cancelled ? 'Refund processed and order cancelled' : 'Refund processed successfully',
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Process refund error:', error);
     next(error);
   }
 };
 
+/**
+ * Retry a failed refund for an order (cancellation or amendment) (Admin)
+ * POST /api/admin/payments/orders/:orderId/refund/retry
+ */
+exports.retryOrderRefund = async (req, res, next) => {
+  try {
+    const { order, refund } = await retryOrderRefund({
+      orderId: req.params.orderId,
+      adminId: req.user._id,
+    });
+
+    if (refund.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: 'The refund could not be processed. Please try again.',
+        data: { order_id: order._id, refund_due: order.refund_due },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        order_id: order._id,
+        refund_status: order.refund_status,
+        refund_amount: order.refund_amount,
+        refund_due: order.refund_due,
+        payment_status: order.payment_status,
+        refund,
+      },
+      message: refund.status === 'pending'
+        ? 'Refund recorded for manual processing'
+        : 'Refund processed successfully',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+    console.error('Retry order refund error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Record cash collected for a cash on delivery order (Admin)
+ * POST /api/admin/payments/cod/:orderId/collect
+ */
+exports.collectCodPayment = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { amount, reference, notes } = req.body;
+
+    const existing = await Order.findById(orderId).lean();
+    if (!existing || existing.payment_method !== 'cod') {
+      return res.status(404).json({
+        success: false,
+        message: 'Cash on delivery order not found',
+      });
+    }
+
+    if (amount !== undefined && Math.abs(Number(amount) - existing.total_amount) > 0.01) {
+      return res.status(400).json({
+        success: false,
+        message: `Collected amount must equal the order total of ₹${existing.total_amount}`,
+      });
+    }
+
+    // Claim the order so a second collection for it is rejected
+    const paidAt = new Date();
+    const order = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        payment_method: 'cod',
+        payment_status: 'pending',
+        status: { $ne: 'cancelled' },
+      },
+      { $set: { payment_status: 'paid', paid_at: paidAt, amount_paid: existing.total_amount } },
+      { new: true }
+    );
+
+    if (!order) {
+      return res.status(400).json({
+        success: false,
+        message: existing.status === 'cancelled'
+          ? 'Cannot collect payment for a cancelled order'
+          : 'Payment for this order has already been collected',
+      });
+    }
+
+    const payment = await Payment.create({
+      order_id: order._id,
+      user_id: order.user_id,
+      amount: order.total_amount,
+      status: 'captured',
+      payment_method: 'cod',
+      sale_type: 'online',
+      metadata: {
+        collected_by: req.user._id.toString(),
+        reference: reference || null,
+        notes: notes || null,
+      },
+    });
+
+    if (order.invoice_id) {
+      await Invoice.findByIdAndUpdate(order.invoice_id, {
+        payment_status: 'paid',
+        status: 'paid',
+        payment_date: paidAt,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        payment_id: payment._id,
+        order_id: order._id,
+        amount: payment.amount,
+        payment_status: order.payment_status,
+        paid_at: order.paid_at,
+      },
+      message: 'Cash on delivery payment recorded',
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Cash on delivery order not found',
+      });
+    }
+    console.error('Collect COD payment error:', error);
+    next(error);
+  }
+};
+
 /**
  * Get payment statistics (Admin)
  * GET /api/admin/payments/stats
@@ -0,0 +1,133 @@
+const PincodeServiceability = require('../models/PincodeServiceability');
+const { importPincodes } = require('../services/serviceabilityService');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const validationMessage = (error) => Object.values(error.errors).map((e) => e.message).join(', ');
+
+/**
+ * List pincode serviceability entries (Admin)
+ * GET /api/admin/pincodes?search=&serviceable=&cod_allowed=&page=&limit=
+ */
+exports.getPincodes = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, search = '', serviceable, cod_allowed } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+    const query = {};
+    if (search) {
+      const pattern = escapeRegex(search.trim());
+      query.$or = [
+        { pincode: { $regex: `^${pattern}` } },
+        { city: { $regex: pattern, $options: 'i' } },
+        { state: { $regex: pattern, $options: 'i' } },
+      ];
+    }
+    if (serviceable !== undefined && serviceable !== '') query.is_serviceable = serviceable === 'true';
+    if (cod_allowed !== undefined && cod_allowed !== '') query.cod_allowed = cod_allowed === 'true';
+
+    const [total, entries] = await Promise.all([
+      PincodeServiceability.countDocuments(query),
+      PincodeServiceability.find(query)
+        .sort({ pincode: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+      data: entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create or update the serviceability of one pincode (Admin)
+ * PUT /api/admin/pincodes/:pincode
+ * Body: { city?, state?, is_serviceable?, cod_allowed?, eta_days?: { standard?, express? } }
+ */
+exports.upsertPincode = async (req, res, next) => {
+  try {
+    const pincode = String(req.params.pincode).trim();
+    const entry = (await PincodeServiceability.findOne({ pincode })) || new PincodeServiceability({ pincode });
+    const created = entry.isNew;
+
+    ['city', 'state', 'is_serviceable', 'cod_allowed'].forEach((key) => {
+      if (req.body[key] !== undefined) entry[key] = req.body[key];
+    });
+    ['standard', 'express'].forEach((deliveryType) => {
+      const eta = req.body.eta_days?.[deliveryType];
+      if (eta !== undefined) entry.eta_days[deliveryType] = eta === '' ? null : eta;
+    });
+    entry.updated_by = req.user._id;
+    await entry.save();
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: entry,
+      message: created ? 'Pincode added' : 'Pincode updated',
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: validationMessage(error) });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Remove a pincode from the table; it then follows the unlisted-pincode default (Admin)
+ * DELETE /api/admin/pincodes/:pincode
+ */
+exports.deletePincode = async (req, res, next) => {
+  try {
+    const entry = await PincodeServiceability.findOneAndDelete({ pincode: String(req.params.pincode).trim() });
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Pincode not found' });
+    }
+    res.status(200).json({ success: true, data: {}, message: 'Pincode removed' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import pincodes from a CSV or XLSX sheet (Admin)
+ * POST /api/admin/pincodes/import
+ * Body: { file (base64), format?, filename?, dry_run? } - dry_run defaults to true
+ */
+exports.importPincodeSheet = async (req, res, next) => {
+  try {
+    const { file, format, filename } = req.body;
+    const dryRun = !(req.body.dry_run === false || req.body.dry_run === 'false');
+
+    const result = await importPincodes({ file, format, filename, dryRun, userId: req.user._id });
+
+    if (!dryRun && !result.applied) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import not applied: fix the rows with errors and try again',
+        data: result,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: dryRun ? 'Import preview generated' : 'Pincodes imported successfully',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    next(error);
+  }
+};
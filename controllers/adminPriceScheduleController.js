@@ -0,0 +1,272 @@
+const PriceSchedule = require('../models/PriceSchedule');
+const Product = require('../models/Product');
+const { findCategory } = require('../services/categoryService');
+const { scheduleStatus, applyScheduleChanges } = require('../services/salePricingService');
+const { hasVariants, findVariant } = require('../utils/variants');
+
+const EDITABLE_FIELDS = ['scope', 'product_id', 'variant_id', 'category_id', 'type', 'value', 'label', 'starts_at', 'ends_at'];
+
+// Editable schedule fields from a request body
+const pickScheduleFields = (body = {}) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key] === '' ? null : body[key];
+  });
+  return fields;
+};
+
+// Comparable form of a field value (ids, dates and numbers)
+const comparable = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.getTime();
+  return String(value);
+};
+
+// { field: { from, to } } for the fields that differ between two snapshots
+const diffFields = (before, after) => {
+  const changes = {};
+  EDITABLE_FIELDS.forEach((key) => {
+    if (comparable(before[key]) !== comparable(after[key])) {
+      changes[key] = { from: before[key] ?? null, to: after[key] ?? null };
+    }
+  });
+  return changes;
+};
+
+// Resolve and check the product/variant or category a schedule targets; returns an error message
+const resolveTarget = async (schedule) => {
+  if (schedule.scope === 'product') {
+    if (!schedule.product_id) return 'Product is required for a product schedule';
+    const product = await Product.findById(schedule.product_id).select('name variants').lean();
+    if (!product) return 'Product not found';
+    if (schedule.variant_id && !findVariant(product, schedule.variant_id, { includeInactive: true })) {
+      return 'Pack size not found on this product';
+    }
+    if (schedule.type === 'sale_price' && hasVariants(product) && !schedule.variant_id) {
+      return `${product.name} is sold in pack sizes: choose a variant_id for a sale price, or use percent_off`;
+    }
+    return null;
+  }
+
+  if (schedule.scope === 'category') {
+    if (!schedule.category_id) return 'Category is required for a category schedule';
+    const category = await findCategory(schedule.category_id);
+    if (!category) return 'Category not found';
+    schedule.category_id = category._id;
+  }
+  return null;
+};
+
+// API shape of a schedule (history only on the detail view)
+const formatSchedule = (schedule, { withHistory = false } = {}) => {
+  const { _id, __v, history, applied, ...rest } = schedule.toObject ? schedule.toObject() : schedule;
+  return {
+    ...rest,
+    id: _id.toString(),
+    status: scheduleStatus(schedule),
+    ...(withHistory ? { history } : {}),
+  };
+};
+
+const validationMessage = (error) => Object.values(error.errors).map((e) => e.message).join(', ');
+
+/**
+ * List price schedules (Admin)
+ * GET /api/admin/price-schedules?status=&scope=&product_id=&category_id=
+ */
+exports.getPriceSchedules = async (req, res, next) => {
+  try {
+    const { status, scope, product_id, category_id } = req.query;
+    const now = new Date();
+    const query = {};
+
+    if (scope) query.scope = scope;
+    if (product_id) query.product_id = product_id;
+    if (category_id) {
+      const category = await findCategory(category_id);
+      query.category_id = category ? category._id : null;
+    }
+
+    if (status === 'cancelled') {
+      query.cancelled_at = { $ne: null };
+    } else if (status === 'scheduled') {
+      Object.assign(query, { cancelled_at: null, starts_at: { $gt: now } });
+    } else if (status === 'active') {
+      Object.assign(query, { cancelled_at: null, starts_at: { $lte: now }, ends_at: { $gt: now } });
+    } else if (status === 'expired') {
+      Object.assign(query, { cancelled_at: null, ends_at: { $lte: now } });
+    }
+
+    const schedules = await PriceSchedule.find(query)
+      .select('-history')
+      .sort({ starts_at: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: schedules.length,
+      data: schedules.map((s) => formatSchedule(s)),
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid id filter' });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get a price schedule with its change history (Admin)
+ * GET /api/admin/price-schedules/:id
+ */
+exports.getPriceSchedule = async (req, res, next) => {
+  try {
+    const schedule = await PriceSchedule.findById(req.params.id)
+      .populate('history.by', 'name email')
+      .lean();
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Price schedule not found' });
+    }
+
+    res.status(200).json({ success: true, data: formatSchedule(schedule, { withHistory: true }) });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, message: 'Price schedule not found' });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Create a price schedule (Admin)
+ * POST /api/admin/price-schedules
+ */
+exports.createPriceSchedule = async (req, res, next) => {
+  try {
+    const schedule = new PriceSchedule({ ...pickScheduleFields(req.body), created_by: req.user._id });
+
+    const targetError = await resolveTarget(schedule);
+    if (targetError) {
+      return res.status(400).json({ success: false, message: targetError });
+    }
+
+    await schedule.validate();
+    schedule.history.push({
+      action: 'created',
+      changes: diffFields({}, schedule),
+      by: req.user._id,
+    });
+    await schedule.save();
+    await applyScheduleChanges([schedule]);
+
+    res.status(201).json({
+      success: true,
+      data: formatSchedule(schedule, { withHistory: true }),
+      message: 'Price schedule created',
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: validationMessage(error) });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: `Invalid ${error.path}` });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update a scheduled or running price schedule (Admin)
+ * PUT /api/admin/price-schedules/:id
+ */
+exports.updatePriceSchedule = async (req, res, next) => {
+  try {
+    const schedule = await PriceSchedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Price schedule not found' });
+    }
+
+    const status = scheduleStatus(schedule);
+    if (status === 'cancelled' || status === 'expired') {
+      return res.status(409).json({
+        success: false,
+        message: `A ${status} price schedule cannot be changed; create a new one instead`,
+      });
+    }
+
+    const before = schedule.toObject();
+    schedule.set(pickScheduleFields(req.body));
+
+    const targetError = await resolveTarget(schedule);
+    if (targetError) {
+      return res.status(400).json({ success: false, message: targetError });
+    }
+
+    await schedule.validate();
+    const changes = diffFields(before, schedule);
+    if (Object.keys(changes).length > 0) {
+      schedule.history.push({ action: 'updated', changes, by: req.user._id });
+      await schedule.save();
+      // Products covered before the edit are refreshed too
+      await applyScheduleChanges([before, schedule]);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatSchedule(schedule, { withHistory: true }),
+      message: 'Price schedule updated',
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: validationMessage(error) });
+    }
+    if (error.kind === 'ObjectId' && error.path === '_id') {
+      return res.status(404).json({ success: false, message: 'Price schedule not found' });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: `Invalid ${error.path}` });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Cancel a price schedule; it stays in the history (Admin)
+ * POST /api/admin/price-schedules/:id/cancel
+ */
+exports.cancelPriceSchedule = async (req, res, next) => {
+  try {
+    const schedule = await PriceSchedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Price schedule not found' });
+    }
+
+    const status = scheduleStatus(schedule);
+    if (status === 'cancelled' || status === 'expired') {
+      return res.status(409).json({ success: false, message: `Price schedule is already ${status}` });
+    }
+
+    schedule.cancelled_at = new Date();
+    schedule.history.push({
+      action: 'cancelled',
+      changes: {
+        cancelled_at: { from: null, to: schedule.cancelled_at },
+        ...(req.body?.reason ? { reason: { from: null, to: String(req.body.reason) } } : {}),
+      },
+      by: req.user._id,
+    });
+    await schedule.save();
+    await applyScheduleChanges([schedule]);
+
+    res.status(200).json({
+      success: true,
+      data: formatSchedule(schedule, { withHistory: true }),
+      message: 'Price schedule cancelled',
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, message: 'Price schedule not found' });
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,115 @@
+const ShippingZone = require('../models/ShippingZone');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'pincode_ranges',
+  'states',
+  'is_default',
+  'priority',
+  'weight_slabs',
+  'extra_charge_per_kg',
+  'free_shipping_above',
+  'express_available',
+  'express_surcharge',
+  'is_active',
+];
+
+// Editable zone fields from a request body
+const pickZoneFields = (body = {}) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key] === '' ? null : body[key];
+  });
+  return fields;
+};
+
+const validationMessage = (error) => Object.values(error.errors).map((e) => e.message).join(', ');
+
+const sendError = (res, next, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: validationMessage(error) });
+  }
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ success: false, message: 'Shipping zone not found' });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ success: false, message: 'A shipping zone with this name already exists' });
+  }
+  return next(error);
+};
+
+/**
+ * List shipping zones, highest priority first (Admin)
+ * GET /api/admin/shipping-zones
+ */
+exports.getShippingZones = async (req, res, next) => {
+  try {
+    const zones = await ShippingZone.find().sort({ priority: -1, createdAt: 1 });
+    res.status(200).json({ success: true, count: zones.length, data: zones });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a shipping zone (Admin)
+ * GET /api/admin/shipping-zones/:id
+ */
+exports.getShippingZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Shipping zone not found' });
+    }
+    res.status(200).json({ success: true, data: zone });
+  } catch (error) {
+    sendError(res, next, error);
+  }
+};
+
+/**
+ * Create a shipping zone (Admin)
+ * POST /api/admin/shipping-zones
+ */
+exports.createShippingZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingZone.create(pickZoneFields(req.body));
+    res.status(201).json({ success: true, data: zone, message: 'Shipping zone created' });
+  } catch (error) {
+    sendError(res, next, error);
+  }
+};
+
+/**
+ * Update a shipping zone (Admin)
+ * PUT /api/admin/shipping-zones/:id
+ */
+exports.updateShippingZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Shipping zone not found' });
+    }
+    zone.set(pickZoneFields(req.body));
+    await zone.save();
+    res.status(200).json({ success: true, data: zone, message: 'Shipping zone updated' });
+  } catch (error) {
+    sendError(res, next, error);
+  }
+};
+
+/**
+ * Delete a shipping zone (Admin)
+ * DELETE /api/admin/shipping-zones/:id
+ */
+exports.deleteShippingZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Shipping zone not found' });
+    }
+    res.status(200).json({ success: true, data: {}, message: 'Shipping zone deleted' });
+  } catch (error) {
+    sendError(res, next, error);
+  }
+};
@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const { generateToken, generateRefreshToken } = require('../middleware/auth');
 const { sendOTPEmail } = require('../utils/emailService');
 const generateOTP = require('../utils/generateOTP');
+const { cartTokenFrom, mergeGuestCartOnLogin } = require('../services/guestCartService');
  
 /**
  * @desc    Refresh access token using refresh token
@@ -251,6 +252,9 @@ const verifyRegistration = async (req, res) => {
   // Save refresh token to user (rotating)
   user.refreshToken = refreshToken;
   await user.save();
+
+    // Move the visitor's guest cart into the new account
+    const cartMerge = await mergeGuestCartOnLogin(cartTokenFrom(req), user._id);
  
     res.status(201).json({
       success: true,
@@ -266,6 +270,7 @@ const verifyRegistration = async (req, res) => {
         },
         token,
         refreshToken,
+        cart_merge: cartMerge,
       },
     });
   } catch (error) {
@@ -441,6 +446,9 @@ const verifyLogin = async (req, res) => {
     // Save refresh token to user (rotating)
     user.refreshToken = refreshToken;
     await user.save();
+
+    // Move the visitor's guest cart into their account
+    const cartMerge = await mergeGuestCartOnLogin(cartTokenFrom(req), user._id);
  
     res.status(200).json({
       success: true,
@@ -456,6 +464,7 @@ const verifyLogin = async (req, res) => {
         },
         token,
         refreshToken,
+        cart_merge: cartMerge,
       },
     });
   } catch (error) {
@@ -1,5 +1,20 @@
 const CartItem = require('../models/CartItem');
 const Product = require('../models/Product');
+const { resolveVariant, findVariant, formatVariant, lineName } = require('../utils/variants');
+const { applySalePricing } = require('../services/salePricingService');
+const { validateCart } = require('../services/cartValidationService');
+const { MAX_QUANTITY_PER_ITEM } = require('../services/pricingService');
+
+// Product fields populated on cart items (category_id resolves category sale prices)
+const CART_PRODUCT_FIELDS = 'name price original_price images in_stock description category category_id variants createdAt updatedAt';
+
+/**
+ * Selected variant of a populated cart item, formatted (null when none)
+ */
+const cartVariant = (product, variantId) => {
+  const variant = findVariant(product, variantId, { includeInactive: true });
+  return variant ? formatVariant(variant) : null;
+};
  
 /**
 * Get all cart items for a user with product details
@@ -13,7 +28,7 @@ exports.getCartItems = async (req, res, next) => {
     const items = await CartItem.find({ user_id: userId })
       .populate({
         path: 'product_id',
-        select: 'name price images in_stock description category createdAt updatedAt',
+        select: CART_PRODUCT_FIELDS,
       })
       .sort({ created_at: -1 })
       .lean();
@@ -25,25 +40,34 @@ exports.getCartItems = async (req, res, next) => {
       // Fire-and-forget cleanup
       CartItem.deleteMany({ _id: { $in: orphans } }).catch(() => {});
     }
+    await applySalePricing(valid.map(it => it.product_id));
 
-    const data = valid.map(it => ({
-      id: it._id.toString(),
-      user_id: it.user_id.toString(),
-      product_id: it.product_id._id.toString(),
-      quantity: it.quantity,
-      created_at: it.created_at, // if your schema uses created_at, keep this
-      product: {
-        id: it.product_id._id.toString(),
-        name: it.product_id.name,
-        price: it.product_id.price,
-        images: it.product_id.images,
-        in_stock: it.product_id.in_stock,
-        description: it.product_id.description,
-        category: it.product_id.category,
-        created_at: it.product_id.createdAt,
-        updated_at: it.product_id.updatedAt,
-      },
-    }));
+    const data = valid.map(it => {
+      const variant = cartVariant(it.product_id, it.variant_id);
+      return {
+        id: it._id.toString(),
+        user_id: it.user_id.toString(),
+        product_id: it.product_id._id.toString(),
+        variant_id: it.variant_id ? it.variant_id.toString() : null,
+        variant,
+        quantity: it.quantity,
+        price_at_add: it.price_at_add ?? null,
+        created_at: it.created_at, // if your schema uses created_at, keep this
+        product: {
+          id: it.product_id._id.toString(),
+          name: it.product_id.name,
+          price: variant ? variant.price : it.product_id.price,
+          original_price: variant ? variant.original_price : it.product_id.original_price ?? null,
+          sale: variant ? variant.sale : it.product_id.sale,
+          images: it.product_id.images,
+          in_stock: it.product_id.in_stock,
+          description: it.product_id.description,
+          category: it.product_id.category,
+          created_at: it.product_id.createdAt,
+          updated_at: it.product_id.updatedAt,
+        },
+      };
+    });
 
     return res.status(200).json({ success: true, count: data.length, data });
   } catch (err) {
@@ -57,55 +81,94 @@ exports.getCartItems = async (req, res, next) => {
 exports.addToCart = async (req, res, next) => {
   try {
     const userId = req.user._id;
-    const { product_id, quantity = 1 } = req.body;
+    const { product_id, variant_id = null, quantity = 1 } = req.body;
+
+    // Whole units only; "2" is accepted, "2abc" and 1.5 are not
+    const qty = parseInt(quantity, 10);
+    if (!Number.isInteger(qty) || qty < 1 || Number(quantity) !== qty) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a whole number of at least 1',
+      });
+    }
  
     // Validate product exists
-    const product = await Product.findById(product_id);
+    const product = await Product.findById(product_id).lean();
     if (!product) {
       return res.status(404).json({
         success: false,
         message: 'Product not found',
       });
     }
+
+    // Current price, including any sale, is recorded on the line as price_at_add
+    await applySalePricing(product);
+
+    // Products sold in pack sizes need a valid, active variant
+    const resolved = resolveVariant(product, variant_id);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error,
+      });
+    }
+    const variantId = resolved.variant ? resolved.variant._id : null;
  
     // Check if item already exists in cart
     let cartItem = await CartItem.findOne({
       user_id: userId,
       product_id: product_id,
+      variant_id: variantId,
     });
+
+    // Checkout enforces the same per-item limit
+    if ((cartItem ? cartItem.quantity : 0) + qty > MAX_QUANTITY_PER_ITEM) {
+      return res.status(400).json({
+        success: false,
+        message: `You can buy at most ${MAX_QUANTITY_PER_ITEM} of ${lineName(product.name, resolved.variant_label)}`,
+        data: { max_quantity: MAX_QUANTITY_PER_ITEM, quantity: cartItem ? cartItem.quantity : 0 },
+      });
+    }
  
     if (cartItem) {
       // Update quantity if item exists
-      cartItem.quantity += quantity;
+      cartItem.quantity += qty;
+      cartItem.price_at_add = resolved.price;
       await cartItem.save();
       
       // Populate product details
       await cartItem.populate({
         path: 'product_id',
-        select: 'name price images in_stock description category createdAt updatedAt',
+        select: CART_PRODUCT_FIELDS,
       });
     } else {
       // Create new cart item
       cartItem = await CartItem.create({
         user_id: userId,
         product_id: product_id,
-        quantity: quantity,
+        variant_id: variantId,
+        quantity: qty,
+        price_at_add: resolved.price,
       });
       
       // Populate product details
       await cartItem.populate({
         path: 'product_id',
-        select: 'name price images in_stock description category createdAt updatedAt',
+        select: CART_PRODUCT_FIELDS,
       });
     }
  
     // Format response to match Supabase structure
     const itemObj = cartItem.toObject();
+    await applySalePricing(itemObj.product_id);
     const formattedItem = {
       id: itemObj.id,
       user_id: itemObj.user_id,
       product_id: itemObj.product_id.id,
+      variant_id: itemObj.variant_id ? itemObj.variant_id.toString() : null,
+      variant: cartVariant(itemObj.product_id, itemObj.variant_id),
       quantity: itemObj.quantity,
+      price_at_add: itemObj.price_at_add ?? null,
       created_at: itemObj.created_at,
       updated_at: itemObj.updated_at,
       product: itemObj.product_id,
@@ -135,11 +198,19 @@ exports.updateCartItemQuantity = async (req, res, next) => {
   try {
     const userId = req.user._id;
     const { quantity } = req.body;
- 
-    if (!quantity || quantity < 1) {
+
+    const qty = parseInt(quantity, 10);
+    if (!Number.isInteger(qty) || qty < 1 || Number(quantity) !== qty) {
       return res.status(400).json({
         success: false,
-        message: 'Quantity must be at least 1',
+        message: 'Quantity must be a whole number of at least 1',
+      });
+    }
+    if (qty > MAX_QUANTITY_PER_ITEM) {
+      return res.status(400).json({
+        success: false,
+        message: `You can buy at most ${MAX_QUANTITY_PER_ITEM} of this item`,
+        data: { max_quantity: MAX_QUANTITY_PER_ITEM },
       });
     }
  
@@ -156,20 +227,24 @@ exports.updateCartItemQuantity = async (req, res, next) => {
       });
     }
  
-    cartItem.quantity = quantity;
+    cartItem.quantity = qty;
     await cartItem.save();
     await cartItem.populate({
       path: 'product_id',
-      select: 'name price images in_stock description category createdAt updatedAt',
+      select: CART_PRODUCT_FIELDS,
     });
  
     // Format response
     const itemObj = cartItem.toObject();
+    await applySalePricing(itemObj.product_id);
     const formattedItem = {
       id: itemObj.id,
       user_id: itemObj.user_id,
       product_id: itemObj.product_id.id,
+      variant_id: itemObj.variant_id ? itemObj.variant_id.toString() : null,
+      variant: cartVariant(itemObj.product_id, itemObj.variant_id),
       quantity: itemObj.quantity,
+      price_at_add: itemObj.price_at_add ?? null,
       created_at: itemObj.created_at,
       updated_at: itemObj.updated_at,
       product: itemObj.product_id,
@@ -253,14 +328,20 @@ exports.getCartSummary = async (req, res, next) => {
   try {
     const userId = req.user._id;
  
-    const cartItems = await CartItem.find({ user_id: userId }).populate({
-      path: 'product_id',
-      select: 'name price images in_stock description category createdAt updatedAt',
-    });
+    const items = await CartItem.find({ user_id: userId })
+      .populate({
+        path: 'product_id',
+        select: CART_PRODUCT_FIELDS,
+      })
+      .lean();
+    // Skip items whose product was deleted
+    const cartItems = items.filter((item) => item.product_id);
+    await applySalePricing(cartItems.map((item) => item.product_id));
  
     const totalItems = cartItems.reduce((sum, item) => sum + item.quantity, 0);
     const totalPrice = cartItems.reduce((sum, item) => {
-      return sum + item.product_id.price * item.quantity;
+      const variant = findVariant(item.product_id, item.variant_id, { includeInactive: true });
+      return sum + (variant ? variant.price : item.product_id.price) * item.quantity;
     }, 0);
  
     res.status(200).json({
@@ -274,4 +355,27 @@ exports.getCartSummary = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+/**
+* Check the cart before checkout: removed products, stock, quantity limits, price changes
+* since the items were added and (optionally) the coupon
+* POST /api/cart/validate
+* Body: { coupon_code?, auto_fix? }
+*/
+exports.validateCart = async (req, res, next) => {
+  try {
+    const { coupon_code = null, auto_fix = false } = req.body;
+
+    const result = await validateCart(req.user._id, {
+      couponCode: coupon_code,
+      autoFix: auto_fix === true || auto_fix === 'true',
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,16 +1,85 @@
 const Category = require('../models/Category');
+const Product = require('../models/Product');
+const {
+  loadCategories,
+  findCategory,
+  descendantIds,
+  ancestorsOf,
+  productCounts,
+  formatCategory,
+  buildTree,
+} = require('../services/categoryService');
 
+// Editable category fields from a request body
+const pickCategoryFields = (body = {}) => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = String(body.name || '').trim();
+  if (body.slug !== undefined) fields.slug = Category.slugify(body.slug);
+  if (body.description !== undefined) fields.description = body.description || '';
+  if (body.image_url !== undefined) fields.image_url = body.image_url || null;
+  if (body.parent_id !== undefined) fields.parent_id = body.parent_id || null;
+  if (body.sort_order !== undefined) fields.sort_order = parseInt(body.sort_order, 10) || 0;
+  return fields;
+};
+
+// Resolve fields.parent_id (id or slug) to an id; returns an error message if it is not a valid parent
+const resolveParent = async (fields, categoryId = null) => {
+  if (!fields.parent_id) return null;
+  const parent = await findCategory(fields.parent_id);
+  if (!parent) return 'Parent category not found';
+  if (categoryId) {
+    const categories = await loadCategories();
+    if (descendantIds(categories, categoryId).includes(parent._id.toString())) {
+      return 'A category cannot be moved under itself or one of its subcategories';
+    }
+  }
+  fields.parent_id = parent._id;
+  return null;
+};
 
 // GET /categories
 exports.getCategories = async (_req, res, next) => {
   try {
-    const cats = await Category.find().sort({ name: 1 }).lean();
-    const data = cats.map(c => ({
-      id: c._id.toString(),
-      name: c.name,
-      created_at: c.createdAt,
-      updated_at: c.updatedAt,
-    }));
+    const [cats, counts] = await Promise.all([loadCategories(), productCounts()]);
+    const data = cats.map((c) => formatCategory(c, counts));
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /categories/tree
+exports.getCategoryTree = async (_req, res, next) => {
+  try {
+    const [cats, counts] = await Promise.all([loadCategories(), productCounts()]);
+    return res.status(200).json({ success: true, data: buildTree(cats, counts) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /categories/:idOrSlug
+exports.getCategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(req.params.idOrSlug);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const [cats, counts] = await Promise.all([loadCategories(), productCounts()]);
+    const id = category._id.toString();
+    const stack = buildTree(cats, counts);
+    let node = null;
+    while (stack.length > 0 && !node) {
+      const n = stack.pop();
+      if (n.id === id) node = n;
+      else stack.push(...n.children);
+    }
+
+    const data = {
+      ...node,
+      ancestors: ancestorsOf(cats, category).map((c) => formatCategory(c)),
+    };
     return res.status(200).json({ success: true, data });
   } catch (err) {
     next(err);
@@ -20,30 +89,109 @@ exports.getCategories = async (_req, res, next) => {
 // POST /categories  [admin only]
 exports.createCategory = async (req, res, next) => {
   try {
-    const { name } = req.body || {};
-    const v = (name || '').trim();
-    if (!v) {
+    const fields = pickCategoryFields(req.body);
+    if (!fields.name) {
       return res.status(400).json({ success: false, message: 'Name is required' });
     }
+    if (fields.slug === '') delete fields.slug;
 
-    // Upsert-like behavior: if exists, return it; else create.
-    let cat = await Category.findOne({ name: v }).lean();
-    if (!cat) {
-      const created = await Category.create({ name: v });
-      cat = created.toObject();
+    const parentError = await resolveParent(fields);
+    if (parentError) {
+      return res.status(400).json({ success: false, message: parentError });
     }
 
-    const data = {
-      id: cat._id ? cat._id.toString() : cat.id,
-      name: cat.name,
-      created_at: cat.createdAt,
-      updated_at: cat.updatedAt,
-    };
+    const created = await Category.create(fields);
+    const data = formatCategory(created.toObject(), new Map());
     return res.status(201).json({ success: true, data, message: 'Category created' });
   } catch (err) {
     if (err?.code === 11000) {
       return res.status(409).json({ success: false, message: 'Category already exists' });
     }
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      return res.status(400).json({ success: false, message: messages.join(', ') });
+    }
+    next(err);
+  }
+};
+
+// PUT /categories/:id  [admin only]
+exports.updateCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const fields = pickCategoryFields(req.body);
+    if (fields.name === '') {
+      return res.status(400).json({ success: false, message: 'Name is required' });
+    }
+    if (fields.slug === '') {
+      return res.status(400).json({ success: false, message: 'Slug is required' });
+    }
+
+    const parentError = await resolveParent(fields, category._id);
+    if (parentError) {
+      return res.status(400).json({ success: false, message: parentError });
+    }
+
+    const renamed = fields.name !== undefined && fields.name !== category.name;
+    category.set(fields);
+    await category.save();
+
+    // Products mirror the category name
+    if (renamed) {
+      await Product.updateMany({ category_id: category._id }, { category: category.name });
+    }
+
+    const counts = await productCounts();
+    return res.status(200).json({
+      success: true,
+      data: formatCategory(category.toObject(), counts),
+      message: 'Category updated',
+    });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ success: false, message: 'Category name or slug already in use' });
+    }
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      return res.status(400).json({ success: false, message: messages.join(', ') });
+    }
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
     next(err);
   }
-};
\ No newline at end of file
+};
+
+// DELETE /categories/:id  [admin only]
+exports.deleteCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const [children, products] = await Promise.all([
+      Category.countDocuments({ parent_id: category._id }),
+      Product.countDocuments({ category_id: category._id }),
+    ]);
+    if (children > 0 || products > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Move its subcategories and products to another category before deleting it',
+        data: { children, products },
+      });
+    }
+
+    await category.deleteOne();
+    return res.status(200).json({ success: true, message: 'Category deleted', data: {} });
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+    next(err);
+  }
+};
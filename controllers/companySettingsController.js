@@ -42,6 +42,9 @@ exports.updateCompanySettings = async (req, res, next) => {
       panNumber,
       website,
       placeOfSupply,
+      pricesIncludeTax,
+      customerCancellationEnabled,
+      cancellationWindowHours,
       bankName,
       accountNumber,
       ifscCode,
@@ -65,6 +68,9 @@ exports.updateCompanySettings = async (req, res, next) => {
         panNumber: panNumber || '',
         website: website || '',
         placeOfSupply: placeOfSupply || '',
+        pricesIncludeTax: Boolean(pricesIncludeTax),
+        customerCancellationEnabled: customerCancellationEnabled ?? true,
+        cancellationWindowHours: cancellationWindowHours ?? 24,
         bankName: bankName || '',
         accountNumber: accountNumber || '',
         ifscCode: ifscCode || '',
@@ -84,6 +90,9 @@ exports.updateCompanySettings = async (req, res, next) => {
       if (panNumber !== undefined) settings.panNumber = panNumber;
       if (website !== undefined) settings.website = website;
       if (placeOfSupply !== undefined) settings.placeOfSupply = placeOfSupply;
+      if (pricesIncludeTax !== undefined) settings.pricesIncludeTax = pricesIncludeTax;
+      if (customerCancellationEnabled !== undefined) settings.customerCancellationEnabled = customerCancellationEnabled;
+      if (cancellationWindowHours !== undefined) settings.cancellationWindowHours = cancellationWindowHours;
       if (bankName !== undefined) settings.bankName = bankName;
       if (accountNumber !== undefined) settings.accountNumber = accountNumber;
       if (ifscCode !== undefined) settings.ifscCode = ifscCode;
@@ -326,13 +326,17 @@ const getInventoryAnalytics = async (startDate, endDate) => {
       const quantitySold = itemsSold.reduce((sum, item) => sum + item.quantity, 0);
       const revenue = itemsSold.reduce((sum, item) => sum + (item.price * item.quantity), 0);
 
+      const availableStock = Math.max(0, (product.stock || 0) - (product.reserved_stock || 0));
+
       return {
         name: product.name,
         category: product.category,
         currentStock: product.stock || 0,
+        reservedStock: product.reserved_stock || 0,
+        availableStock,
         quantitySold,
         revenue,
-        isLowStock: (product.stock || 0) < 10
+        isLowStock: availableStock <= (product.low_stock_threshold ?? 10)
       };
     });
 
@@ -0,0 +1,169 @@
+const Product = require('../models/Product');
+const {
+  GUEST_CART_TTL_DAYS,
+  cartTokenFrom,
+  findGuestCart,
+  createGuestCart,
+  addGuestItem,
+  updateGuestItem,
+  removeGuestItem,
+} = require('../services/guestCartService');
+const { applySalePricing } = require('../services/salePricingService');
+const { findVariant, formatVariant } = require('../utils/variants');
+
+/**
+ * Guest cart with product details and totals (same item shape as GET /api/cart)
+ */
+const formatGuestCart = async (cart) => {
+  const products = await Product.find({ _id: { $in: cart.items.map((i) => i.product_id) } })
+    .select('name price original_price images in_stock description category category_id variants createdAt updatedAt')
+    .lean();
+  await applySalePricing(products);
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const items = cart.items
+    .filter((it) => productMap.has(String(it.product_id)))
+    .map((it) => {
+      const product = productMap.get(String(it.product_id));
+      const variant = findVariant(product, it.variant_id, { includeInactive: true });
+      return {
+        id: it._id.toString(),
+        product_id: product._id.toString(),
+        variant_id: it.variant_id ? it.variant_id.toString() : null,
+        variant: variant ? formatVariant(variant) : null,
+        quantity: it.quantity,
+        created_at: it.added_at,
+        product: {
+          id: product._id.toString(),
+          name: product.name,
+          price: variant ? variant.price : product.price,
+          original_price: variant ? variant.original_price : product.original_price ?? null,
+          sale: variant ? variant.sale : product.sale,
+          images: product.images,
+          in_stock: product.in_stock,
+          description: product.description,
+          category: product.category,
+          created_at: product.createdAt,
+          updated_at: product.updatedAt,
+        },
+      };
+    });
+
+  const totalPrice = items.reduce((sum, it) => sum + it.product.price * it.quantity, 0);
+  return {
+    cart_token: cart.token,
+    expires_at: cart.expires_at,
+    items,
+    totalItems: items.reduce((sum, it) => sum + it.quantity, 0),
+    totalPrice: parseFloat(totalPrice.toFixed(2)),
+    itemCount: items.length,
+  };
+};
+
+const sendError = (res, next, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ success: false, message: 'Product not found' });
+  }
+  return next(error);
+};
+
+// Guest cart for the request's token, or a 404 response
+const requireGuestCart = async (req, res) => {
+  const cart = await findGuestCart(cartTokenFrom(req));
+  if (!cart) {
+    res.status(404).json({
+      success: false,
+      message: `Cart not found or expired (guest carts are kept for ${GUEST_CART_TTL_DAYS} days)`,
+    });
+  }
+  return cart;
+};
+
+/**
+ * Get the guest cart for the X-Cart-Token header
+ * GET /api/guest-cart
+ */
+exports.getGuestCart = async (req, res, next) => {
+  try {
+    const cart = await requireGuestCart(req, res);
+    if (!cart) return;
+    res.status(200).json({ success: true, data: await formatGuestCart(cart) });
+  } catch (error) {
+    sendError(res, next, error);
+  }
+};
+
+/**
+ * Add an item to the guest cart; starts a new cart (and token) when none is sent
+ * POST /api/guest-cart/items
+ * Body: { product_id, variant_id?, quantity? }
+ */
+exports.addGuestCartItem = async (req, res, next) => {
+  try {
+    if (!req.body.product_id) {
+      return res.status(400).json({ success: false, message: 'Product ID is required' });
+    }
+
+    let cart = await findGuestCart(cartTokenFrom(req));
+    const created = !cart;
+    if (!cart) cart = await createGuestCart();
+    await addGuestItem(cart, req.body);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: await formatGuestCart(cart),
+      message: created ? 'Cart created; send cart_token as X-Cart-Token on later requests' : 'Item added to cart',
+    });
+  } catch (error) {
+    sendError(res, next, error);
+  }
+};
+
+/**
+ * Update the quantity of a guest cart item
+ * PUT /api/guest-cart/items/:itemId
+ */
+exports.updateGuestCartItem = async (req, res, next) => {
+  try {
+    const cart = await requireGuestCart(req, res);
+    if (!cart) return;
+    await updateGuestItem(cart, req.params.itemId, req.body.quantity);
+    res.status(200).json({ success: true, data: await formatGuestCart(cart) });
+  } catch (error) {
+    sendError(res, next, error);
+  }
+};
+
+/**
+ * Remove an item from the guest cart
+ * DELETE /api/guest-cart/items/:itemId
+ */
+exports.removeGuestCartItem = async (req, res, next) => {
+  try {
+    const cart = await requireGuestCart(req, res);
+    if (!cart) return;
+    await removeGuestItem(cart, req.params.itemId);
+    res.status(200).json({ success: true, data: await formatGuestCart(cart), message: 'Item removed from cart' });
+  } catch (error) {
+    sendError(res, next, error);
+  }
+};
+
+/**
+ * Empty the guest cart
+ * DELETE /api/guest-cart
+ */
+exports.clearGuestCart = async (req, res, next) => {
+  try {
+    const cart = await requireGuestCart(req, res);
+    if (!cart) return;
+    cart.items = [];
+    await cart.save();
+    res.status(200).json({ success: true, data: await formatGuestCart(cart), message: 'Cart cleared successfully' });
+  } catch (error) {
+    sendError(res, next, error);
+  }
+};
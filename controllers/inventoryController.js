@@ -0,0 +1,218 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { formatVariant } = require('../utils/variants');
+const {
+  adjustStock,
+  releaseExpiredReservations,
+} = require('../services/inventoryService');
+const { productAlertSnapshot, notifyProductChanges } = require('../services/productAlertService');
+
+/**
+ * Get stock levels for all products (Admin)
+ * GET /api/admin/inventory
+ */
+exports.getStockLevels = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const { search, lowStockOnly } = req.query;
+
+    const query = {};
+    if (search && search.trim()) {
+      query.name = { $regex: search.trim(), $options: 'i' };
+    }
+    if (lowStockOnly === 'true') {
+      query.$expr = {
+        $lte: [
+          { $subtract: [{ $ifNull: ['$stock', 0] }, { $ifNull: ['$reserved_stock', 0] }] },
+          { $ifNull: ['$low_stock_threshold', 10] },
+        ],
+      };
+    }
+
+    const [products, total] = await Promise.all([
+      Product.find(query)
+        .select('name category price stock reserved_stock low_stock_threshold in_stock variants')
+        .sort({ stock: 1, name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Product.countDocuments(query),
+    ]);
+
+    const data = products.map((p) => {
+      const available = Math.max(0, (p.stock || 0) - (p.reserved_stock || 0));
+      return {
+        id: p._id.toString(),
+        name: p.name,
+        category: p.category,
+        price: p.price,
+        stock: p.stock || 0,
+        reserved_stock: p.reserved_stock || 0,
+        available_stock: available,
+        low_stock_threshold: p.low_stock_threshold ?? 10,
+        is_low_stock: available <= (p.low_stock_threshold ?? 10),
+        in_stock: p.in_stock,
+        variants: (p.variants || []).map(formatVariant),
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get stock movement ledger (Admin)
+ * GET /api/admin/inventory/movements
+ */
+exports.getStockMovements = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const { product_id, variant_id, sku, type, order_id, startDate, endDate } = req.query;
+
+    const query = {};
+    if (product_id) query.product_id = product_id;
+    if (variant_id) query.variant_id = variant_id;
+    if (sku) query.sku = String(sku).toUpperCase().trim();
+    if (type) query.type = type;
+    if (order_id) query.order_id = order_id;
+    if (startDate || endDate) {
+      query.created_at = {};
+      if (startDate) query.created_at.$gte = new Date(startDate);
+      if (endDate) query.created_at.$lte = new Date(endDate);
+    }
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(query)
+        .populate('product_id', 'name')
+        .populate('created_by', 'name email')
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      StockMovement.countDocuments(query),
+    ]);
+
+    const data = movements.map((m) => ({
+      id: m._id.toString(),
+      product_id: m.product_id?._id?.toString() || m.product_id?.toString(),
+      product_name: m.product_id?.name || null,
+      variant_id: m.variant_id ? m.variant_id.toString() : null,
+      sku: m.sku,
+      type: m.type,
+      quantity: m.quantity,
+      stock_after: m.stock_after,
+      reserved_after: m.reserved_after,
+      order_id: m.order_id ? m.order_id.toString() : null,
+      reservation_id: m.reservation_id ? m.reservation_id.toString() : null,
+      reason: m.reason,
+      created_by: m.created_by
+        ? { id: m.created_by._id.toString(), name: m.created_by.name, email: m.created_by.email }
+        : null,
+      created_at: m.created_at,
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Adjust stock for a product (Admin)
+ * POST /api/admin/inventory/:productId/adjust
+ * Body: { quantity } for a signed delta or { set } for an absolute count, plus { reason }
+ */
+exports.adjustProductStock = async (req, res, next) => {
+  try {
+    const { variant_id, quantity, set, reason } = req.body;
+
+    if ((quantity === undefined || quantity === null) && (set === undefined || set === null)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either quantity or set is required',
+      });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason is required',
+      });
+    }
+
+    const before = await productAlertSnapshot(req.params.productId);
+    const product = await adjustStock(req.params.productId, {
+      variantId: variant_id || null,
+      quantity,
+      set,
+      reason: String(reason).trim(),
+      userId: req.user._id,
+    });
+
+    notifyProductChanges(before);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: product._id.toString(),
+        name: product.name,
+        stock: product.stock,
+        reserved_stock: product.reserved_stock,
+        available_stock: Math.max(0, product.stock - product.reserved_stock),
+        in_stock: product.in_stock,
+        variants: (product.variants || []).map(formatVariant),
+      },
+      message: 'Stock adjusted successfully',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Release expired checkout reservations now (Admin)
+ * POST /api/admin/inventory/reservations/release-expired
+ */
+exports.releaseExpired = async (req, res, next) => {
+  try {
+    const released = await releaseExpiredReservations();
+    res.status(200).json({
+      success: true,
+      data: { released },
+      message: `${released} expired reservation(s) released`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -7,9 +7,10 @@ const logger = require('../utils/logger');
 
 /**
  * Create invoice from order
+ * session: optional MongoDB session when the invoice is written as part of a transaction
  */
 // createInvoiceFromOrder (fixed)
-exports.createInvoiceFromOrder = async (orderId, orderData, paymentData = null) => {
+exports.createInvoiceFromOrder = async (orderId, orderData, paymentData = null, { session = null } = {}) => {
   try {
     // Generate invoice number
     const invoice_number = await Invoice.generateInvoiceNumber();
@@ -37,11 +38,21 @@ exports.createInvoiceFromOrder = async (orderId, orderData, paymentData = null)
     // ✅ STANDARDIZED ITEMS - snake_case only
     const items = (orderData.items || []).map(item => ({
       product_id: item.product_id,
+      variant_id: item.variant_id || null,
+      sku: item.sku || null,
+      variant_label: item.variant_label || null,
       name: item.name || item.product_name,
       description: item.description || '',
       quantity: item.quantity || 1,
       price: item.price || 0,
       amount: (item.quantity || 1) * (item.price || 0),
+      hsn_code: item.hsn_code || null,
+      gst_rate: item.gst_rate ?? null,
+      taxable_value: item.taxable_value ?? null,
+      cgst: item.cgst || 0,
+      sgst: item.sgst || 0,
+      igst: item.igst || 0,
+      tax_amount: item.tax_amount || 0,
     }));
 
     // ✅ STANDARDIZED FIELD PARSING - snake_case only
@@ -52,10 +63,15 @@ exports.createInvoiceFromOrder = async (orderId, orderData, paymentData = null)
 
     const subtotal = parseAmount(orderData.subtotal || 0);
     const delivery_charges = parseAmount(orderData.delivery_charges || 0);
+    const cod_fee = parseAmount(orderData.cod_fee || 0);
     const gift_price = parseAmount(orderData.gift_price || 0);
     const discount_amount = parseAmount(orderData.discount_amount || 0);
     const coupon_discount = parseAmount(orderData.coupon_discount || 0);
     const tax_amount = parseAmount(orderData.tax_amount || 0);
+    const taxable_amount = parseAmount(orderData.taxable_amount || 0);
+    const cgst_amount = parseAmount(orderData.cgst_amount || 0);
+    const sgst_amount = parseAmount(orderData.sgst_amount || 0);
+    const igst_amount = parseAmount(orderData.igst_amount || 0);
     const total_amount = parseAmount(orderData.total_amount || 0);
 
     // ✅ COMPUTE FINAL TOTAL (trust provided value)
@@ -65,11 +81,16 @@ exports.createInvoiceFromOrder = async (orderId, orderData, paymentData = null)
     const isOnlinePaid = paymentData && (paymentData.status === 'captured' || paymentData.status === 'authorized');
     
     // If online sale, always mark as paid (invoice only created after successful payment)
+    // Cash on delivery invoices are issued as pending until the collection is recorded
     // If offline sale, default to pending unless explicitly marked as paid
+    const isCashOnDelivery = isOnlineSale && orderData.payment_method === 'COD';
     let payment_status;
     let invoice_status;
     
-    if (isOnlineSale) {
+    if (isCashOnDelivery) {
+      payment_status = 'pending';
+      invoice_status = 'issued';
+    } else if (isOnlineSale) {
       // Online invoices are ALWAYS paid - they're only created after Razorpay success
       payment_status = 'paid';
       invoice_status = 'paid';
@@ -111,13 +132,20 @@ exports.createInvoiceFromOrder = async (orderId, orderData, paymentData = null)
       coupon_discount,
       gift_price,
       delivery_charges,
+      cod_fee,
       tax_amount,
+      taxable_amount,
+      cgst_amount,
+      sgst_amount,
+      igst_amount,
+      supply_type: orderData.supply_type || 'intra_state',
+      prices_include_tax: Boolean(orderData.prices_include_tax),
       total_amount: final_total_amount,
       issue_date,
       due_date,
       payment_status,
       payment_method: paymentData?.payment_method || orderData.payment_method || 'UPI',
-      payment_date: (isOnlineSale || isOnlinePaid) ? new Date() : null,
+      payment_date: ((isOnlineSale && !isCashOnDelivery) || isOnlinePaid) ? new Date() : null,
       razorpay_payment_id: paymentData?.razorpay_payment_id || orderData.razorpay_payment_id || null,
       razorpay_order_id: paymentData?.razorpay_order_id || orderData.razorpay_order_id || null,
       sale_type,
@@ -128,10 +156,12 @@ exports.createInvoiceFromOrder = async (orderId, orderData, paymentData = null)
       notes: orderData.notes || 'Thank you for your order!',
       terms: orderData.terms || 'Payment due within 30 days. All sales are final.',
       status: invoice_status,
+      revision: orderData.revision || 1,
+      previous_invoice_id: orderData.previous_invoice_id || null,
     };
 
     // Create invoice
-    const invoice = await Invoice.create(invoicePayload);
+    const [invoice] = await Invoice.create([invoicePayload], { session });
 
     logger.info('invoice:create_from_order:success', {
       orderId: orderId ? orderId.toString() : null,
@@ -215,7 +245,12 @@ exports.getAllInvoices = async (req, res, next) => {
       coupon_discount: inv.coupon_discount || 0,
       gift_price: inv.gift_price || 0,
       delivery_charges: inv.delivery_charges || 0,
+      cod_fee: inv.cod_fee || 0,
       tax_amount: inv.tax_amount || 0,
+      cgst_amount: inv.cgst_amount || 0,
+      sgst_amount: inv.sgst_amount || 0,
+      igst_amount: inv.igst_amount || 0,
+      supply_type: inv.supply_type || 'intra_state',
       total_amount: inv.total_amount,
       
       // Dates
@@ -309,7 +344,12 @@ exports.getUserInvoices = async (req, res, next) => {
       coupon_discount: inv.coupon_discount || 0,
       gift_price: inv.gift_price || 0,
       delivery_charges: inv.delivery_charges || 0,
+      cod_fee: inv.cod_fee || 0,
       tax_amount: inv.tax_amount || 0,
+      cgst_amount: inv.cgst_amount || 0,
+      sgst_amount: inv.sgst_amount || 0,
+      igst_amount: inv.igst_amount || 0,
+      supply_type: inv.supply_type || 'intra_state',
       total_amount: inv.total_amount,
       
       // Dates
@@ -501,7 +541,14 @@ exports.downloadInvoicePDF = async (req, res, next) => {
       coupon_discount: invoice.coupon_discount || 0,
       gift_price: invoice.gift_price || 0,
       delivery_charges: invoice.delivery_charges || 0,
+      cod_fee: invoice.cod_fee || 0,
       tax_amount: invoice.tax_amount || 0,  // ✅ Use stored tax, don't recalculate
+      taxable_amount: invoice.taxable_amount || 0,
+      cgst_amount: invoice.cgst_amount || 0,
+      sgst_amount: invoice.sgst_amount || 0,
+      igst_amount: invoice.igst_amount || 0,
+      supply_type: invoice.supply_type || 'intra_state',
+      prices_include_tax: Boolean(invoice.prices_include_tax),
       total_amount: invoice.total_amount || 0,
       
       // Dates - use snake_case from database
@@ -761,7 +808,12 @@ exports.getPendingOfflineInvoices = async (req, res, next) => {
       coupon_discount: inv.coupon_discount || 0,
       gift_price: inv.gift_price || 0,
       delivery_charges: inv.delivery_charges || 0,
+      cod_fee: inv.cod_fee || 0,
       tax_amount: inv.tax_amount || 0,
+      cgst_amount: inv.cgst_amount || 0,
+      sgst_amount: inv.sgst_amount || 0,
+      igst_amount: inv.igst_amount || 0,
+      supply_type: inv.supply_type || 'intra_state',
       total_amount: inv.total_amount,
       
       // Dates
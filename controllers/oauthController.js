@@ -1,4 +1,36 @@
+const jwt = require('jsonwebtoken');
 const { generateToken, generateRefreshToken } = require('../middleware/auth');
+const { cartTokenFrom, mergeGuestCartOnLogin } = require('../services/guestCartService');
+
+// How long the provider sign-in may take before the carried guest cart token is ignored
+const OAUTH_STATE_TTL = '15m';
+const CART_STATE_PURPOSE = 'oauth_cart';
+
+/**
+ * OAuth state carrying the guest cart token through the provider redirect
+ * A short-lived signed token, so no server-side session is needed (serverless deployments have no
+ * session store). Returns undefined when there is no cart token.
+ */
+const cartState = (cartToken) => {
+  if (!cartToken || typeof cartToken !== 'string') return undefined;
+  return jwt.sign({ purpose: CART_STATE_PURPOSE, cart_token: cartToken }, process.env.JWT_SECRET, {
+    expiresIn: OAUTH_STATE_TTL,
+  });
+};
+
+// Guest cart token sent with this request, or carried in the OAuth state when the flow started
+const takeCartToken = (req) => {
+  const sent = cartTokenFrom(req);
+  if (sent) return sent;
+  if (!req.query?.state) return null;
+  try {
+    const decoded = jwt.verify(String(req.query.state), process.env.JWT_SECRET);
+    return decoded.purpose === CART_STATE_PURPOSE ? decoded.cart_token : null;
+  } catch (error) {
+    // Expired or tampered state: sign-in still succeeds, the guest cart is just not merged
+    return null;
+  }
+};
  
 const oauthSuccess = async (req, res) => {
   try {
@@ -18,10 +50,13 @@ const oauthSuccess = async (req, res) => {
       console.error('Failed to save refresh token for OAuth user:', err);
     }
 
+    const cartMerge = await mergeGuestCartOnLogin(takeCartToken(req), req.user._id);
+
     const frontendURL = process.env.FRONTEND_URL || 'http://localhost:3000';
 
     // NOTE: placing tokens in query params is how the project previously did it for access tokens.
-    res.redirect(`${frontendURL}/auth/success?token=${token}&refreshToken=${refreshToken}`);
+    const cartParam = cartMerge ? `&cartMerged=${cartMerge.merged.length}` : '';
+    res.redirect(`${frontendURL}/auth/success?token=${token}&refreshToken=${refreshToken}${cartParam}`);
   } catch (error) {
     console.error('OAuth Success Error:', error);
     const frontendURL = process.env.FRONTEND_URL || 'http://localhost:3000';
@@ -54,6 +89,8 @@ const oauthApiSuccess = async (req, res) => {
       console.error('Failed to save refresh token for OAuth user:', err);
     }
 
+    const cartMerge = await mergeGuestCartOnLogin(takeCartToken(req), req.user._id);
+
     res.status(200).json({
       success: true,
       message: 'Authentication successful',
@@ -70,6 +107,7 @@ const oauthApiSuccess = async (req, res) => {
         },
         token,
         refreshToken,
+        cart_merge: cartMerge,
       },
     });
   } catch (error) {
@@ -97,6 +135,7 @@ const logout = (req, res) => {
 };
  
 module.exports = {
+  cartState,
   oauthSuccess,
   oauthFailure,
   oauthApiSuccess,
@@ -5,8 +5,12 @@ const Invoice = require('../models/Invoice');
 const crypto = require('crypto');
 const { sendPasswordResetEmail } = require('../utils/emailService');
 const { createInvoiceFromOrder } = require('./invoiceController');
+const { commitStock, restockItems } = require('../services/inventoryService');
 const logger = require('../utils/logger');
 
+// Lines sold from the catalogue, whose stock the sale deducts
+const trackedItems = (items = []) => items.filter((item) => item.product_id);
+
 // Generate random password
 const generatePassword = () => crypto.randomBytes(8).toString('hex');
 
@@ -342,6 +346,27 @@ exports.createOfflineSale = async (req, res, next) => {
       status: 'delivered',
     });
 
+    // Deduct the catalogue lines from stock; without enough stock the sale is not recorded
+    const tracked = trackedItems(sale.items);
+    if (tracked.length) {
+      try {
+        await commitStock({ userId: req.user._id, items: tracked, orderId: order._id });
+      } catch (stockError) {
+        await Order.deleteOne({ _id: order._id });
+        await OfflineSale.deleteOne({ _id: sale._id });
+        if (stockError.statusCode) {
+          return res.status(stockError.statusCode).json({
+            success: false,
+            message: stockError.message,
+            data: stockError.details,
+          });
+        }
+        throw stockError;
+      }
+    }
+    sale.order_id = order._id;
+    await sale.save();
+
     logger.info('offlineSales:create:order_created', {
       orderId: order._id.toString(),
       userId: user._id.toString(),
@@ -475,6 +500,17 @@ exports.updateOfflineSale = async (req, res, next) => {
     if (paymentMethod) updateData.paymentMethod = paymentMethod;
     if (notes !== undefined) updateData.notes = notes;
 
+    // Stock was deducted for the catalogue lines; changing them would leave it wrong
+    if (items) {
+      const existing = await OfflineSale.findById(req.params.id).select('items').lean();
+      if (existing && (trackedItems(existing.items).length || trackedItems(items).length)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Items sold from the catalogue cannot be edited. Delete the sale and record it again.',
+        });
+      }
+    }
+
     const sale = await OfflineSale.findByIdAndUpdate(req.params.id, updateData, {
       new: true,
       runValidators: true,
@@ -524,6 +560,22 @@ exports.deleteOfflineSale = async (req, res, next) => {
       });
     }
 
+    // Put the catalogue lines back in stock, once
+    const tracked = trackedItems(sale.items);
+    if (tracked.length && sale.order_id) {
+      const released = await Order.findOneAndUpdate(
+        { _id: sale.order_id, inventory_status: 'committed' },
+        { inventory_status: 'released' }
+      );
+      if (released) {
+        await restockItems(tracked, {
+          orderId: sale.order_id,
+          reason: 'offline_sale_deleted',
+          userId: req.user._id,
+        });
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'Offline sale deleted successfully',
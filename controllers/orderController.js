@@ -1,20 +1,49 @@
+const mongoose = require("mongoose");
 const Order = require("../models/Order");
 const OrderItem = require("../models/OrderItem");
 const Address = require("../models/Address");
-const Product = require("../models/Product");
 const CartItem = require("../models/CartItem");
-const Coupon = require("../models/Coupon");
 const Payment = require("../models/Payment");
-const { computeDiscount, isUsable } = require("../utils/coupon");
+const User = require("../models/User");
+const StockReservation = require("../models/StockReservation");
+const {
+  quoteOrder,
+  matchesExpectedTotal,
+  formatQuote,
+} = require("../services/pricingService");
+const { shippingAddressFor } = require("../services/shippingService");
+const { splitTax } = require("../services/taxService");
+const { isCodMethod, codEligibility } = require("../services/codService");
+const { returnDeadline } = require("../services/returnService");
+const {
+  cancellationPolicy,
+  customerCancellation,
+  cancelCustomerOrder,
+  cancelOrderAsAdmin,
+} = require("../services/orderCancellationService");
+const { amendOrder } = require("../services/orderAmendmentService");
+const { populateOrderForEmail } = require("../services/orderEmailService");
 const logger = require("../utils/logger");
+const { lineName } = require("../utils/variants");
+const { escapeRegex } = require("../services/searchService");
 const {
   sendOrderCreatedEmail,
   sendOrderCancelledEmail,
   sendOrderShippedEmail,
   sendOrderDeliveredEmail,
   sendOrderProcessingEmail,
+  sendOrderAmendedEmail,
 } = require("../utils/emailService");
 const { createInvoiceFromOrder } = require("./invoiceController");
+const {
+  verifyPaymentSignature,
+  fetchPaymentDetails,
+} = require("../services/razorpayService");
+const { refundUnplacedPayment } = require("../services/refundService");
+const {
+  placeOrder,
+  reconcilePendingOrders,
+} = require("../services/orderPlacementService");
 /**
  * Get all orders for a user with nested order_items, products, and shipping address
  * Matches Supabase getOrders function
@@ -56,6 +85,9 @@ exports.getOrders = async (req, res, next) => {
         id: item._id.toString(),
         order_id: item.order_id.toString(),
         product_id: item.product_id?._id?.toString(),
+        variant_id: item.variant_id ? item.variant_id.toString() : null,
+        sku: item.sku,
+        variant_label: item.variant_label,
         quantity: item.quantity,
         price: item.price,
         created_at: item.createdAt, // Mongoose default
@@ -198,6 +230,9 @@ exports.getOrderById = async (req, res, next) => {
       id: item._id.toString(),
       order_id: item.order_id.toString(),
       product_id: item.product_id._id.toString(),
+      variant_id: item.variant_id ? item.variant_id.toString() : null,
+      sku: item.sku,
+      variant_label: item.variant_label,
       quantity: item.quantity,
       price: item.price,
       created_at: item.createdAt, // CHANGED from item.created_at
@@ -240,6 +275,15 @@ exports.getOrderById = async (req, res, next) => {
       delete order.shipping_address_id;
     }
 
+    // Whether (and until when) the customer can still cancel
+    const { cancellable, cancel_before } = customerCancellation(
+      order,
+      await cancellationPolicy()
+    );
+    order.cancellation = { cancellable, cancel_before };
+    // Last day items of a delivered order can be returned (null until delivered)
+    order.return_deadline = returnDeadline(order);
+
     order.id = order._id.toString();
     order.user_id = order.user_id.toString();
     order.created_at = order.createdAt;
@@ -327,30 +371,25 @@ exports.getOrderConfirmation = async (req, res, next) => {
     const couponDiscount = order.discount_amount || 0;
     const giftPrice = order.gift_price || 0;
     const deliveryCharges = order.delivery_charges || 0;
-    const taxAmount = order.tax_amount || 0;
 
-    // Calculate subtotal after discounts
-    const subtotalAfterDiscount =
-      subtotal - discountAmount - couponDiscount + giftPrice;
-
-    // Use stored tax or calculate 5% GST
-    let gstAmount = taxAmount;
-    if (gstAmount === 0) {
-      gstAmount = (subtotalAfterDiscount * 5) / 100;
-    }
-
-    // Calculate final total
-    const finalTotal = subtotalAfterDiscount + gstAmount + deliveryCharges;
+    // Tax and total as charged at checkout (GST is per item and may be included in prices)
+    const gstAmount = order.tax_amount || 0;
+    const finalTotal = order.total_amount;
 
     // Format order items
     const items = orderItems.map((item) => ({
       id: item._id.toString(),
       product_id: item.product_id._id.toString(),
-      name: item.product_id.name,
+      variant_id: item.variant_id ? item.variant_id.toString() : null,
+      sku: item.sku,
+      name: lineName(item.product_id.name, item.variant_label),
       description: item.product_id.description,
       quantity: item.quantity,
       price: item.price,
       total: item.price * item.quantity,
+      hsn_code: item.hsn_code || null,
+      gst_rate: item.gst_rate ?? null,
+      tax_amount: item.tax_amount ?? null,
       images: item.product_id.images,
     }));
 
@@ -390,8 +429,14 @@ exports.getOrderConfirmation = async (req, res, next) => {
         gift_price: giftPrice,
         delivery_charges: deliveryCharges,
         delivery_type: order.delivery_type || "standard",
+        cod_fee: order.cod_fee || 0,
         tax: gstAmount,
-        tax_rate: 5,
+        tax_rate: order.tax_rate ?? null,
+        cgst: order.cgst_amount || 0,
+        sgst: order.sgst_amount || 0,
+        igst: order.igst_amount || 0,
+        supply_type: order.supply_type || "intra_state",
+        prices_include_tax: Boolean(order.prices_include_tax),
         total: finalTotal,
       },
 
@@ -441,6 +486,73 @@ exports.getOrderConfirmation = async (req, res, next) => {
   }
 };
 
+/**
+ * Quote an order before payment
+ * Prices items, coupon, gift wrapping, delivery and GST the same way createOrder does.
+ * Uses the cart when no items are sent; total_amount (optional) is checked against the quote.
+ * payment_method 'cod' adds the COD fee; with an address the response says whether COD is allowed.
+ */
+exports.getOrderQuote = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const {
+      coupon_code,
+      gift_design_id,
+      delivery_type,
+      total_amount,
+      shipping_address_id,
+      payment_method,
+    } = req.body;
+
+    let items = req.body.items;
+    if (!Array.isArray(items) || items.length === 0) {
+      items = await CartItem.find({ user_id: userId }).lean();
+    }
+
+    const address = shipping_address_id
+      ? await shippingAddressFor(userId, shipping_address_id)
+      : null;
+
+    const quote = await quoteOrder({
+      items,
+      coupon_code,
+      gift_design_id,
+      delivery_type: delivery_type || "standard",
+      address,
+      payment_method,
+    });
+
+    // COD eligibility depends on the pincode, so it is only known once an address is chosen
+    const cod = address ? await codEligibility(userId, quote) : null;
+
+    const hasExpected = total_amount !== undefined && total_amount !== null;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...formatQuote(quote),
+        expected_total: hasExpected ? Number(total_amount) : null,
+        matches_expected_total: hasExpected
+          ? matchesExpectedTotal(quote, total_amount)
+          : null,
+        cod,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    logger.error("orders:getOrderQuote:error", {
+      message: error.message,
+      stack: error.stack,
+      userId: req.user?._id,
+    });
+    next(error);
+  }
+};
+
 /**
  * Create order with items
  * Matches Supabase createOrder function
@@ -455,14 +567,12 @@ exports.createOrder = async (req, res, next) => {
       items,
       coupon_code,
       gift_design_id,
-      gift_price,
       gift_card_message,
       gift_wrapping_type,
-      delivery_charges,
       delivery_type,
-      tax_amount,
       razorpay_payment_id,
       razorpay_order_id,
+      razorpay_signature,
       payment_method,
     } = req.body;
 
@@ -474,102 +584,400 @@ exports.createOrder = async (req, res, next) => {
     });
 
     // Basic validation
-    if (!total_amount || !shipping_address_id || !items || items.length === 0) {
+    if (!shipping_address_id || !items || items.length === 0) {
       return res.status(400).json({
         success: false,
-        message: "Total amount, shipping address, and items are required",
+        message: "Shipping address and items are required",
       });
     }
 
-    // Validate shipping address belongs to user
-    const address = await Address.findOne({
-      _id: shipping_address_id,
-      user_id: userId,
-    });
-    if (!address) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Shipping address not found" });
-    }
+    const isCod = isCodMethod(payment_method);
+    let address;
+    let quote;
 
-    // Validate products exist
-    const productIds = items.map((i) => i.product_id);
-    const products = await Product.find({ _id: { $in: productIds } });
-    if (products.length !== productIds.length) {
-      return res
-        .status(404)
-        .json({ success: false, message: "One or more products not found" });
-    }
+    // Razorpay orders are paid before placement; COD is collected later.
+    // The payment must be genuine, belong to the Razorpay order and cover exactly the quote it was charged for.
+    let paymentData = null;
+    if (!isCod && (razorpay_payment_id || razorpay_order_id)) {
+      if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+        return res.status(400).json({
+          success: false,
+          message: "Missing payment verification details",
+        });
+      }
+
+      if (!verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+        logger.warn("createOrder:invalid_payment_signature", { userId, razorpay_order_id });
+        return res.status(400).json({
+          success: false,
+          message: "Payment verification failed",
+        });
+      }
+
+      const razorpayPayment = await fetchPaymentDetails(razorpay_payment_id);
+      if (
+        razorpayPayment.order_id !== razorpay_order_id ||
+        !["authorized", "captured"].includes(razorpayPayment.status)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Payment has not been completed",
+        });
+      }
+
+      // One order per payment
+      const alreadyPlaced = await Order.exists({ razorpay_order_id });
+      if (alreadyPlaced) {
+        return res.status(409).json({
+          success: false,
+          message: "This payment has already been used for an order",
+        });
+      }
+
+      paymentData = {
+        razorpay_payment_id,
+        razorpay_order_id,
+        razorpay_signature,
+        status: razorpayPayment.status,
+        amount: razorpayPayment.amount / 100,
+        payment_method: razorpayPayment.method || payment_method || "razorpay",
+        payment_email: razorpayPayment.email,
+        payment_contact: razorpayPayment.contact,
+      };
+
+      // The customer has paid: from here on every rejection gives the payment back
+      const rejectPaid = async (status, message, data, reason) => {
+        const refund = await refundUnplacedPayment({
+          razorpayPaymentId: razorpay_payment_id,
+          razorpayOrderId: razorpay_order_id,
+          amount: paymentData.amount,
+          status: paymentData.status,
+          reason,
+          userId,
+        });
+        return res.status(status).json({ success: false, message, data: { ...data, refund } });
+      };
+
+      // Place the order exactly as it was quoted and charged when the payment was created
+      const reservation = await StockReservation.findOne({ razorpay_order_id, user_id: userId })
+        .select("shipping_address_id quote")
+        .lean();
+      if (!reservation?.quote) {
+        logger.warn("createOrder:checkout_not_found", { userId, razorpay_order_id });
+        return rejectPaid(400, "Checkout not found for this payment", {}, "Checkout not found");
+      }
+      const { coupon_id, ...savedQuote } = reservation.quote;
+      quote = {
+        ...savedQuote,
+        coupon: coupon_id ? { _id: coupon_id, code: savedQuote.coupon_code } : null,
+      };
 
-    // Server-side coupon validation
-    let discount_amount = 0;
-    let couponUsed = null;
-    if (coupon_code) {
-      const coupon = await Coupon.findOne({
-        code: String(coupon_code).toUpperCase().trim(),
+      address = await Address.findOne({
+        _id: reservation.shipping_address_id,
+        user_id: userId,
       });
-      if (coupon && isUsable(coupon)) {
-        discount_amount = computeDiscount(items, coupon); // server computed discount value
-        couponUsed = coupon;
+      if (!address) {
+        return rejectPaid(404, "Shipping address not found", {}, "Shipping address not found");
+      }
+
+      if (razorpayPayment.amount !== Math.round(quote.total_amount * 100)) {
+        logger.warn("createOrder:payment_amount_mismatch", {
+          userId,
+          razorpay_order_id,
+          amount_paid: paymentData.amount,
+          server_total: quote.total_amount,
+        });
+        return rejectPaid(
+          409,
+          "Payment amount does not match the order total",
+          { ...formatQuote(quote), amount_paid: paymentData.amount },
+          "Payment amount did not match the order total"
+        );
+      }
+    } else {
+      // Validate shipping address belongs to user
+      address = await Address.findOne({
+        _id: shipping_address_id,
+        user_id: userId,
+      });
+      if (!address) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Shipping address not found" });
+      }
+
+      // Price the order server-side; client amounts are never trusted
+      try {
+        quote = await quoteOrder({
+          items,
+          coupon_code,
+          gift_design_id,
+          delivery_type: delivery_type || "standard",
+          address,
+          payment_method,
+        });
+      } catch (pricingError) {
+        if (pricingError.statusCode) {
+          return res
+            .status(pricingError.statusCode)
+            .json({ success: false, message: pricingError.message });
+        }
+        throw pricingError;
+      }
+
+      if (coupon_code && quote.coupon_error) {
+        return res.status(400).json({
+          success: false,
+          message: quote.coupon_error,
+          data: formatQuote(quote),
+        });
+      }
+
+      // total_amount is the client's expected total; it must match the server's
+      if (!matchesExpectedTotal(quote, total_amount)) {
+        logger.warn("createOrder:total_mismatch", {
+          userId,
+          expected: total_amount,
+          server_total: quote.total_amount,
+        });
+        return res.status(409).json({
+          success: false,
+          message: "Order total has changed. Please review the updated total.",
+          data: formatQuote(quote),
+        });
+      }
+
+      // Cash on delivery: pincode, order value and the customer's COD history must allow it
+      if (isCod) {
+        const cod = await codEligibility(userId, quote);
+        if (!cod.eligible) {
+          logger.warn("createOrder:cod_not_eligible", { userId, reasons: cod.reasons });
+          return res.status(400).json({
+            success: false,
+            message: cod.reasons[0],
+            data: { ...formatQuote(quote), cod },
+          });
+        }
       }
     }
 
-    // finalTotal should come from frontend (trusted as final paid), but ensure non-negative
-    const finalTotal = Math.max(0, Number(total_amount));
+    const couponUsed = quote.coupon;
+    const discount_amount = quote.discount_amount;
+    const finalTotal = quote.total_amount;
 
-    // ✅ EXPLICIT SALE TYPE - All orders through this API are online (with Razorpay)
+    // ✅ EXPLICIT SALE TYPE - All orders through this API are online (Razorpay or cash on delivery)
     const sale_type = "online";
-    logger.debug("createOrder:sale_type", { sale_type });
+    logger.debug("createOrder:sale_type", { sale_type, payment_method: quote.payment_method });
+
+    const invoiceAddress = {
+      full_name: address.full_name,
+      phone: address.phone,
+      address_line1: address.address_line1,
+      address_line2: address.address_line2,
+      city: address.city,
+      state: address.state,
+      postal_code: address.postal_code,
+      country: address.country,
+    };
 
-    // Create order
-    const order = await Order.create({
-      user_id: userId,
-      total_amount: finalTotal,
-      shipping_address_id,
-      status: "pending",
-      coupon_code: couponUsed ? couponUsed.code : null,
-      discount_amount: discount_amount || 0,
-      delivery_charges: delivery_charges || 0,
-      delivery_type: delivery_type || "standard",
-      tax_amount: tax_amount || 0,
-      gift_design_id: gift_design_id || null,
-      gift_price: gift_price || 0,
-      gift_card_message: gift_card_message || undefined,
-      gift_wrapping_type: gift_wrapping_type || undefined,
-      sale_type,
-      razorpay_order_id: razorpay_order_id || undefined,
-    });
+    // Invoice for the order, written in the same placement as the order itself
+    const createInvoice = async (order, session) => {
+      const orderItems = await OrderItem.find({ order_id: order._id })
+        .session(session)
+        .populate("product_id")
+        .lean();
+
+      // Calculate itemsSubtotal server-side (for invoice fields)
+      const itemsSubtotal = orderItems.reduce(
+        (s, it) => s + parseFloat(it.price) * parseInt(it.quantity || 1),
+        0
+      );
 
-    logger.info("createOrder:order_created", {
+      // ✅ STANDARDIZED INVOICE DATA - snake_case only
+      const invoiceData = {
+        user_id: userId,
+        items: orderItems.map((item) => ({
+          product_id: item.product_id._id,
+          variant_id: item.variant_id,
+          sku: item.sku,
+          variant_label: item.variant_label,
+          name: lineName(item.product_id.name, item.variant_label),
+          description: item.product_id.description || '',
+          quantity: item.quantity,
+          price: item.price,
+          hsn_code: item.hsn_code,
+          gst_rate: item.gst_rate,
+          taxable_value: item.taxable_value,
+          tax_amount: item.tax_amount,
+          ...splitTax(item.tax_amount || 0, quote.supply_type === "inter_state"),
+        })),
+        subtotal: itemsSubtotal,
+        discount_amount: 0,  // Online orders don't have manual discount
+        coupon_discount: discount_amount || 0,  // This is the computed coupon discount
+        gift_price: quote.gift_price,
+        delivery_charges: quote.delivery_charges,
+        // GST comes from the server quote (online orders only)
+        tax_amount: quote.tax_amount,
+        taxable_amount: quote.taxable_amount,
+        cgst_amount: quote.cgst_amount,
+        sgst_amount: quote.sgst_amount,
+        igst_amount: quote.igst_amount,
+        supply_type: quote.supply_type,
+        prices_include_tax: quote.prices_include_tax,
+        cod_fee: quote.cod_fee,
+        total_amount: finalTotal,
+        payment_status: paymentData ? "paid" : "pending",
+        payment_method: isCod
+          ? "COD"
+          : paymentData
+            ? paymentData.payment_method || payment_method || "UPI"
+            : payment_method || "UPI",
+        sale_type: "online",  // ✅ EXPLICIT
+        razorpay_payment_id: paymentData ? razorpay_payment_id : null,
+        razorpay_order_id: paymentData ? razorpay_order_id : null,
+        billing_address: invoiceAddress,
+        shipping_address: invoiceAddress,
+        notes: "Thank you for your order!",
+      };
+
+      logger.info("createOrder:creating_invoice", {
+        orderId: order._id.toString(),
+        sale_type,
+        hasPaymentData: !!paymentData,
+      });
+
+      // Create invoice using the unified payload; pass paymentData for online orders
+      return createInvoiceFromOrder(order._id, invoiceData, paymentData, { session });
+    };
+
+    // Order, stock, order items, cart, coupon and invoice succeed or roll back together
+    let placed;
+    try {
+      placed = await placeOrder({
+        userId,
+        orderFields: {
+          total_amount: finalTotal,
+          shipping_address_id: address._id,
+          status: "pending",
+          coupon_code: couponUsed ? couponUsed.code : null,
+          discount_amount: discount_amount || 0,
+          delivery_charges: quote.delivery_charges,
+          delivery_type: quote.delivery_type,
+          shipping_zone: quote.shipping_zone,
+          shipping_weight_grams: quote.weight_grams,
+          estimated_delivery_date: quote.estimated_delivery_date,
+          tax_amount: quote.tax_amount,
+          tax_rate: quote.tax_rate,
+          taxable_amount: quote.taxable_amount,
+          cgst_amount: quote.cgst_amount,
+          sgst_amount: quote.sgst_amount,
+          igst_amount: quote.igst_amount,
+          supply_type: quote.supply_type,
+          prices_include_tax: quote.prices_include_tax,
+          gift_design_id: quote.gift_design_id || null,
+          gift_price: quote.gift_price,
+          gift_card_message: gift_card_message || undefined,
+          gift_wrapping_type: gift_wrapping_type || undefined,
+          sale_type,
+          payment_method: quote.payment_method,
+          payment_status: paymentData ? "paid" : "pending",
+          paid_at: paymentData ? new Date() : null,
+          amount_paid: paymentData ? paymentData.amount : 0,
+          cod_fee: quote.cod_fee,
+          razorpay_order_id: paymentData ? razorpay_order_id : null,
+        },
+        items: quote.items,
+        orderItems: quote.items.map((i) => ({
+          product_id: i.product_id,
+          variant_id: i.variant_id,
+          sku: i.sku,
+          variant_label: i.variant_label,
+          quantity: i.quantity,
+          price: i.price,
+          hsn_code: i.hsn_code,
+          gst_rate: i.gst_rate,
+          taxable_value: i.taxable_value,
+          tax_amount: i.tax_amount,
+        })),
+        couponId: couponUsed ? couponUsed._id : null,
+        razorpayOrderId: paymentData ? razorpay_order_id : null,
+        createInvoice,
+      });
+    } catch (placementError) {
+      // Paid but not placed (e.g. the reservation expired and the stock has gone): give the payment back
+      const refund = paymentData
+        ? await refundUnplacedPayment({
+          razorpayPaymentId: razorpay_payment_id,
+          razorpayOrderId: razorpay_order_id,
+          amount: paymentData.amount,
+          status: paymentData.status,
+          reason: placementError.statusCode ? placementError.message : "Order could not be placed",
+          userId,
+        })
+        : null;
+      if (placementError.statusCode) {
+        logger.warn("createOrder:stock_unavailable", {
+          userId,
+          message: placementError.message,
+          details: placementError.details,
+          refund_status: refund?.status,
+        });
+        return res.status(placementError.statusCode).json({
+          success: false,
+          message: placementError.message,
+          data: refund ? { items: placementError.details, refund } : placementError.details,
+        });
+      }
+      logger.error("createOrder:placement_failed", {
+        userId,
+        message: placementError.message,
+        stack: placementError.stack,
+        razorpay_order_id,
+        refund_status: refund?.status,
+      });
+      throw placementError;
+    }
+
+    const { order, invoice } = placed;
+    logger.info("createOrder:order_placed", {
       userId,
       orderId: order._id.toString(),
       sale_type,
+      payment_method: quote.payment_method,
       total_amount: finalTotal,
+      stock_source: placed.stockSource,
+      invoice_number: invoice.invoice_number,
     });
 
-    // Create order items
-    const orderItemsData = items.map((i) => ({
-      order_id: order._id,
-      product_id: i.product_id,
-      quantity: i.quantity,
-      price: i.price,
-    }));
-    await OrderItem.insertMany(orderItemsData);
-
-    // Clear cart
-    await CartItem.deleteMany({ user_id: userId });
-
-    // Increment coupon usage if used
-    if (couponUsed) {
-      await Coupon.updateOne(
-        { _id: couponUsed._id },
-        { $inc: { usage_count: 1 } }
-      ).catch((err) => {
-        logger.error("createOrder:increment_coupon_usage_failed", {
-          message: err?.message || err,
-          couponId: couponUsed?._id?.toString(),
+    // Cart checkouts have no Payment record until now; keep one for refunds and reporting
+    if (paymentData) {
+      try {
+        await Payment.updateOne(
+          { razorpay_order_id },
+          {
+            $set: {
+              order_id: order._id,
+              user_id: userId,
+              razorpay_payment_id,
+              razorpay_signature,
+              amount: paymentData.amount,
+              status: paymentData.status,
+              payment_method: paymentData.payment_method,
+              payment_email: paymentData.payment_email,
+              payment_contact: paymentData.payment_contact,
+              sale_type,
+            },
+            $setOnInsert: { currency: "INR" },
+          },
+          { upsert: true }
+        );
+      } catch (paymentError) {
+        logger.error("createOrder:payment_record_failed", {
+          orderId: order._id.toString(),
+          razorpay_order_id,
+          message: paymentError.message,
         });
-      });
+      }
     }
 
     // Re-fetch populated order for response/template
@@ -584,6 +992,9 @@ exports.createOrder = async (req, res, next) => {
       id: item._id.toString(),
       order_id: item.order_id.toString(),
       product_id: item.product_id._id.toString(),
+      variant_id: item.variant_id ? item.variant_id.toString() : null,
+      sku: item.sku,
+      variant_label: item.variant_label,
       quantity: item.quantity,
       price: item.price,
       created_at: item.created_at,
@@ -638,118 +1049,9 @@ exports.createOrder = async (req, res, next) => {
       });
     }
 
-    // Create invoice (with paymentData if available)
-    let invoice = null;
-    try {
-      // Fetch payment record if razorpay_payment_id supplied
-      let paymentData = null;
-      if (razorpay_payment_id) {
-        paymentData = await Payment.findOne({
-          razorpay_payment_id: razorpay_payment_id,
-        }).lean();
-        if (!paymentData) {
-          // Minimal placeholder if payment record missing even though id provided
-          paymentData = {
-            razorpay_payment_id,
-            razorpay_order_id,
-            status: "captured",
-            payment_method: payment_method || "razorpay",
-          };
-        }
-      }
-
-      // Calculate itemsSubtotal server-side (for invoice fields)
-      const itemsSubtotal = orderItems.reduce(
-        (s, it) => s + parseFloat(it.price) * parseInt(it.quantity || 1),
-        0
-      );
-
-      // GST: use tax_amount from request or compute 5% on subtotal - discount (only if online)
-      let gstAmount = tax_amount || 0;
-      if (!gstAmount && sale_type === "online") {
-        const taxableBase =
-          itemsSubtotal - (discount_amount || 0) + (gift_price || 0);
-        gstAmount = (taxableBase * 5) / 100;
-      } else if (sale_type === "offline") {
-        // offline: GST included in subtotal (no separate GST)
-        gstAmount = 0;
-      }
-
-      // ✅ STANDARDIZED INVOICE DATA - snake_case only
-      const invoiceData = {
-        user_id: userId,
-        items: orderItems.map((item) => ({
-          product_id: item.product_id._id,
-          name: item.product_id.name,
-          description: item.product_id.description || '',
-          quantity: item.quantity,
-          price: item.price,
-        })),
-        subtotal: itemsSubtotal,
-        discount_amount: 0,  // Online orders don't have manual discount
-        coupon_discount: discount_amount || 0,  // This is the computed coupon discount
-        gift_price: gift_price || 0,
-        delivery_charges: delivery_charges || 0,
-        tax_amount: gstAmount,
-        total_amount: finalTotal,
-        payment_status: paymentData ? "paid" : "pending",
-        payment_method: paymentData
-          ? paymentData.payment_method || payment_method || "UPI"
-          : payment_method || "UPI",
-        sale_type: "online",  // ✅ EXPLICIT
-        razorpay_payment_id: razorpay_payment_id || null,
-        razorpay_order_id: razorpay_order_id || null,
-        billing_address: populatedOrder.shipping_address,
-        shipping_address: populatedOrder.shipping_address,
-        notes: "Thank you for your order!",
-      };
-
-      logger.info("createOrder:creating_invoice", {
-        orderId: order._id.toString(),
-        sale_type,
-        hasPaymentData: !!paymentData,
-      });
-      
-      // Debug log invoice data
-      console.log("📋 Creating invoice with data:", {
-        user_id: userId.toString(),
-        order_id: order._id.toString(),
-        items_count: invoiceData.items.length,
-        total_amount: invoiceData.total_amount,
-        sale_type: invoiceData.sale_type,
-      });
-
-      // Create invoice using the unified payload; pass paymentData for online orders
-      invoice = await createInvoiceFromOrder(
-        order._id,
-        invoiceData,
-        paymentData
-      );
-
-      logger.info("createOrder:invoice_created", {
-        orderId: order._id.toString(),
-        invoiceId: invoice._id.toString(),
-        invoice_number: invoice.invoice_number,
-      });
-
-      // Save invoice references on order
-      order.invoice_id = invoice._id;
-      order.invoice_number = invoice.invoice_number;
-      await order.save();
-
-      // Add invoice info to populatedOrder for response
-      populatedOrder.invoice_id = invoice._id.toString();
-      populatedOrder.invoice_number = invoice.invoice_number;
-    } catch (e) {
-      logger.error("createOrder:invoice_creation_failed", {
-        message: e?.message,
-        stack: e?.stack,
-        orderId: order._id?.toString(),
-      });
-      // Log to console for debugging
-      console.error("❌ INVOICE CREATION ERROR:", e?.message);
-      console.error("Stack:", e?.stack);
-    }
+    // Invoice references for the response
+    populatedOrder.invoice_id = invoice._id.toString();
+    populatedOrder.invoice_number = invoice.invoice_number;
 
     res.status(201).json({
       success: true,
@@ -780,8 +1082,9 @@ exports.createOrder = async (req, res, next) => {
 };
 
 /**
- * Update order status
+ * Update order status (Admin)
  * Matches Supabase updateOrderStatus function
+ * Cancelling releases stock and coupon use and refunds the payment, as a customer cancel does.
  */
 exports.updateOrderStatus = async (req, res, next) => {
   try {
@@ -791,7 +1094,7 @@ exports.updateOrderStatus = async (req, res, next) => {
     logger.info("orders:updateOrderStatus:start", {
       orderId,
       status,
-      isAdmin: req.user?.role === "admin",
+      adminId: req.user?._id,
     });
 
     // Validate status
@@ -810,12 +1113,7 @@ exports.updateOrderStatus = async (req, res, next) => {
     }
 
     // Get current order to check current status
-    let query = { _id: orderId };
-    if (!req.user.role || req.user.role !== "admin") {
-      query.user_id = req.user._id;
-    }
-
-    const currentOrder = await Order.findOne(query).lean();
+    const currentOrder = await Order.findById(orderId).lean();
     if (!currentOrder) {
       return res.status(404).json({
         success: false,
@@ -881,19 +1179,36 @@ exports.updateOrderStatus = async (req, res, next) => {
       };
     }
 
-    // Update the order
-    const order = await Order.findOneAndUpdate(query, updateData, {
-      new: true,
-      runValidators: true,
-    })
-    .populate("user_id")
-    .populate("shipping_address_id")
-    .lean();
+    const cancelling = status === "cancelled" && currentStatus !== status;
+    const reason = typeof req.body.comment === "string" ? req.body.comment.trim() : "";
+    let refund = null;
+    if (cancelling) {
+      ({ refund } = await cancelOrderAsAdmin({
+        orderId,
+        adminId: req.user._id,
+        reason,
+      }));
+    }
+
+    // Update the order, unless its status changed since it was read
+    const order = cancelling
+      ? await Order.findById(orderId)
+        .populate("user_id")
+        .populate("shipping_address_id")
+        .lean()
+      : await Order.findOneAndUpdate(
+        { _id: orderId, status: currentStatus },
+        updateData,
+        { new: true, runValidators: true }
+      )
+        .populate("user_id")
+        .populate("shipping_address_id")
+        .lean();
 
     if (!order) {
-      return res.status(404).json({
+      return res.status(409).json({
         success: false,
-        message: "Order not found",
+        message: "Order status has changed. Please refresh and try again.",
       });
     }
 
@@ -920,6 +1235,12 @@ exports.updateOrderStatus = async (req, res, next) => {
             orderId,
             userEmail,
           });
+        } else if (status === "cancelled") {
+          await sendOrderCancelledEmail(await populateOrderForEmail(order._id), userEmail, reason);
+          logger.info("orders:updateOrderStatus:cancelled_email_sent", {
+            orderId,
+            userEmail,
+          });
         }
       } catch (emailError) {
         logger.error("orders:updateOrderStatus:email_failed", {
@@ -945,13 +1266,23 @@ exports.updateOrderStatus = async (req, res, next) => {
     logger.info("orders:updateOrderStatus:success", {
       orderId,
       status: order.status,
+      refund_status: refund?.status,
     });
 
     res.status(200).json({
       success: true,
-      data: order,
+      data: refund ? { ...order, refund } : order,
     });
   } catch (error) {
+    if (error.statusCode) {
+      logger.warn("orders:updateOrderStatus:rejected", {
+        orderId: req.params.id,
+        message: error.message,
+      });
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
     if (error.kind === "ObjectId") {
       logger.warn("orders:updateOrderStatus:invalid_id", {
         orderId: req.params.id,
@@ -977,10 +1308,24 @@ exports.updateOrderStatus = async (req, res, next) => {
 exports.getAllOrders = async (req, res, next) => {
   try {
     logger.info("orders:getAllOrders:start", {
-      isAdmin: req.user?.role === "admin",
+      adminId: req.user?._id,
     });
+
+    // Optional search by order number (partial, e.g. "000123"), invoice number or order ID
+    const search = typeof req.query.search === "string" ? req.query.search.trim() : "";
+    const match = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), "i");
+      match.$or = [{ order_number: pattern }, { invoice_number: pattern }];
+      if (mongoose.Types.ObjectId.isValid(search) && /^[a-f\d]{24}$/i.test(search)) {
+        match.$or.push({ _id: new mongoose.Types.ObjectId(search) });
+      }
+    }
+
     // ✅ Use aggregation to fetch orders with order items in a single query
     const orders = await Order.aggregate([
+      { $match: match },
+
       // Step 1: Sort orders by creation date
       { $sort: { createdAt: -1 } },
 
@@ -1025,6 +1370,9 @@ exports.getAllOrders = async (req, res, next) => {
                 id: { $toString: "$$item._id" },
                 order_id: { $toString: "$$item.order_id" },
                 product_id: { $toString: "$$item.product_id" },
+                variant_id: { $toString: "$$item.variant_id" },
+                sku: "$$item.sku",
+                variant_label: "$$item.variant_label",
                 quantity: "$$item.quantity",
                 price: "$$item.price",
                 created_at: "$$item.created_at",
@@ -1051,6 +1399,7 @@ exports.getAllOrders = async (req, res, next) => {
         $project: {
           _id: 0,
           id: { $toString: "$_id" },
+          order_number: 1,
           user_id: { $toString: "$user_id" },
           total_amount: 1,
           status: 1,
@@ -1072,6 +1421,9 @@ exports.getAllOrders = async (req, res, next) => {
                 id: "$$item.id",
                 order_id: "$$item.order_id",
                 product_id: "$$item.product_id",
+                variant_id: "$$item.variant_id",
+                sku: "$$item.sku",
+                variant_label: "$$item.variant_label",
                 quantity: "$$item.quantity",
                 price: "$$item.price",
                 created_at: "$$item.created_at",
@@ -1117,18 +1469,11 @@ exports.getAllOrders = async (req, res, next) => {
 };
 
 /**
- * Cancel order (DISABLED - Orders cannot be cancelled once placed)
- * This function is kept for reference but the route is disabled
+ * Cancel own order (customer)
+ * PATCH /api/orders/:id/cancel
+ * Pending or processing orders within the cancellation window; paid orders are refunded through Razorpay.
  */
 exports.cancelOrder = async (req, res, next) => {
-  // Return error - cancellation is disabled
-  return res.status(403).json({
-    success: false,
-    message: 'Order cancellation is not allowed. Once an order is placed, it cannot be cancelled. Please contact customer support for assistance.'
-  });
-  
-  /* ORIGINAL CODE COMMENTED OUT
-  // This code is disabled - orders cannot be cancelled
   try {
     const userId = req.user._id;
     const orderId = req.params.id;
@@ -1140,26 +1485,20 @@ exports.cancelOrder = async (req, res, next) => {
       orderId,
     });
 
-    const order = await Order.findOne({ _id: orderId, user_id: userId });
-    if (!order) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Order not found" });
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a reason for cancelling the order",
+      });
     }
-
-    if (!["pending", "processing"].includes(order.status)) {
+    if (reason.length > 500) {
       return res.status(400).json({
         success: false,
-        message: `Cannot cancel order with status: ${order.status}`,
+        message: "Cancellation reason cannot exceed 500 characters",
       });
     }
 
-    order.status = "cancelled";
-    if ("cancellation_reason" in order)
-      order.cancellation_reason = reason || "";
-    if ("cancelled_at" in order) order.cancelled_at = new Date();
-    if ("cancelled_by" in order) order.cancelled_by = userId;
-    await order.save();
+    const { order, refund } = await cancelCustomerOrder({ orderId, userId, reason });
 
     // Populate for email/template
     const populatedOrder = await Order.findById(order._id)
@@ -1174,6 +1513,9 @@ exports.cancelOrder = async (req, res, next) => {
       id: item._id.toString(),
       order_id: item.order_id.toString(),
       product_id: item.product_id._id.toString(),
+      variant_id: item.variant_id ? item.variant_id.toString() : null,
+      sku: item.sku,
+      variant_label: item.variant_label,
       quantity: item.quantity,
       price: item.price,
       created_at: item.createdAt, // use createdAt (Mongoose default)
@@ -1213,43 +1555,44 @@ exports.cancelOrder = async (req, res, next) => {
     delete populatedOrder.createdAt;
     delete populatedOrder.updatedAt;
 
-    const userEmail = req.user.email || populatedOrder?.user?.email; // fallback if needed
-
     try {
-      await sendOrderCancelledEmail(
-        populatedOrder,
-        userEmail,
-        reason || "No reason provided"
-      );
+      await sendOrderCancelledEmail(populatedOrder, req.user.email, reason);
     } catch (e) {
       logger.error("orders:cancelOrder:send_cancelled_email_failed", {
         message: e?.message,
-        orderId: order._id.toString(),
+        orderId: populatedOrder.id,
       });
     }
 
-    // Response to client (saved order)
-    const formattedOrder = order.toObject();
-    formattedOrder.id = formattedOrder._id;
-    delete formattedOrder._id;
-    delete formattedOrder.__v;
-    formattedOrder.created_at = formattedOrder.createdAt;
-    formattedOrder.updated_at = formattedOrder.updatedAt;
-    delete formattedOrder.createdAt;
-    delete formattedOrder.updatedAt;
-
     logger.info("orders:cancelOrder:success", {
       userId,
-      orderId: formattedOrder.id,
-      status: formattedOrder.status,
+      orderId: populatedOrder.id,
+      refund_status: refund.status,
     });
 
+    const refundMessages = {
+      processed: `A refund of ₹${refund.amount} has been initiated to your original payment method.`,
+      pending: "Our team will process your refund shortly.",
+      failed: "We could not start your refund automatically; our team will process it shortly.",
+    };
+
     return res.status(200).json({
       success: true,
-      data: formattedOrder,
-      message: "Order cancelled successfully",
+      data: { ...populatedOrder, refund },
+      message: ["Order cancelled successfully.", refundMessages[refund.status]]
+        .filter(Boolean)
+        .join(" "),
     });
   } catch (error) {
+    if (error.statusCode) {
+      logger.warn("orders:cancelOrder:rejected", {
+        orderId: req.params.id,
+        message: error.message,
+      });
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
     if (error.kind === "ObjectId") {
       logger.warn("orders:cancelOrder:invalid_id", {
         orderId: req.params.id,
@@ -1266,5 +1609,112 @@ exports.cancelOrder = async (req, res, next) => {
     });
     next(error);
   }
-  */ // END COMMENTED CODE - Cancellation disabled
+};
+
+/**
+ * Roll back checkouts whose placement was interrupted (Admin)
+ * POST /api/orders/reconcile
+ */
+exports.reconcileOrders = async (req, res, next) => {
+  try {
+    const rolledBack = await reconcilePendingOrders();
+    logger.info("orders:reconcileOrders:done", { rolledBack });
+    res.status(200).json({
+      success: true,
+      data: { rolled_back: rolledBack },
+      message: `${rolledBack} interrupted order placement(s) rolled back`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Amend a pending or processing order (Admin)
+ * PATCH /api/orders/:id/amend
+ * Body: { items?: [{ order_item_id, quantity }], shipping_address_id?, reason }
+ * Quantities can only be reduced (0 removes the line); the difference is refunded and the invoice reissued.
+ */
+exports.amendOrder = async (req, res, next) => {
+  try {
+    const { items = [], shipping_address_id } = req.body;
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+    if (reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: "Amendment reason cannot exceed 500 characters",
+      });
+    }
+
+    const { order, invoice, refund, changes } = await amendOrder({
+      orderId: req.params.id,
+      adminId: req.user._id,
+      items,
+      shippingAddressId: shipping_address_id || null,
+      reason,
+    });
+
+    const populatedOrder = await populateOrderForEmail(order._id);
+
+    try {
+      const customer = await User.findById(order.user_id).select("email").lean();
+      if (customer?.email) {
+        await sendOrderAmendedEmail(populatedOrder, customer.email, {
+          summary: changes.summary,
+          reason,
+          refund,
+        });
+      }
+    } catch (e) {
+      logger.error("orders:amendOrder:send_amended_email_failed", {
+        message: e?.message,
+        orderId: populatedOrder.id,
+      });
+    }
+
+    logger.info("orders:amendOrder:success", {
+      adminId: req.user._id,
+      orderId: populatedOrder.id,
+      refund_status: refund.status,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        order: populatedOrder,
+        invoice_number: invoice.invoice_number,
+        refund,
+        changes,
+      },
+      message: "Order amended successfully",
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      logger.warn("orders:amendOrder:rejected", {
+        orderId: req.params.id,
+        message: error.message,
+      });
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message);
+      return res
+        .status(400)
+        .json({ success: false, message: messages.join(", ") });
+    }
+    if (error.kind === "ObjectId") {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found" });
+    }
+    logger.error("orders:amendOrder:error", {
+      message: error.message,
+      stack: error.stack,
+      orderId: req.params.id,
+    });
+    next(error);
+  }
 };
@@ -1,12 +1,137 @@
 const Payment = require('../models/Payment');
 const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const CartItem = require('../models/CartItem');
+const StockReservation = require('../models/StockReservation');
 const {
   createRazorpayOrder,
   verifyPaymentSignature,
   fetchPaymentDetails,
-  createRefund,
   fetchRefund,
 } = require('../services/razorpayService');
+const {
+  reserveStock,
+  commitReservation,
+  releaseReservation,
+  releaseByRazorpayOrder,
+} = require('../services/inventoryService');
+const {
+  quoteOrder,
+  matchesExpectedTotal,
+  formatQuote,
+} = require('../services/pricingService');
+const { shippingAddressFor } = require('../services/shippingService');
+const { cancelCustomerOrder } = require('../services/orderCancellationService');
+const { nextOrderNumber } = require('../services/orderNumberService');
+
+/**
+ * Respond with the stock error raised by inventoryService
+ */
+const sendStockError = (res, error) =>
+  res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    data: error.details,
+  });
+
+/**
+ * Create a Razorpay order for the cart before an Order exists
+ * Stock is reserved here and committed when the order is placed. The quote (delivery priced for the
+ * shipping address) is saved with the reservation, so the order is placed at the amount charged.
+ */
+const createCartPaymentOrder = async (req, res) => {
+  const userId = req.user._id;
+  const { coupon_code, gift_design_id, delivery_type, shipping_address_id } = req.body;
+
+  let items = req.body.items;
+  if (!Array.isArray(items) || items.length === 0) {
+    items = await CartItem.find({ user_id: userId }).lean();
+  }
+
+  if (!shipping_address_id) {
+    return res.status(400).json({
+      success: false,
+      message: 'Shipping address is required',
+    });
+  }
+
+  // Charge the server-computed total, never a client amount
+  let quote;
+  let address;
+  try {
+    address = await shippingAddressFor(userId, shipping_address_id);
+    quote = await quoteOrder({
+      items,
+      coupon_code,
+      gift_design_id,
+      delivery_type: delivery_type || 'standard',
+      address,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    throw error;
+  }
+
+  if (!matchesExpectedTotal(quote, req.body.amount)) {
+    return res.status(409).json({
+      success: false,
+      message: 'Order total has changed. Please review the updated total.',
+      data: formatQuote(quote),
+    });
+  }
+
+  const amount = quote.total_amount;
+  items = quote.items;
+
+  let reservation;
+  try {
+    reservation = await reserveStock({ userId, items });
+  } catch (error) {
+    if (error.statusCode) return sendStockError(res, error);
+    throw error;
+  }
+
+  // Number for the order this checkout will place, so the Razorpay receipt matches it
+  const orderNumber = await nextOrderNumber();
+
+  let razorpayOrder;
+  try {
+    razorpayOrder = await createRazorpayOrder(
+      amount,
+      'INR',
+      orderNumber,
+      {
+        user_id: userId.toString(),
+        reservation_id: reservation._id.toString(),
+        order_number: orderNumber,
+      }
+    );
+  } catch (error) {
+    await releaseReservation(reservation, 'razorpay_order_failed');
+    throw error;
+  }
+
+  reservation.razorpay_order_id = razorpayOrder.id;
+  reservation.order_number = orderNumber;
+  reservation.shipping_address_id = address._id;
+  reservation.quote = { ...formatQuote(quote), coupon_id: quote.coupon ? quote.coupon._id : null };
+  await reservation.save();
+
+  return res.status(201).json({
+    success: true,
+    data: {
+      razorpay_order_id: razorpayOrder.id,
+      order_number: orderNumber,
+      amount,
+      currency: 'INR',
+      key_id: process.env.RAZORPAY_KEY_ID,
+      reservation_expires_at: reservation.expires_at,
+    },
+    message: 'Payment order created successfully',
+  });
+};
 
 /**
  * Create Razorpay order for payment
@@ -17,11 +142,9 @@ exports.createPaymentOrder = async (req, res, next) => {
     const userId = req.user._id;
     const { order_id } = req.body;
 
+    // No order yet: pay for the cart and reserve its stock
     if (!order_id) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order ID is required',
-      });
+      return await createCartPaymentOrder(req, res);
     }
 
     // Find the order
@@ -61,16 +184,40 @@ exports.createPaymentOrder = async (req, res, next) => {
       });
     }
 
-    // Create Razorpay order
-    const razorpayOrder = await createRazorpayOrder(
-      order.total_amount,
-      'INR',
-      `order_${order._id}`,
-      {
-        order_id: order._id.toString(),
-        user_id: userId.toString(),
+    // Reserve stock unless the order already holds it
+    let reservation = null;
+    if (['none', 'released'].includes(order.inventory_status || 'none')) {
+      try {
+        const items = await OrderItem.find({ order_id: order._id }).lean();
+        reservation = await reserveStock({ userId, items, orderId: order._id });
+      } catch (error) {
+        if (error.statusCode) return sendStockError(res, error);
+        throw error;
       }
-    );
+    }
+
+    // Create Razorpay order
+    let razorpayOrder;
+    try {
+      razorpayOrder = await createRazorpayOrder(
+        order.total_amount,
+        'INR',
+        order.order_number || `order_${order._id}`,
+        {
+          order_id: order._id.toString(),
+          ...(order.order_number ? { order_number: order.order_number } : {}),
+          user_id: userId.toString(),
+        }
+      );
+    } catch (error) {
+      if (reservation) await releaseReservation(reservation, 'razorpay_order_failed');
+      throw error;
+    }
+
+    if (reservation) {
+      reservation.razorpay_order_id = razorpayOrder.id;
+      await reservation.save();
+    }
 
     // Save payment record
     const payment = await Payment.create({
@@ -186,6 +333,7 @@ exports.verifyPayment = async (req, res, next) => {
         payment_status: 'paid',
         status: 'processing',
         paid_at: new Date(),
+        amount_paid: payment.amount,
       },
       { new: true }
     );
@@ -197,6 +345,15 @@ exports.verifyPayment = async (req, res, next) => {
       });
     }
 
+    // Paid: turn any stock reservation for this order into a sale
+    const reservation = await StockReservation.findOne({
+      razorpay_order_id,
+      status: 'active',
+    });
+    if (reservation) {
+      await commitReservation(reservation, order._id);
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -229,6 +386,9 @@ exports.handlePaymentFailure = async (req, res, next) => {
       });
     }
 
+    // Give reserved stock back
+    const released = await releaseByRazorpayOrder(razorpay_order_id, 'payment_failed');
+
     // Update payment record
     const payment = await Payment.findOneAndUpdate(
       { razorpay_order_id, user_id: userId },
@@ -241,6 +401,13 @@ exports.handlePaymentFailure = async (req, res, next) => {
     );
 
     if (!payment) {
+      // Cart checkouts have no Payment record, only a reservation
+      if (released) {
+        return res.status(200).json({
+          success: true,
+          message: 'Payment failure recorded',
+        });
+      }
       return res.status(404).json({
         success: false,
         message: 'Payment record not found',
@@ -398,18 +565,17 @@ exports.getMyPayments = async (req, res, next) => {
 /**
  * Request refund
  * POST /api/payments/:id/refund
+ * Refunds by cancelling the paid order, with the same window and checks as POST /api/orders/:id/cancel;
+ * delivered items are refunded through a return instead.
  */
 exports.requestRefund = async (req, res, next) => {
   try {
     const userId = req.user._id;
-    const paymentId = req.params.id;
-    const { amount, reason } = req.body;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
 
-    // Find payment
-    const payment = await Payment.findOne({
-      _id: paymentId,
-      user_id: userId,
-    });
+    const payment = await Payment.findOne({ _id: req.params.id, user_id: userId })
+      .select('order_id status')
+      .lean();
 
     if (!payment) {
       return res.status(404).json({
@@ -418,7 +584,6 @@ exports.requestRefund = async (req, res, next) => {
       });
     }
 
-    // Check if payment is captured
     if (payment.status !== 'captured') {
       return res.status(400).json({
         success: false,
@@ -426,55 +591,31 @@ exports.requestRefund = async (req, res, next) => {
       });
     }
 
-    // Check if already refunded
-    if (payment.refund_status === 'processed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment already refunded',
-      });
-    }
-
-    // Validate refund amount
-    const maxRefundAmount = payment.amount - payment.refund_amount;
-    const refundAmount = amount ? Math.min(amount, maxRefundAmount) : maxRefundAmount;
-
-    if (refundAmount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid refund amount',
-      });
-    }
-
-    // Create refund in Razorpay
-    const refund = await createRefund(
-      payment.razorpay_payment_id,
-      refundAmount,
-      { reason: reason || 'Customer request', user_id: userId.toString() }
-    );
-
-    // Update payment record
-    payment.refund_id = refund.id;
-    payment.refund_amount += refundAmount;
-    payment.refund_status = 'processed';
-    payment.status = refundAmount === payment.amount ? 'refunded' : 'partial_refund';
-    await payment.save();
-
-    // Update order
-    await Order.findByIdAndUpdate(payment.order_id, {
-      payment_status: 'refunded',
-      status: 'cancelled',
+    const { order, refund } = await cancelCustomerOrder({
+      orderId: payment.order_id,
+      userId,
+      reason: reason || 'Customer requested a refund',
     });
 
     res.status(200).json({
       success: true,
       data: {
-        refund_id: refund.id,
-        amount: refundAmount,
+        order_id: order._id,
+        refund_id: refund.refund_id,
+        amount: refund.amount,
         status: refund.status,
       },
-      message: 'Refund processed successfully',
+      message: refund.status === 'processed'
+        ? 'Order cancelled and refund processed successfully'
+        : 'Order cancelled; the refund will be processed shortly',
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
     console.error('Request refund error:', error);
     next(error);
   }
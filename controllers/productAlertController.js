@@ -0,0 +1,135 @@
+const ProductAlert = require('../models/ProductAlert');
+const { subscribe, setWishlistAlerts } = require('../services/productAlertService');
+
+/**
+ * API shape of an alert with its product
+ */
+const formatAlert = (alert) => {
+  const product = alert.product_id && alert.product_id._id ? alert.product_id : null;
+  const variant = product && alert.variant_id
+    ? (product.variants || []).find((v) => String(v._id) === String(alert.variant_id))
+    : null;
+  return {
+    id: alert._id.toString(),
+    product_id: product ? product._id.toString() : String(alert.product_id),
+    variant_id: alert.variant_id ? alert.variant_id.toString() : null,
+    type: alert.type,
+    source: alert.source,
+    status: alert.status,
+    baseline_price: alert.baseline_price,
+    last_notified_at: alert.last_notified_at,
+    expires_at: alert.expires_at,
+    created_at: alert.created_at,
+    product: product
+      ? {
+          id: product._id.toString(),
+          name: product.name,
+          variant_label: variant ? variant.label : null,
+          image: product.images?.[0] || null,
+          price: variant ? variant.price : product.price,
+          in_stock: product.in_stock,
+        }
+      : null,
+  };
+};
+
+/**
+ * List the current user's alerts
+ * GET /api/alerts
+ */
+exports.getMyAlerts = async (req, res, next) => {
+  try {
+    const alerts = await ProductAlert.find({ user_id: req.user._id, expires_at: { $gt: new Date() } })
+      .populate({ path: 'product_id', select: { name: 1, price: 1, in_stock: 1, variants: 1, images: { $slice: 1 } } })
+      .sort({ created_at: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: alerts.length,
+      data: alerts.map(formatAlert),
+      wishlist_alerts: Boolean(req.user.wishlist_alerts),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Subscribe to restock or price-drop emails for a product
+ * POST /api/alerts
+ * Body: { product_id, variant_id?, type: 'restock' | 'price_drop' }
+ */
+exports.createAlert = async (req, res, next) => {
+  try {
+    const { product_id, variant_id = null, type } = req.body;
+    if (!product_id) {
+      return res.status(400).json({ success: false, message: 'Product ID is required' });
+    }
+
+    const alert = await subscribe({
+      userId: req.user._id,
+      productId: product_id,
+      variantId: variant_id,
+      type,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatAlert(alert.toObject()),
+      message: type === 'restock'
+        ? "We'll email you when it is back in stock"
+        : "We'll email you when the price drops",
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Unsubscribe from an alert
+ * DELETE /api/alerts/:id
+ */
+exports.deleteAlert = async (req, res, next) => {
+  try {
+    const alert = await ProductAlert.findOneAndDelete({ _id: req.params.id, user_id: req.user._id });
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+    res.status(200).json({ success: true, message: 'Alert removed', data: {} });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Opt in or out of alerts for wishlisted products
+ * PUT /api/alerts/preferences
+ * Body: { wishlist_alerts: boolean }
+ */
+exports.updateAlertPreferences = async (req, res, next) => {
+  try {
+    const { wishlist_alerts } = req.body;
+    if (typeof wishlist_alerts !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'wishlist_alerts must be true or false' });
+    }
+
+    const data = await setWishlistAlerts(req.user, wishlist_alerts);
+    res.status(200).json({
+      success: true,
+      data,
+      message: wishlist_alerts ? 'Wishlist alerts turned on' : 'Wishlist alerts turned off',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,64 @@
+const { exportProducts, importProducts } = require('../services/productImportService');
+const { invalidateAutocomplete } = require('../services/searchService');
+
+/**
+ * Export all products as CSV or XLSX (Admin)
+ * GET /api/admin/products/export?format=csv|xlsx
+ */
+exports.exportProductSheet = async (req, res, next) => {
+  try {
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+    const { buffer, contentType, extension } = await exportProducts(format);
+    const date = new Date().toISOString().split('T')[0];
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.${extension}"`);
+    res.send(buffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import products from a CSV or XLSX sheet (Admin)
+ * POST /api/admin/products/import
+ * Body: { file (base64), format?, filename?, dry_run? } - dry_run defaults to true
+ */
+exports.importProductSheet = async (req, res, next) => {
+  try {
+    const { file, format, filename } = req.body;
+    const dryRun = !(req.body.dry_run === false || req.body.dry_run === 'false');
+
+    const result = await importProducts({
+      file,
+      format,
+      filename,
+      dryRun,
+      userId: req.user._id,
+    });
+
+    if (!dryRun && !result.applied) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import not applied: fix the rows with errors and try again',
+        data: result,
+      });
+    }
+
+    if (result.applied) invalidateAutocomplete();
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: dryRun ? 'Import preview generated' : 'Products imported successfully',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
@@ -1,5 +1,49 @@
 const Product = require('../models/Product');
 const Category = require('../models/Category');
+const { adjustStock } = require('../services/inventoryService');
+const {
+  loadCategories,
+  resolveProductCategory,
+} = require('../services/categoryService');
+const { formatNutritionFacts, parseKeys } = require('../utils/nutrition');
+const {
+  buildProductFilter,
+  escapeRegex,
+  searchProducts,
+  autocomplete,
+  invalidateAutocomplete,
+} = require('../services/searchService');
+const {
+  applySalePricing,
+  refreshEffectivePrices,
+  applyDueSchedules,
+} = require('../services/salePricingService');
+const { productAlertSnapshot, notifyProductChanges } = require('../services/productAlertService');
+
+/**
+ * Editable fields of a variant from a request body (stock goes through the ledger)
+ */
+const variantInput = (v = {}) => ({
+  sku: v.sku,
+  label: v.label,
+  weight_grams: v.weight_grams,
+  price: v.price,
+  original_price: v.original_price,
+  is_active: v.is_active !== undefined ? v.is_active : true,
+});
+
+/**
+ * Set each variant's stock to the requested count through the ledger
+ * requested: [{ variant, stock }] where stock is undefined to leave unchanged
+ */
+const applyVariantStock = async (productId, requested, { reason, userId }) => {
+  for (const { variant, stock } of requested) {
+    if (stock === undefined || stock === null || stock === '') continue;
+    const target = parseInt(stock, 10);
+    if (Number.isNaN(target) || target === (variant.stock || 0)) continue;
+    await adjustStock(productId, { variantId: variant._id, set: target, reason, userId });
+  }
+};
  
 /**
 * Get all products with optional filters and pagination
@@ -7,40 +51,23 @@ const Category = require('../models/Category');
 */
 exports.getProducts = async (req, res, next) => {
   try {
-    const { category, minPrice, maxPrice, inStockOnly, search, page = 1, limit = 10 } = req.query;
+    const { search, page = 1, limit = 10 } = req.query;
  
-    // Build query object
-    let query = {};
- 
-    // Category filter
-    if (category && category !== 'All Products') {
-      query.category = category;
-    }
+    // Price filters read effective_price: bring in sales that started or ended
+    await applyDueSchedules();
+
+    // Category, price and stock filters
+    const query = await buildProductFilter(req.query);
  
     // Search filter (name or description)
     if (search && search.trim()) {
+      const pattern = escapeRegex(search.trim());
       query.$or = [
-        { name: { $regex: search.trim(), $options: 'i' } },
-        { description: { $regex: search.trim(), $options: 'i' } }
+        { name: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } }
       ];
     }
  
-    // Price range filters
-    if (minPrice !== undefined || maxPrice !== undefined) {
-      query.price = {};
-      if (minPrice !== undefined) {
-        query.price.$gte = parseFloat(minPrice);
-      }
-      if (maxPrice !== undefined) {
-        query.price.$lte = parseFloat(maxPrice);
-      }
-    }
- 
-    // Stock filter
-    if (inStockOnly === 'true' || inStockOnly === true) {
-      query.in_stock = true;
-    }
- 
     // ✅ Pagination
     const pageNum = Math.max(1, parseInt(page) || 1);
     const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10)); // Max 100 per page
@@ -55,6 +82,7 @@ exports.getProducts = async (req, res, next) => {
       .skip(skip)
       .limit(limitNum)
       .lean();
+    await applySalePricing(products);
  
     res.status(200).json({
       success: true,
@@ -70,6 +98,60 @@ exports.getProducts = async (req, res, next) => {
   }
 };
  
+/**
+* Search products with relevance ranking, facets and sorting
+* GET /api/products/search?q=&sort=relevance|price_asc|price_desc|rating|newest|best_selling
+*/
+exports.searchProducts = async (req, res, next) => {
+  try {
+    const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+
+    await applyDueSchedules();
+    const { products, total, facets, sort } = await searchProducts({
+      ...req.query,
+      q: req.query.q || req.query.search,
+      page: pageNum,
+      limit: limitNum,
+    });
+    await applySalePricing(products);
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+      sort,
+      data: products,
+      facets,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+* Typo-tolerant product name suggestions
+* GET /api/products/autocomplete?q=
+*/
+exports.autocompleteProducts = async (req, res, next) => {
+  try {
+    const limitNum = Math.min(20, Math.max(1, parseInt(req.query.limit) || 8));
+    await applyDueSchedules();
+    const data = await autocomplete(req.query.q, limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+ 
 /**
 * Get single product by ID
 * Matches Supabase getProductById function
@@ -85,9 +167,14 @@ exports.getProductById = async (req, res, next) => {
       });
     }
  
+    const data = await applySalePricing(product.toJSON());
+
     res.status(200).json({
       success: true,
-      data: product,
+      data: {
+        ...data,
+        nutrition_facts: formatNutritionFacts(product),
+      },
     });
   } catch (error) {
     // Handle invalid MongoDB ObjectId
@@ -117,36 +204,63 @@ exports.createProduct = async (req, res, next) => {
       });
     }
 
-    // Ensure category exists (create if missing)
-    const catName = (body.category || '').trim();
-    if (!catName) {
-      return res.status(400).json({ success: false, message: 'Category is required' });
-    }
-    let cat = await Category.findOne({ name: catName }).lean();
-    if (!cat) {
-      const created = await Category.create({ name: catName });
-      cat = created.toObject();
-    }
+    // Products reference a category by id (a name creates the category if missing)
+    const cat = await resolveProductCategory(body);
 
-    const product = await Product.create({
+    let product = await Product.create({
       name: body.name,
       price: body.price,
       original_price: body.original_price,
-      category: body.category,
+      category: cat.name,
+      category_id: cat._id,
       description: body.description,
       images: body.images, // Array of base64 strings
-      in_stock: body.in_stock !== undefined ? body.in_stock : true,
+      low_stock_threshold: body.low_stock_threshold,
       ingredients: body.ingredients,
       usage: body.usage,
+      nutrition: body.nutrition,
+      allergens: parseKeys(body.allergens || []),
+      dietary_tags: parseKeys(body.dietary_tags || []),
       benefits: body.benefits || [],
+      variants: Array.isArray(body.variants) ? body.variants.map(variantInput) : [],
     });
 
+    // Opening stock goes through the ledger; in_stock is derived from it
+    const openingStock = parseInt(body.stock, 10) || 0;
+    if (product.variants.length > 0) {
+      await applyVariantStock(
+        product._id,
+        product.variants.map((variant, i) => ({ variant, stock: body.variants[i].stock })),
+        { reason: 'opening_stock', userId: req.user?._id }
+      );
+      product = await Product.findById(product._id);
+    } else if (openingStock > 0) {
+      await adjustStock(product._id, {
+        set: openingStock,
+        reason: 'opening_stock',
+        userId: req.user?._id,
+      });
+      product = await Product.findById(product._id);
+    }
+
+    // A running category sale may already cover the new product
+    if (await refreshEffectivePrices([product._id])) {
+      product = await Product.findById(product._id);
+    }
+
+    invalidateAutocomplete();
     res.status(201).json({ success: true, data: product });
   } catch (error) {
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map((err) => err.message);
       return res.status(400).json({ success: false, message: messages.join(', ') });
     }
+    if (error.code === 11000 && error.keyPattern?.['variants.sku']) {
+      return res.status(400).json({ success: false, message: 'Variant SKU already exists' });
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     next(error);
   }
 };
@@ -169,30 +283,47 @@ exports.updateProduct = async (req, res, next) => {
       }
     }
 
-    // If category changed, ensure it exists
-    if (typeof body.category === 'string') {
-      const catName = body.category.trim();
-      if (!catName) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Category is required' 
+    // If category changed, point the product at it (creating it by name if missing)
+    if (body.category_id || typeof body.category === 'string') {
+      const cat = await resolveProductCategory(body);
+      body.category = cat.name;
+      body.category_id = cat._id;
+    }
+
+    if (body.allergens !== undefined) body.allergens = parseKeys(body.allergens || []);
+    if (body.dietary_tags !== undefined) body.dietary_tags = parseKeys(body.dietary_tags || []);
+
+    // Availability is derived from stock; reservations are system-managed
+    delete body.in_stock;
+    delete body.reserved_stock;
+
+    // Availability and prices before the change, for restock / price-drop alerts
+    const before = await productAlertSnapshot(req.params.id);
+
+    if (body.stock !== undefined) {
+      try {
+        await adjustStock(req.params.id, {
+          set: body.stock,
+          reason: body.stock_reason || 'product_update',
+          userId: req.user?._id,
         });
+      } catch (stockError) {
+        if (stockError.statusCode) {
+          return res.status(stockError.statusCode).json({
+            success: false,
+            message: stockError.message,
+          });
+        }
+        throw stockError;
       }
-      let cat = await Category.findOne({ name: catName }).lean();
-      if (!cat) {
-        const created = await Category.create({ name: catName });
-        cat = created.toObject();
-      }
+      delete body.stock;
+      delete body.stock_reason;
     }
 
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      body,
-      {
-        new: true,
-        runValidators: true,
-      }
-    );
+    const variantsInput = body.variants;
+    delete body.variants;
+
+    let product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({
@@ -201,6 +332,70 @@ exports.updateProduct = async (req, res, next) => {
       });
     }
 
+    // Variants are matched to existing ones by id or SKU so their stock and reservations carry over
+    let requestedStock = [];
+    if (variantsInput !== undefined) {
+      if (!Array.isArray(variantsInput)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Variants must be an array',
+        });
+      }
+
+      const existing = product.variants.map((v) => v.toObject());
+      const matched = new Set();
+      const updated = variantsInput.map((input) => {
+        const inputId = input.id || input._id;
+        const sku = String(input.sku || '').toUpperCase().trim();
+        const current = existing.find((v) =>
+          (inputId && String(v._id) === String(inputId)) || (!inputId && v.sku === sku)
+        );
+        if (current) matched.add(String(current._id));
+        return {
+          ...variantInput(input),
+          ...(current
+            ? { _id: current._id, stock: current.stock, reserved_stock: current.reserved_stock }
+            : {}),
+        };
+      });
+
+      const held = existing.find((v) => !matched.has(String(v._id)) && (v.reserved_stock || 0) > 0);
+      if (held) {
+        return res.status(409).json({
+          success: false,
+          message: `Pack size ${held.label} has stock held by pending checkouts; deactivate it instead of removing it`,
+        });
+      }
+      if (existing.length === 0 && updated.length > 0 && (product.reserved_stock || 0) > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Product has stock held by pending checkouts; try adding pack sizes later',
+        });
+      }
+
+      product.variants = updated;
+      requestedStock = variantsInput.map((input) => input.stock);
+    }
+
+    product.set(body);
+    await product.save();
+
+    if (requestedStock.length > 0) {
+      await applyVariantStock(
+        product._id,
+        product.variants.map((variant, i) => ({ variant, stock: requestedStock[i] })),
+        { reason: req.body.stock_reason || 'product_update', userId: req.user?._id }
+      );
+      product = await Product.findById(product._id);
+    }
+
+    // Reapply running sales to the new price or category
+    if (await refreshEffectivePrices([product._id])) {
+      product = await Product.findById(product._id);
+    }
+
+    invalidateAutocomplete();
+    notifyProductChanges(before);
     res.status(200).json({
       success: true,
       data: product,
@@ -215,6 +410,18 @@ exports.updateProduct = async (req, res, next) => {
         message: messages.join(', '),
       });
     }
+    if (error.code === 11000 && error.keyPattern?.['variants.sku']) {
+      return res.status(400).json({
+        success: false,
+        message: 'Variant SKU already exists',
+      });
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     if (error.kind === 'ObjectId') {
       return res.status(404).json({
         success: false,
@@ -239,6 +446,8 @@ exports.deleteProduct = async (req, res, next) => {
         message: 'Product not found',
       });
     }
+
+    invalidateAutocomplete();
  
     res.status(200).json({
       success: true,
@@ -265,7 +474,7 @@ exports.deleteProduct = async (req, res, next) => {
 exports.getCategories = async (req, res, next) => {
   try {
     // Use Category collection instead of Product.distinct() for consistency
-    const categories = await Category.find().sort({ name: 1 }).lean();
+    const categories = await loadCategories();
     
     // Return just the category names as strings (for backward compatibility)
     const categoryNames = categories.map(c => c.name);
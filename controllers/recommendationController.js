@@ -0,0 +1,61 @@
+const {
+  STORED_LIMIT,
+  startRebuild,
+  productRecommendations,
+  cartRecommendations,
+} = require('../services/recommendationService');
+
+const parseLimit = (value, fallback) => Math.min(STORED_LIMIT, Math.max(1, parseInt(value) || fallback));
+
+const sendProductRecommendations = (kind) => async (req, res, next) => {
+  try {
+    const data = await productRecommendations(req.params.id, kind, parseLimit(req.query.limit, 6));
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Related products (co-purchased in the same category family, then similar products)
+ * GET /api/products/:id/related
+ */
+exports.getRelatedProducts = sendProductRecommendations('related');
+
+/**
+ * Products frequently bought together with this one
+ * GET /api/products/:id/bought-together
+ */
+exports.getBoughtTogether = sendProductRecommendations('bought_together');
+
+/**
+ * Add-on suggestions for the current user's cart
+ * GET /api/cart/recommendations
+ */
+exports.getCartRecommendations = async (req, res, next) => {
+  try {
+    const data = await cartRecommendations(req.user._id, parseLimit(req.query.limit, 6));
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Recompute all product recommendations now (Admin)
+ * POST /api/admin/recommendations/rebuild
+ */
+exports.rebuildRecommendations = async (req, res, next) => {
+  try {
+    const data = await startRebuild();
+    res.status(200).json({ success: true, data, message: 'Recommendations rebuilt' });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,300 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const User = require('../models/User');
+const StoreCreditTransaction = require('../models/StoreCreditTransaction');
+const {
+  refundableAmount,
+  createReturnRequest,
+  reviewReturnRequest,
+  updateReturnLogistics,
+  inspectReturn,
+  refundReturn,
+} = require('../services/returnService');
+const { sendReturnStatusEmail } = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+const validationMessage = (error) => Object.values(error.errors).map((e) => e.message).join(', ');
+
+// Shared error responses: service errors carry a statusCode
+const handleError = (error, res, next) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: validationMessage(error) });
+  }
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ success: false, message: 'Return request not found' });
+  }
+  next(error);
+};
+
+// Email the customer about the return's current status (best-effort)
+const notifyCustomer = async (returnRequest) => {
+  try {
+    const user = await User.findById(returnRequest.user_id).select('email').lean();
+    if (user?.email) await sendReturnStatusEmail(returnRequest, user.email);
+  } catch (error) {
+    logger.error('returns:send_status_email_failed', {
+      message: error?.message,
+      returnId: returnRequest._id.toString(),
+      status: returnRequest.status,
+    });
+  }
+};
+
+/**
+ * Request a return for a delivered order
+ * POST /api/returns
+ * Body: { order_id, items: [{ order_item_id, quantity }], reason, comments?, photos?, refund_method?, bank_details? }
+ */
+exports.createReturn = async (req, res, next) => {
+  try {
+    const { order_id, items, reason, comments, photos, refund_method, bank_details } = req.body;
+
+    if (!order_id) {
+      return res.status(400).json({ success: false, message: 'order_id is required' });
+    }
+
+    const returnRequest = await createReturnRequest({
+      userId: req.user._id,
+      orderId: order_id,
+      items,
+      reason,
+      comments: typeof comments === 'string' ? comments.trim() : '',
+      photos: photos || [],
+      refundMethod: refund_method || 'original',
+      bankDetails: typeof bank_details === 'string' ? bank_details.trim() : '',
+    });
+
+    await notifyCustomer(returnRequest);
+
+    res.status(201).json({
+      success: true,
+      data: returnRequest,
+      message: 'Return request submitted',
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * Get the logged-in user's returns
+ * GET /api/returns?order_id=
+ */
+exports.getMyReturns = async (req, res, next) => {
+  try {
+    const query = { user_id: req.user._id };
+    if (req.query.order_id) query.order_id = req.query.order_id;
+
+    const returns = await ReturnRequest.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: returns.length,
+      data: returns,
+    });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * Get a return (own return, or any for admin)
+ * GET /api/returns/:id
+ */
+exports.getReturnById = async (req, res, next) => {
+  try {
+    const query = req.user.role === 'admin'
+      ? { _id: req.params.id }
+      : { _id: req.params.id, user_id: req.user._id };
+    const returnRequest = await ReturnRequest.findOne(query);
+
+    if (!returnRequest) {
+      return res.status(404).json({ success: false, message: 'Return request not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...returnRequest.toJSON(), refundable_amount: refundableAmount(returnRequest) },
+    });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * Get the logged-in user's store credit balance and recent ledger entries
+ * GET /api/returns/store-credit
+ */
+exports.getStoreCredit = async (req, res, next) => {
+  try {
+    const [user, transactions] = await Promise.all([
+      User.findById(req.user._id).select('store_credit_balance').lean(),
+      StoreCreditTransaction.find({ user_id: req.user._id }).sort({ createdAt: -1 }).limit(50).lean(),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        balance: user?.store_credit_balance || 0,
+        transactions,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List returns (Admin)
+ * GET /api/admin/returns?status=&page=&limit=
+ */
+exports.getAllReturns = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const query = {};
+    if (status) query.status = status;
+
+    const [total, returns] = await Promise.all([
+      ReturnRequest.countDocuments(query),
+      ReturnRequest.find(query)
+        .populate('user_id', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: returns.length,
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+      data: returns,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject a return (Admin)
+ * PATCH /api/admin/returns/:id/review
+ * Body: { action: 'approve' | 'reject', comment? } (comment is required to reject)
+ */
+exports.reviewReturn = async (req, res, next) => {
+  try {
+    const { action, comment } = req.body;
+    const returnRequest = await reviewReturnRequest({
+      returnId: req.params.id,
+      adminId: req.user._id,
+      action,
+      comment: typeof comment === 'string' ? comment.trim() : '',
+    });
+
+    await notifyCustomer(returnRequest);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest,
+      message: `Return ${returnRequest.status}`,
+    });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * Record pickup or receipt of an approved return (Admin)
+ * PATCH /api/admin/returns/:id/status
+ * Body: { status: 'pickup_scheduled' | 'picked_up' | 'received', scheduled_for?, courier?, tracking_number?, comment? }
+ */
+exports.updateReturnStatus = async (req, res, next) => {
+  try {
+    const { status, scheduled_for, courier, tracking_number, comment } = req.body;
+    const returnRequest = await updateReturnLogistics({
+      returnId: req.params.id,
+      adminId: req.user._id,
+      status,
+      scheduledFor: scheduled_for,
+      courier,
+      trackingNumber: tracking_number,
+      comment: typeof comment === 'string' ? comment.trim() : '',
+    });
+
+    await notifyCustomer(returnRequest);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest,
+      message: 'Return status updated',
+    });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * Quality check a received return; restocked items go back into inventory (Admin)
+ * POST /api/admin/returns/:id/quality-check
+ * Body: { results: [{ item_id, result: 'restock' | 'discard' | 'rejected' }], notes? }
+ */
+exports.qualityCheckReturn = async (req, res, next) => {
+  try {
+    const { results, notes } = req.body;
+    const returnRequest = await inspectReturn({
+      returnId: req.params.id,
+      adminId: req.user._id,
+      results,
+      notes: typeof notes === 'string' ? notes.trim() : '',
+    });
+
+    await notifyCustomer(returnRequest);
+
+    res.status(200).json({
+      success: true,
+      data: { ...returnRequest.toJSON(), refundable_amount: refundableAmount(returnRequest) },
+      message: 'Quality check recorded',
+    });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * Refund an inspected return (Admin)
+ * POST /api/admin/returns/:id/refund
+ * Body: { method?: 'original' | 'store_credit' | 'bank_transfer', amount?, reference? }
+ */
+exports.refundReturn = async (req, res, next) => {
+  try {
+    const { method, amount, reference } = req.body;
+    const returnRequest = await refundReturn({
+      returnId: req.params.id,
+      adminId: req.user._id,
+      method,
+      amount: amount === undefined || amount === '' ? undefined : Number(amount),
+      reference: typeof reference === 'string' ? reference.trim() : '',
+    });
+
+    await notifyCustomer(returnRequest);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest,
+      message: returnRequest.refund.status === 'pending'
+        ? 'Refund recorded; it must be completed manually'
+        : 'Refund issued',
+    });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
@@ -0,0 +1,130 @@
+const {
+  listCouriers,
+  createShipment,
+  getShipmentLabel,
+  cancelShipment,
+  syncShipment,
+  syncActiveShipments,
+} = require('../services/courierService');
+const logger = require('../utils/logger');
+
+// Shared error responses: service errors carry a statusCode
+const handleError = (error, res, next) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ success: false, message: 'Order not found' });
+  }
+  next(error);
+};
+
+/**
+ * List configured couriers (Admin)
+ * GET /api/admin/shipments/couriers
+ */
+exports.getCouriers = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: listCouriers(),
+  });
+};
+
+/**
+ * Book a courier shipment for an order (Admin)
+ * POST /api/admin/shipments/:orderId
+ * Body: { courier? } (defaults to COURIER_PROVIDER)
+ */
+exports.bookShipment = async (req, res, next) => {
+  try {
+    const order = await createShipment({
+      orderId: req.params.orderId,
+      adminId: req.user._id,
+      courierName: req.body?.courier,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { order_id: order._id, shipment: order.shipment },
+      message: `Shipment booked with ${order.shipment.deliveryPartner}`,
+    });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * Courier shipping label for an order (Admin)
+ * GET /api/admin/shipments/:orderId/label
+ */
+exports.getLabel = async (req, res, next) => {
+  try {
+    const pdfBuffer = await getShipmentLabel(req.params.orderId);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="courier-label-${req.params.orderId}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * Cancel an order's courier shipment before pickup (Admin)
+ * POST /api/admin/shipments/:orderId/cancel
+ */
+exports.cancelShipment = async (req, res, next) => {
+  try {
+    const order = await cancelShipment({ orderId: req.params.orderId, adminId: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      data: { order_id: order._id, shipment: order.shipment },
+      message: 'Shipment cancelled',
+    });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * Fetch tracking for one order from its courier (Admin)
+ * POST /api/admin/shipments/:orderId/sync
+ */
+exports.syncShipment = async (req, res, next) => {
+  try {
+    const { order, transitions } = await syncShipment(req.params.orderId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        order_id: order._id,
+        status: order.status,
+        shipment: order.shipment,
+        transitions,
+      },
+    });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * Fetch tracking for every in-flight courier shipment (Admin or scheduler)
+ * POST /api/admin/shipments/sync
+ */
+exports.syncAllShipments = async (req, res, next) => {
+  try {
+    const result = await syncActiveShipments();
+    logger.info('shipments:syncAll:done', result);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: `${result.synced} shipment(s) synced`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,74 @@
+const CartItem = require('../models/CartItem');
+const { quoteOrder } = require('../services/pricingService');
+const { parsePincode, shippingAddressFor } = require('../services/shippingService');
+const { checkPincode } = require('../services/serviceabilityService');
+
+/**
+ * Delivery options and charges for the cart (or given items) to an address
+ * POST /api/shipping/quote
+ * Body: { items?, shipping_address_id? | postal_code + state?, coupon_code?, gift_design_id? }
+ */
+exports.getShippingQuote = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { shipping_address_id, postal_code, state, coupon_code, gift_design_id } = req.body;
+
+    let items = req.body.items;
+    if (!Array.isArray(items) || items.length === 0) {
+      items = await CartItem.find({ user_id: userId }).lean();
+    }
+    if (items.length === 0) {
+      return res.status(400).json({ success: false, message: 'Your cart is empty' });
+    }
+
+    let address = null;
+    if (shipping_address_id) {
+      address = await shippingAddressFor(userId, shipping_address_id);
+    } else if (postal_code || state) {
+      if (postal_code && !parsePincode(postal_code)) {
+        return res.status(400).json({ success: false, message: 'Enter a valid 6-digit pincode' });
+      }
+      address = { postal_code, state };
+    }
+
+    // Priced like checkout, without choosing a delivery option
+    const quote = await quoteOrder({ items, coupon_code, gift_design_id, delivery_type: null, address });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        serviceable: quote.delivery_options.some((o) => o.available),
+        cod_available: quote.cod_available,
+        shipping_zone: quote.shipping_zone,
+        weight_grams: quote.weight_grams,
+        order_value: quote.order_value,
+        coupon_error: quote.coupon_error,
+        options: quote.delivery_options,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, message: 'Shipping address not found' });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Whether a pincode can be delivered to, with COD availability and ETAs
+ * GET /api/shipping/pincode/:pincode
+ */
+exports.getPincodeServiceability = async (req, res, next) => {
+  try {
+    if (!parsePincode(req.params.pincode)) {
+      return res.status(400).json({ success: false, message: 'Enter a valid 6-digit pincode' });
+    }
+    const data = await checkPincode(req.params.pincode);
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+};
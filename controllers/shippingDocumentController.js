@@ -0,0 +1,79 @@
+const {
+  senderDetails,
+  loadShippingDocuments,
+} = require('../services/shippingDocumentService');
+const {
+  generatePackingSlipPDF,
+  generateShippingLabelPDF,
+} = require('../utils/pdfGenerator');
+const logger = require('../utils/logger');
+
+const DOCUMENTS = {
+  packing_slip: { render: generatePackingSlipPDF, filename: 'packing-slip' },
+  shipping_label: { render: generateShippingLabelPDF, filename: 'shipping-label' },
+};
+
+// Render the document for the given orders and send it as a PDF download
+const sendDocument = async (type, orderIds, req, res, next) => {
+  try {
+    const { render, filename } = DOCUMENTS[type];
+    const [orders, company] = await Promise.all([
+      loadShippingDocuments(orderIds),
+      senderDetails(),
+    ]);
+    const pdfBuffer = await render(orders, company);
+
+    const name = orders.length === 1
+      ? `${filename}-${orders[0].order_number || orders[0].id}.pdf`
+      : `${filename}s-${new Date().toISOString().slice(0, 10)}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+
+    logger.info('shippingDocuments:generated', {
+      type,
+      orders: orders.length,
+      adminId: req.user?._id,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.kind === 'ObjectId' || error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    logger.error('shippingDocuments:error', {
+      type,
+      message: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * Packing slip for one order (Admin)
+ * GET /api/orders/:id/packing-slip
+ */
+exports.getPackingSlip = (req, res, next) => sendDocument('packing_slip', [req.params.id], req, res, next);
+
+/**
+ * 4x6 shipping label for one order (Admin)
+ * GET /api/orders/:id/shipping-label
+ */
+exports.getShippingLabel = (req, res, next) => sendDocument('shipping_label', [req.params.id], req, res, next);
+
+/**
+ * Packing slips for several orders merged into one PDF (Admin)
+ * POST /api/orders/packing-slips
+ * Body: { order_ids: [] }
+ */
+exports.bulkPackingSlips = (req, res, next) => sendDocument('packing_slip', req.body?.order_ids, req, res, next);
+
+/**
+ * Shipping labels for several orders merged into one PDF (Admin)
+ * POST /api/orders/shipping-labels
+ * Body: { order_ids: [] }
+ */
+exports.bulkShippingLabels = (req, res, next) => sendDocument('shipping_label', req.body?.order_ids, req, res, next);
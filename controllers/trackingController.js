@@ -0,0 +1,27 @@
+const { trackOrder } = require('../services/orderTrackingService');
+const logger = require('../utils/logger');
+
+/**
+ * Track an order without logging in
+ * POST /api/track
+ * Body: { order_number, contact } - order number (or order ID / invoice number), and the email or phone on the order
+ */
+exports.trackOrder = async (req, res, next) => {
+  try {
+    const { order_number, contact } = req.body || {};
+    const data = await trackOrder({ reference: order_number, contact });
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      if (error.statusCode === 404) {
+        logger.info('tracking:not_found', { ip: req.ip });
+      }
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    next(error);
+  }
+};
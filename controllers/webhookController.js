@@ -1,6 +1,8 @@
 const Payment = require('../models/Payment');
 const Order = require('../models/Order');
 const { verifyWebhookSignature } = require('../services/razorpayService');
+const { handleTrackingWebhook } = require('../services/courierService');
+const { releaseByRazorpayOrder } = require('../services/inventoryService');
 
 /**
  * Handle Razorpay webhooks
@@ -70,6 +72,26 @@ exports.handleRazorpayWebhook = async (req, res) => {
   }
 };
 
+/**
+ * Handle courier tracking webhooks
+ * POST /api/webhooks/couriers/:courier
+ */
+exports.handleCourierWebhook = async (req, res) => {
+  try {
+    const result = await handleTrackingWebhook(req.params.courier, req.body, req.headers);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Courier webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed',
+    });
+  }
+};
+
 /**
  * Handle payment.authorized event
  */
@@ -116,6 +138,7 @@ async function handlePaymentCaptured(paymentEntity) {
         payment_status: 'paid',
         status: 'processing',
         paid_at: new Date(),
+        amount_paid: payment.amount,
       });
 
       console.log(`Payment captured: ${paymentEntity.id}`);
@@ -130,6 +153,8 @@ async function handlePaymentCaptured(paymentEntity) {
  */
 async function handlePaymentFailed(paymentEntity) {
   try {
+    await releaseByRazorpayOrder(paymentEntity.order_id, 'payment_failed');
+
     const payment = await Payment.findOne({
       razorpay_order_id: paymentEntity.order_id,
     });
@@ -184,17 +209,37 @@ async function handleRefundProcessed(refundEntity) {
     });
 
     if (payment) {
-      payment.refund_id = refundEntity.id;
-      payment.refund_amount = refundEntity.amount / 100; // Convert from paise
+      // Refunds started here (cancellations, returns, amendments) are already recorded with their
+      // stock changes; only refunds made from the Razorpay dashboard are added. Neither cancels the
+      // order or restocks it: that is done by cancelling it.
+      const alreadyRecorded = payment.refund_id === refundEntity.id;
+      if (!alreadyRecorded) {
+        payment.refund_id = refundEntity.id;
+        payment.refund_amount = (payment.refund_amount || 0) + refundEntity.amount / 100; // Convert from paise
+        payment.status = payment.refund_amount >= payment.amount ? 'refunded' : 'partial_refund';
+      }
       payment.refund_status = 'processed';
-      payment.status = refundEntity.amount === payment.amount * 100 ? 'refunded' : 'partial_refund';
       await payment.save();
 
-      // Update order
-      await Order.findByIdAndUpdate(payment.order_id, {
-        payment_status: 'refunded',
-        status: 'cancelled',
-      });
+      if (!alreadyRecorded) {
+        await Order.updateOne({ _id: payment.order_id }, [
+          {
+            $set: {
+              refund_amount: { $add: [{ $ifNull: ['$refund_amount', 0] }, refundEntity.amount / 100] },
+              refund_status: 'processed',
+              refund_id: refundEntity.id,
+              refunded_at: new Date(),
+            },
+          },
+          {
+            $set: {
+              payment_status: {
+                $cond: [{ $gte: ['$refund_amount', payment.amount] }, 'refunded', '$payment_status'],
+              },
+            },
+          },
+        ]);
+      }
 
       console.log(`Refund processed: ${refundEntity.id}`);
     }
@@ -240,6 +285,7 @@ async function handleOrderPaid(orderEntity) {
         payment_status: 'paid',
         status: 'processing',
         paid_at: new Date(),
+        amount_paid: payment.amount,
       });
 
       console.log(`Order paid: ${orderEntity.id}`);
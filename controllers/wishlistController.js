@@ -1,5 +1,16 @@
 const WishlistItem = require('../models/WishlistItem');
 const Product = require('../models/Product');
+const { findVariant, formatVariant } = require('../utils/variants');
+const ProductAlert = require('../models/ProductAlert');
+const { subscribeWishlistItem, unsubscribeWishlistItem } = require('../services/productAlertService');
+
+/**
+ * Selected variant of a wishlisted product, formatted (null when none)
+ */
+const wishlistVariant = (product, variantId) => {
+  const variant = findVariant(product, variantId, { includeInactive: true });
+  return variant ? formatVariant(variant) : null;
+};
  
 /**
 * Get all wishlist items for a user with product details
@@ -16,7 +27,7 @@ exports.getWishlistItems = async (req, res, next) => {
       WishlistItem.find({ user_id: userId })
         .populate({
           path: 'product_id',
-          select: 'name description price original_price category images in_stock rating reviews_count benefits ingredients usage createdAt updatedAt',
+          select: 'name description price original_price category images in_stock rating reviews_count benefits ingredients usage variants createdAt updatedAt',
         })
         .sort({ created_at: -1 })
         .skip((page - 1) * limit)
@@ -42,6 +53,8 @@ exports.getWishlistItems = async (req, res, next) => {
       id: item._id.toString(),
       user_id: item.user_id.toString(),
       product_id: item.product_id._id.toString(),
+      variant_id: item.variant_id ? item.variant_id.toString() : null,
+      variant: wishlistVariant(item.product_id, item.variant_id),
       created_at: item.created_at, // keep your schema naming
       product: {
         id: item.product_id._id.toString(),
@@ -83,7 +96,7 @@ exports.getWishlistItems = async (req, res, next) => {
 exports.addToWishlist = async (req, res, next) => {
   try {
     const userId = req.user._id;
-    const { product_id } = req.body;
+    const { product_id, variant_id = null } = req.body;
  
     if (!product_id) {
       return res.status(400).json({
@@ -101,10 +114,19 @@ exports.addToWishlist = async (req, res, next) => {
       });
     }
  
+    // A specific pack size may be wishlisted, but it must belong to the product
+    if (variant_id && !findVariant(product, variant_id)) {
+      return res.status(400).json({
+        success: false,
+        message: `Selected pack size of ${product.name} is not available`,
+      });
+    }
+
     // Check if already in wishlist
     const existingItem = await WishlistItem.findOne({
       user_id: userId,
       product_id: product_id,
+      variant_id: variant_id || null,
     });
  
     if (existingItem) {
@@ -118,8 +140,12 @@ exports.addToWishlist = async (req, res, next) => {
     const wishlistItem = await WishlistItem.create({
       user_id: userId,
       product_id: product_id,
+      variant_id: variant_id || null,
     });
  
+    // Opted-in users get restock and price-drop alerts for wishlisted products
+    await subscribeWishlistItem(req.user, wishlistItem);
+
     // Populate product details
     await wishlistItem.populate('product_id');
  
@@ -128,6 +154,8 @@ exports.addToWishlist = async (req, res, next) => {
       id: wishlistItem._id.toString(),
       user_id: wishlistItem.user_id.toString(),
       product_id: wishlistItem.product_id._id.toString(),
+      variant_id: wishlistItem.variant_id ? wishlistItem.variant_id.toString() : null,
+      variant: wishlistVariant(wishlistItem.product_id, wishlistItem.variant_id),
       created_at: wishlistItem.created_at,
       product: {
         id: wishlistItem.product_id._id.toString(),
@@ -184,6 +212,8 @@ exports.removeFromWishlist = async (req, res, next) => {
         message: 'Wishlist item not found',
       });
     }
+
+    await unsubscribeWishlistItem(userId, wishlistItem.product_id, wishlistItem.variant_id);
  
     res.status(200).json({
       success: true,
@@ -208,7 +238,7 @@ exports.removeFromWishlist = async (req, res, next) => {
 exports.isInWishlist = async (req, res, next) => {
   try {
     const userId = req.user._id;
-    const { product_id } = req.query;
+    const { product_id, variant_id } = req.query;
  
     if (!product_id) {
       return res.status(400).json({
@@ -217,10 +247,10 @@ exports.isInWishlist = async (req, res, next) => {
       });
     }
  
-    const wishlistItem = await WishlistItem.findOne({
-      user_id: userId,
-      product_id: product_id,
-    });
+    const query = { user_id: userId, product_id: product_id };
+    if (variant_id !== undefined) query.variant_id = variant_id || null;
+
+    const wishlistItem = await WishlistItem.findOne(query);
  
     res.status(200).json({
       success: true,
@@ -242,6 +272,7 @@ exports.clearWishlist = async (req, res, next) => {
     const userId = req.user._id;
  
     await WishlistItem.deleteMany({ user_id: userId });
+    await ProductAlert.deleteMany({ user_id: userId, source: 'wishlist' });
  
     res.status(200).json({
       success: true,
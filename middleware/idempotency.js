@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+
+// How long a stored response is replayed for
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+
+// A key still in progress after this long belonged to a request that never finished (crash, restart)
+const IN_PROGRESS_TIMEOUT_MS = 60 * 1000;
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const requestHash = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+
+/**
+ * Claim a key for this request; returns the stored record when another request already holds it
+ */
+const claimKey = async ({ userId, key, req, hash }) => {
+  try {
+    await IdempotencyKey.create({
+      user_id: userId,
+      key,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      request_hash: hash,
+      expires_at: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000),
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ user_id: userId, key }).lean();
+  if (!existing) return null;
+
+  // Take over a key abandoned mid-request so the client can retry
+  if (
+    existing.status === 'in_progress' &&
+    existing.request_hash === hash &&
+    Date.now() - new Date(existing.updatedAt).getTime() > IN_PROGRESS_TIMEOUT_MS
+  ) {
+    const taken = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: 'in_progress', updatedAt: existing.updatedAt },
+      { $set: { request_hash: hash } }
+    );
+    if (taken) return null;
+  }
+  return existing;
+};
+
+/**
+ * Honour the Idempotency-Key header on a mutating endpoint (requests without it pass through)
+ *
+ * The first response is stored per user and key and returned verbatim on replays within
+ * IDEMPOTENCY_TTL_HOURS (with an Idempotent-Replayed header). Reusing a key for a different
+ * request body or endpoint is a 409, as is a replay while the first request is still running.
+ * 5xx responses are not stored, so the request can be retried with the same key.
+ * Must run after protect.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be between 1 and 255 characters',
+    });
+  }
+
+  const userId = req.user._id;
+  const hash = requestHash(req);
+
+  try {
+    const existing = await claimKey({ userId, key, req, hash });
+
+    if (existing) {
+      if (existing.request_hash !== hash) {
+        return res.status(409).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request',
+        });
+      }
+      if (existing.status === 'in_progress') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed',
+        });
+      }
+      logger.info('idempotency:replay', { userId, key, path: existing.path });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  // Store the response before sending it, so a retry arriving right after sees it
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const statusCode = res.statusCode;
+    const saved = statusCode >= 500
+      ? IdempotencyKey.deleteOne({ user_id: userId, key })
+      : IdempotencyKey.updateOne(
+        { user_id: userId, key },
+        {
+          $set: {
+            status: 'completed',
+            response_status: statusCode,
+            response_body: JSON.parse(JSON.stringify(body ?? null)),
+          },
+        }
+      );
+
+    saved
+      .catch((error) => {
+        logger.error('idempotency:store_response_failed', { message: error?.message, userId, key });
+      })
+      .then(() => sendJson(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,62 @@
+const RateLimitHit = require('../models/RateLimitHit');
+const logger = require('../utils/logger');
+
+/**
+ * Fixed-window rate limiter keyed by client IP
+ * Counts are kept in MongoDB (RateLimitHit, removed by a TTL index once the window ends) so every
+ * instance, including short-lived serverless ones, shares them. If the count cannot be read the
+ * request is let through rather than failing.
+ * Set TRUST_PROXY when running behind a proxy so req.ip is the client address.
+ *
+ * Usage: router.post('/', rateLimit({ name: 'tracking', windowMs: 15 * 60 * 1000, max: 10 }), handler)
+ */
+const rateLimit = ({ name, windowMs, max, message = 'Too many requests. Please try again later.' }) => {
+  // Count a hit in the client's current window; windows start at multiples of windowMs
+  const hit = async (ip, now) => {
+    const window = Math.floor(now / windowMs);
+    const resetAt = (window + 1) * windowMs;
+    const update = () => RateLimitHit.findOneAndUpdate(
+      { key: `${name}:${ip}:${window}` },
+      { $inc: { count: 1 }, $setOnInsert: { expires_at: new Date(resetAt) } },
+      { upsert: true, new: true }
+    ).lean();
+
+    let entry;
+    try {
+      entry = await update();
+    } catch (error) {
+      // Two first hits in a window can race on the upsert; the loser increments the winner's entry
+      if (error.code !== 11000) throw error;
+      entry = await update();
+    }
+    return { count: entry.count, resetAt };
+  };
+
+  return async (req, res, next) => {
+    const now = Date.now();
+    const ip = req.ip || req.socket?.remoteAddress || 'unknown';
+
+    let entry;
+    try {
+      entry = await hit(ip, now);
+    } catch (error) {
+      logger.error('rateLimit:store_failed', { name, ip, message: error.message });
+      return next();
+    }
+
+    res.setHeader('X-RateLimit-Limit', max);
+    res.setHeader('X-RateLimit-Remaining', Math.max(0, max - entry.count));
+    res.setHeader('X-RateLimit-Reset', Math.ceil(entry.resetAt / 1000));
+
+    if (entry.count > max) {
+      if (entry.count === max + 1) {
+        logger.warn('rateLimit:exceeded', { name, ip, path: `${req.baseUrl}${req.path}` });
+      }
+      res.setHeader('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+      return res.status(429).json({ success: false, message });
+    }
+    next();
+  };
+};
+
+module.exports = { rateLimit };
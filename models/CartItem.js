@@ -14,12 +14,22 @@ const cartItemSchema = new mongoose.Schema(
       required: [true, 'Product ID is required'],
       index: true,
     },
+    // Selected pack size (Product.variants._id), null for products without variants
+    variant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
     quantity: {
       type: Number,
       required: [true, 'Quantity is required'],
       min: [1, 'Quantity must be at least 1'],
       default: 1,
     },
+    // Unit price (after any sale) when the item was last added; used to report price changes
+    price_at_add: {
+      type: Number,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -53,7 +63,7 @@ const cartItemSchema = new mongoose.Schema(
 );
  
 // Compound index to prevent duplicate items
-cartItemSchema.index({ user_id: 1, product_id: 1 }, { unique: true });
+cartItemSchema.index({ user_id: 1, product_id: 1, variant_id: 1 }, { unique: true });
 
  
 module.exports = mongoose.model('CartItem', cartItemSchema);
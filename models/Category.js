@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 
+/**
+ * URL-safe slug from a category name, e.g. "Sattu & Flours" -> "sattu-flours"
+ */
+const slugify = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
 const categorySchema = new mongoose.Schema(
   {
     name: {
@@ -8,6 +19,31 @@ const categorySchema = new mongoose.Schema(
       trim: true,
       unique: true,
     },
+    slug: {
+      type: String,
+      required: [true, 'Category slug is required'],
+      trim: true,
+      lowercase: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    image_url: {
+      type: String,
+      default: null,
+    },
+    // null for top-level categories
+    parent_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+    sort_order: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -28,6 +64,20 @@ const categorySchema = new mongoose.Schema(
   }
 );
 
+// Generated slugs get a numeric suffix when another category already uses them
+categorySchema.pre('validate', async function () {
+  if (this.slug || !this.name) return;
+  const base = slugify(this.name) || 'category';
+  let slug = base;
+  for (let n = 2; await this.constructor.exists({ slug, _id: { $ne: this._id } }); n++) {
+    slug = `${base}-${n}`;
+  }
+  this.slug = slug;
+});
+
 categorySchema.index({ name: 1 }, { unique: true });
+categorySchema.index({ parent_id: 1, sort_order: 1, name: 1 });
+
+categorySchema.statics.slugify = slugify;
 
-module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
+module.exports = mongoose.model('Category', categorySchema);
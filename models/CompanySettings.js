@@ -44,6 +44,21 @@ const companySettingsSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Whether product prices already include GST (tax is backed out instead of added)
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
+    },
+    // Customers may cancel pending/processing orders themselves within this many hours (0 = until shipped)
+    customerCancellationEnabled: {
+      type: Boolean,
+      default: true,
+    },
+    cancellationWindowHours: {
+      type: Number,
+      default: 24,
+      min: [0, 'Cancellation window cannot be negative'],
+    },
     bankName: {
       type: String,
       default: '',
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+/**
+ * Named sequence, incremented atomically (e.g. order numbers per financial year)
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true }, // sequence name, e.g. "order:2026"
+    seq: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Counter', counterSchema);
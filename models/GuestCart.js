@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const guestCartItemSchema = new mongoose.Schema(
+  {
+    product_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product ID is required'],
+    },
+    // Selected pack size (Product.variants._id), null for products without variants
+    variant_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+      min: [1, 'Quantity must be at least 1'],
+      default: 1,
+    },
+    // Unit price when the item was last added; carried into the user's cart on merge
+    price_at_add: { type: Number, default: null },
+    added_at: { type: Date, default: Date.now },
+  },
+  {
+    toJSON: {
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Cart of an anonymous visitor, identified by an opaque token the client keeps
+ * Merged into the user's CartItems when they log in; deleted when it expires.
+ */
+const guestCartSchema = new mongoose.Schema(
+  {
+    token: { type: String, required: true, unique: true },
+    items: { type: [guestCartItemSchema], default: [] },
+    expires_at: { type: Date, required: true },
+    merged_at: { type: Date, default: null },
+    merged_into: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  }
+);
+
+guestCartSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GuestCart', guestCartSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * First response to a request sent with an Idempotency-Key header, replayed on retries
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    key: {
+      type: String,
+      required: [true, 'Idempotency key is required'],
+      maxlength: [255, 'Idempotency key cannot exceed 255 characters'],
+    },
+    method: { type: String, required: true },
+    path: { type: String, required: true },
+    // Hash of the request body; a replay with a different body is rejected
+    request_hash: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ['in_progress', 'completed'],
+      default: 'in_progress',
+    },
+    response_status: { type: Number, default: null },
+    response_body: { type: mongoose.Schema.Types.Mixed, default: null },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+idempotencyKeySchema.index({ user_id: 1, key: 1 }, { unique: true });
+
+// Remove keys once their replay window has passed
+idempotencyKeySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
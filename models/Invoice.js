@@ -29,11 +29,21 @@ const invoiceSchema = new mongoose.Schema(
           type: mongoose.Schema.Types.ObjectId,
           ref: 'Product',
         },
+        variant_id: mongoose.Schema.Types.ObjectId,
+        sku: String,
+        variant_label: String,
         name: String,
         description: String,
         quantity: Number,
         price: Number,
         amount: Number,
+        hsn_code: String,
+        gst_rate: Number,
+        taxable_value: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        tax_amount: Number,
       },
     ],
     
@@ -59,10 +69,40 @@ const invoiceSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    cod_fee: {
+      type: Number,
+      default: 0,
+    },
     tax_amount: {
       type: Number,
       default: 0,
     },
+    // GST split: CGST + SGST within the seller's state, IGST across states
+    taxable_amount: {
+      type: Number,
+      default: 0,
+    },
+    cgst_amount: {
+      type: Number,
+      default: 0,
+    },
+    sgst_amount: {
+      type: Number,
+      default: 0,
+    },
+    igst_amount: {
+      type: Number,
+      default: 0,
+    },
+    supply_type: {
+      type: String,
+      enum: ['intra_state', 'inter_state'],
+      default: 'intra_state',
+    },
+    prices_include_tax: {
+      type: Boolean,
+      default: false,
+    },
     total_amount: {
       type: Number,
       required: true,
@@ -163,6 +203,23 @@ const invoiceSchema = new mongoose.Schema(
       default: 'issued',
       index: true,
     },
+
+    // Revisions: an amended order gets a new invoice and the previous one is cancelled
+    revision: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    previous_invoice_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null,
+    },
+    superseded_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -43,8 +43,24 @@ const offlineSaleSchema = new mongoose.Schema(
         description: {
           type: String,
         },
+        // Catalogue product sold on this line; its stock is deducted (free-text lines are not tracked)
+        product_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          default: null,
+        },
+        variant_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
       },
     ],
+    // Order created for the sale (stock movements are recorded against it)
+    order_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
     total_amount: {
       type: Number,
       required: true,
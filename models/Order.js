@@ -1,7 +1,15 @@
 const mongoose = require('mongoose');
+const { nextOrderNumber } = require('../services/orderNumberService');
 
 const orderSchema = new mongoose.Schema(
   {
+    // Human-readable number customers quote, e.g. GF-2026-000123 (assigned when the order is created)
+    order_number: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+    },
     user_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -40,10 +48,11 @@ const orderSchema = new mongoose.Schema(
         enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
         required: true,
       },
+      // null for automatic changes (courier tracking updates)
       changedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true,
+        default: null,
       },
       changedAt: {
         type: Date,
@@ -74,6 +83,23 @@ const orderSchema = new mongoose.Schema(
         type: Date,
         default: null,
       },
+      // Courier integration (services/courierService); null when entered by hand
+      courier: { type: String, default: null },
+      courier_shipment_id: { type: String, default: null },
+      tracking_status: {
+        type: String,
+        enum: ['created', 'picked_up', 'in_transit', 'out_for_delivery', 'failed_attempt', 'delivered', 'returned', 'cancelled', null],
+        default: null,
+      },
+      events: [{
+        _id: false,
+        status: { type: String, required: true },
+        description: { type: String, default: '' },
+        location: { type: String, default: '' },
+        occurred_at: { type: Date, required: true },
+      }],
+      created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      last_synced_at: { type: Date, default: null },
     },
 
     // Coupon details
@@ -83,6 +109,9 @@ const orderSchema = new mongoose.Schema(
     // Delivery details
     delivery_charges: { type: Number, default: 0, min: 0 },
     delivery_type: { type: String, default: 'standard' }, // "standard", "express", etc.
+    shipping_zone: { type: String, default: null }, // ShippingZone name the charge came from
+    shipping_weight_grams: { type: Number, default: null },
+    estimated_delivery_date: { type: Date, default: null },
 
     // Gift wrapping details
     gift_design_id: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftDesign', default: null },
@@ -92,7 +121,41 @@ const orderSchema = new mongoose.Schema(
 
     // Tax details
     tax_amount: { type: Number, default: 0, min: 0 },
-    tax_rate: { type: Number, default: 5, min: 0 }, // 5% GST
+    tax_rate: { type: Number, default: null, min: 0 }, // null when items carry different GST rates
+    taxable_amount: { type: Number, default: 0, min: 0 },
+    cgst_amount: { type: Number, default: 0, min: 0 },
+    sgst_amount: { type: Number, default: 0, min: 0 },
+    igst_amount: { type: Number, default: 0, min: 0 },
+    supply_type: { type: String, enum: ['intra_state', 'inter_state'], default: 'intra_state' },
+    prices_include_tax: { type: Boolean, default: false },
+
+    // Payment: Razorpay (paid before placement) or cash on delivery (paid when an admin records collection)
+    payment_method: { type: String, enum: ['razorpay', 'cod'], default: 'razorpay' },
+    payment_status: {
+      type: String,
+      enum: ['pending', 'paid', 'failed', 'refunded'],
+      default: 'pending',
+      index: true,
+    },
+    paid_at: { type: Date, default: null },
+    // Captured when the order was paid; refunds are bounded by it since amendments lower total_amount
+    amount_paid: { type: Number, default: 0, min: 0 },
+    razorpay_order_id: { type: String, default: null },
+    cod_fee: { type: Number, default: 0, min: 0 },
+
+    // Refund for a cancelled paid order ('pending' = to be refunded manually, 'failed' = retry from admin,
+    // 'processing' = a retry is in flight)
+    refund_status: {
+      type: String,
+      enum: ['none', 'pending', 'processing', 'processed', 'failed'],
+      default: 'none',
+    },
+    // Refunded, or owed by a manual refund
+    refund_amount: { type: Number, default: 0, min: 0 },
+    // Owed after a failed Razorpay refund, until an admin retries it
+    refund_due: { type: Number, default: 0, min: 0 },
+    refund_id: { type: String, default: null },
+    refunded_at: { type: Date, default: null },
 
     // Sale type (online vs offline)
     sale_type: {
@@ -102,6 +165,24 @@ const orderSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Inventory state: none -> reserved -> committed -> released
+    inventory_status: {
+      type: String,
+      enum: ['none', 'reserved', 'committed', 'released'],
+      default: 'none',
+    },
+
+    // Checkout placement: 'pending' until every step (stock, items, cart, coupon, invoice) is done;
+    // pending orders left behind by a failed placement are rolled back by the reconciler
+    placement_status: {
+      type: String,
+      enum: ['pending', 'placed'],
+      default: 'placed',
+      index: true,
+    },
+    coupon_redeemed: { type: Boolean, default: false },
+    cart_cleared: { type: Boolean, default: false },
+
     // Invoice details
     invoice_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', default: null },
     invoice_number: { type: String, default: null },
@@ -151,8 +232,18 @@ orderSchema.virtual('shipping_address', {
   justOne: true,
 });
 
+// Assign the next order number to new orders (checkouts paid through Razorpay bring the number
+// reserved with their Razorpay order)
+orderSchema.pre('save', async function (next) {
+  if (this.isNew && !this.order_number) {
+    this.order_number = await nextOrderNumber();
+  }
+  next();
+});
+
 // Indexes
 orderSchema.index({ user_id: 1, createdAt: -1 }); // FIX: use createdAt, not created_at
 orderSchema.index({ status: 1 });
+orderSchema.index({ 'shipment.trackingNumber': 1 }); // courier webhooks
 
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
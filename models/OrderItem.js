@@ -14,6 +14,13 @@ const orderItemSchema = new mongoose.Schema(
       required: [true, 'Product ID is required'],
       index: true,
     },
+    // Pack size snapshot at order time
+    variant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    sku: { type: String, default: null },
+    variant_label: { type: String, default: null },
     quantity: {
       type: Number,
       required: [true, 'Quantity is required'],
@@ -24,6 +31,11 @@ const orderItemSchema = new mongoose.Schema(
       required: [true, 'Price is required'],
       min: [0, 'Price cannot be negative'],
     },
+    // GST snapshot at order time (taxable_value is after the line's share of the discount)
+    hsn_code: { type: String, default: null },
+    gst_rate: { type: Number, default: null },
+    taxable_value: { type: Number, default: null },
+    tax_amount: { type: Number, default: null },
   },
   {
     timestamps: { createdAt: 'created_at', updatedAt: false }, // Only created_at, no updated_at
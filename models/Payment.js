@@ -14,10 +14,14 @@ const paymentSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Not set for cash on delivery collections
     razorpay_order_id: {
       type: String,
-      required: true,
+      required: function () {
+        return this.payment_method !== 'cod';
+      },
       unique: true,
+      sparse: true,
       index: true,
     },
     razorpay_payment_id: {
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * Delivery coverage of one pincode, maintained by admins (single edits or CSV import)
+ * Pincodes not listed follow UNLISTED_PINCODES_SERVICEABLE and the default ETAs.
+ */
+const pincodeServiceabilitySchema = new mongoose.Schema(
+  {
+    pincode: {
+      type: String,
+      required: [true, 'Pincode is required'],
+      unique: true,
+      trim: true,
+      match: [/^[1-9]\d{5}$/, 'Pincode must be a 6-digit number'],
+    },
+    city: { type: String, trim: true, default: null },
+    state: { type: String, trim: true, default: null },
+    is_serviceable: { type: Boolean, default: true },
+    cod_allowed: { type: Boolean, default: true },
+    // Days from dispatch to delivery by delivery_type; null uses the default ETA
+    eta_days: {
+      standard: { type: Number, min: [0, 'ETA cannot be negative'], default: null },
+      express: { type: Number, min: [0, 'ETA cannot be negative'], default: null },
+    },
+    updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+pincodeServiceabilitySchema.index({ is_serviceable: 1 });
+
+module.exports = mongoose.model('PincodeServiceability', pincodeServiceabilitySchema);
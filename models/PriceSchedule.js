@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+/**
+ * One change to a price schedule, kept for auditing
+ * changes: { field: { from, to } }
+ */
+const historySchema = new mongoose.Schema(
+  {
+    action: { type: String, required: true, enum: ['created', 'updated', 'cancelled'] },
+    changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Timed sale price for a product (optionally one pack size) or a whole category
+ * The effective price is resolved at read time and mirrored to Product.effective_price for price
+ * filters and sorts; schedules are never deleted, only cancelled.
+ */
+const priceScheduleSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      required: [true, 'Scope is required'],
+      enum: {
+        values: ['product', 'category'],
+        message: '{VALUE} is not a valid scope',
+      },
+    },
+    product_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', default: null, index: true },
+    variant_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // Category schedules also apply to products in its subcategories
+    category_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null, index: true },
+    // sale_price: value is the selling price; percent_off: value is a percentage of the regular price
+    type: {
+      type: String,
+      required: [true, 'Type is required'],
+      enum: {
+        values: ['sale_price', 'percent_off'],
+        message: '{VALUE} is not a valid schedule type',
+      },
+    },
+    value: {
+      type: Number,
+      required: [true, 'Value is required'],
+      min: [0, 'Value cannot be negative'],
+    },
+    // Festival or campaign name shown with the price, e.g. "Diwali Sale"
+    label: { type: String, trim: true, default: null },
+    starts_at: { type: Date, required: [true, 'Start time is required'] },
+    ends_at: { type: Date, required: [true, 'End time is required'] },
+    cancelled_at: { type: Date, default: null },
+    // Whether product effective prices currently include this schedule (see salePricingService)
+    applied: { type: Boolean, default: false },
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    history: { type: [historySchema], default: [] },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+priceScheduleSchema.index({ cancelled_at: 1, starts_at: 1, ends_at: 1 });
+priceScheduleSchema.index({ applied: 1, ends_at: 1 });
+
+priceScheduleSchema.pre('validate', function (next) {
+  if (this.scope === 'product') {
+    if (!this.product_id) this.invalidate('product_id', 'Product is required for a product schedule');
+    this.category_id = null;
+  } else if (this.scope === 'category') {
+    if (!this.category_id) this.invalidate('category_id', 'Category is required for a category schedule');
+    if (this.type === 'sale_price') {
+      this.invalidate('type', 'Category schedules must use percent_off');
+    }
+    this.product_id = null;
+    this.variant_id = null;
+  }
+
+  if (this.type === 'percent_off' && !(this.value > 0 && this.value < 100)) {
+    this.invalidate('value', 'Percent off must be between 0 and 100');
+  }
+
+  if (this.starts_at && this.ends_at && this.ends_at <= this.starts_at) {
+    this.invalidate('ends_at', 'End time must be after the start time');
+  }
+  next();
+});
+
+module.exports = mongoose.model('PriceSchedule', priceScheduleSchema);
@@ -1,5 +1,82 @@
 const mongoose = require('mongoose');
+const { NUTRIENTS, ALLERGENS, DIETARY_TAGS } = require('../utils/nutrition');
  
+// Pack size of a product (e.g. 200g / 500g / 1kg) with its own SKU, price and stock
+const variantSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: [true, 'Variant SKU is required'],
+      trim: true,
+      uppercase: true,
+    },
+    label: {
+      type: String,
+      required: [true, 'Variant label is required'],
+      trim: true,
+    },
+    weight_grams: {
+      type: Number,
+      min: [0, 'Weight cannot be negative'],
+    },
+    price: {
+      type: Number,
+      required: [true, 'Variant price is required'],
+      min: [0, 'Price cannot be negative'],
+    },
+    original_price: {
+      type: Number,
+      min: [0, 'Original price cannot be negative'],
+    },
+    // Price with any running sale applied (maintained by salePricingService)
+    effective_price: {
+      type: Number,
+    },
+    stock: {
+      type: Number,
+      default: 0,
+      min: [0, 'Stock cannot be negative'],
+    },
+    reserved_stock: {
+      type: Number,
+      default: 0,
+      min: [0, 'Reserved stock cannot be negative'],
+    },
+    is_active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    _id: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Nutrition facts per serving
+const nutritionSchema = new mongoose.Schema(
+  {
+    serving_size_g: {
+      type: Number,
+      min: [0, 'Serving size cannot be negative'],
+    },
+    servings_per_pack: {
+      type: Number,
+      min: [0, 'Servings per pack cannot be negative'],
+    },
+    ...Object.fromEntries(
+      NUTRIENTS.map((n) => [n.key, { type: Number, min: [0, `${n.label} cannot be negative`] }])
+    ),
+  },
+  { _id: false }
+);
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -20,16 +97,59 @@ const productSchema = new mongoose.Schema(
       type: Number,
       min: [0, 'Original price cannot be negative'],
     },
+    // Selling price with any running sale applied, used to filter and sort by price
+    // (maintained by salePricingService; equals price when nothing is on sale)
+    effective_price: {
+      type: Number,
+    },
     category: {
       type: String,
       required: [true, 'Product category is required'],
       trim: true,
     },
+    // Category the product belongs to; `category` above mirrors its name
+    category_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
     images: {
       type: [String],
       required: true,
-      validate: { validator: v => v && v.length > 0 }
+      validate: { validator: v => v && v.length > 0, message: 'At least one image is required' }
+    },
+    // On-hand quantity; reserved_stock is held by pending checkouts
+    stock: {
+      type: Number,
+      default: 0,
+      min: [0, 'Stock cannot be negative'],
+    },
+    reserved_stock: {
+      type: Number,
+      default: 0,
+      min: [0, 'Reserved stock cannot be negative'],
+    },
+    // Shipping weight of one unit; pack sizes carry their own weight_grams
+    weight_grams: {
+      type: Number,
+      min: [0, 'Weight cannot be negative'],
+    },
+    // GST classification; products without a gst_rate use DEFAULT_GST_RATE (see taxService)
+    hsn_code: {
+      type: String,
+      trim: true,
+      match: [/^\d{4}(\d{2})?(\d{2})?$/, 'HSN code must be 4, 6 or 8 digits'],
     },
+    gst_rate: {
+      type: Number,
+      enum: { values: [0, 5, 12, 18, 28], message: 'GST rate must be one of 0, 5, 12, 18 or 28' },
+    },
+    low_stock_threshold: {
+      type: Number,
+      default: 10,
+      min: [0, 'Low stock threshold cannot be negative'],
+    },
+    // Derived from stock - reserved_stock (see pre-save hook and inventoryService)
     in_stock: {
       type: Boolean,
       default: true,
@@ -45,6 +165,11 @@ const productSchema = new mongoose.Schema(
       default: 0,
       min: [0, 'Reviews count cannot be negative'],
     },
+    // When present, price/stock above are aggregates of the active variants
+    variants: {
+      type: [variantSchema],
+      default: [],
+    },
     benefits: {
       type: [String],
       default: [],
@@ -55,6 +180,18 @@ const productSchema = new mongoose.Schema(
     usage: {
       type: String,
     },
+    nutrition: {
+      type: nutritionSchema,
+      default: undefined,
+    },
+    allergens: {
+      type: [{ type: String, enum: { values: Object.keys(ALLERGENS), message: '{VALUE} is not a valid allergen' } }],
+      default: [],
+    },
+    dietary_tags: {
+      type: [{ type: String, enum: { values: Object.keys(DIETARY_TAGS), message: '{VALUE} is not a valid dietary tag' } }],
+      default: [],
+    },
   },
   {
     timestamps: true, // This creates created_at and updated_at automatically
@@ -89,14 +226,60 @@ const productSchema = new mongoose.Schema(
   }
 );
  
-// in_stock is manually managed by admin
+// in_stock is derived from the available quantity
+productSchema.virtual('available_stock').get(function () {
+  return Math.max(0, (this.stock || 0) - (this.reserved_stock || 0));
+});
+
+productSchema.pre('validate', function (next) {
+  const skus = (this.variants || []).map((v) => v.sku);
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate('variants', 'Variant SKUs must be unique');
+  }
+
+  // Products with variants list the cheapest active pack and the total stock of all packs
+  const active = (this.variants || []).filter((v) => v.is_active);
+  if (active.length > 0) {
+    const cheapest = active.reduce((min, v) => (v.price < min.price ? v : min), active[0]);
+    this.price = cheapest.price;
+    this.original_price = cheapest.original_price;
+  }
+
+  // A new regular price stands until salePricingService reapplies any running sale
+  (this.variants || []).forEach((v) => {
+    if (v.effective_price == null || v.isModified('price')) v.effective_price = v.price;
+  });
+  if (active.length > 0) {
+    this.effective_price = Math.min(...active.map((v) => v.effective_price));
+  } else if (this.effective_price == null || this.isModified('price')) {
+    this.effective_price = this.price;
+  }
+
+  if (this.variants && this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
+    this.reserved_stock = this.variants.reduce((sum, v) => sum + (v.reserved_stock || 0), 0);
+  }
+  next();
+});
+
+productSchema.pre('save', function (next) {
+  this.in_stock = (this.stock || 0) - (this.reserved_stock || 0) > 0;
+  next();
+});
 
 // Index for faster queries
 productSchema.index({ category: 1 });
+productSchema.index({ category_id: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ in_stock: 1 });
+productSchema.index({ stock: 1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index({ 'variants.price': 1 });
+productSchema.index({ effective_price: 1 });
+productSchema.index({ 'variants.effective_price': 1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ rating: -1 });
+productSchema.index({ dietary_tags: 1 });
 productSchema.index({ reviews_count: -1 });
  
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * A customer's subscription to restock or price-drop emails for a product (or one pack size)
+ * One subscription per user, product, pack size and type; it is deleted when it expires.
+ */
+const productAlertSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    product_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product ID is required'],
+    },
+    variant_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    type: {
+      type: String,
+      required: [true, 'Alert type is required'],
+      enum: {
+        values: ['restock', 'price_drop'],
+        message: '{VALUE} is not a valid alert type',
+      },
+    },
+    // manual: subscribed from the product page; wishlist: follows a wishlist item
+    source: { type: String, enum: ['manual', 'wishlist'], default: 'manual' },
+    status: { type: String, enum: ['active', 'notified'], default: 'active' },
+    // Price when subscribed (or last notified); price-drop emails go out below this
+    baseline_price: { type: Number, default: null },
+    last_notified_at: { type: Date, default: null },
+    notifications_sent: { type: Number, default: 0 },
+    expires_at: { type: Date, required: true },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+productAlertSchema.index({ user_id: 1, product_id: 1, variant_id: 1, type: 1 }, { unique: true });
+productAlertSchema.index({ product_id: 1, type: 1, status: 1 });
+productAlertSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ProductAlert', productAlertSchema);
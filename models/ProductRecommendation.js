@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const recommendedSchema = new mongoose.Schema(
+  {
+    product_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    score: { type: Number, default: 0 },
+    // orders: bought in the same orders; similar: same-category similarity fallback
+    source: { type: String, enum: ['orders', 'similar'], required: true },
+    // Orders containing both products (orders source only)
+    orders: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Precomputed recommendations for one product
+ * Rebuilt periodically from order history by services/recommendationService
+ */
+const productRecommendationSchema = new mongoose.Schema(
+  {
+    product_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product ID is required'],
+      unique: true,
+    },
+    bought_together: { type: [recommendedSchema], default: [] },
+    related: { type: [recommendedSchema], default: [] },
+    computed_at: { type: Date, default: Date.now, index: true },
+  },
+  {
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+module.exports = mongoose.model('ProductRecommendation', productRecommendationSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Requests counted in one rate-limit window for one client, shared by every server instance
+ */
+const rateLimitHitSchema = new mongoose.Schema(
+  {
+    // '<limiter name>:<client IP>:<window number>'
+    key: {
+      type: String,
+      required: [true, 'Rate limit key is required'],
+    },
+    count: { type: Number, default: 0, min: 0 },
+    // End of the window
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+rateLimitHitSchema.index({ key: 1 }, { unique: true });
+
+// Remove windows once they have ended
+rateLimitHitSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitHit', rateLimitHitSchema);
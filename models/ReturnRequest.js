@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+const RETURN_STATUSES = [
+  'requested',
+  'approved',
+  'rejected',
+  'pickup_scheduled',
+  'picked_up',
+  'received',
+  'inspected',
+  'refunded',
+];
+
+const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'wrong_item',
+  'not_as_described',
+  'quality_issue',
+  'expired',
+  'other',
+];
+
+/**
+ * Customer return (RMA) for items of a delivered order
+ * requested -> approved | rejected; approved -> pickup_scheduled -> picked_up -> received
+ * -> inspected (quality check per item) -> refunded
+ */
+const returnRequestSchema = new mongoose.Schema(
+  {
+    order_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Order ID is required'],
+      index: true,
+    },
+    order_number: { type: String, default: null },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    items: {
+      type: [
+        {
+          order_item_id: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderItem', required: true },
+          product_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+          variant_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+          sku: { type: String, default: null },
+          name: { type: String, default: '' },
+          quantity: { type: Number, required: true, min: [1, 'Quantity must be at least 1'] },
+          // Paid per unit after discount, including GST
+          unit_refund: { type: Number, required: true, min: 0 },
+          // Quality check: restock (refund, back to stock), discard (refund, not resellable),
+          // rejected (no refund; item goes back to the customer)
+          qc_result: {
+            type: String,
+            enum: ['pending', 'restock', 'discard', 'rejected'],
+            default: 'pending',
+          },
+        },
+      ],
+      validate: [(items) => items.length > 0, 'At least one item is required'],
+    },
+    reason: {
+      type: String,
+      required: [true, 'Return reason is required'],
+      enum: {
+        values: RETURN_REASONS,
+        message: '{VALUE} is not a valid return reason',
+      },
+    },
+    comments: { type: String, default: '', maxlength: [1000, 'Comments cannot exceed 1000 characters'] },
+    // Image URLs from /api/upload
+    photos: {
+      type: [String],
+      validate: [(photos) => photos.length <= 5, 'A return can have at most 5 photos'],
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: RETURN_STATUSES,
+        message: '{VALUE} is not a valid return status',
+      },
+      default: 'requested',
+      index: true,
+    },
+    statusHistory: [
+      {
+        status: { type: String, enum: RETURN_STATUSES, required: true },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        changedAt: { type: Date, default: Date.now, required: true },
+        comment: { type: String, default: '' },
+      },
+    ],
+
+    rejection_reason: { type: String, default: '' },
+
+    // Reverse pickup
+    pickup: {
+      scheduled_for: { type: Date, default: null },
+      courier: { type: String, default: null },
+      tracking_number: { type: String, default: null },
+      picked_up_at: { type: Date, default: null },
+    },
+    received_at: { type: Date, default: null },
+
+    quality_check: {
+      notes: { type: String, default: '' },
+      inspected_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      inspected_at: { type: Date, default: null },
+    },
+
+    // Customer's preference; the admin may choose otherwise when refunding.
+    // bank_transfer is for cash on delivery orders: the admin pays it out and records the reference.
+    refund_method: {
+      type: String,
+      enum: ['original', 'store_credit', 'bank_transfer'],
+      default: 'original',
+    },
+    // Account or UPI ID a bank_transfer refund is paid to, given by the customer
+    bank_details: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [300, 'Bank details cannot exceed 300 characters'],
+    },
+    refund: {
+      method: { type: String, enum: ['original', 'store_credit', 'bank_transfer', null], default: null },
+      amount: { type: Number, default: 0, min: 0 },
+      status: {
+        type: String,
+        enum: ['none', 'pending', 'processed', 'failed'],
+        default: 'none',
+      },
+      refund_id: { type: String, default: null },
+      processed_at: { type: Date, default: null },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        ret.created_at = ret.createdAt;
+        ret.updated_at = ret.updatedAt;
+        delete ret.createdAt;
+        delete ret.updatedAt;
+        return ret;
+      },
+    },
+  }
+);
+
+returnRequestSchema.index({ user_id: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Inclusive range of 6-digit pincodes, e.g. 560001-560099
+const pincodeRangeSchema = new mongoose.Schema(
+  {
+    from: { type: Number, required: [true, 'Range start is required'], min: 100000, max: 999999 },
+    to: { type: Number, required: [true, 'Range end is required'], min: 100000, max: 999999 },
+  },
+  { _id: false }
+);
+
+// Charge for shipments up to max_grams
+const weightSlabSchema = new mongoose.Schema(
+  {
+    max_grams: { type: Number, required: [true, 'Slab weight is required'], min: [1, 'Slab weight must be positive'] },
+    charge: { type: Number, required: [true, 'Slab charge is required'], min: [0, 'Charge cannot be negative'] },
+  },
+  { _id: false }
+);
+
+/**
+ * Delivery charges for a set of pincodes or states
+ *
+ * A shipment is matched to the active zone with a pincode range containing the pincode,
+ * then to one listing the state, then to the default zone; priority breaks ties.
+ * Standard delivery costs the weight slab charge (free from free_shipping_above);
+ * express adds express_surcharge on top and is never free.
+ */
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Zone name is required'],
+      trim: true,
+      unique: true,
+    },
+    pincode_ranges: { type: [pincodeRangeSchema], default: [] },
+    // State names as on addresses, compared case-insensitively
+    states: { type: [{ type: String, trim: true }], default: [] },
+    // Used for addresses no other zone covers
+    is_default: { type: Boolean, default: false },
+    priority: { type: Number, default: 0 },
+    weight_slabs: {
+      type: [weightSlabSchema],
+      validate: { validator: (v) => v && v.length > 0, message: 'At least one weight slab is required' },
+    },
+    // Added per started kg above the heaviest slab
+    extra_charge_per_kg: { type: Number, default: 0, min: [0, 'Charge cannot be negative'] },
+    // Order value (after discounts) from which standard delivery is free; null = never
+    free_shipping_above: { type: Number, default: null, min: [0, 'Threshold cannot be negative'] },
+    express_available: { type: Boolean, default: false },
+    express_surcharge: { type: Number, default: 0, min: [0, 'Surcharge cannot be negative'] },
+    is_active: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+shippingZoneSchema.pre('validate', function (next) {
+  if (this.pincode_ranges.some((r) => r.from > r.to)) {
+    this.invalidate('pincode_ranges', 'Pincode range start must not be after its end');
+  }
+  if (!this.is_default && this.pincode_ranges.length === 0 && this.states.length === 0) {
+    this.invalidate('pincode_ranges', 'A zone needs pincode ranges or states unless it is the default zone');
+  }
+  next();
+});
+
+shippingZoneSchema.index({ is_active: 1, priority: -1 });
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
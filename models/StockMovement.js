@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stock movement ledger
+ * One row per change to a product's stock or reserved_stock
+ */
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product ID is required'],
+      index: true,
+    },
+    variant_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    sku: { type: String, default: null },
+    type: {
+      type: String,
+      required: true,
+      enum: {
+        values: ['adjustment', 'reservation', 'release', 'sale', 'restock'],
+        message: '{VALUE} is not a valid stock movement type',
+      },
+    },
+    // Signed change applied to stock (adjustment/sale/restock) or reserved_stock (reservation/release)
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+    },
+    stock_after: { type: Number, default: 0 },
+    reserved_after: { type: Number, default: 0 },
+    order_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null, index: true },
+    reservation_id: { type: mongoose.Schema.Types.ObjectId, ref: 'StockReservation', default: null },
+    reason: { type: String, default: '' },
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: { createdAt: 'created_at', updatedAt: false },
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+stockMovementSchema.index({ product_id: 1, created_at: -1 });
+stockMovementSchema.index({ type: 1, created_at: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stock held for a checkout between Razorpay order creation and order placement
+ */
+const stockReservationSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    order_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+      index: true,
+    },
+    razorpay_order_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Order number allocated with the Razorpay order (its receipt), used by the order placed from it
+    order_number: { type: String, default: null },
+    // Cart checkouts: the quote the customer was charged (pricingService.formatQuote plus coupon_id)
+    // and the address it was priced for; the order placed from the payment uses them as they were
+    shipping_address_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Address',
+      default: null,
+    },
+    quote: { type: mongoose.Schema.Types.Mixed, default: null },
+    items: [
+      {
+        product_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        variant_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+        quantity: { type: Number, required: true, min: 1 },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['active', 'committed', 'released'],
+      default: 'active',
+      index: true,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+    released_reason: { type: String, default: '' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockReservationSchema.index({ status: 1, expires_at: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * Ledger entry for a change to a user's store credit balance (User.store_credit_balance)
+ */
+const storeCreditTransactionSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    // Signed change: positive for credit issued, negative for credit spent
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+    },
+    balance_after: { type: Number, required: true, min: 0 },
+    source: {
+      type: String,
+      enum: {
+        values: ['return_refund', 'adjustment'],
+        message: '{VALUE} is not a valid store credit source',
+      },
+      required: true,
+    },
+    order_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    return_id: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest', default: null },
+    note: { type: String, default: '' },
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+storeCreditTransactionSchema.index({ user_id: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StoreCreditTransaction', storeCreditTransactionSchema);
@@ -69,6 +69,17 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Subscribe wishlisted products to restock and price-drop emails
+    wishlist_alerts: {
+      type: Boolean,
+      default: false,
+    },
+    // Store credit from refunded returns (ledger in StoreCreditTransaction)
+    store_credit_balance: {
+      type: Number,
+      default: 0,
+      min: [0, 'Store credit balance cannot be negative'],
+    },
     // Store current refresh token (rotating refresh tokens)
     refreshToken: {
       type: String,
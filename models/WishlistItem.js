@@ -14,6 +14,11 @@ const wishlistItemSchema = new mongoose.Schema(
       required: [true, 'Product ID is required'],
       index: true,
     },
+    // Selected pack size (Product.variants._id), null for the product as a whole
+    variant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
   },
   {
     timestamps: { createdAt: 'created_at', updatedAt: false },
@@ -47,6 +52,6 @@ wishlistItemSchema.virtual('product', {
 });
  
 // Compound index to prevent duplicates
-wishlistItemSchema.index({ user_id: 1, product_id: 1 }, { unique: true });
+wishlistItemSchema.index({ user_id: 1, product_id: 1, variant_id: 1 }, { unique: true });
  
 module.exports = mongoose.model('WishlistItem', wishlistItemSchema);
\ No newline at end of file
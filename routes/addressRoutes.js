@@ -176,7 +176,7 @@ router.get('/:id', getAddressById);
 *                 type: boolean
 *     responses:
 *       201:
-*         description: Address created successfully
+*         description: Address created; includes serviceability of its pincode and a warning when it cannot be delivered to
 *       400:
 *         description: Validation error
 *       401:
@@ -228,7 +228,7 @@ router.post('/', createAddress);
 *                 type: boolean
 *     responses:
 *       200:
-*         description: Address updated successfully
+*         description: Address updated; includes serviceability of its pincode and a warning when it cannot be delivered to
 *       404:
 *         description: Address not found
 *       401:
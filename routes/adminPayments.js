@@ -6,6 +6,8 @@ const {
   getPaymentById,
   processRefund,
   getPaymentStats,
+  collectCodPayment,
+  retryOrderRefund,
 } = require('../controllers/adminPaymentController');
 
 /**
@@ -22,6 +24,20 @@ router.get('/stats', protect, authorize('admin'), getPaymentStats);
  */
 router.get('/', protect, authorize('admin'), getAllPayments);
 
+/**
+ * @route   POST /api/admin/payments/cod/:orderId/collect
+ * @desc    Record cash collected on delivery (body: amount, reference, notes; all optional)
+ * @access  Private/Admin
+ */
+router.post('/cod/:orderId/collect', protect, authorize('admin'), collectCodPayment);
+
+/**
+ * @route   POST /api/admin/payments/orders/:orderId/refund/retry
+ * @desc    Retry a failed order refund (refunds the order's refund_due)
+ * @access  Private/Admin
+ */
+router.post('/orders/:orderId/refund/retry', protect, authorize('admin'), retryOrderRefund);
+
 /**
  * @route   GET /api/admin/payments/:id
  * @desc    Get payment by ID
@@ -31,7 +47,7 @@ router.get('/:id', protect, authorize('admin'), getPaymentById);
 
 /**
  * @route   POST /api/admin/payments/:id/refund
- * @desc    Process refund
+ * @desc    Process refund; a full refund of a pending or processing order cancels it
  * @access  Private/Admin
  */
 router.post('/:id/refund', protect, authorize('admin'), processRefund);
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getPincodes,
+  upsertPincode,
+  deletePincode,
+  importPincodeSheet,
+} = require('../controllers/adminPincodeController');
+
+// All pincode routes require admin authentication
+router.use(protect, authorize('admin'));
+
+/**
+ * @swagger
+ * /api/admin/pincodes:
+ *   get:
+ *     summary: List pincode serviceability entries (Admin only)
+ *     description: Pincodes not listed follow UNLISTED_PINCODES_SERVICEABLE (default true) with the default ETAs.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Pincode prefix, city or state
+ *       - in: query
+ *         name: serviceable
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: cod_allowed
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Paginated entries
+ */
+router.get('/', getPincodes);
+
+/**
+ * @swagger
+ * /api/admin/pincodes/import:
+ *   post:
+ *     summary: Preview or apply a pincode sheet import (Admin only)
+ *     description: |
+ *       Columns: pincode, city, state, serviceable (yes/no), cod_allowed (yes/no), standard_eta_days, express_eta_days.
+ *       Rows are upserted by pincode; empty cells keep existing values.
+ *       With dry_run (default) nothing is written; otherwise nothing is written unless every row is valid.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 description: Base64 file contents or data URI
+ *               format:
+ *                 type: string
+ *                 enum: [csv, xlsx]
+ *                 description: Inferred from filename or data URI when omitted
+ *               filename:
+ *                 type: string
+ *               dry_run:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Preview (or result) with summary counts and per-row action and errors
+ *       400:
+ *         description: Unreadable file, or rows with errors when applying
+ */
+router.post('/import', importPincodeSheet);
+
+/**
+ * @swagger
+ * /api/admin/pincodes/{pincode}:
+ *   put:
+ *     summary: Add or update a pincode (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pincode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               city:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               is_serviceable:
+ *                 type: boolean
+ *               cod_allowed:
+ *                 type: boolean
+ *               eta_days:
+ *                 type: object
+ *                 description: Days to deliver per delivery type; null uses the default
+ *                 properties:
+ *                   standard:
+ *                     type: integer
+ *                     nullable: true
+ *                   express:
+ *                     type: integer
+ *                     nullable: true
+ *     responses:
+ *       200:
+ *         description: Pincode updated
+ *       201:
+ *         description: Pincode added
+ *       400:
+ *         description: Validation error
+ *   delete:
+ *     summary: Remove a pincode from the table (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pincode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pincode removed
+ *       404:
+ *         description: Pincode not found
+ */
+router.route('/:pincode').put(upsertPincode).delete(deletePincode);
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getPriceSchedules,
+  getPriceSchedule,
+  createPriceSchedule,
+  updatePriceSchedule,
+  cancelPriceSchedule,
+} = require('../controllers/adminPriceScheduleController');
+
+// All price schedule routes require admin authentication
+router.use(protect, authorize('admin'));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceScheduleInput:
+ *       type: object
+ *       required:
+ *         - scope
+ *         - type
+ *         - value
+ *         - starts_at
+ *         - ends_at
+ *       properties:
+ *         scope:
+ *           type: string
+ *           enum: [product, category]
+ *         product_id:
+ *           type: string
+ *           description: Required for product scope
+ *         variant_id:
+ *           type: string
+ *           description: Limit a product schedule to one pack size (required for sale_price on products with pack sizes)
+ *         category_id:
+ *           type: string
+ *           description: Category id or slug, required for category scope; includes subcategories
+ *         type:
+ *           type: string
+ *           enum: [sale_price, percent_off]
+ *           description: sale_price sets the selling price (product scope only); percent_off takes a percentage off the regular price
+ *         value:
+ *           type: number
+ *         label:
+ *           type: string
+ *           description: Optional festival label, e.g. Diwali Sale
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *         ends_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/price-schedules:
+ *   get:
+ *     summary: List price schedules (Admin only)
+ *     tags: [Price Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, active, expired, cancelled]
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [product, category]
+ *       - in: query
+ *         name: product_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: string
+ *         description: Category id or slug
+ *     responses:
+ *       200:
+ *         description: Price schedules, newest start first
+ *   post:
+ *     summary: Create a price schedule (Admin only)
+ *     description: |
+ *       Effective prices are resolved when products, carts and orders are read.
+ *       Product schedules take precedence over category schedules; the lowest price wins among overlapping schedules.
+ *     tags: [Price Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriceScheduleInput'
+ *     responses:
+ *       201:
+ *         description: Price schedule created
+ *       400:
+ *         description: Validation error or unknown product, pack size or category
+ */
+router.route('/').get(getPriceSchedules).post(createPriceSchedule);
+
+/**
+ * @swagger
+ * /api/admin/price-schedules/{id}:
+ *   get:
+ *     summary: Get a price schedule with its change history (Admin only)
+ *     tags: [Price Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price schedule with history
+ *       404:
+ *         description: Price schedule not found
+ *   put:
+ *     summary: Update a scheduled or active price schedule (Admin only)
+ *     description: Every change is recorded in the schedule history.
+ *     tags: [Price Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriceScheduleInput'
+ *     responses:
+ *       200:
+ *         description: Price schedule updated
+ *       409:
+ *         description: Schedule is cancelled or expired
+ */
+router.route('/:id').get(getPriceSchedule).put(updatePriceSchedule);
+
+/**
+ * @swagger
+ * /api/admin/price-schedules/{id}/cancel:
+ *   post:
+ *     summary: Cancel a price schedule (Admin only)
+ *     description: Schedules are never deleted so the pricing history stays auditable.
+ *     tags: [Price Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Price schedule cancelled
+ *       409:
+ *         description: Schedule is already cancelled or expired
+ */
+router.post('/:id/cancel', cancelPriceSchedule);
+
+module.exports = router;
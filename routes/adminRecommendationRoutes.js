@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { rebuildRecommendations } = require('../controllers/recommendationController');
+
+// All recommendation admin routes require admin authentication
+router.use(protect, authorize('admin'));
+
+/**
+ * @swagger
+ * /api/admin/recommendations/rebuild:
+ *   post:
+ *     summary: Recompute product recommendations now (Admin only)
+ *     description: |
+ *       Recommendations are also rebuilt in the background when they are older than
+ *       RECOMMENDATION_REFRESH_HOURS (default 24), or by running scripts/build-recommendations.js from cron.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rebuild summary (products, products_with_co_purchases, removed, computed_at)
+ */
+router.post('/rebuild', rebuildRecommendations);
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getShippingZones,
+  getShippingZone,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+} = require('../controllers/adminShippingZoneController');
+
+// All shipping zone routes require admin authentication
+router.use(protect, authorize('admin'));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingZoneInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - weight_slabs
+ *       properties:
+ *         name:
+ *           type: string
+ *         pincode_ranges:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: integer
+ *                 example: 560001
+ *               to:
+ *                 type: integer
+ *                 example: 560099
+ *         states:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [Karnataka]
+ *         is_default:
+ *           type: boolean
+ *           description: Used for addresses no other zone covers
+ *         priority:
+ *           type: integer
+ *           description: Higher wins when several zones match the same way
+ *         weight_slabs:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               max_grams:
+ *                 type: integer
+ *                 example: 1000
+ *               charge:
+ *                 type: number
+ *                 example: 40
+ *         extra_charge_per_kg:
+ *           type: number
+ *           description: Added per started kg above the heaviest slab
+ *         free_shipping_above:
+ *           type: number
+ *           nullable: true
+ *           description: Order value (after discounts) from which standard delivery is free
+ *         express_available:
+ *           type: boolean
+ *         express_surcharge:
+ *           type: number
+ *           description: Added to the standard charge for express delivery
+ *         is_active:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/admin/shipping-zones:
+ *   get:
+ *     summary: List shipping zones (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Zones, highest priority first
+ *   post:
+ *     summary: Create a shipping zone (Admin only)
+ *     description: Once any zone is active, addresses outside every zone (and without a default zone) cannot be delivered to.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZoneInput'
+ *     responses:
+ *       201:
+ *         description: Zone created
+ *       400:
+ *         description: Validation error or duplicate name
+ */
+router.route('/').get(getShippingZones).post(createShippingZone);
+
+/**
+ * @swagger
+ * /api/admin/shipping-zones/{id}:
+ *   get:
+ *     summary: Get a shipping zone (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Zone
+ *       404:
+ *         description: Zone not found
+ *   put:
+ *     summary: Update a shipping zone (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZoneInput'
+ *     responses:
+ *       200:
+ *         description: Zone updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Zone not found
+ *   delete:
+ *     summary: Delete a shipping zone (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Zone deleted
+ *       404:
+ *         description: Zone not found
+ */
+router.route('/:id').get(getShippingZone).put(updateShippingZone).delete(deleteShippingZone);
+
+module.exports = router;
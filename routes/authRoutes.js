@@ -132,6 +132,9 @@ router.post('/register', register);
 *               phone:
 *                 type: string
 *                 example: +1234567890
+*               cart_token:
+*                 type: string
+*                 description: Guest cart token (or X-Cart-Token header); the guest cart is merged into the account and summarised in data.cart_merge
 *     responses:
 *       201:
 *         description: Registration successful
@@ -220,6 +223,9 @@ router.post('/login', login);
 *               otp:
 *                 type: string
 *                 example: "123456"
+*               cart_token:
+*                 type: string
+*                 description: Guest cart token (or X-Cart-Token header); the guest cart is merged into the account and summarised in data.cart_merge
 *     responses:
 *       200:
 *         description: Login successful
@@ -7,7 +7,9 @@ const {
   removeFromCart,
   clearCart,
   getCartSummary,
+  validateCart,
 } = require('../controllers/cartController');
+const { getCartRecommendations } = require('../controllers/recommendationController');
 const { protect } = require('../middleware/auth');
  
 // All cart routes require authentication
@@ -29,10 +31,20 @@ router.use(protect);
 *         product_id:
 *           type: string
 *           description: Product ID
+*         variant_id:
+*           type: string
+*           nullable: true
+*           description: Selected pack size (null for products without variants)
+*         variant:
+*           $ref: '#/components/schemas/ProductVariant'
 *         quantity:
 *           type: integer
 *           minimum: 1
 *           description: Quantity of the product
+*         price_at_add:
+*           type: number
+*           nullable: true
+*           description: Unit price when the item was last added (null for items added before prices were recorded)
 *         created_at:
 *           type: string
 *           format: date-time
@@ -105,6 +117,138 @@ router.get('/', getCartItems);
 */
 router.get('/summary', getCartSummary);
  
+/**
+* @swagger
+* /api/cart/recommendations:
+*   get:
+*     summary: Suggested add-ons for the cart
+*     description: Products frequently bought together with the cart contents (not already in the cart), then related products.
+*     tags: [Cart]
+*     security:
+*       - bearerAuth: []
+*     parameters:
+*       - in: query
+*         name: limit
+*         schema:
+*           type: integer
+*           default: 6
+*           maximum: 12
+*     responses:
+*       200:
+*         description: Suggested products, best first (empty for an empty cart)
+*       401:
+*         description: Unauthorized
+*/
+router.get('/recommendations', getCartRecommendations);
+ 
+/**
+* @swagger
+* components:
+*   schemas:
+*     CartIssue:
+*       type: object
+*       properties:
+*         type:
+*           type: string
+*           enum: [product_removed, variant_unavailable, out_of_stock, insufficient_stock, quantity_limit, price_changed, coupon_unusable]
+*         blocking:
+*           type: boolean
+*           description: Whether the issue prevents checkout (price changes only need acknowledging)
+*         item_id:
+*           type: string
+*           nullable: true
+*         product_id:
+*           type: string
+*           nullable: true
+*         variant_id:
+*           type: string
+*           nullable: true
+*         name:
+*           type: string
+*         message:
+*           type: string
+*         details:
+*           type: object
+*           description: Type-specific values, e.g. previous_price/current_price, available, max_quantity
+*         fixed:
+*           type: boolean
+*           description: Whether auto_fix resolved the issue
+*/
+ 
+/**
+* @swagger
+* /api/cart/validate:
+*   post:
+*     summary: Check the cart for removed products, stock, quantity limits, price changes and coupon problems
+*     description: |
+*       Prices are compared with the price recorded when each item was added.
+*       With auto_fix, unavailable items are removed, quantities are lowered to what can be bought
+*       (at most CART_MAX_QUANTITY_PER_ITEM, default 10) and changed prices are accepted.
+*       Coupon problems are reported but never fixed; drop the coupon instead.
+*     tags: [Cart]
+*     security:
+*       - bearerAuth: []
+*     requestBody:
+*       content:
+*         application/json:
+*           schema:
+*             type: object
+*             properties:
+*               coupon_code:
+*                 type: string
+*               auto_fix:
+*                 type: boolean
+*                 default: false
+*     responses:
+*       200:
+*         description: Validation result
+*         content:
+*           application/json:
+*             schema:
+*               type: object
+*               properties:
+*                 success:
+*                   type: boolean
+*                 data:
+*                   type: object
+*                   properties:
+*                     valid:
+*                       type: boolean
+*                       description: No outstanding issues
+*                     can_checkout:
+*                       type: boolean
+*                       description: No outstanding blocking issues and the cart is not empty
+*                     auto_fixed:
+*                       type: boolean
+*                     issues:
+*                       type: array
+*                       items:
+*                         $ref: '#/components/schemas/CartIssue'
+*                     items:
+*                       type: array
+*                       description: Cart lines with current prices (after fixes when auto_fix is set)
+*                       items:
+*                         type: object
+*                     subtotal:
+*                       type: number
+*                     coupon:
+*                       type: object
+*                       nullable: true
+*                       properties:
+*                         code:
+*                           type: string
+*                         valid:
+*                           type: boolean
+*                         discount_amount:
+*                           type: number
+*                         message:
+*                           type: string
+*                           nullable: true
+*       401:
+*         description: Unauthorized
+*/
+router.post('/validate', validateCart);
+ 
 /**
 * @swagger
 * /api/cart:
@@ -125,6 +269,9 @@ router.get('/summary', getCartSummary);
 *               product_id:
 *                 type: string
 *                 description: Product ID to add to cart
+*               variant_id:
+*                 type: string
+*                 description: Pack size to add (required when the product has variants)
 *               quantity:
 *                 type: integer
 *                 minimum: 1
@@ -143,7 +290,7 @@ router.get('/summary', getCartSummary);
 *                 data:
 *                   $ref: '#/components/schemas/CartItem'
 *       400:
-*         description: Validation error
+*         description: Quantity is not a whole number of at least 1, or would exceed CART_MAX_QUANTITY_PER_ITEM (default 10)
 *       404:
 *         description: Product not found
 *       401:
@@ -192,7 +339,7 @@ router.post('/', addToCart);
 *                 data:
 *                   $ref: '#/components/schemas/CartItem'
 *       400:
-*         description: Validation error
+*         description: Quantity is not a whole number of at least 1, or exceeds CART_MAX_QUANTITY_PER_ITEM (default 10)
 *       404:
 *         description: Cart item not found
 *       401:
@@ -1,6 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { getCategories, createCategory } = require('../controllers/categoryController');
+const {
+  getCategories,
+  getCategoryTree,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require('../controllers/categoryController');
+const { protect, authorize } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -9,11 +17,58 @@ const { getCategories, createCategory } = require('../controllers/categoryContro
  *   description: Product category management
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
+ *         description:
+ *           type: string
+ *         image_url:
+ *           type: string
+ *           nullable: true
+ *         parent_id:
+ *           type: string
+ *           nullable: true
+ *           description: Parent category (null for top-level)
+ *         sort_order:
+ *           type: integer
+ *         product_count:
+ *           type: integer
+ *           description: Products directly in this category
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     CategoryNode:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Category'
+ *         - type: object
+ *           properties:
+ *             total_product_count:
+ *               type: integer
+ *               description: Products in this category and all its subcategories
+ *             children:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategoryNode'
+ */
+
 /**
  * @swagger
  * /api/categories:
  *   get:
- *     summary: Get all product categories
+ *     summary: Get all product categories (flat, in display order)
  *     tags: [Categories]
  *     responses:
  *       200:
@@ -28,20 +83,54 @@ const { getCategories, createCategory } = require('../controllers/categoryContro
  *                 data:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       _id:
- *                         type: string
- *                       name:
- *                         type: string
- *                       description:
- *                         type: string
- *                       createdAt:
- *                         type: string
- *                         format: date-time
+ *                     $ref: '#/components/schemas/Category'
  */
 router.get('/categories', getCategories);
 
+/**
+ * @swagger
+ * /api/categories/tree:
+ *   get:
+ *     summary: Get the category tree with product counts
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: Top-level categories with nested children
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CategoryNode'
+ */
+router.get('/categories/tree', getCategoryTree);
+
+/**
+ * @swagger
+ * /api/categories/{idOrSlug}:
+ *   get:
+ *     summary: Get a category with its subtree, product counts and ancestors
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug
+ *     responses:
+ *       200:
+ *         description: Category node; data.ancestors lists parents from the root down
+ *       404:
+ *         description: Category not found
+ */
+router.get('/categories/:idOrSlug', getCategory);
+
 /**
  * @swagger
  * /api/categories:
@@ -62,9 +151,19 @@ router.get('/categories', getCategories);
  *               name:
  *                 type: string
  *                 example: "Beverages"
+ *               slug:
+ *                 type: string
+ *                 description: Generated from the name when omitted
  *               description:
  *                 type: string
  *                 example: "Refreshing drinks and beverages"
+ *               image_url:
+ *                 type: string
+ *               parent_id:
+ *                 type: string
+ *                 description: Parent category ID or slug
+ *               sort_order:
+ *                 type: integer
  *     responses:
  *       201:
  *         description: Category created successfully
@@ -72,7 +171,77 @@ router.get('/categories', getCategories);
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       409:
+ *         description: Category name or slug already exists
+ */
+router.post('/categories', protect, authorize('admin'), createCategory);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   put:
+ *     summary: Update a category (Admin only)
+ *     description: Renaming a category also renames it on its products. A category cannot be moved under its own subtree.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               image_url:
+ *                 type: string
+ *               parent_id:
+ *                 type: string
+ *                 nullable: true
+ *               sort_order:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       400:
+ *         description: Invalid input or parent
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Name or slug already in use
+ *   delete:
+ *     summary: Delete an empty category (Admin only)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Category still has subcategories or products
  */
-router.post('/categories', createCategory);
+router.put('/categories/:id', protect, authorize('admin'), updateCategory);
+router.delete('/categories/:id', protect, authorize('admin'), deleteCategory);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getGuestCart,
+  addGuestCartItem,
+  updateGuestCartItem,
+  removeGuestCartItem,
+  clearGuestCart,
+} = require('../controllers/guestCartController');
+
+// Guest cart routes are public; the cart is identified by the X-Cart-Token header
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     CartToken:
+ *       in: header
+ *       name: X-Cart-Token
+ *       schema:
+ *         type: string
+ *       description: Opaque guest cart token returned as cart_token when the cart was created
+ */
+
+/**
+ * @swagger
+ * /api/guest-cart:
+ *   get:
+ *     summary: Get the guest cart
+ *     tags: [Cart]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: Cart token, items (same shape as /api/cart) and totals
+ *       404:
+ *         description: Cart not found or expired
+ *   delete:
+ *     summary: Empty the guest cart
+ *     tags: [Cart]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: Cart cleared
+ *       404:
+ *         description: Cart not found or expired
+ */
+router.route('/').get(getGuestCart).delete(clearGuestCart);
+
+/**
+ * @swagger
+ * /api/guest-cart/items:
+ *   post:
+ *     summary: Add an item to the guest cart
+ *     description: |
+ *       Without a valid X-Cart-Token a new cart is started and its cart_token returned.
+ *       Pass the token as cart_token (or X-Cart-Token) to verify-login, verify-registration or
+ *       the OAuth start URL to merge the cart into the account.
+ *     tags: [Cart]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product_id
+ *             properties:
+ *               product_id:
+ *                 type: string
+ *               variant_id:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *     responses:
+ *       200:
+ *         description: Item added
+ *       201:
+ *         description: New cart created with the item
+ *       400:
+ *         description: Invalid quantity or pack size, or more than CART_MAX_QUANTITY_PER_ITEM of the item
+ *       404:
+ *         description: Product not found
+ */
+router.post('/items', addGuestCartItem);
+
+/**
+ * @swagger
+ * /api/guest-cart/items/{itemId}:
+ *   put:
+ *     summary: Update the quantity of a guest cart item
+ *     tags: [Cart]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Quantity updated
+ *       404:
+ *         description: Cart or item not found
+ *   delete:
+ *     summary: Remove an item from the guest cart
+ *     tags: [Cart]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item removed
+ *       404:
+ *         description: Cart or item not found
+ */
+router.route('/items/:itemId').put(updateGuestCartItem).delete(removeGuestCartItem);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getStockLevels,
+  getStockMovements,
+  adjustProductStock,
+  releaseExpired,
+} = require('../controllers/inventoryController');
+
+// All inventory routes require admin authentication
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/admin/inventory
+ * @desc    Get stock levels (query: search, lowStockOnly, page, limit)
+ * @access  Private/Admin
+ */
+router.get('/', getStockLevels);
+
+/**
+ * @route   GET /api/admin/inventory/movements
+ * @desc    Get stock movement ledger (query: product_id, variant_id, sku, type, order_id, startDate, endDate)
+ * @access  Private/Admin
+ */
+router.get('/movements', getStockMovements);
+
+/**
+ * @route   POST /api/admin/inventory/reservations/release-expired
+ * @desc    Release checkout reservations past their hold time
+ * @access  Private/Admin
+ */
+router.post('/reservations/release-expired', releaseExpired);
+
+/**
+ * @route   POST /api/admin/inventory/:productId/adjust
+ * @desc    Adjust stock by a signed quantity or set an absolute count (variant_id for pack sizes)
+ * @access  Private/Admin
+ */
+router.post('/:productId/adjust', adjustProductStock);
+
+module.exports = router;
@@ -2,11 +2,16 @@ const express = require('express');
 const router = express.Router();
 const passport = require('passport');
 const {
+  cartState,
   oauthSuccess,
   oauthFailure,
   oauthApiSuccess,
   logout,
 } = require('../controllers/oauthController');
+
+// Start a provider sign-in, carrying the guest cart token in the OAuth state so it can be merged after sign-in
+const authenticateWithCart = (provider, scope) => (req, res, next) =>
+  passport.authenticate(provider, { scope, state: cartState(req.query.cart_token) })(req, res, next);
  
 /**
 * @swagger
@@ -15,16 +20,19 @@ const {
 *     summary: Initiate Google OAuth authentication
 *     tags: [OAuth]
 *     description: Redirects user to Google login page
+*     parameters:
+*       - in: query
+*         name: cart_token
+*         schema:
+*           type: string
+*         description: |
+*           Guest cart token to merge into the account after sign-in; it is carried through the provider
+*           redirect in the OAuth state parameter (signed, valid for 15 minutes)
 *     responses:
 *       302:
 *         description: Redirect to Google OAuth
 */
-router.get(
-  '/google',
-  passport.authenticate('google', {
-    scope: ['profile', 'email'],
-  })
-);
+router.get('/google', authenticateWithCart('google', ['profile', 'email']));
  
 /**
 * @swagger
@@ -55,16 +63,19 @@ router.get('/google/failure', oauthFailure);
 *     summary: Initiate Facebook OAuth authentication
 *     tags: [OAuth]
 *     description: Redirects user to Facebook login page
+*     parameters:
+*       - in: query
+*         name: cart_token
+*         schema:
+*           type: string
+*         description: |
+*           Guest cart token to merge into the account after sign-in; it is carried through the provider
+*           redirect in the OAuth state parameter (signed, valid for 15 minutes)
 *     responses:
 *       302:
 *         description: Redirect to Facebook OAuth
 */
-router.get(
-  '/facebook',
-  passport.authenticate('facebook', {
-    scope: ['email', 'public_profile'],
-  })
-);
+router.get('/facebook', authenticateWithCart('facebook', ['email', 'public_profile']));
  
 /**
 * @swagger
@@ -4,12 +4,22 @@ const {
   getOrders,
   getOrderById,
   createOrder,
+  getOrderQuote,
   updateOrderStatus,
   getAllOrders,
   cancelOrder,
   getOrderConfirmation,
+  reconcileOrders,
+  amendOrder,
 } = require('../controllers/orderController');
-const { protect } = require('../middleware/auth');
+const {
+  getPackingSlip,
+  getShippingLabel,
+  bulkPackingSlips,
+  bulkShippingLabels,
+} = require('../controllers/shippingDocumentController');
+const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
  
 // All order routes require authentication
 router.use(protect);
@@ -42,6 +52,10 @@ router.use(protect);
 *       properties:
 *         id:
 *           type: string
+*         order_number:
+*           type: string
+*           example: GF-2026-000123
+*           description: Sequential per financial year (April-March); orders placed before numbering have none
 *         user_id:
 *           type: string
 *         total_amount:
@@ -49,6 +63,14 @@ router.use(protect);
 *         status:
 *           type: string
 *           enum: [pending, processing, shipped, delivered, cancelled]
+*         payment_method:
+*           type: string
+*           enum: [razorpay, cod]
+*         payment_status:
+*           type: string
+*           enum: [pending, paid, failed, refunded]
+*         cod_fee:
+*           type: number
 *         shipping_address_id:
 *           type: string
 *         created_at:
@@ -102,6 +124,12 @@ router.get('/', getOrders);
 *     tags: [Orders]
 *     security:
 *       - bearerAuth: []
+*     parameters:
+*       - in: query
+*         name: search
+*         schema:
+*           type: string
+*         description: Order number (full or partial, e.g. GF-2026-000123 or 000123), invoice number or order ID
 *     responses:
 *       200:
 *         description: List of all orders with user info
@@ -123,7 +151,109 @@ router.get('/', getOrders);
 *       403:
 *         description: Forbidden - Admin only
 */
-router.get('/all', getAllOrders);
+router.get('/all', authorize('admin'), getAllOrders);
+
+/**
+* @swagger
+* /api/orders/reconcile:
+*   post:
+*     summary: Roll back interrupted order placements (Admin only)
+*     description: |
+*       Orders still being placed after ORDER_PLACEMENT_TIMEOUT_MINUTES (default 10) are rolled back:
+*       invoice removed, coupon use and stock returned, cart restored and the order deleted.
+*       Also runs automatically before each new order.
+*     tags: [Orders]
+*     security:
+*       - bearerAuth: []
+*     responses:
+*       200:
+*         description: Number of placements rolled back (data.rolled_back)
+*       403:
+*         description: Forbidden - Admin only
+*/
+router.post('/reconcile', authorize('admin'), reconcileOrders);
+ 
+/**
+* @swagger
+* /api/orders/packing-slips:
+*   post:
+*     summary: Packing slips for several orders merged into one PDF (Admin only)
+*     description: A4 pages without prices, with SKUs, quantities, gift wrapping and the gift card message.
+*     tags: [Orders]
+*     security:
+*       - bearerAuth: []
+*     requestBody:
+*       required: true
+*       content:
+*         application/json:
+*           schema:
+*             type: object
+*             required:
+*               - order_ids
+*             properties:
+*               order_ids:
+*                 type: array
+*                 maxItems: 100
+*                 items:
+*                   type: string
+*     responses:
+*       200:
+*         description: PDF file, one page per order in the given order
+*         content:
+*           application/pdf:
+*             schema:
+*               type: string
+*               format: binary
+*       400:
+*         description: order_ids missing or over MAX_BULK_SHIPPING_DOCUMENTS (default 100), or a cancelled order
+*       404:
+*         description: One or more orders not found
+*       403:
+*         description: Forbidden - Admin only
+*/
+router.post('/packing-slips', authorize('admin'), bulkPackingSlips);
+ 
+/**
+* @swagger
+* /api/orders/shipping-labels:
+*   post:
+*     summary: 4x6 shipping labels for several orders merged into one PDF (Admin only)
+*     description: |
+*       Sender and recipient, the amount to collect for cash on delivery, and QR codes of the order number
+*       and the courier tracking number (once the order is shipped).
+*     tags: [Orders]
+*     security:
+*       - bearerAuth: []
+*     requestBody:
+*       required: true
+*       content:
+*         application/json:
+*           schema:
+*             type: object
+*             required:
+*               - order_ids
+*             properties:
+*               order_ids:
+*                 type: array
+*                 maxItems: 100
+*                 items:
+*                   type: string
+*     responses:
+*       200:
+*         description: PDF file, one label per order in the given order
+*         content:
+*           application/pdf:
+*             schema:
+*               type: string
+*               format: binary
+*       400:
+*         description: order_ids missing or over MAX_BULK_SHIPPING_DOCUMENTS (default 100), or a cancelled order
+*       404:
+*         description: One or more orders not found
+*       403:
+*         description: Forbidden - Admin only
+*/
+router.post('/shipping-labels', authorize('admin'), bulkShippingLabels);
  
 /**
 * @swagger
@@ -193,14 +323,139 @@ router.get('/:id', getOrderById);
 */
 router.get('/:id/confirmation', getOrderConfirmation);
  
+/**
+* @swagger
+* /api/orders/{id}/packing-slip:
+*   get:
+*     summary: Packing slip PDF for an order, without prices (Admin only)
+*     tags: [Orders]
+*     security:
+*       - bearerAuth: []
+*     parameters:
+*       - in: path
+*         name: id
+*         required: true
+*         schema:
+*           type: string
+*         description: Order ID
+*     responses:
+*       200:
+*         description: PDF file
+*         content:
+*           application/pdf:
+*             schema:
+*               type: string
+*               format: binary
+*       400:
+*         description: Order is cancelled
+*       404:
+*         description: Order not found
+*       403:
+*         description: Forbidden - Admin only
+*/
+router.get('/:id/packing-slip', authorize('admin'), getPackingSlip);
+ 
+/**
+* @swagger
+* /api/orders/{id}/shipping-label:
+*   get:
+*     summary: 4x6 shipping label PDF for an order (Admin only)
+*     tags: [Orders]
+*     security:
+*       - bearerAuth: []
+*     parameters:
+*       - in: path
+*         name: id
+*         required: true
+*         schema:
+*           type: string
+*         description: Order ID
+*     responses:
+*       200:
+*         description: PDF file
+*         content:
+*           application/pdf:
+*             schema:
+*               type: string
+*               format: binary
+*       400:
+*         description: Order is cancelled
+*       404:
+*         description: Order not found
+*       403:
+*         description: Forbidden - Admin only
+*/
+router.get('/:id/shipping-label', authorize('admin'), getShippingLabel);
+ 
+/**
+* @swagger
+* /api/orders/quote:
+*   post:
+*     summary: Price an order server-side before payment
+*     description: Uses the same pricing as order creation. Items default to the user's cart.
+*     tags: [Orders]
+*     security:
+*       - bearerAuth: []
+*     requestBody:
+*       content:
+*         application/json:
+*           schema:
+*             type: object
+*             properties:
+*               items:
+*                 type: array
+*                 items:
+*                   type: object
+*                   properties:
+*                     product_id:
+*                       type: string
+*                     quantity:
+*                       type: integer
+*               coupon_code:
+*                 type: string
+*               gift_design_id:
+*                 type: string
+*               delivery_type:
+*                 type: string
+*                 enum: [standard, express]
+*               shipping_address_id:
+*                 type: string
+*                 description: Address the delivery charge and GST split are computed for (only the default shipping zone applies without it)
+*               payment_method:
+*                 type: string
+*                 enum: [razorpay, cod]
+*                 description: cod adds the COD fee (COD_FEE) to the total
+*               total_amount:
+*                 type: number
+*                 description: Client's expected total, compared with the server total
+*     responses:
+*       200:
+*         description: Price breakdown (subtotal, discount, gift, delivery, GST, total) with delivery_options. GST is per item at the product's rate, split into cgst_amount + sgst_amount within the store's state (CompanySettings.placeOfSupply) or igst_amount across states; tax_rate is null when items have different rates. With a shipping address, cod reports whether cash on delivery is allowed ({ eligible, fee, max_order_value, reasons })
+*       400:
+*         description: Validation error, or the delivery type is not available to the address
+*       404:
+*         description: Product, gift design or shipping address not found
+*/
+router.post('/quote', getOrderQuote);
+ 
 /**
 * @swagger
 * /api/orders:
 *   post:
 *     summary: Create a new order
+*     description: |
+*       Stock, order items, cart clearing, coupon redemption and the invoice are applied atomically
+*       (a MongoDB transaction on replica sets, compensating rollbacks otherwise). If any step fails
+*       nothing is kept.
+*
+*       With payment_method cod the order is placed unpaid (payment_status pending) and the COD fee is
+*       added to the total. COD needs a pincode that allows it, a total up to COD_MAX_ORDER_VALUE and no
+*       more than COD_MAX_OPEN_ORDERS unpaid or COD_MAX_CANCELLED_ORDERS recently cancelled COD orders.
 *     tags: [Orders]
 *     security:
 *       - bearerAuth: []
+*     parameters:
+*       - $ref: '#/components/parameters/IdempotencyKey'
 *     requestBody:
 *       required: true
 *       content:
@@ -208,14 +463,33 @@ router.get('/:id/confirmation', getOrderConfirmation);
 *           schema:
 *             type: object
 *             required:
-*               - total_amount
 *               - shipping_address_id
 *               - items
 *             properties:
 *               total_amount:
 *                 type: number
-*                 description: Total order amount
+*                 description: Client's expected total; the order is rejected (409) if it differs from the server total
 *                 example: 149.99
+*               coupon_code:
+*                 type: string
+*               gift_design_id:
+*                 type: string
+*               delivery_type:
+*                 type: string
+*                 enum: [standard, express]
+*               payment_method:
+*                 type: string
+*                 enum: [razorpay, cod]
+*                 default: razorpay
+*               razorpay_order_id:
+*                 type: string
+*                 description: From POST /api/payments/create-order; a paid order is placed with the quote, items and shipping address saved there
+*               razorpay_payment_id:
+*                 type: string
+*                 description: Payment the order was paid with (not used for cod)
+*               razorpay_signature:
+*                 type: string
+*                 description: Checkout signature; required with razorpay_payment_id
 *               shipping_address_id:
 *                 type: string
 *                 description: ID of the shipping address
@@ -227,15 +501,12 @@ router.get('/:id/confirmation', getOrderConfirmation);
 *                   required:
 *                     - product_id
 *                     - quantity
-*                     - price
 *                   properties:
 *                     product_id:
 *                       type: string
 *                     quantity:
 *                       type: integer
 *                       minimum: 1
-*                     price:
-*                       type: number
 *     responses:
 *       201:
 *         description: Order created successfully (cart is cleared automatically)
@@ -251,19 +522,22 @@ router.get('/:id/confirmation', getOrderConfirmation);
 *                 message:
 *                   type: string
 *       400:
-*         description: Validation error
+*         description: Validation error, payment verification failed, or cash on delivery is not allowed for this order (data.cod.reasons)
 *       404:
 *         description: Shipping address or product not found
+*       409:
+*         description: Expected total differs from the server total, the payment amount differs from it or the payment was already used, insufficient stock, or the Idempotency-Key was used for a different request or is still being processed. A paid order rejected after payment is refunded (data.refund)
 *       401:
 *         description: Unauthorized
 */
-router.post('/', createOrder);
+router.post('/', idempotent, createOrder);
  
 /**
 * @swagger
 * /api/orders/{id}/status:
 *   patch:
-*     summary: Update order status
+*     summary: Update order status (Admin)
+*     description: Cancelling releases stock and coupon use, refunds the payment (data.refund) and emails the customer.
 *     tags: [Orders]
 *     security:
 *       - bearerAuth: []
@@ -287,6 +561,9 @@ router.post('/', createOrder);
 *                 type: string
 *                 enum: [pending, processing, shipped, delivered, cancelled]
 *                 description: New order status
+*               comment:
+*                 type: string
+*                 description: Note for the status history; used as the cancellation reason when cancelling
 *     responses:
 *       200:
 *         description: Order status updated successfully
@@ -300,19 +577,28 @@ router.post('/', createOrder);
 *                 data:
 *                   $ref: '#/components/schemas/Order'
 *       400:
-*         description: Invalid status
+*         description: Invalid status or status transition
 *       404:
 *         description: Order not found
+*       409:
+*         description: Order status changed since it was read
 *       401:
 *         description: Unauthorized
+*       403:
+*         description: Forbidden - Admin only
 */
-router.patch('/:id/status', updateOrderStatus);
+router.patch('/:id/status', authorize('admin'), updateOrderStatus);
  
 /**
 * @swagger
 * /api/orders/{id}/cancel:
 *   patch:
-*     summary: Cancel order (DISABLED - Orders cannot be cancelled)
+*     summary: Cancel own order
+*     description: |
+*       Pending or processing orders can be cancelled within CompanySettings.cancellationWindowHours
+*       (default 24; 0 = until shipped) of being placed, unless customerCancellationEnabled is off.
+*       Stock and coupon use are returned, the invoice is cancelled and a paid order is refunded
+*       in full through Razorpay. Cash on delivery collections are refunded manually (refund.status pending).
 *     tags: [Orders]
 *     security:
 *       - bearerAuth: []
@@ -323,23 +609,91 @@ router.patch('/:id/status', updateOrderStatus);
 *         schema:
 *           type: string
 *         description: Order ID
+*     requestBody:
+*       required: true
+*       content:
+*         application/json:
+*           schema:
+*             type: object
+*             required:
+*               - reason
+*             properties:
+*               reason:
+*                 type: string
+*                 maxLength: 500
 *     responses:
-*       403:
-*         description: Order cancellation is not allowed
-*         content:
-*           application/json:
-*             schema:
-*               type: object
-*               properties:
-*                 success:
-*                   type: boolean
-*                 message:
-*                   type: string
+*       200:
+*         description: Order cancelled; data.refund is { status (none, processed, pending, failed), amount, refund_id }
+*       400:
+*         description: Missing reason, or the order can no longer be cancelled (status or window)
+*       404:
+*         description: Order not found
+*       409:
+*         description: The order status changed while cancelling
+*       401:
+*         description: Unauthorized
+*/
+router.patch('/:id/cancel', cancelOrder);
+ 
+/**
+* @swagger
+* /api/orders/{id}/amend:
+*   patch:
+*     summary: Amend a pending or processing order (Admin only)
+*     description: |
+*       Reduce line quantities (0 removes the line) and/or move the order to another of the customer's
+*       addresses (which must be serviceable). Lines keep the prices they were ordered at, the coupon
+*       discount scales with the new subtotal, and GST and the delivery charge (same delivery type, new
+*       weight, address and order value) are recomputed. A prepaid order's total cannot go up.
+*       Removed stock is returned (or released from the reservation of an unpaid order), a paid order is refunded the difference through Razorpay, a new
+*       invoice revision replaces the previous one and the change is recorded in the status history.
+*     tags: [Orders]
+*     security:
+*       - bearerAuth: []
+*     parameters:
+*       - in: path
+*         name: id
+*         required: true
+*         schema:
+*           type: string
+*         description: Order ID
+*     requestBody:
+*       required: true
+*       content:
+*         application/json:
+*           schema:
+*             type: object
+*             required:
+*               - reason
+*             properties:
+*               items:
+*                 type: array
+*                 items:
+*                   type: object
+*                   properties:
+*                     order_item_id:
+*                       type: string
+*                     quantity:
+*                       type: integer
+*                       minimum: 0
+*               shipping_address_id:
+*                 type: string
+*               reason:
+*                 type: string
+*                 maxLength: 500
+*     responses:
+*       200:
+*         description: Order amended; data is { order, invoice_number, refund, changes }
+*       400:
+*         description: Missing reason, order not amendable, quantity increased, every line removed, unserviceable pincode, delivery type or COD unavailable, or a higher total on a prepaid order
+*       404:
+*         description: Order or shipping address not found
+*       409:
+*         description: The order changed while amending
 *       401:
 *         description: Unauthorized
 */
-// DISABLED: Orders cannot be cancelled once placed
-// router.patch('/:id/cancel', cancelOrder);
+router.patch('/:id/amend', authorize('admin'), amendOrder);
  
 module.exports = router;
  
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const {
   createPaymentOrder,
   verifyPayment,
@@ -22,34 +23,61 @@ const {
  * /api/payments/create-order:
  *   post:
  *     summary: Create Razorpay payment order
+ *     description: |
+ *       With order_id, pays for an existing order. Without it, pays for the cart
+ *       (or the given items) and reserves their stock until the order is placed; the response's
+ *       order_number (also the Razorpay receipt) becomes the number of that order.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - amount
- *               - orderId
  *             properties:
+ *               order_id:
+ *                 type: string
+ *                 example: "652f1c2e9b1e8a0012345678"
  *               amount:
  *                 type: number
  *                 example: 500
- *               orderId:
+ *                 description: Expected total when order_id is omitted; rejected (409) if it differs from the server quote
+ *               coupon_code:
+ *                 type: string
+ *               gift_design_id:
  *                 type: string
- *                 example: "ORD123456"
+ *               delivery_type:
+ *                 type: string
+ *               shipping_address_id:
+ *                 type: string
+ *                 description: Required when order_id is omitted. Address the delivery charge is computed for; the order placed with this payment ships to it at the quoted total
+ *               items:
+ *                 type: array
+ *                 description: Items to reserve when order_id is omitted (defaults to the cart)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product_id:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
  *     responses:
- *       200:
+ *       201:
  *         description: Payment order created successfully
  *       400:
- *         description: Invalid request
+ *         description: Invalid request or shipping address missing
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Shipping address not found
+ *       409:
+ *         description: Insufficient stock, total mismatch, or the Idempotency-Key was used for a different request or is still being processed
  */
-router.post('/create-order', protect, createPaymentOrder);
+router.post('/create-order', protect, idempotent, createPaymentOrder);
 
 /**
  * @swagger
@@ -155,6 +183,9 @@ router.get('/:id', protect, getPaymentById);
  * /api/payments/{id}/refund:
  *   post:
  *     summary: Request payment refund
+ *     description: |
+ *       Cancels the paid order and refunds it in full, like POST /api/orders/{id}/cancel: only pending or
+ *       processing orders within the cancellation window qualify. Delivered items are refunded through a return.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -177,9 +208,13 @@ router.get('/:id', protect, getPaymentById);
  *                 example: "Product not as described"
  *     responses:
  *       200:
- *         description: Refund request submitted
+ *         description: Order cancelled; refund processed, or pending/failed for the team to complete
  *       400:
- *         description: Invalid request
+ *         description: Payment not captured, or the order can no longer be cancelled
+ *       404:
+ *         description: Payment or order not found
+ *       409:
+ *         description: Order status changed while cancelling
  */
 router.post('/:id/refund', protect, requestRefund);
 
@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const {
+  getMyAlerts,
+  createAlert,
+  deleteAlert,
+  updateAlertPreferences,
+} = require('../controllers/productAlertController');
+
+// All alert routes require authentication
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/alerts:
+ *   get:
+ *     summary: List my restock and price-drop alerts
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active and notified alerts that have not expired, plus the wishlist_alerts preference
+ *   post:
+ *     summary: Subscribe to restock or price-drop emails for a product
+ *     description: |
+ *       Subscribing again to the same product, pack size and type renews the existing alert.
+ *       Alerts expire after PRODUCT_ALERT_TTL_DAYS (default 90). Restock alerts are sent once;
+ *       price-drop alerts are sent each time the price falls below the last notified price.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product_id
+ *               - type
+ *             properties:
+ *               product_id:
+ *                 type: string
+ *               variant_id:
+ *                 type: string
+ *                 description: Pack size to watch (omit for the product as a whole)
+ *               type:
+ *                 type: string
+ *                 enum: [restock, price_drop]
+ *     responses:
+ *       201:
+ *         description: Alert created or renewed
+ *       400:
+ *         description: Invalid type or pack size, or restock alert for an in-stock product
+ *       404:
+ *         description: Product not found
+ */
+router.route('/').get(getMyAlerts).post(createAlert);
+
+/**
+ * @swagger
+ * /api/alerts/preferences:
+ *   put:
+ *     summary: Opt in or out of alerts for wishlisted products
+ *     description: Turning it on subscribes every wishlist item (and later additions) to both alert types; turning it off removes those alerts.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wishlist_alerts
+ *             properties:
+ *               wishlist_alerts:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Preference saved
+ */
+router.put('/preferences', updateAlertPreferences);
+
+/**
+ * @swagger
+ * /api/alerts/{id}:
+ *   delete:
+ *     summary: Unsubscribe from an alert
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert removed
+ *       404:
+ *         description: Alert not found
+ */
+router.delete('/:id', deleteAlert);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  exportProductSheet,
+  importProductSheet,
+} = require('../controllers/productBulkController');
+
+// All bulk product routes require admin authentication
+router.use(protect, authorize('admin'));
+
+/**
+ * @swagger
+ * /api/admin/products/export:
+ *   get:
+ *     summary: Export all products as CSV or XLSX (Admin only)
+ *     description: One row per product, or one row per pack size for products with variants. Benefits and images are separated by "|"; only image URLs are exported.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Product sheet file
+ */
+router.get('/export', exportProductSheet);
+
+/**
+ * @swagger
+ * /api/admin/products/import:
+ *   post:
+ *     summary: Preview or apply a product sheet import (Admin only)
+ *     description: |
+ *       Rows are upserted by id, else by an existing variant sku, else created by name.
+ *       Rows sharing an id (or a new product name) with different skus become pack sizes of one product.
+ *       Empty cells keep existing values. Stock changes are recorded in the stock ledger.
+ *       With dry_run (default) nothing is written; otherwise nothing is written unless every row is valid.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 description: Base64 file contents or data URI
+ *               format:
+ *                 type: string
+ *                 enum: [csv, xlsx]
+ *                 description: Inferred from filename or data URI when omitted
+ *               filename:
+ *                 type: string
+ *               dry_run:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Preview (or result) with summary counts and per-row action, errors and warnings
+ *       400:
+ *         description: Unreadable file, or rows with errors when applying
+ */
+router.post('/import', importProductSheet);
+
+module.exports = router;
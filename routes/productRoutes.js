@@ -7,8 +7,20 @@ const {
   updateProduct,
   deleteProduct,
   getCategories,
+  searchProducts,
+  autocompleteProducts,
 } = require('../controllers/productController');
-const { protect } = require('../middleware/auth');
+const { getRelatedProducts, getBoughtTogether } = require('../controllers/recommendationController');
+const { protect, authorize } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Suggestions run typo matching over every product name, so each client is capped per window
+const autocompleteLimit = rateLimit({
+  name: 'autocomplete',
+  windowMs: (parseInt(process.env.AUTOCOMPLETE_RATE_LIMIT_WINDOW_MINUTES, 10) || 1) * 60 * 1000,
+  max: parseInt(process.env.AUTOCOMPLETE_RATE_LIMIT_MAX, 10) || 120,
+  message: 'Too many search suggestions requested. Please try again later.',
+});
  
 /**
 * @swagger
@@ -40,14 +52,33 @@ const { protect } = require('../middleware/auth');
 *           description: Original price (for discounts)
 *         category:
 *           type: string
-*           description: Product category
+*           description: Product category name (mirrors the referenced category)
+*         hsn_code:
+*           type: string
+*           description: HSN code (4, 6 or 8 digits) printed on invoices
+*         gst_rate:
+*           type: number
+*           enum: [0, 5, 12, 18, 28]
+*           description: GST percentage; DEFAULT_GST_RATE applies when unset
+*         category_id:
+*           type: string
+*           description: Category ID
 *         image_url:
 *           type: string
 *           description: Product image URL
 *         in_stock:
 *           type: boolean
-*           description: Stock availability
-*           default: true
+*           description: Stock availability (derived from stock - reserved_stock)
+*         stock:
+*           type: integer
+*           description: On-hand quantity
+*         reserved_stock:
+*           type: integer
+*           description: Quantity held by pending checkouts
+*         low_stock_threshold:
+*           type: integer
+*           description: Available quantity at or below which the product is low on stock
+*           default: 10
 *         rating:
 *           type: number
 *           description: Product rating (0-5)
@@ -67,6 +98,28 @@ const { protect } = require('../middleware/auth');
 *         usage:
 *           type: string
 *           description: Usage instructions
+*         nutrition:
+*           $ref: '#/components/schemas/Nutrition'
+*         allergens:
+*           type: array
+*           items:
+*             type: string
+*             enum: [gluten, milk, soy, peanuts, tree_nuts, sesame, mustard, eggs, fish, crustaceans, sulphites]
+*         dietary_tags:
+*           type: array
+*           items:
+*             type: string
+*             enum: [vegan, vegetarian, gluten_free, dairy_free, nut_free, no_added_sugar, high_protein, high_fibre, organic, jain]
+*         nutrition_facts:
+*           type: object
+*           description: Formatted nutrition block (product detail only) with serving size, per_serving [{key, label, amount, unit}], allergens, contains and dietary_tags
+*         variants:
+*           type: array
+*           description: Pack sizes. When present, price/original_price come from the cheapest active variant and stock is the sum of variant stock
+*           items:
+*             $ref: '#/components/schemas/ProductVariant'
+*         sale:
+*           $ref: '#/components/schemas/Sale'
 *         created_at:
 *           type: string
 *           format: date-time
@@ -75,6 +128,89 @@ const { protect } = require('../middleware/auth');
 *           type: string
 *           format: date-time
 *           description: Last update timestamp
+*     Nutrition:
+*       type: object
+*       description: Nutrition facts per serving
+*       properties:
+*         serving_size_g:
+*           type: number
+*         servings_per_pack:
+*           type: number
+*         energy_kcal:
+*           type: number
+*         protein_g:
+*           type: number
+*         carbohydrates_g:
+*           type: number
+*         total_sugars_g:
+*           type: number
+*         added_sugars_g:
+*           type: number
+*         dietary_fibre_g:
+*           type: number
+*         total_fat_g:
+*           type: number
+*         saturated_fat_g:
+*           type: number
+*         trans_fat_g:
+*           type: number
+*         cholesterol_mg:
+*           type: number
+*         sodium_mg:
+*           type: number
+*         iron_mg:
+*           type: number
+*         calcium_mg:
+*           type: number
+*     ProductVariant:
+*       type: object
+*       required:
+*         - sku
+*         - label
+*         - price
+*       properties:
+*         id:
+*           type: string
+*           description: Variant ID
+*         sku:
+*           type: string
+*           description: Unique stock keeping unit (stored uppercase)
+*         label:
+*           type: string
+*           description: Display label, e.g. 500g
+*         weight_grams:
+*           type: number
+*         price:
+*           type: number
+*         original_price:
+*           type: number
+*         stock:
+*           type: integer
+*           description: On-hand quantity of this pack size
+*         available_stock:
+*           type: integer
+*           description: stock minus quantity held by pending checkouts
+*         is_active:
+*           type: boolean
+*           default: true
+*         sale:
+*           $ref: '#/components/schemas/Sale'
+*     Sale:
+*       type: object
+*       nullable: true
+*       description: Running price schedule behind the current price (null when not on sale). price is the sale price and original_price at least the regular price
+*       properties:
+*         schedule_id:
+*           type: string
+*         label:
+*           type: string
+*           nullable: true
+*           description: Festival or campaign label, e.g. Diwali Sale
+*         ends_at:
+*           type: string
+*           format: date-time
+*         regular_price:
+*           type: number
 */
  
 /**
@@ -88,18 +224,58 @@ const { protect } = require('../middleware/auth');
 *         name: category
 *         schema:
 *           type: string
-*         description: Filter by category (use 'All Products' for no filter)
+*         description: Filter by category ID, slug or name, including subcategories (use 'All Products' for no filter)
+*       - in: query
+*         name: category_id
+*         schema:
+*           type: string
+*         description: Filter by category ID, including subcategories
 *       - in: query
 *         name: minPrice
 *         schema:
 *           type: number
-*         description: Minimum price filter
+*         description: Minimum price filter on the current (sale) price; matches products with any active variant in range
 *       - in: query
 *         name: maxPrice
 *         schema:
 *           type: number
 *         description: Maximum price filter
 *       - in: query
+*         name: dietaryTags
+*         schema:
+*           type: string
+*         description: Comma-separated dietary tags that must all apply (e.g. vegan,gluten_free)
+*       - in: query
+*         name: excludeAllergens
+*         schema:
+*           type: string
+*         description: Comma-separated allergens the product must not contain
+*       - in: query
+*         name: minProtein
+*         schema:
+*           type: number
+*         description: Minimum protein (g) per serving
+*       - in: query
+*         name: minFibre
+*         schema:
+*           type: number
+*         description: Minimum dietary fibre (g) per serving
+*       - in: query
+*         name: maxCalories
+*         schema:
+*           type: number
+*         description: Maximum energy (kcal) per serving
+*       - in: query
+*         name: maxSugar
+*         schema:
+*           type: number
+*         description: Maximum total sugars (g) per serving
+*       - in: query
+*         name: maxFat
+*         schema:
+*           type: number
+*         description: Maximum total fat (g) per serving
+*       - in: query
 *         name: inStockOnly
 *         schema:
 *           type: boolean
@@ -149,6 +325,185 @@ router.get('/', getProducts);
 */
 router.get('/categories', getCategories);
  
+/**
+* @swagger
+* /api/products/search:
+*   get:
+*     summary: Search products with relevance ranking, facets and sorting
+*     description: Name matches rank above description matches. Facet counts reflect the current query and filters.
+*     tags: [Products]
+*     parameters:
+*       - in: query
+*         name: q
+*         schema:
+*           type: string
+*         description: Search text
+*       - in: query
+*         name: sort
+*         schema:
+*           type: string
+*           enum: [relevance, price_asc, price_desc, rating, newest, best_selling]
+*         description: Defaults to relevance when q is given, otherwise newest. Price sorts use the current (sale) price
+*       - in: query
+*         name: category
+*         schema:
+*           type: string
+*         description: Category ID, slug or name (includes subcategories)
+*       - in: query
+*         name: minPrice
+*         schema:
+*           type: number
+*       - in: query
+*         name: maxPrice
+*         schema:
+*           type: number
+*       - in: query
+*         name: minRating
+*         schema:
+*           type: number
+*       - in: query
+*         name: dietaryTags
+*         schema:
+*           type: string
+*         description: Comma-separated dietary tags that must all apply (e.g. vegan,gluten_free)
+*       - in: query
+*         name: excludeAllergens
+*         schema:
+*           type: string
+*         description: Comma-separated allergens the product must not contain
+*       - in: query
+*         name: minProtein
+*         schema:
+*           type: number
+*         description: Minimum protein (g) per serving
+*       - in: query
+*         name: minFibre
+*         schema:
+*           type: number
+*         description: Minimum dietary fibre (g) per serving
+*       - in: query
+*         name: maxCalories
+*         schema:
+*           type: number
+*         description: Maximum energy (kcal) per serving
+*       - in: query
+*         name: maxSugar
+*         schema:
+*           type: number
+*         description: Maximum total sugars (g) per serving
+*       - in: query
+*         name: maxFat
+*         schema:
+*           type: number
+*         description: Maximum total fat (g) per serving
+*       - in: query
+*         name: inStockOnly
+*         schema:
+*           type: boolean
+*       - in: query
+*         name: page
+*         schema:
+*           type: integer
+*           default: 1
+*       - in: query
+*         name: limit
+*         schema:
+*           type: integer
+*           default: 10
+*     responses:
+*       200:
+*         description: Ranked products with facet counts
+*         content:
+*           application/json:
+*             schema:
+*               type: object
+*               properties:
+*                 success:
+*                   type: boolean
+*                 total:
+*                   type: integer
+*                 sort:
+*                   type: string
+*                 data:
+*                   type: array
+*                   items:
+*                     $ref: '#/components/schemas/Product'
+*                 facets:
+*                   type: object
+*                   properties:
+*                     categories:
+*                       type: array
+*                       items:
+*                         type: object
+*                         properties:
+*                           id:
+*                             type: string
+*                           name:
+*                             type: string
+*                           count:
+*                             type: integer
+*                     price:
+*                       type: array
+*                       description: Buckets from min (inclusive) to max (exclusive, null for open-ended)
+*                       items:
+*                         type: object
+*                         properties:
+*                           min:
+*                             type: number
+*                           max:
+*                             type: number
+*                             nullable: true
+*                           count:
+*                             type: integer
+*                     rating:
+*                       type: array
+*                       description: Products rated min and up
+*                       items:
+*                         type: object
+*                         properties:
+*                           min:
+*                             type: number
+*                           count:
+*                             type: integer
+*                     availability:
+*                       type: object
+*                       properties:
+*                         in_stock:
+*                           type: integer
+*                         out_of_stock:
+*                           type: integer
+*/
+router.get('/search', searchProducts);
+ 
+/**
+* @swagger
+* /api/products/autocomplete:
+*   get:
+*     summary: Typo-tolerant product name suggestions
+*     description: |
+*       Matches word prefixes of product names and tolerates small typos (1 edit for 3-5 letters, 2 for longer words).
+*       Only the first 64 characters and 5 words of q are used. Limited to AUTOCOMPLETE_RATE_LIMIT_MAX (default 120)
+*       requests per IP every AUTOCOMPLETE_RATE_LIMIT_WINDOW_MINUTES (default 1).
+*     tags: [Products]
+*     parameters:
+*       - in: query
+*         name: q
+*         required: true
+*         schema:
+*           type: string
+*       - in: query
+*         name: limit
+*         schema:
+*           type: integer
+*           default: 8
+*     responses:
+*       200:
+*         description: Suggestions ordered by closeness
+*       429:
+*         description: Too many requests from this IP; see Retry-After
+*/
+router.get('/autocomplete', autocompleteLimit, autocompleteProducts);
+ 
 /**
 * @swagger
 * /api/products/{id}:
@@ -179,6 +534,60 @@ router.get('/categories', getCategories);
 */
 router.get('/:id', getProductById);
  
+/**
+* @swagger
+* /api/products/{id}/related:
+*   get:
+*     summary: Related products
+*     description: Products from the same category family that are bought in the same orders, padded with the most similar products of the category. Out-of-stock products are left out.
+*     tags: [Products]
+*     parameters:
+*       - in: path
+*         name: id
+*         required: true
+*         schema:
+*           type: string
+*       - in: query
+*         name: limit
+*         schema:
+*           type: integer
+*           default: 6
+*           maximum: 12
+*     responses:
+*       200:
+*         description: Products with recommendation { source (orders or similar), score }
+*       404:
+*         description: Product not found
+*/
+router.get('/:id/related', getRelatedProducts);
+ 
+/**
+* @swagger
+* /api/products/{id}/bought-together:
+*   get:
+*     summary: Frequently bought together
+*     description: Products most often ordered together with this one, falling back to similar products of the same category. Recomputed periodically from order history.
+*     tags: [Products]
+*     parameters:
+*       - in: path
+*         name: id
+*         required: true
+*         schema:
+*           type: string
+*       - in: query
+*         name: limit
+*         schema:
+*           type: integer
+*           default: 6
+*           maximum: 12
+*     responses:
+*       200:
+*         description: Products with recommendation { source (orders or similar), score }
+*       404:
+*         description: Product not found
+*/
+router.get('/:id/bought-together', getBoughtTogether);
+ 
 /**
 * @swagger
 * /api/products:
@@ -197,7 +606,6 @@ router.get('/:id', getProductById);
 *               - name
 *               - description
 *               - price
-*               - category
 *               - image_url
 *             properties:
 *               name:
@@ -210,10 +618,22 @@ router.get('/:id', getProductById);
 *                 type: number
 *               category:
 *                 type: string
+*                 description: Category name (created if missing); ignored when category_id is given
+*               category_id:
+*                 type: string
+*                 description: Category ID or slug
 *               image_url:
 *                 type: string
-*               in_stock:
-*                 type: boolean
+*               stock:
+*                 type: integer
+*                 description: On-hand quantity (recorded in the stock ledger)
+*               hsn_code:
+*                 type: string
+*               gst_rate:
+*                 type: number
+*                 enum: [0, 5, 12, 18, 28]
+*               low_stock_threshold:
+*                 type: integer
 *               rating:
 *                 type: number
 *               reviews_count:
@@ -226,6 +646,38 @@ router.get('/:id', getProductById);
 *                 type: string
 *               usage:
 *                 type: string
+*               nutrition:
+*                 $ref: '#/components/schemas/Nutrition'
+*               allergens:
+*                 type: array
+*                 items:
+*                   type: string
+*               dietary_tags:
+*                 type: array
+*                 items:
+*                   type: string
+*               variants:
+*                 type: array
+*                 description: Pack sizes; price may be omitted when variants are given
+*                 items:
+*                   type: object
+*                   required: [sku, label, price]
+*                   properties:
+*                     sku:
+*                       type: string
+*                     label:
+*                       type: string
+*                     weight_grams:
+*                       type: number
+*                     price:
+*                       type: number
+*                     original_price:
+*                       type: number
+*                     stock:
+*                       type: integer
+*                       description: Opening stock of this pack size
+*                     is_active:
+*                       type: boolean
 *     responses:
 *       201:
 *         description: Product created successfully
@@ -242,8 +694,10 @@ router.get('/:id', getProductById);
 *         description: Validation error
 *       401:
 *         description: Unauthorized
+*       403:
+*         description: Forbidden - Admin only
 */
-router.post('/', protect, createProduct);
+router.post('/', protect, authorize('admin'), createProduct);
  
 /**
 * @swagger
@@ -277,10 +731,22 @@ router.post('/', protect, createProduct);
 *                 type: number
 *               category:
 *                 type: string
+*                 description: Category name (created if missing); ignored when category_id is given
+*               category_id:
+*                 type: string
+*                 description: Category ID or slug
 *               image_url:
 *                 type: string
-*               in_stock:
-*                 type: boolean
+*               stock:
+*                 type: integer
+*                 description: On-hand quantity (recorded in the stock ledger)
+*               hsn_code:
+*                 type: string
+*               gst_rate:
+*                 type: number
+*                 enum: [0, 5, 12, 18, 28]
+*               low_stock_threshold:
+*                 type: integer
 *               rating:
 *                 type: number
 *               reviews_count:
@@ -293,6 +759,39 @@ router.post('/', protect, createProduct);
 *                 type: string
 *               usage:
 *                 type: string
+*               nutrition:
+*                 $ref: '#/components/schemas/Nutrition'
+*               allergens:
+*                 type: array
+*                 items:
+*                   type: string
+*               dietary_tags:
+*                 type: array
+*                 items:
+*                   type: string
+*               variants:
+*                 type: array
+*                 description: Full list of pack sizes. Existing ones are matched by id (or SKU) and keep their stock; omitted ones are removed unless stock is reserved
+*                 items:
+*                   type: object
+*                   properties:
+*                     id:
+*                       type: string
+*                     sku:
+*                       type: string
+*                     label:
+*                       type: string
+*                     weight_grams:
+*                       type: number
+*                     price:
+*                       type: number
+*                     original_price:
+*                       type: number
+*                     stock:
+*                       type: integer
+*                       description: Target on-hand quantity (recorded in the stock ledger)
+*                     is_active:
+*                       type: boolean
 *     responses:
 *       200:
 *         description: Product updated successfully
@@ -309,8 +808,10 @@ router.post('/', protect, createProduct);
 *         description: Product not found
 *       401:
 *         description: Unauthorized
+*       403:
+*         description: Forbidden - Admin only
 */
-router.put('/:id', protect, updateProduct);
+router.put('/:id', protect, authorize('admin'), updateProduct);
  
 /**
 * @swagger
@@ -334,8 +835,10 @@ router.put('/:id', protect, updateProduct);
 *         description: Product not found
 *       401:
 *         description: Unauthorized
+*       403:
+*         description: Forbidden - Admin only
 */
-router.delete('/:id', protect, deleteProduct);
+router.delete('/:id', protect, authorize('admin'), deleteProduct);
  
 module.exports = router;
  
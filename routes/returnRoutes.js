@@ -0,0 +1,349 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  createReturn,
+  getMyReturns,
+  getReturnById,
+  getStoreCredit,
+  getAllReturns,
+  reviewReturn,
+  updateReturnStatus,
+  qualityCheckReturn,
+  refundReturn,
+} = require('../controllers/returnController');
+
+// All return routes require authentication
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/returns:
+ *   post:
+ *     summary: Request a return for items of a delivered order
+ *     description: |
+ *       Allowed within RETURN_WINDOW_DAYS (default 7) of delivery. Upload photos through /api/upload first
+ *       and send their URLs. Each step of the return is emailed to the customer.
+ *       Status flow: requested -> approved | rejected; approved -> pickup_scheduled -> picked_up -> received
+ *       -> inspected -> refunded.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [order_id, items, reason]
+ *             properties:
+ *               order_id:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     order_item_id:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               reason:
+ *                 type: string
+ *                 enum: [damaged, defective, wrong_item, not_as_described, quality_issue, expired, other]
+ *               comments:
+ *                 type: string
+ *                 maxLength: 1000
+ *               photos:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: uri
+ *               refund_method:
+ *                 type: string
+ *                 enum: [original, store_credit, bank_transfer]
+ *                 default: original
+ *                 description: Cash on delivery orders are refunded by bank_transfer or as store_credit; bank_transfer is only for them
+ *               bank_details:
+ *                 type: string
+ *                 maxLength: 300
+ *                 description: Bank account or UPI ID the refund is paid to; required with bank_transfer
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *       400:
+ *         description: Order not delivered, return window over, or invalid items, quantities or photos
+ *       404:
+ *         description: Order not found
+ *   get:
+ *     summary: Get the logged-in user's returns
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: order_id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Returns, newest first
+ */
+router.post('/', createReturn);
+router.get('/', getMyReturns);
+
+/**
+ * @swagger
+ * /api/returns/store-credit:
+ *   get:
+ *     summary: Get the logged-in user's store credit balance and ledger
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ balance, transactions } (latest 50 transactions)"
+ */
+router.get('/store-credit', getStoreCredit);
+
+/**
+ * @swagger
+ * /api/returns/{id}:
+ *   get:
+ *     summary: Get a return with its status history (own return, or any for admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return, with refundable_amount for the items that passed quality check
+ *       404:
+ *         description: Return request not found
+ */
+router.get('/:id', getReturnById);
+
+module.exports = router;
+
+// Admin routes, mounted at /api/admin/returns
+module.exports.adminRoutes = function () {
+  const adminRouter = express.Router();
+  adminRouter.use(protect, authorize('admin'));
+
+  /**
+   * @swagger
+   * /api/admin/returns:
+   *   get:
+   *     summary: List returns (Admin only)
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [requested, approved, rejected, pickup_scheduled, picked_up, received, inspected, refunded]
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Paginated returns with customer name and email
+   */
+  adminRouter.get('/', getAllReturns);
+
+  /**
+   * @swagger
+   * /api/admin/returns/{id}/review:
+   *   patch:
+   *     summary: Approve or reject a requested return (Admin only)
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [action]
+   *             properties:
+   *               action:
+   *                 type: string
+   *                 enum: [approve, reject]
+   *               comment:
+   *                 type: string
+   *                 description: Required to reject; shown to the customer
+   *     responses:
+   *       200:
+   *         description: Return approved or rejected
+   *       400:
+   *         description: Return is not awaiting review, or no reason given for a rejection
+   *       404:
+   *         description: Return request not found
+   */
+  adminRouter.patch('/:id/review', reviewReturn);
+
+  /**
+   * @swagger
+   * /api/admin/returns/{id}/status:
+   *   patch:
+   *     summary: Record reverse pickup or receipt of an approved return (Admin only)
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [status]
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [pickup_scheduled, picked_up, received]
+   *               scheduled_for:
+   *                 type: string
+   *                 format: date
+   *                 description: Required for pickup_scheduled
+   *               courier:
+   *                 type: string
+   *               tracking_number:
+   *                 type: string
+   *               comment:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Status updated
+   *       400:
+   *         description: Invalid status transition or missing pickup date
+   *       404:
+   *         description: Return request not found
+   */
+  adminRouter.patch('/:id/status', updateReturnStatus);
+
+  /**
+   * @swagger
+   * /api/admin/returns/{id}/quality-check:
+   *   post:
+   *     summary: Quality check a received return (Admin only)
+   *     description: |
+   *       Every item needs a result. restock puts the items back into stock and refunds them; discard
+   *       refunds them without restocking; rejected items are not refunded.
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [results]
+   *             properties:
+   *               results:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *                   properties:
+   *                     item_id:
+   *                       type: string
+   *                       description: ID of the item within the return
+   *                     result:
+   *                       type: string
+   *                       enum: [restock, discard, rejected]
+   *               notes:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Return inspected, with refundable_amount
+   *       400:
+   *         description: Return not received yet, or a result is missing
+   *       409:
+   *         description: Return was inspected by another request
+   */
+  adminRouter.post('/:id/quality-check', qualityCheckReturn);
+
+  /**
+   * @swagger
+   * /api/admin/returns/{id}/refund:
+   *   post:
+   *     summary: Refund an inspected return (Admin only)
+   *     description: |
+   *       Refunds the items that passed quality check, at what the customer paid for them (after the
+   *       coupon share, with GST). original refunds through Razorpay; store_credit adds to the customer's
+   *       store credit balance; bank_transfer (cash on delivery orders) records a transfer the admin has
+   *       made to the customer's bank_details.
+   *     tags: [Returns]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               method:
+   *                 type: string
+   *                 enum: [original, store_credit, bank_transfer]
+   *                 description: Defaults to the customer's choice
+   *               reference:
+   *                 type: string
+   *                 description: Bank transfer reference (e.g. UTR); required with bank_transfer
+   *               amount:
+   *                 type: number
+   *                 description: Defaults to (and cannot exceed) the refundable amount
+   *     responses:
+   *       200:
+   *         description: Refund issued (refund.status processed) or recorded for manual completion (pending)
+   *       400:
+   *         description: Return not inspected, nothing to refund, or invalid method or amount
+   *       409:
+   *         description: A refund for this return is already in progress or done
+   *       502:
+   *         description: Razorpay refund failed; it can be retried
+   */
+  adminRouter.post('/:id/refund', refundReturn);
+
+  return adminRouter;
+};
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getCouriers,
+  bookShipment,
+  getLabel,
+  cancelShipment,
+  syncShipment,
+  syncAllShipments,
+} = require('../controllers/shipmentController');
+
+// All shipment routes require admin authentication
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/admin/shipments/couriers
+ * @desc    List configured courier adapters and the default (COURIER_PROVIDER)
+ * @access  Private/Admin
+ */
+router.get('/couriers', getCouriers);
+
+/**
+ * @route   POST /api/admin/shipments/sync
+ * @desc    Poll tracking for all in-flight courier shipments; advances orders to shipped/delivered
+ * @access  Private/Admin
+ */
+router.post('/sync', syncAllShipments);
+
+/**
+ * @route   POST /api/admin/shipments/:orderId
+ * @desc    Book a courier shipment for a pending or processing order (body: courier)
+ * @access  Private/Admin
+ */
+router.post('/:orderId', bookShipment);
+
+/**
+ * @route   GET /api/admin/shipments/:orderId/label
+ * @desc    Download the courier's shipping label PDF
+ * @access  Private/Admin
+ */
+router.get('/:orderId/label', getLabel);
+
+/**
+ * @route   POST /api/admin/shipments/:orderId/cancel
+ * @desc    Cancel the courier shipment before pickup
+ * @access  Private/Admin
+ */
+router.post('/:orderId/cancel', cancelShipment);
+
+/**
+ * @route   POST /api/admin/shipments/:orderId/sync
+ * @desc    Poll tracking for one order
+ * @access  Private/Admin
+ */
+router.post('/:orderId/sync', syncShipment);
+
+module.exports = router;
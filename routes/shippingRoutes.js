@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { getShippingQuote, getPincodeServiceability } = require('../controllers/shippingController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeliveryOption:
+ *       type: object
+ *       properties:
+ *         delivery_type:
+ *           type: string
+ *           enum: [standard, express]
+ *         label:
+ *           type: string
+ *         available:
+ *           type: boolean
+ *         charge:
+ *           type: number
+ *           nullable: true
+ *           description: Delivery charge (null when the option is not available)
+ *         free_shipping:
+ *           type: boolean
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           description: Why the option is not available
+ *         eta_days:
+ *           type: integer
+ *           nullable: true
+ *         estimated_delivery_date:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/shipping/quote:
+ *   post:
+ *     summary: Delivery options and charges for the cart to an address
+ *     description: |
+ *       Charges come from the shipping zone matching the pincode (then the state, then the default zone),
+ *       the weight slab for the total shipment weight, the zone's free-shipping threshold on the order value
+ *       after discounts, and the express surcharge. Order creation uses the same calculation.
+ *       Until zones are configured, flat rates apply to every address. Pincodes marked unserviceable
+ *       get no available options.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shipping_address_id:
+ *                 type: string
+ *                 description: Saved address to ship to
+ *               postal_code:
+ *                 type: string
+ *                 description: Pincode to ship to, when no saved address is given
+ *               state:
+ *                 type: string
+ *               coupon_code:
+ *                 type: string
+ *               gift_design_id:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 description: Items to ship (defaults to the cart)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product_id:
+ *                       type: string
+ *                     variant_id:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Delivery options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     serviceable:
+ *                       type: boolean
+ *                     cod_available:
+ *                       type: boolean
+ *                     shipping_zone:
+ *                       type: string
+ *                       nullable: true
+ *                     weight_grams:
+ *                       type: number
+ *                     order_value:
+ *                       type: number
+ *                     coupon_error:
+ *                       type: string
+ *                       nullable: true
+ *                     options:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DeliveryOption'
+ *       400:
+ *         description: Empty cart, invalid pincode or invalid items
+ *       404:
+ *         description: Product, gift design or shipping address not found
+ */
+router.post('/quote', protect, getShippingQuote);
+
+/**
+ * @swagger
+ * /api/shipping/pincode/{pincode}:
+ *   get:
+ *     summary: Check whether a pincode can be delivered to
+ *     description: Returns COD availability and the estimated delivery date per delivery type (Sundays are not counted).
+ *     tags: [Shipping]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: pincode
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "560034"
+ *     responses:
+ *       200:
+ *         description: Serviceability (serviceable, cod_allowed, message, delivery.standard/express with eta_days and estimated_delivery_date)
+ *       400:
+ *         description: Invalid pincode
+ */
+router.get('/pincode/:pincode', getPincodeServiceability);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { rateLimit } = require('../middleware/rateLimit');
+const { trackOrder } = require('../controllers/trackingController');
+
+// Lookups per IP per window, to stop order numbers and contacts being guessed
+const trackingLimit = rateLimit({
+  name: 'order_tracking',
+  windowMs: (parseInt(process.env.TRACKING_RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+  max: parseInt(process.env.TRACKING_RATE_LIMIT_MAX, 10) || 10,
+  message: 'Too many tracking requests. Please try again later.',
+});
+
+/**
+ * @swagger
+ * /api/track:
+ *   post:
+ *     summary: Track an order without logging in
+ *     description: |
+ *       Looks the order up by its order number (e.g. GF-2026-000123), order ID or invoice number and checks the email or phone number
+ *       against the customer's account, shipping address or invoice. Returns the order status and a
+ *       timeline of status changes and courier tracking events, without prices, full addresses or
+ *       admin notes. Limited to TRACKING_RATE_LIMIT_MAX (default 10) requests per IP every
+ *       TRACKING_RATE_LIMIT_WINDOW_MINUTES (default 15).
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [order_number, contact]
+ *             properties:
+ *               order_number:
+ *                 type: string
+ *                 description: Order number, order ID or invoice number
+ *               contact:
+ *                 type: string
+ *                 description: Email address or phone number used for the order
+ *     responses:
+ *       200:
+ *         description: |
+ *           { order_id, order_number, invoice_number, placed_at, status, status_title, items: [{ name, quantity }],
+ *           delivery_to: { city, state, postal_code }, estimated_delivery, shipment, timeline: [{ type, status, title, location, at }] }
+ *       400:
+ *         description: Order number or contact missing
+ *       404:
+ *         description: No order matches the number and contact
+ *       429:
+ *         description: Too many requests from this IP; see Retry-After
+ */
+router.post('/', trackingLimit, trackOrder);
+
+module.exports = router;
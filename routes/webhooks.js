@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { handleRazorpayWebhook } = require('../controllers/webhookController');
+const { handleRazorpayWebhook, handleCourierWebhook } = require('../controllers/webhookController');
 
 /**
  * @route   POST /api/webhooks/razorpay
@@ -9,4 +9,11 @@ const { handleRazorpayWebhook } = require('../controllers/webhookController');
  */
 router.post('/razorpay', express.raw({ type: 'application/json' }), handleRazorpayWebhook);
 
+/**
+ * @route   POST /api/webhooks/couriers/:courier
+ * @desc    Courier tracking updates; advances orders to shipped/delivered
+ * @access  Public (verified by the courier adapter's signature check)
+ */
+router.post('/couriers/:courier', express.raw({ type: 'application/json' }), handleCourierWebhook);
+
 module.exports = router;
@@ -25,6 +25,11 @@ router.use(protect);
 *           type: string
 *         product_id:
 *           type: string
+*         variant_id:
+*           type: string
+*           nullable: true
+*         variant:
+*           $ref: '#/components/schemas/ProductVariant'
 *         created_at:
 *           type: string
 *           format: date-time
@@ -76,6 +81,11 @@ router.get('/', getWishlistItems);
 *         schema:
 *           type: string
 *         description: Product ID to check
+*       - in: query
+*         name: variant_id
+*         schema:
+*           type: string
+*         description: Pack size to check (omit to match any)
 *     responses:
 *       200:
 *         description: Wishlist status
@@ -121,6 +131,9 @@ router.get('/check', isInWishlist);
 *               product_id:
 *                 type: string
 *                 description: Product ID to add to wishlist
+*               variant_id:
+*                 type: string
+*                 description: Optional pack size to wishlist
 *     responses:
 *       201:
 *         description: Product added to wishlist
@@ -0,0 +1,50 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const connectDB = require('../config/db');
+const { nextOrderNumber } = require('../services/orderNumberService');
+
+/**
+ * Give orders created before order numbers existed an order number, oldest first.
+ * Each takes the next number in the financial year it was placed in, so in the current year the
+ * backfilled numbers follow the ones already issued. Return requests for those orders get the number too.
+ */
+async function backfillOrderNumbers() {
+  try {
+    await connectDB();
+
+    const orders = await Order.find({ order_number: null })
+      .select('_id createdAt')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+    console.log(`Found ${orders.length} order(s) without an order number`);
+
+    let updated = 0;
+    for (const order of orders) {
+      const orderNumber = await nextOrderNumber(order.createdAt || order._id.getTimestamp());
+      // Skip orders numbered since they were read (e.g. a second run of this script)
+      const result = await Order.updateOne(
+        { _id: order._id, order_number: null },
+        { $set: { order_number: orderNumber } }
+      );
+      if (result.modifiedCount === 0) continue;
+
+      await ReturnRequest.updateMany(
+        { order_id: order._id, order_number: null },
+        { $set: { order_number: orderNumber } }
+      );
+      updated += 1;
+      console.log(`  ${order._id}: ${orderNumber}`);
+    }
+
+    console.log(`\nOrder numbers assigned to ${updated} order(s).`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling order numbers:', error.message);
+    process.exit(1);
+  }
+}
+
+backfillOrderNumbers();
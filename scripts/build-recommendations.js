@@ -0,0 +1,27 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { rebuildRecommendations } = require('../services/recommendationService');
+
+/**
+ * Recompute bought-together and related products from order history.
+ * Meant to run periodically (e.g. nightly from cron).
+ */
+async function buildRecommendations() {
+  try {
+    await connectDB();
+
+    const result = await rebuildRecommendations();
+    console.log(`Recommendations computed for ${result.products} product(s)`);
+    console.log(`  with co-purchases: ${result.products_with_co_purchases}`);
+    console.log(`  removed (deleted products): ${result.removed}`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error building recommendations:', error.message);
+    process.exit(1);
+  }
+}
+
+buildRecommendations();
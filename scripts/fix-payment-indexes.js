@@ -0,0 +1,37 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const connectDB = require('../config/db');
+
+/**
+ * Payment.razorpay_order_id is now unique only when set (cash on delivery collections have none).
+ * Drop the old index, which counts every missing razorpay_order_id as a duplicate, and build the new one.
+ */
+async function fixPaymentIndexes() {
+  try {
+    await connectDB();
+
+    const name = Payment.collection.collectionName;
+    try {
+      await Payment.collection.dropIndex('razorpay_order_id_1');
+      console.log(`${name}: dropped razorpay_order_id_1`);
+    } catch (error) {
+      if (error.code === 27 || error.message.includes('index not found')) {
+        console.log(`${name}: razorpay_order_id_1 does not exist`);
+      } else {
+        throw error;
+      }
+    }
+    await Payment.syncIndexes();
+    console.log(`${name}: indexes synced`);
+
+    console.log('\nPayment index fix completed.');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error fixing payment indexes:', error.message);
+    process.exit(1);
+  }
+}
+
+fixPaymentIndexes();
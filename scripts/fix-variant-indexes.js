@@ -0,0 +1,40 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const CartItem = require('../models/CartItem');
+const WishlistItem = require('../models/WishlistItem');
+const connectDB = require('../config/db');
+
+/**
+ * Cart and wishlist items are now unique per product + variant.
+ * Drop the old product-only unique indexes and build the new ones.
+ */
+async function fixVariantIndexes() {
+  try {
+    await connectDB();
+
+    for (const Model of [CartItem, WishlistItem]) {
+      const name = Model.collection.collectionName;
+      try {
+        await Model.collection.dropIndex('user_id_1_product_id_1');
+        console.log(`${name}: dropped user_id_1_product_id_1`);
+      } catch (error) {
+        if (error.code === 27 || error.message.includes('index not found')) {
+          console.log(`${name}: user_id_1_product_id_1 does not exist`);
+        } else {
+          throw error;
+        }
+      }
+      await Model.syncIndexes();
+      console.log(`${name}: indexes synced`);
+    }
+
+    console.log('\nVariant index fix completed.');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error fixing variant indexes:', error.message);
+    process.exit(1);
+  }
+}
+
+fixVariantIndexes();
@@ -0,0 +1,56 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const connectDB = require('../config/db');
+
+/**
+ * Move products from free-text categories to Category references.
+ * - gives existing categories a slug
+ * - creates a top-level category for every Product.category string without one
+ * - sets category_id on products that do not have it yet
+ * Safe to run more than once.
+ */
+async function migrateCategories() {
+  try {
+    await connectDB();
+
+    const unslugged = await Category.find({ $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] });
+    for (const cat of unslugged) {
+      cat.slug = undefined;
+      await cat.save();
+      console.log(`  slug: ${cat.name} -> ${cat.slug}`);
+    }
+
+    const names = await Product.distinct('category', { category_id: null });
+    console.log(`Found ${names.length} category name(s) on products without category_id`);
+
+    for (const raw of names) {
+      const name = String(raw || '').trim();
+      if (!name) continue;
+
+      let cat = await Category.findOne({ name });
+      if (!cat) {
+        cat = await Category.create({ name });
+        console.log(`  created category: ${name}`);
+      }
+
+      const result = await Product.updateMany(
+        { category: raw, category_id: null },
+        { category: cat.name, category_id: cat._id }
+      );
+      console.log(`  ${name}: ${result.modifiedCount} product(s)`);
+    }
+
+    await Category.syncIndexes();
+
+    console.log('\nCategory migration completed.');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating categories:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateCategories();
@@ -0,0 +1,42 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const connectDB = require('../config/db');
+const { adjustStock } = require('../services/inventoryService');
+
+/**
+ * Give products created before quantity-based inventory an opening stock.
+ * Products that were marked in_stock get <defaultStock>, the rest get 0.
+ */
+async function migrateProductStock(defaultStock) {
+  try {
+    await connectDB();
+
+    const products = await Product.find({ stock: { $exists: false } }).lean();
+    console.log(`Found ${products.length} product(s) without a stock quantity`);
+
+    for (const product of products) {
+      const opening = product.in_stock === false ? 0 : defaultStock;
+      await Product.updateOne({ _id: product._id }, { stock: 0, reserved_stock: 0 });
+      await adjustStock(product._id, { set: opening, reason: 'migration_opening_stock' });
+      console.log(`  ${product.name}: ${opening}`);
+    }
+
+    console.log('\nStock migration completed.');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating product stock:', error.message);
+    process.exit(1);
+  }
+}
+
+const defaultStock = parseInt(process.argv[2], 10);
+
+if (!Number.isInteger(defaultStock) || defaultStock < 0) {
+  console.log('Usage: node scripts/migrate-product-stock.js <defaultStock>');
+  console.log('Example: node scripts/migrate-product-stock.js 100');
+  process.exit(1);
+}
+
+migrateProductStock(defaultStock);
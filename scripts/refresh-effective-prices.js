@@ -0,0 +1,28 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { refreshEffectivePrices, applyDueSchedules } = require('../services/salePricingService');
+
+/**
+ * Recompute effective_price (the sale-aware price used by price filters and sorts) for every product.
+ * Run once after upgrading, and any time prices look out of step with running sales.
+ */
+async function refreshPrices() {
+  try {
+    await connectDB();
+
+    const updated = await refreshEffectivePrices();
+    console.log(`Effective prices updated for ${updated} product(s)`);
+
+    // Record which schedules the prices now include
+    await applyDueSchedules({ force: true });
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error refreshing effective prices:', error.message);
+    process.exit(1);
+  }
+}
+
+refreshPrices();
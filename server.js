@@ -36,10 +36,27 @@ const uploadRoutes = require('./routes/uploadRoutes');
 const invoiceRoutes = require('./routes/invoiceRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const customReportRoutes = require('./routes/customReportRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const shipmentRoutes = require('./routes/shipmentRoutes');
+const trackingRoutes = require('./routes/trackingRoutes');
+const productBulkRoutes = require('./routes/productBulkRoutes');
+const adminPriceScheduleRoutes = require('./routes/adminPriceScheduleRoutes');
+const adminRecommendationRoutes = require('./routes/adminRecommendationRoutes');
+const productAlertRoutes = require('./routes/productAlertRoutes');
+const guestCartRoutes = require('./routes/guestCartRoutes');
+const shippingRoutes = require('./routes/shippingRoutes');
+const adminShippingZoneRoutes = require('./routes/adminShippingZoneRoutes');
+const adminPincodeRoutes = require('./routes/adminPincodeRoutes');
+const returnRoutes = require('./routes/returnRoutes');
 
 // Initialize express app
 const app = express();
 
+// Behind a load balancer / reverse proxy: number of proxy hops to trust, so req.ip is the client (rate limits)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
+
 // ✅ Load allowed origins from .env and split into an array
 const allowedOrigins = process.env.ALLOWED_ORIGINS
   ? process.env.ALLOWED_ORIGINS.split(",").map((origin) => origin.trim())
@@ -137,10 +154,16 @@ app.use("/api", categoryRoutes);
 app.use("/api", usersRouter);
 app.use("/api/addresses", addressRoutes);
 app.use("/api/wishlist", wishlistRoutes);
+app.use("/api/alerts", productAlertRoutes);
 
 // Cart & Order routes
 app.use("/api/cart", cartRoutes);
+app.use("/api/guest-cart", guestCartRoutes);
 app.use("/api/orders", orderRoutes);
+app.use("/api/shipping", shippingRoutes);
+app.use("/api/track", trackingRoutes);
+app.use("/api/returns", returnRoutes);
+app.use("/api/admin/returns", returnRoutes.adminRoutes());
 
 // Payment routes (NEW)
 app.use('/api/payments', paymentRoutes);
@@ -163,6 +186,25 @@ app.use('/api/admin/gifts', giftDesignRoutes.adminRoutes());
 app.use('/api/custom-gifts', customGiftRequestRoutes);
 app.use('/api/admin/custom-gifts', customGiftRequestRoutes.adminRoutes());
 
+// Inventory routes
+app.use("/api/admin/inventory", inventoryRoutes);
+
+// Courier shipments and tracking sync
+app.use("/api/admin/shipments", shipmentRoutes);
+
+// Bulk product import/export routes
+app.use("/api/admin/products", productBulkRoutes);
+
+// Scheduled sale price routes
+app.use("/api/admin/price-schedules", adminPriceScheduleRoutes);
+
+// Product recommendation routes
+app.use("/api/admin/recommendations", adminRecommendationRoutes);
+
+// Shipping zone, delivery charge and pincode serviceability routes
+app.use("/api/admin/shipping-zones", adminShippingZoneRoutes);
+app.use("/api/admin/pincodes", adminPincodeRoutes);
+
 // Offline Sales routes
 app.use("/api/admin/offline-sales", offlineSaleRoutes);
 
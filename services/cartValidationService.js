@@ -0,0 +1,208 @@
+const CartItem = require('../models/CartItem');
+const Coupon = require('../models/Coupon');
+const { computeDiscount, computeBase, isUsable } = require('../utils/coupon');
+const { resolveVariant, lineName } = require('../utils/variants');
+const { applySalePricing } = require('./salePricingService');
+const { round2, MAX_QUANTITY_PER_ITEM } = require('./pricingService');
+
+// Issues that block checkout; the rest (price changes) only need the shopper's attention
+const BLOCKING_ISSUES = new Set([
+  'product_removed',
+  'variant_unavailable',
+  'out_of_stock',
+  'insufficient_stock',
+  'quantity_limit',
+  'coupon_unusable',
+]);
+
+const VALIDATION_PRODUCT_FIELDS = 'name price original_price stock reserved_stock category category_id variants';
+
+const issue = (type, item, message, details = {}) => ({
+  type,
+  blocking: BLOCKING_ISSUES.has(type),
+  item_id: item ? item._id.toString() : null,
+  product_id: item ? String(item.product_id?._id || item.product_id) : null,
+  variant_id: item?.variant_id ? item.variant_id.toString() : null,
+  message,
+  details,
+  fixed: false,
+});
+
+/**
+ * Why a coupon cannot be applied to the given lines, or null when it can
+ */
+const couponProblem = async (couponCode, lines) => {
+  const coupon = await Coupon.findOne({ code: String(couponCode).toUpperCase().trim() }).lean();
+  if (!coupon) {
+    return { coupon: null, message: 'Coupon not found' };
+  }
+  if (!isUsable(coupon)) {
+    return { coupon, message: 'Coupon is not active or has expired' };
+  }
+  const subtotal = computeBase(lines);
+  if (coupon.min_purchase_amount && subtotal < coupon.min_purchase_amount) {
+    return {
+      coupon,
+      message: `Add items worth ₹${round2(coupon.min_purchase_amount - subtotal)} more to use this coupon`,
+      details: { min_purchase_amount: coupon.min_purchase_amount, subtotal },
+    };
+  }
+  if (coupon.type !== 'free_shipping' && computeDiscount(lines, coupon) <= 0) {
+    return { coupon, message: 'Coupon does not apply to the items in your cart' };
+  }
+  return { coupon, message: null };
+};
+
+/**
+ * Check a user's cart against current products, stock, prices and an optional coupon.
+ *
+ * Issue types: product_removed, variant_unavailable, out_of_stock, insufficient_stock,
+ * quantity_limit, price_changed (price differs from price_at_add) and coupon_unusable.
+ * With autoFix, removed/unavailable/out-of-stock lines are deleted, quantities are lowered to
+ * what can be bought and price_at_add is moved to the current price; a coupon cannot be fixed,
+ * the client should drop it. Items and the coupon are reported as they stand after any fixes.
+ */
+const validateCart = async (userId, { couponCode = null, autoFix = false } = {}) => {
+  const cartItems = await CartItem.find({ user_id: userId })
+    .populate({ path: 'product_id', select: VALIDATION_PRODUCT_FIELDS })
+    .sort({ createdAt: 1 })
+    .lean();
+  await applySalePricing(cartItems.map((item) => item.product_id).filter(Boolean));
+
+  const issues = [];
+  const removals = [];
+  const updates = [];
+  const lines = [];
+
+  for (const item of cartItems) {
+    const product = item.product_id;
+    if (!product) {
+      issues.push(issue('product_removed', item, 'A product in your cart is no longer available'));
+      removals.push(item._id);
+      continue;
+    }
+
+    const unit = resolveVariant(product, item.variant_id);
+    if (unit.error) {
+      issues.push({ ...issue('variant_unavailable', item, unit.error), name: product.name });
+      removals.push(item._id);
+      continue;
+    }
+
+    const name = lineName(product.name, unit.variant_label);
+    if (unit.available < 1) {
+      issues.push({ ...issue('out_of_stock', item, `${name} is out of stock`), name });
+      removals.push(item._id);
+      continue;
+    }
+
+    const lineIssues = [];
+    const update = {};
+    let quantity = item.quantity;
+
+    if (quantity > MAX_QUANTITY_PER_ITEM) {
+      lineIssues.push(
+        issue('quantity_limit', item, `You can buy at most ${MAX_QUANTITY_PER_ITEM} of ${name}`, {
+          quantity,
+          max_quantity: MAX_QUANTITY_PER_ITEM,
+        })
+      );
+      quantity = MAX_QUANTITY_PER_ITEM;
+    }
+    if (quantity > unit.available) {
+      lineIssues.push(
+        issue('insufficient_stock', item, `Only ${unit.available} of ${name} available`, {
+          quantity: item.quantity,
+          available: unit.available,
+        })
+      );
+      quantity = unit.available;
+    }
+    if (quantity !== item.quantity) update.quantity = quantity;
+
+    const price = round2(unit.price);
+    if (item.price_at_add == null) {
+      // Added before prices were recorded: start tracking from the current price
+      update.price_at_add = price;
+    } else if (round2(item.price_at_add) !== price) {
+      lineIssues.push(
+        issue(
+          'price_changed',
+          item,
+          `The price of ${name} has ${price > item.price_at_add ? 'gone up' : 'dropped'} from ₹${round2(item.price_at_add)} to ₹${price}`,
+          { previous_price: round2(item.price_at_add), current_price: price }
+        )
+      );
+      update.price_at_add = price;
+    }
+
+    lineIssues.forEach((i) => issues.push({ ...i, name }));
+    if (Object.keys(update).length) updates.push({ _id: item._id, update });
+
+    const fixed = autoFix ? { ...item, ...update } : item;
+    lines.push({
+      id: item._id.toString(),
+      product_id: product._id.toString(),
+      variant_id: unit.variant ? unit.variant._id.toString() : null,
+      name,
+      category: product.category,
+      quantity: fixed.quantity,
+      price,
+      price_at_add: fixed.price_at_add ?? null,
+      available: unit.available,
+      sale: unit.sale,
+      line_total: round2(price * fixed.quantity),
+    });
+  }
+
+  if (autoFix) {
+    if (removals.length) {
+      await CartItem.deleteMany({ _id: { $in: removals }, user_id: userId });
+    }
+    if (updates.length) {
+      await CartItem.bulkWrite(
+        updates.map(({ _id, update }) => ({
+          updateOne: { filter: { _id, user_id: userId }, update: { $set: update } },
+        }))
+      );
+    }
+    issues.forEach((i) => {
+      i.fixed = true;
+    });
+  }
+
+  // Coupon against the lines that would be checked out
+  const subtotal = round2(computeBase(lines));
+  let coupon = null;
+  if (couponCode) {
+    const checkoutLines = autoFix
+      ? lines
+      : lines.filter((line) => !issues.some((i) => i.blocking && i.item_id === line.id));
+    const result = await couponProblem(couponCode, checkoutLines);
+    coupon = {
+      code: result.coupon ? result.coupon.code : String(couponCode).toUpperCase().trim(),
+      valid: !result.message,
+      discount_amount: result.message ? 0 : round2(computeDiscount(checkoutLines, result.coupon)),
+      message: result.message,
+    };
+    if (result.message) {
+      issues.push({ ...issue('coupon_unusable', null, result.message, result.details), code: coupon.code });
+    }
+  }
+
+  const outstanding = issues.filter((i) => !i.fixed);
+  return {
+    valid: outstanding.length === 0,
+    can_checkout: lines.length > 0 && !outstanding.some((i) => i.blocking),
+    auto_fixed: autoFix && issues.some((i) => i.fixed),
+    issues,
+    items: lines,
+    subtotal,
+    coupon,
+  };
+};
+
+module.exports = {
+  MAX_QUANTITY_PER_ITEM,
+  validateCart,
+};
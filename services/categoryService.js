@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+const categoryError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * All categories in display order
+ */
+const loadCategories = () => Category.find().sort({ sort_order: 1, name: 1 }).lean();
+
+/**
+ * Find a category by ObjectId or slug
+ */
+const findCategory = (idOrSlug) => {
+  const value = String(idOrSlug || '').trim();
+  if (!value) return null;
+  if (mongoose.Types.ObjectId.isValid(value) && String(new mongoose.Types.ObjectId(value)) === value) {
+    return Category.findById(value);
+  }
+  return Category.findOne({ slug: value.toLowerCase() });
+};
+
+/**
+ * Ids of a category and everything below it
+ */
+const descendantIds = (categories, rootId) => {
+  const children = new Map();
+  categories.forEach((c) => {
+    const key = c.parent_id ? String(c.parent_id) : '';
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(String(c._id));
+  });
+
+  const ids = [];
+  const queue = [String(rootId)];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    ids.push(id);
+    queue.push(...(children.get(id) || []));
+  }
+  return ids;
+};
+
+/**
+ * Ancestors of a category from the root down (excluding the category itself)
+ */
+const ancestorsOf = (categories, category) => {
+  const byId = new Map(categories.map((c) => [String(c._id), c]));
+  const path = [];
+  let parentId = category.parent_id ? String(category.parent_id) : null;
+  while (parentId && byId.has(parentId) && path.length < categories.length) {
+    const parent = byId.get(parentId);
+    path.unshift(parent);
+    parentId = parent.parent_id ? String(parent.parent_id) : null;
+  }
+  return path;
+};
+
+/**
+ * Product count per category_id (products directly in the category)
+ */
+const productCounts = async () => {
+  const rows = await Product.aggregate([
+    { $match: { category_id: { $ne: null } } },
+    { $group: { _id: '$category_id', count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.count]));
+};
+
+/**
+ * API shape of a category
+ */
+const formatCategory = (c, counts) => {
+  const out = {
+    id: c._id.toString(),
+    name: c.name,
+    slug: c.slug,
+    description: c.description || '',
+    image_url: c.image_url || null,
+    parent_id: c.parent_id ? c.parent_id.toString() : null,
+    sort_order: c.sort_order || 0,
+    created_at: c.createdAt,
+    updated_at: c.updatedAt,
+  };
+  if (counts) {
+    out.product_count = counts.get(c._id.toString()) || 0;
+  }
+  return out;
+};
+
+/**
+ * Nest categories under their parents. With counts, each node also gets
+ * total_product_count covering its whole subtree.
+ */
+const buildTree = (categories, counts) => {
+  const nodes = new Map(
+    categories.map((c) => [c._id.toString(), { ...formatCategory(c, counts), children: [] }])
+  );
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent_id && nodes.get(node.parent_id);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+
+  if (counts) {
+    const total = (node) => {
+      node.total_product_count =
+        node.product_count + node.children.reduce((sum, child) => sum + total(child), 0);
+      return node.total_product_count;
+    };
+    roots.forEach(total);
+  }
+  return roots;
+};
+
+/**
+ * Resolve the category for a product from category_id or a category name.
+ * Unknown names create a top-level category so existing clients keep working.
+ */
+const resolveProductCategory = async ({ category_id, category }) => {
+  if (category_id) {
+    const cat = await findCategory(category_id);
+    if (!cat) {
+      throw categoryError('Category not found', 400);
+    }
+    return cat;
+  }
+
+  const name = String(category || '').trim();
+  if (!name) {
+    throw categoryError('Category is required', 400);
+  }
+  const existing = await Category.findOne({ name });
+  return existing || Category.create({ name });
+};
+
+module.exports = {
+  loadCategories,
+  findCategory,
+  descendantIds,
+  ancestorsOf,
+  productCounts,
+  formatCategory,
+  buildTree,
+  resolveProductCategory,
+};
@@ -0,0 +1,83 @@
+const Order = require('../models/Order');
+
+// Cash on delivery rules (order value is the total before the COD fee)
+const COD_RULES = {
+  enabled: process.env.COD_ENABLED !== 'false',
+  fee: Number(process.env.COD_FEE ?? 0),
+  max_order_value: Number(process.env.COD_MAX_ORDER_VALUE ?? 5000),
+  // Unpaid COD orders a customer may have open at once
+  max_open_orders: parseInt(process.env.COD_MAX_OPEN_ORDERS, 10) || 2,
+  // Cancelled or refused COD orders within the lookback that block COD for the account
+  max_cancelled_orders: parseInt(process.env.COD_MAX_CANCELLED_ORDERS, 10) || 3,
+  cancelled_lookback_days: parseInt(process.env.COD_CANCELLED_LOOKBACK_DAYS, 10) || 90,
+};
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Whether a request's payment_method asks for cash on delivery
+ */
+const isCodMethod = (paymentMethod) => String(paymentMethod || '').trim().toLowerCase() === 'cod';
+
+/**
+ * Fee added to the order total for cash on delivery
+ */
+const codFee = () => round2(Math.max(0, COD_RULES.fee));
+
+/**
+ * Whether a user may pay for a quoted order on delivery
+ *
+ * quote: from quoteOrder (priced for the shipping address, so cod_available reflects the pincode)
+ * Returns { eligible, fee, max_order_value, reasons: [] }
+ */
+const codEligibility = async (userId, quote) => {
+  const reasons = [];
+  const orderValue = round2(quote.total_amount - (quote.cod_fee || 0));
+
+  if (!COD_RULES.enabled) {
+    reasons.push('Cash on delivery is currently unavailable');
+  } else {
+    if (!quote.cod_available) {
+      reasons.push('Cash on delivery is not available for this pincode');
+    }
+    if (orderValue > COD_RULES.max_order_value) {
+      reasons.push(`Cash on delivery is available on orders up to ₹${COD_RULES.max_order_value}`);
+    }
+
+    const since = new Date(Date.now() - COD_RULES.cancelled_lookback_days * 24 * 60 * 60 * 1000);
+    const [openOrders, cancelledOrders] = await Promise.all([
+      Order.countDocuments({
+        user_id: userId,
+        payment_method: 'cod',
+        payment_status: 'pending',
+        status: { $nin: ['cancelled', 'delivered'] },
+      }),
+      Order.countDocuments({
+        user_id: userId,
+        payment_method: 'cod',
+        status: 'cancelled',
+        updatedAt: { $gte: since },
+      }),
+    ]);
+    if (openOrders >= COD_RULES.max_open_orders) {
+      reasons.push('Please complete your open cash on delivery orders before placing another');
+    }
+    if (cancelledOrders >= COD_RULES.max_cancelled_orders) {
+      reasons.push('Cash on delivery is unavailable for this account because of recently cancelled COD orders');
+    }
+  }
+
+  return {
+    eligible: reasons.length === 0,
+    fee: codFee(),
+    max_order_value: COD_RULES.max_order_value,
+    reasons,
+  };
+};
+
+module.exports = {
+  COD_RULES,
+  isCodMethod,
+  codFee,
+  codEligibility,
+};
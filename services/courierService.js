@@ -0,0 +1,406 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { loadShippingDocuments, senderDetails } = require('./shippingDocumentService');
+const { sendOrderShippedEmail, sendOrderDeliveredEmail } = require('../utils/emailService');
+const { populateOrderForEmail } = require('./orderEmailService');
+const logger = require('../utils/logger');
+
+/**
+ * Courier adapters, by name. Each adapter is an object with:
+ *   name, displayName
+ *   createShipment({ order, sender }) -> { courier_shipment_id, tracking_number, estimated_delivery? }
+ *   getLabel({ shipment, order, sender }) -> PDF Buffer
+ *   cancelShipment(shipment) -> { cancelled }
+ *   track(shipment) -> [{ status, description, location, occurred_at }]
+ *   verifyWebhook(rawBody, headers) -> boolean (rawBody is a Buffer; false for anything else)
+ *   parseWebhook(payload) -> [{ tracking_number, status, description, location, occurred_at }], or null
+ *     when the payload is malformed; events without occurred_at are ignored (a replay cannot be told apart)
+ * `order` is a shipping document from shippingDocumentService.loadShippingDocuments, `shipment` is
+ * Order.shipment. Statuses are normalised to TRACKING_STATUSES by the adapter.
+ */
+const COURIERS = {
+  mock: require('./couriers/mockCourier'),
+};
+
+const DEFAULT_COURIER = process.env.COURIER_PROVIDER || 'mock';
+
+const TRACKING_STATUSES = [
+  'created',
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'failed_attempt',
+  'delivered',
+  'returned',
+  'cancelled',
+];
+
+// Tracking statuses that mean the parcel has left the warehouse
+const SHIPPED_STATUSES = ['picked_up', 'in_transit', 'out_for_delivery', 'failed_attempt', 'delivered'];
+
+// No more tracking updates expected
+const FINAL_STATUSES = ['delivered', 'returned', 'cancelled'];
+
+// Orders polled per syncActiveShipments run
+const SYNC_BATCH_SIZE = parseInt(process.env.COURIER_SYNC_BATCH_SIZE, 10) || 200;
+
+const courierError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getCourier = (name = DEFAULT_COURIER) => {
+  const courier = COURIERS[name];
+  if (!courier) throw courierError(`Unknown courier: ${name}`, 400);
+  return courier;
+};
+
+const listCouriers = () => Object.values(COURIERS).map((c) => ({
+  name: c.name,
+  display_name: c.displayName,
+  default: c.name === DEFAULT_COURIER,
+}));
+
+const hasActiveShipment = (order) => Boolean(order.shipment?.courier)
+  && order.shipment.tracking_status !== 'cancelled';
+
+const loadCourierOrder = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order) throw courierError('Order not found', 404);
+  if (!hasActiveShipment(order)) throw courierError('Order has no courier shipment', 400);
+  return order;
+};
+
+const eventKey = (event) => `${event.status}|${new Date(event.occurred_at).toISOString()}`;
+
+// Shipped/delivered emails for the order's new status (best-effort)
+const notifyCustomer = async (orderId, status) => {
+  try {
+    const order = await populateOrderForEmail(orderId);
+    const user = await User.findById(order.user_id).select('email').lean();
+    if (!user?.email) return;
+    if (status === 'shipped') {
+      await sendOrderShippedEmail(order, user.email, order.shipment);
+    } else if (status === 'delivered') {
+      await sendOrderDeliveredEmail(order, user.email);
+    }
+  } catch (error) {
+    logger.error('courier:notify_failed', { orderId: String(orderId), status, message: error?.message });
+  }
+};
+
+/**
+ * Book a courier shipment for a pending or processing order (Admin)
+ * The order stays in its status until the courier reports a pickup. Returns the updated order.
+ */
+const createShipment = async ({ orderId, adminId, courierName }) => {
+  const courier = getCourier(courierName || DEFAULT_COURIER);
+  const order = await Order.findById(orderId).lean();
+  if (!order) throw courierError('Order not found', 404);
+  if (!['pending', 'processing'].includes(order.status)) {
+    throw courierError(`Cannot ship order with status: ${order.status}`, 400);
+  }
+  if (hasActiveShipment(order)) {
+    throw courierError('Order already has a courier shipment; cancel it first', 409);
+  }
+
+  const [[document], sender] = await Promise.all([
+    loadShippingDocuments([orderId]),
+    senderDetails(),
+  ]);
+  const booking = await courier.createShipment({ order: document, sender });
+
+  // Only one booking per order: the order must still be unshipped and without an active shipment
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: { $in: ['pending', 'processing'] },
+      $or: [{ 'shipment.courier': null }, { 'shipment.tracking_status': 'cancelled' }],
+    },
+    {
+      $set: {
+        shipment: {
+          deliveryPartner: courier.displayName,
+          trackingNumber: booking.tracking_number,
+          estimatedDelivery: booking.estimated_delivery || null,
+          shippedAt: null,
+          courier: courier.name,
+          courier_shipment_id: booking.courier_shipment_id,
+          tracking_status: 'created',
+          events: [],
+          created_by: adminId,
+          last_synced_at: null,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    await courier.cancelShipment({ courier_shipment_id: booking.courier_shipment_id, trackingNumber: booking.tracking_number })
+      .catch(() => {});
+    throw courierError('Order has changed. Please refresh and try again.', 409);
+  }
+
+  logger.info('courier:shipment_created', {
+    orderId: String(order._id),
+    courier: courier.name,
+    trackingNumber: booking.tracking_number,
+  });
+  return updated;
+};
+
+/**
+ * Courier label for an order's shipment, as a PDF buffer
+ */
+const getShipmentLabel = async (orderId) => {
+  const order = await loadCourierOrder(orderId);
+  const [[document], sender] = await Promise.all([
+    loadShippingDocuments([orderId]),
+    senderDetails(),
+  ]);
+  return getCourier(order.shipment.courier).getLabel({ shipment: order.shipment, order: document, sender });
+};
+
+/**
+ * Cancel an order's courier shipment before pickup (Admin); a new one can then be booked
+ */
+const cancelShipment = async ({ orderId, adminId }) => {
+  const order = await loadCourierOrder(orderId);
+  if (order.shipment.tracking_status !== 'created') {
+    throw courierError('The shipment has already been picked up and cannot be cancelled', 400);
+  }
+
+  await getCourier(order.shipment.courier).cancelShipment(order.shipment);
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, 'shipment.tracking_status': 'created' },
+    {
+      $set: {
+        'shipment.tracking_status': 'cancelled',
+        'shipment.trackingNumber': null,
+        'shipment.estimatedDelivery': null,
+      },
+      $push: {
+        'shipment.events': {
+          status: 'cancelled',
+          description: `Shipment ${order.shipment.trackingNumber} cancelled`,
+          location: '',
+          occurred_at: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) throw courierError('Order has changed. Please refresh and try again.', 409);
+
+  logger.info('courier:shipment_cancelled', {
+    orderId: String(order._id),
+    adminId,
+    trackingNumber: order.shipment.trackingNumber,
+  });
+  return updated;
+};
+
+/**
+ * Record tracking events on an order and advance it to shipped / delivered
+ * Events already recorded are ignored. Each status change is claimed atomically, so polling and
+ * webhooks reporting the same event send the customer one email.
+ * Returns { order, transitions }
+ */
+const applyTrackingEvents = async (order, events) => {
+  const known = new Set((order.shipment.events || []).map(eventKey));
+  const fresh = events
+    .filter((e) => TRACKING_STATUSES.includes(e.status) && e.occurred_at && !Number.isNaN(new Date(e.occurred_at).getTime()))
+    .filter((e) => !known.has(eventKey(e)));
+
+  const now = new Date();
+  const allEvents = [...(order.shipment.events || []), ...fresh]
+    .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+  const latest = allEvents[allEvents.length - 1];
+
+  let updated = await Order.findOneAndUpdate(
+    { _id: order._id },
+    {
+      $set: {
+        'shipment.last_synced_at': now,
+        ...(fresh.length
+          ? {
+            'shipment.events': allEvents.map((e) => ({
+              status: e.status,
+              description: e.description || '',
+              location: e.location || '',
+              occurred_at: new Date(e.occurred_at),
+            })),
+            'shipment.tracking_status': latest.status,
+          }
+          : {}),
+      },
+    },
+    { new: true }
+  );
+
+  const transitions = [];
+  const statuses = new Set(allEvents.map((e) => e.status));
+  const firstOf = (list) => allEvents.find((e) => list.includes(e.status));
+
+  if (SHIPPED_STATUSES.some((s) => statuses.has(s))) {
+    const pickup = firstOf(SHIPPED_STATUSES);
+    const shipped = await Order.findOneAndUpdate(
+      { _id: order._id, status: { $in: ['pending', 'processing'] } },
+      {
+        $set: { status: 'shipped', 'shipment.shippedAt': new Date(pickup.occurred_at) },
+        $push: {
+          statusHistory: {
+            status: 'shipped',
+            changedBy: null,
+            changedAt: now,
+            comment: `${updated.shipment.deliveryPartner}: ${pickup.description || pickup.status}`,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (shipped) {
+      updated = shipped;
+      transitions.push('shipped');
+    }
+  }
+
+  if (statuses.has('delivered')) {
+    const delivery = firstOf(['delivered']);
+    const delivered = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'shipped' },
+      {
+        $set: { status: 'delivered' },
+        $push: {
+          statusHistory: {
+            status: 'delivered',
+            changedBy: null,
+            changedAt: new Date(delivery.occurred_at),
+            comment: `${updated.shipment.deliveryPartner}: ${delivery.description || 'Delivered'}`,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (delivered) {
+      updated = delivered;
+      transitions.push('delivered');
+    }
+  }
+
+  for (const status of transitions) {
+    await notifyCustomer(order._id, status);
+  }
+
+  if (fresh.length || transitions.length) {
+    logger.info('courier:tracking_applied', {
+      orderId: String(order._id),
+      events: fresh.length,
+      tracking_status: updated.shipment.tracking_status,
+      transitions,
+    });
+  }
+  return { order: updated, transitions };
+};
+
+/**
+ * Poll the courier for one order's tracking
+ */
+const syncShipment = async (orderId) => {
+  const order = await loadCourierOrder(orderId);
+  const events = await getCourier(order.shipment.courier).track(order.shipment);
+  return applyTrackingEvents(order, events);
+};
+
+/**
+ * Poll tracking for every in-flight courier shipment, oldest sync first
+ * Returns { synced, failed, shipped, delivered }
+ */
+const syncActiveShipments = async () => {
+  const orders = await Order.find({
+    'shipment.courier': { $ne: null },
+    'shipment.tracking_status': { $nin: FINAL_STATUSES },
+    status: { $ne: 'cancelled' },
+  })
+    .sort({ 'shipment.last_synced_at': 1 })
+    .limit(SYNC_BATCH_SIZE);
+
+  const result = { synced: 0, failed: 0, shipped: 0, delivered: 0 };
+  for (const order of orders) {
+    try {
+      const events = await getCourier(order.shipment.courier).track(order.shipment);
+      const { transitions } = await applyTrackingEvents(order, events);
+      result.synced += 1;
+      if (transitions.includes('shipped')) result.shipped += 1;
+      if (transitions.includes('delivered')) result.delivered += 1;
+    } catch (error) {
+      result.failed += 1;
+      logger.error('courier:sync_failed', { orderId: String(order._id), message: error.message });
+    }
+  }
+  return result;
+};
+
+/**
+ * Apply a courier's tracking webhook
+ * rawBody is the unparsed request body (for the signature); it is only a Buffer when the request was
+ * sent as application/json. Returns { processed, unmatched }.
+ */
+const handleTrackingWebhook = async (courierName, rawBody, headers) => {
+  const courier = COURIERS[courierName];
+  if (!courier) throw courierError(`Unknown courier: ${courierName}`, 404);
+  if (!Buffer.isBuffer(rawBody) || rawBody.length === 0) {
+    throw courierError('Webhook body must be JSON sent with Content-Type: application/json', 400);
+  }
+  if (!courier.verifyWebhook(rawBody, headers)) throw courierError('Invalid signature', 401);
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw courierError('Invalid JSON payload', 400);
+  }
+
+  const parsed = courier.parseWebhook(payload);
+  if (!parsed) throw courierError('Invalid webhook payload', 400);
+
+  const byTracking = new Map();
+  parsed.forEach((event) => {
+    if (!event.tracking_number) return;
+    const list = byTracking.get(event.tracking_number) || [];
+    list.push(event);
+    byTracking.set(event.tracking_number, list);
+  });
+
+  let processed = 0;
+  const unmatched = [];
+  for (const [trackingNumber, events] of byTracking) {
+    const order = await Order.findOne({ 'shipment.courier': courier.name, 'shipment.trackingNumber': trackingNumber });
+    if (!order) {
+      unmatched.push(trackingNumber);
+      continue;
+    }
+    await applyTrackingEvents(order, events);
+    processed += 1;
+  }
+
+  if (unmatched.length) {
+    logger.warn('courier:webhook_unmatched', { courier: courier.name, trackingNumbers: unmatched });
+  }
+  return { processed, unmatched };
+};
+
+module.exports = {
+  TRACKING_STATUSES,
+  getCourier,
+  listCouriers,
+  createShipment,
+  getShipmentLabel,
+  cancelShipment,
+  applyTrackingEvents,
+  syncShipment,
+  syncActiveShipments,
+  handleTrackingWebhook,
+};
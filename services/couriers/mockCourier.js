@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { generateShippingLabelPDF } = require('../../utils/pdfGenerator');
+
+/**
+ * Local mock courier for development
+ * Shipments move one tracking step every MOCK_COURIER_STEP_MINUTES after creation, so polling
+ * walks an order through shipped and delivered without a real courier account. The creation
+ * time is encoded in the tracking number, so tracking survives restarts.
+ * Webhooks: POST /api/webhooks/couriers/mock with { tracking_number, status, description?, location?, occurred_at? }
+ * (or an array of them), signed with HMAC-SHA256 of the raw body in X-Mock-Signature when
+ * MOCK_COURIER_WEBHOOK_SECRET is set.
+ */
+
+// Minutes between simulated tracking steps
+const STEP_MINUTES = Number(process.env.MOCK_COURIER_STEP_MINUTES ?? 2);
+
+const STEPS = [
+  { status: 'created', description: 'Shipment created', location: 'Origin hub' },
+  { status: 'picked_up', description: 'Picked up from seller', location: 'Origin hub' },
+  { status: 'in_transit', description: 'In transit', location: 'Sorting centre' },
+  { status: 'out_for_delivery', description: 'Out for delivery', location: 'Destination hub' },
+  { status: 'delivered', description: 'Delivered', location: 'Destination' },
+];
+
+const TRACKING_PREFIX = 'MOCK';
+
+const createdAtFromTracking = (trackingNumber) => {
+  const encoded = String(trackingNumber || '').slice(TRACKING_PREFIX.length, -3);
+  const time = parseInt(encoded, 36);
+  return Number.isFinite(time) ? new Date(time) : null;
+};
+
+module.exports = {
+  name: 'mock',
+  displayName: 'Mock Courier',
+
+  async createShipment({ order }) {
+    const createdAt = Date.now();
+    const days = order.delivery_type === 'express' ? 2 : 5;
+    return {
+      courier_shipment_id: `mock_${crypto.randomBytes(6).toString('hex')}`,
+      tracking_number: `${TRACKING_PREFIX}${createdAt.toString(36).toUpperCase()}${crypto.randomInt(100, 1000)}`,
+      estimated_delivery: new Date(createdAt + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    };
+  },
+
+  // Same 4x6 label as /api/orders/:id/shipping-label, with the mock tracking number
+  async getLabel({ order, sender }) {
+    return generateShippingLabelPDF([order], sender);
+  },
+
+  async cancelShipment() {
+    return { cancelled: true };
+  },
+
+  async track({ trackingNumber }) {
+    const createdAt = createdAtFromTracking(trackingNumber);
+    if (!createdAt) return [];
+    const stepMs = Math.max(STEP_MINUTES, 0) * 60 * 1000;
+    const reached = stepMs === 0
+      ? STEPS.length
+      : Math.min(STEPS.length, Math.floor((Date.now() - createdAt.getTime()) / stepMs) + 1);
+    return STEPS.slice(0, reached).map((step, i) => ({
+      ...step,
+      occurred_at: new Date(createdAt.getTime() + i * stepMs),
+    }));
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const secret = process.env.MOCK_COURIER_WEBHOOK_SECRET;
+    if (!secret) return process.env.NODE_ENV !== 'production';
+    if (!Buffer.isBuffer(rawBody)) return false;
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const signature = String(headers['x-mock-signature'] || '');
+    return signature.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  },
+
+  parseWebhook(payload) {
+    const events = Array.isArray(payload) ? payload : [payload];
+    if (events.some((event) => !event || typeof event !== 'object' || Array.isArray(event))) return null;
+    return events.map((event) => ({
+      tracking_number: event.tracking_number,
+      status: event.status,
+      description: event.description || '',
+      location: event.location || '',
+      occurred_at: event.occurred_at ? new Date(event.occurred_at) : null,
+    }));
+  },
+};
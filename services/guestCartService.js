@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const GuestCart = require('../models/GuestCart');
+const CartItem = require('../models/CartItem');
+const Product = require('../models/Product');
+const { resolveVariant, lineName } = require('../utils/variants');
+const { applySalePricing } = require('./salePricingService');
+const { MAX_QUANTITY_PER_ITEM } = require('./pricingService');
+const logger = require('../utils/logger');
+
+// Guest carts are kept this long after their last change
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS, 10) || 30;
+
+// Most distinct lines a guest cart may hold
+const MAX_GUEST_CART_LINES = 50;
+
+const cartError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const expiresAt = () => new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const sameLine = (a, productId, variantId) =>
+  String(a.product_id) === String(productId) && String(a.variant_id || '') === String(variantId || '');
+
+/**
+ * Cart token sent by the client: X-Cart-Token header, or cart_token in the body or query
+ */
+const cartTokenFrom = (req) =>
+  req.get('x-cart-token') || req.body?.cart_token || req.query?.cart_token || null;
+
+/**
+ * Open (unexpired, not yet merged) guest cart for a token
+ */
+const findGuestCart = async (token) => {
+  if (!token || typeof token !== 'string') return null;
+  return GuestCart.findOne({ token, merged_at: null, expires_at: { $gt: new Date() } });
+};
+
+const createGuestCart = () =>
+  GuestCart.create({ token: crypto.randomBytes(24).toString('hex'), expires_at: expiresAt() });
+
+/**
+ * Add a product (and pack size) to a guest cart, adding to the quantity of an existing line
+ */
+const addGuestItem = async (cart, { product_id, variant_id = null, quantity = 1 }) => {
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty < 1) {
+    throw cartError('Quantity must be at least 1', 400);
+  }
+
+  const product = await Product.findById(product_id).lean();
+  if (!product) {
+    throw cartError('Product not found', 404);
+  }
+  await applySalePricing(product);
+  const unit = resolveVariant(product, variant_id);
+  if (unit.error) {
+    throw cartError(unit.error, 400);
+  }
+  const variantId = unit.variant ? unit.variant._id : null;
+
+  const line = cart.items.find((i) => sameLine(i, product._id, variantId));
+  if ((line ? line.quantity : 0) + qty > MAX_QUANTITY_PER_ITEM) {
+    throw cartError(`You can buy at most ${MAX_QUANTITY_PER_ITEM} of ${lineName(product.name, unit.variant_label)}`, 400);
+  }
+  if (line) {
+    line.quantity += qty;
+    line.price_at_add = unit.price;
+  } else {
+    if (cart.items.length >= MAX_GUEST_CART_LINES) {
+      throw cartError(`A cart can hold at most ${MAX_GUEST_CART_LINES} different items`, 400);
+    }
+    cart.items.push({ product_id: product._id, variant_id: variantId, quantity: qty, price_at_add: unit.price });
+  }
+
+  cart.expires_at = expiresAt();
+  await cart.save();
+  return cart;
+};
+
+/**
+ * Set the quantity of a guest cart line
+ */
+const updateGuestItem = async (cart, itemId, quantity) => {
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty < 1) {
+    throw cartError('Quantity must be at least 1', 400);
+  }
+  if (qty > MAX_QUANTITY_PER_ITEM) {
+    throw cartError(`You can buy at most ${MAX_QUANTITY_PER_ITEM} of this item`, 400);
+  }
+  const line = cart.items.id(itemId);
+  if (!line) {
+    throw cartError('Cart item not found', 404);
+  }
+  line.quantity = qty;
+  cart.expires_at = expiresAt();
+  await cart.save();
+  return cart;
+};
+
+/**
+ * Remove a line from a guest cart
+ */
+const removeGuestItem = async (cart, itemId) => {
+  const line = cart.items.id(itemId);
+  if (!line) {
+    throw cartError('Cart item not found', 404);
+  }
+  cart.items.pull(line._id);
+  cart.expires_at = expiresAt();
+  await cart.save();
+  return cart;
+};
+
+/**
+ * Move a guest cart into a user's CartItems.
+ *
+ * - lines for deleted products, unavailable pack sizes or out-of-stock units are skipped
+ * - a line already in the user's cart keeps the larger of the two quantities (the same shopper
+ *   usually added it twice, so quantities are not summed)
+ * - quantities are capped at the stock available now
+ * The guest cart is claimed first so a token can only be merged once.
+ * Returns { merged, adjusted, skipped } or null when the token has no open cart.
+ */
+const mergeGuestCart = async (token, userId) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const cart = await GuestCart.findOneAndUpdate(
+    { token, merged_at: null, expires_at: { $gt: new Date() } },
+    { $set: { merged_at: new Date(), merged_into: userId } },
+    { new: true }
+  ).lean();
+  if (!cart) return null;
+
+  const result = { merged: [], adjusted: [], skipped: [] };
+  const productIds = [...new Set(cart.items.map((i) => String(i.product_id)))];
+  const [products, existingItems] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).lean(),
+    CartItem.find({ user_id: userId, product_id: { $in: productIds } }),
+  ]);
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  for (const item of cart.items) {
+    const line = { product_id: String(item.product_id), variant_id: item.variant_id ? String(item.variant_id) : null };
+    const product = productMap.get(line.product_id);
+    if (!product) {
+      result.skipped.push({ ...line, reason: 'Product is no longer available' });
+      continue;
+    }
+
+    const unit = resolveVariant(product, item.variant_id);
+    if (unit.error) {
+      result.skipped.push({ ...line, name: product.name, reason: unit.error });
+      continue;
+    }
+    const name = lineName(product.name, unit.variant_label);
+    if (unit.available < 1) {
+      result.skipped.push({ ...line, name, reason: `${name} is out of stock` });
+      continue;
+    }
+
+    const existing = existingItems.find((c) => sameLine(c, product._id, unit.variant ? unit.variant._id : null));
+    const requested = existing ? Math.max(existing.quantity, item.quantity) : item.quantity;
+    const quantity = Math.min(requested, unit.available);
+
+    if (existing) {
+      if (existing.quantity !== quantity) {
+        existing.quantity = quantity;
+        await existing.save();
+      }
+    } else {
+      await CartItem.updateOne(
+        { user_id: userId, product_id: product._id, variant_id: unit.variant ? unit.variant._id : null },
+        { $max: { quantity }, $setOnInsert: { price_at_add: item.price_at_add ?? null } },
+        { upsert: true }
+      );
+    }
+
+    result.merged.push({ ...line, name, quantity });
+    if (quantity < requested) {
+      result.adjusted.push({
+        ...line,
+        name,
+        requested,
+        quantity,
+        reason: `Only ${unit.available} of ${name} available`,
+      });
+    }
+  }
+
+  await GuestCart.deleteOne({ _id: cart._id });
+  return result;
+};
+
+/**
+ * Merge the guest cart for a token after login; never fails the login itself
+ */
+const mergeGuestCartOnLogin = async (token, userId) => {
+  try {
+    return await mergeGuestCart(token, userId);
+  } catch (error) {
+    logger.error('guest_cart:merge_failed', { user_id: String(userId), message: error.message });
+    return null;
+  }
+};
+
+module.exports = {
+  GUEST_CART_TTL_DAYS,
+  cartTokenFrom,
+  findGuestCart,
+  createGuestCart,
+  addGuestItem,
+  updateGuestItem,
+  removeGuestItem,
+  mergeGuestCart,
+  mergeGuestCartOnLogin,
+};
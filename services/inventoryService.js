@@ -0,0 +1,638 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const StockMovement = require('../models/StockMovement');
+const StockReservation = require('../models/StockReservation');
+const { restockAlertSnapshots, notifyProductChanges } = require('./productAlertService');
+const logger = require('../utils/logger');
+
+// How long a checkout may hold stock before it is released back
+const RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES, 10) || 30;
+
+const availableExpr = {
+  $subtract: [{ $ifNull: ['$stock', 0] }, { $ifNull: ['$reserved_stock', 0] }],
+};
+
+// Keeps in_stock in sync inside the same atomic update
+const deriveInStockStage = { $set: { in_stock: { $gt: [availableExpr, 0] } } };
+
+/**
+ * Build an error carrying an HTTP status for the error handler
+ */
+const stockError = (message, statusCode, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Merge duplicate product/variant lines into { product_id, variant_id, quantity }
+ */
+const normalizeItems = (items = []) => {
+  const merged = new Map();
+  items.forEach((item) => {
+    const pid = String(item.product_id?._id || item.product_id || '');
+    const vid = item.variant_id ? String(item.variant_id) : null;
+    const qty = parseInt(item.quantity, 10) || 0;
+    if (!pid || qty <= 0) return;
+    const key = `${pid}:${vid || ''}`;
+    const line = merged.get(key) || { product_id: pid, variant_id: vid, quantity: 0 };
+    line.quantity += qty;
+    merged.set(key, line);
+  });
+  return Array.from(merged.values());
+};
+
+/**
+ * Expression for one variant's available quantity
+ */
+const variantAvailableExpr = (variantId) => ({
+  $let: {
+    vars: {
+      v: {
+        $arrayElemAt: [
+          { $filter: { input: { $ifNull: ['$variants', []] }, as: 'v', cond: { $eq: ['$$v._id', variantId] } } },
+          0,
+        ],
+      },
+    },
+    in: { $subtract: [{ $ifNull: ['$$v.stock', 0] }, { $ifNull: ['$$v.reserved_stock', 0] }] },
+  },
+});
+
+/**
+ * Atomically apply stock/reserved deltas to a product (and its variant)
+ * Product-level stock/reserved_stock stay the sum of the variants'.
+ * Returns null when requireAvailable is set and not enough stock is available
+ * session: optional MongoDB session for writes that are part of a transaction (also below)
+ */
+const applyDelta = async (
+  productId,
+  { variantId = null, stockDelta = 0, reservedDelta = 0, requireAvailable = 0, session = null }
+) => {
+  const filter = { _id: productId };
+  const vid = variantId ? toObjectId(variantId) : null;
+
+  if (vid) {
+    filter['variants._id'] = vid;
+  }
+  if (requireAvailable > 0) {
+    filter.$expr = { $gte: [vid ? variantAvailableExpr(vid) : availableExpr, requireAvailable] };
+  }
+
+  const pipeline = [
+    {
+      $set: {
+        stock: { $max: [0, { $add: [{ $ifNull: ['$stock', 0] }, stockDelta] }] },
+        reserved_stock: { $max: [0, { $add: [{ $ifNull: ['$reserved_stock', 0] }, reservedDelta] }] },
+      },
+    },
+  ];
+
+  if (vid) {
+    pipeline.push({
+      $set: {
+        variants: {
+          $map: {
+            input: '$variants',
+            as: 'v',
+            in: {
+              $cond: [
+                { $eq: ['$$v._id', vid] },
+                {
+                  $mergeObjects: [
+                    '$$v',
+                    {
+                      stock: { $max: [0, { $add: [{ $ifNull: ['$$v.stock', 0] }, stockDelta] }] },
+                      reserved_stock: {
+                        $max: [0, { $add: [{ $ifNull: ['$$v.reserved_stock', 0] }, reservedDelta] }],
+                      },
+                    },
+                  ],
+                },
+                '$$v',
+              ],
+            },
+          },
+        },
+      },
+    });
+  }
+
+  pipeline.push(deriveInStockStage);
+
+  return Product.findOneAndUpdate(filter, pipeline, { new: true, session }).lean();
+};
+
+/**
+ * Append a row to the stock movement ledger (best-effort)
+ */
+const recordMovement = async (product, data, session = null) => {
+  try {
+    // For variant movements the balances are the variant's own
+    const variant = data.variant_id
+      ? (product.variants || []).find((v) => String(v._id) === String(data.variant_id))
+      : null;
+    const balance = variant || product;
+
+    await StockMovement.create(
+      [
+        {
+          product_id: product._id,
+          sku: variant ? variant.sku : null,
+          stock_after: balance.stock || 0,
+          reserved_after: balance.reserved_stock || 0,
+          ...data,
+        },
+      ],
+      { session }
+    );
+  } catch (error) {
+    logger.error('inventory:record_movement_failed', {
+      message: error.message,
+      productId: product._id?.toString(),
+      type: data.type,
+    });
+  }
+};
+
+/**
+ * Apply a delta to every item, undoing the applied ones if any item fails
+ */
+const applyToAll = async (items, buildDelta, movement) => {
+  const applied = [];
+  const session = movement.session || null;
+
+  for (const item of items) {
+    const delta = buildDelta(item);
+    const product = await applyDelta(item.product_id, { variantId: item.variant_id, ...delta, session });
+
+    if (!product) {
+      // Roll back what was already applied
+      for (const done of applied) {
+        const undo = buildDelta(done);
+        const restored = await applyDelta(done.product_id, {
+          variantId: done.variant_id,
+          stockDelta: -(undo.stockDelta || 0),
+          reservedDelta: -(undo.reservedDelta || 0),
+          session,
+        });
+        if (restored) {
+          await recordMovement(restored, {
+            type: movement.rollbackType,
+            variant_id: done.variant_id,
+            quantity: -movement.signed(done.quantity),
+            order_id: movement.order_id,
+            reservation_id: movement.reservation_id,
+            created_by: movement.created_by,
+            reason: 'rollback',
+          }, session);
+        }
+      }
+
+      const current = await Product.findById(item.product_id, 'name stock reserved_stock variants')
+        .session(session)
+        .lean();
+      const variant = current && item.variant_id
+        ? (current.variants || []).find((v) => String(v._id) === String(item.variant_id))
+        : null;
+      const found = current && (!item.variant_id || variant);
+      const balance = variant || current;
+      throw stockError(
+        found
+          ? `Insufficient stock for ${current.name}${variant ? ` (${variant.label})` : ''}`
+          : 'One or more products not found',
+        found ? 409 : 404,
+        {
+          product_id: item.product_id,
+          variant_id: item.variant_id || null,
+          requested: item.quantity,
+          available: found ? Math.max(0, (balance.stock || 0) - (balance.reserved_stock || 0)) : 0,
+        }
+      );
+    }
+
+    applied.push(item);
+    await recordMovement(product, {
+      type: movement.type,
+      variant_id: item.variant_id,
+      quantity: movement.signed(item.quantity),
+      order_id: movement.order_id,
+      reservation_id: movement.reservation_id,
+      created_by: movement.created_by,
+    }, session);
+  }
+};
+
+/**
+ * Release reservations whose hold time has passed
+ */
+const releaseExpiredReservations = async () => {
+  const expired = await StockReservation.find({
+    status: 'active',
+    expires_at: { $lte: new Date() },
+  }).limit(100);
+
+  for (const reservation of expired) {
+    await releaseReservation(reservation, 'expired');
+  }
+
+  return expired.length;
+};
+
+/**
+ * Reserve stock for a checkout
+ * Throws a 409 error when any product does not have enough available stock
+ */
+const reserveStock = async ({ userId, items, orderId = null, razorpayOrderId = null }) => {
+  await releaseExpiredReservations().catch((error) => {
+    logger.error('inventory:release_expired_failed', { message: error.message });
+  });
+
+  const lines = normalizeItems(items);
+  if (lines.length === 0) {
+    throw stockError('No items to reserve', 400);
+  }
+
+  const reservation = new StockReservation({
+    user_id: userId,
+    order_id: orderId,
+    razorpay_order_id: razorpayOrderId,
+    items: lines,
+    expires_at: new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000),
+  });
+
+  await applyToAll(
+    lines,
+    (item) => ({ reservedDelta: item.quantity, requireAvailable: item.quantity }),
+    {
+      type: 'reservation',
+      rollbackType: 'release',
+      order_id: orderId,
+      reservation_id: reservation._id,
+      created_by: userId,
+      signed: (qty) => qty,
+    }
+  );
+
+  await reservation.save();
+
+  if (orderId) {
+    await Order.updateOne({ _id: orderId }, { inventory_status: 'reserved' });
+  }
+
+  logger.info('inventory:reserved', {
+    reservationId: reservation._id.toString(),
+    orderId: orderId ? orderId.toString() : null,
+    items: lines.length,
+  });
+
+  return reservation;
+};
+
+/**
+ * Turn an active reservation into a sale for the given order
+ */
+const commitReservation = async (reservation, orderId, { session = null } = {}) => {
+  // Claim the reservation first so concurrent commits/releases don't double-apply
+  const claimed = await StockReservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'active' },
+    { status: 'committed', order_id: orderId },
+    { new: true, session }
+  );
+  if (!claimed) return false;
+
+  for (const item of claimed.items) {
+    const product = await applyDelta(item.product_id, {
+      variantId: item.variant_id,
+      stockDelta: -item.quantity,
+      reservedDelta: -item.quantity,
+      session,
+    });
+    if (product) {
+      await recordMovement(product, {
+        type: 'sale',
+        variant_id: item.variant_id,
+        quantity: -item.quantity,
+        order_id: orderId,
+        reservation_id: claimed._id,
+        created_by: claimed.user_id,
+      }, session);
+    }
+  }
+
+  await Order.updateOne({ _id: orderId }, { inventory_status: 'committed' }, { session });
+  return true;
+};
+
+/**
+ * Deduct stock for an order without a prior reservation
+ * Throws a 409 error when any product does not have enough available stock
+ */
+const commitStock = async ({ userId, items, orderId, session = null }) => {
+  await applyToAll(
+    normalizeItems(items),
+    (item) => ({ stockDelta: -item.quantity, requireAvailable: item.quantity }),
+    {
+      type: 'sale',
+      rollbackType: 'restock',
+      order_id: orderId,
+      created_by: userId,
+      signed: (qty) => -qty,
+      session,
+    }
+  );
+
+  if (orderId) {
+    await Order.updateOne({ _id: orderId }, { inventory_status: 'committed' }, { session });
+  }
+};
+
+/**
+ * Commit stock for a newly placed order
+ * Uses the checkout's reservation when it still matches the ordered items,
+ * otherwise deducts directly from available stock
+ */
+const commitForOrder = async ({ userId, items, orderId, razorpayOrderId = null, session = null }) => {
+  const lines = normalizeItems(items);
+
+  if (razorpayOrderId) {
+    const reservation = await StockReservation.findOne({
+      razorpay_order_id: razorpayOrderId,
+      user_id: userId,
+      status: 'active',
+    }).session(session);
+
+    if (reservation) {
+      const lineKey = (l) => `${l.product_id}:${l.variant_id || ''}`;
+      const reserved = new Map(reservation.items.map((i) => [lineKey(i), i.quantity]));
+      const matches = reserved.size === lines.length
+        && lines.every((l) => reserved.get(lineKey(l)) === l.quantity);
+
+      if (matches && await commitReservation(reservation, orderId, { session })) {
+        return 'reservation';
+      }
+      await releaseReservation(reservation, 'cart_changed', { session });
+    }
+  }
+
+  await commitStock({ userId, items: lines, orderId, session });
+  return 'direct';
+};
+
+/**
+ * Give reserved stock back without selling it
+ */
+const releaseReservation = async (reservation, reason = '', { session = null } = {}) => {
+  const claimed = await StockReservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'active' },
+    { status: 'released', released_reason: reason },
+    { new: true, session }
+  );
+  if (!claimed) return false;
+
+  for (const item of claimed.items) {
+    const product = await applyDelta(item.product_id, {
+      variantId: item.variant_id,
+      reservedDelta: -item.quantity,
+      session,
+    });
+    if (product) {
+      await recordMovement(product, {
+        type: 'release',
+        variant_id: item.variant_id,
+        quantity: -item.quantity,
+        order_id: claimed.order_id,
+        reservation_id: claimed._id,
+        reason,
+      }, session);
+    }
+  }
+
+  if (claimed.order_id) {
+    await Order.updateOne(
+      { _id: claimed.order_id, inventory_status: 'reserved' },
+      { inventory_status: 'released' },
+      { session }
+    );
+  }
+
+  logger.info('inventory:reservation_released', {
+    reservationId: claimed._id.toString(),
+    reason,
+  });
+
+  return true;
+};
+
+/**
+ * Release part of an order's active reservation (lines removed from an order awaiting payment)
+ * items: [{ product_id, variant_id, quantity }]; lines that reach 0 are dropped from the reservation.
+ */
+const releaseReservedItems = async (orderId, items, { reason = '', userId = null } = {}) => {
+  const lines = normalizeItems(items);
+  return withRestockAlerts(lines.map((item) => item.product_id), async () => {
+    const reservation = await StockReservation.findOne({ order_id: orderId, status: 'active' }).lean();
+    if (!reservation) return false;
+
+    for (const item of lines) {
+      const held = reservation.items.find(
+        (r) => String(r.product_id) === item.product_id && String(r.variant_id || '') === (item.variant_id || '')
+      );
+      if (!held) continue;
+      const quantity = Math.min(item.quantity, held.quantity);
+
+      // Claim the units on the reservation first so a concurrent release cannot return them twice
+      const claimed = await StockReservation.updateOne(
+        { _id: reservation._id, status: 'active', items: { $elemMatch: { _id: held._id, quantity: { $gte: quantity } } } },
+        { $inc: { 'items.$.quantity': -quantity } }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      const product = await applyDelta(item.product_id, {
+        variantId: item.variant_id,
+        reservedDelta: -quantity,
+      });
+      if (product) {
+        await recordMovement(product, {
+          type: 'release',
+          variant_id: item.variant_id,
+          quantity: -quantity,
+          order_id: orderId,
+          reservation_id: reservation._id,
+          reason,
+          created_by: userId,
+        });
+      }
+    }
+    await StockReservation.updateOne({ _id: reservation._id }, { $pull: { items: { quantity: { $lte: 0 } } } });
+
+    logger.info('inventory:reservation_reduced', { reservationId: reservation._id.toString(), reason });
+    return true;
+  });
+};
+
+/**
+ * Release any active reservation created for a Razorpay order
+ */
+const releaseByRazorpayOrder = async (razorpayOrderId, reason = '') => {
+  if (!razorpayOrderId) return false;
+  const reservation = await StockReservation.findOne({
+    razorpay_order_id: razorpayOrderId,
+    status: 'active',
+  });
+  return reservation ? releaseReservation(reservation, reason) : false;
+};
+
+/**
+ * Run a stock increase, then email back-in-stock subscribers of the products it made available
+ * Best-effort: a failed subscription lookup never blocks the stock change, and emails are not awaited.
+ */
+const withRestockAlerts = async (productIds, increase) => {
+  const before = await restockAlertSnapshots(productIds).catch((error) => {
+    logger.error('inventory:restock_alert_lookup_failed', { message: error.message });
+    return [];
+  });
+  const result = await increase();
+  before.forEach((snapshot) => notifyProductChanges(snapshot));
+  return result;
+};
+
+/**
+ * Return all stock held or sold for an order (cancellation, refund)
+ * Safe to call more than once: only the first call changes stock
+ */
+const releaseOrderStock = async (orderId, { reason = '', userId = null } = {}) => {
+  const orderItems = await OrderItem.find({ order_id: orderId }).lean();
+  return withRestockAlerts(orderItems.map((item) => item.product_id), async () => {
+    const reservations = await StockReservation.find({ order_id: orderId, status: 'active' });
+    for (const reservation of reservations) {
+      await releaseReservation(reservation, reason);
+    }
+
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, inventory_status: 'committed' },
+      { inventory_status: 'released' },
+      { new: true }
+    );
+    if (!order) return false;
+
+    for (const item of normalizeItems(orderItems)) {
+      const product = await applyDelta(item.product_id, {
+        variantId: item.variant_id,
+        stockDelta: item.quantity,
+      });
+      if (product) {
+        await recordMovement(product, {
+          type: 'restock',
+          variant_id: item.variant_id,
+          quantity: item.quantity,
+          order_id: orderId,
+          reason,
+          created_by: userId,
+        });
+      }
+    }
+
+    logger.info('inventory:order_restocked', { orderId: orderId.toString(), reason });
+    return true;
+  });
+};
+
+/**
+ * Put items back into stock (returns that passed quality check, lines removed from an order)
+ * items: [{ product_id, variant_id, quantity }]
+ */
+const restockItems = async (items, { orderId = null, reason = '', userId = null } = {}) => {
+  const lines = normalizeItems(items);
+  await withRestockAlerts(lines.map((item) => item.product_id), async () => {
+    for (const item of lines) {
+      const product = await applyDelta(item.product_id, {
+        variantId: item.variant_id,
+        stockDelta: item.quantity,
+      });
+      if (product) {
+        await recordMovement(product, {
+          type: 'restock',
+          variant_id: item.variant_id,
+          quantity: item.quantity,
+          order_id: orderId,
+          reason,
+          created_by: userId,
+        });
+      }
+    }
+  });
+};
+
+/**
+ * Admin stock adjustment
+ * Pass either a signed `quantity` delta or an absolute `set` value.
+ * Products with variants are adjusted per variant (variantId required).
+ */
+const adjustStock = async (productId, { variantId = null, quantity, set, reason = '', userId = null }) => {
+  const current = await Product.findById(productId, 'stock reserved_stock variants').lean();
+  if (!current) {
+    throw stockError('Product not found', 404);
+  }
+
+  const hasVariants = (current.variants || []).length > 0;
+  if (hasVariants && !variantId) {
+    throw stockError('variant_id is required for products with variants', 400);
+  }
+  if (!hasVariants && variantId) {
+    throw stockError('Product has no variants', 400);
+  }
+
+  const balance = variantId
+    ? current.variants.find((v) => String(v._id) === String(variantId))
+    : current;
+  if (!balance) {
+    throw stockError('Variant not found', 404);
+  }
+
+  const delta = set !== undefined && set !== null
+    ? Number(set) - (balance.stock || 0)
+    : Number(quantity);
+
+  if (!Number.isFinite(delta) || !Number.isInteger(delta)) {
+    throw stockError('Quantity must be a whole number', 400);
+  }
+  if ((balance.stock || 0) + delta < 0) {
+    throw stockError('Stock cannot be negative', 400);
+  }
+
+  const apply = () => applyDelta(productId, { variantId, stockDelta: delta });
+  const product = delta > 0 ? await withRestockAlerts([productId], apply) : await apply();
+  if (delta !== 0) {
+    await recordMovement(product, {
+      type: 'adjustment',
+      variant_id: variantId,
+      quantity: delta,
+      reason,
+      created_by: userId,
+    });
+  }
+
+  return product;
+};
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  normalizeItems,
+  reserveStock,
+  commitReservation,
+  commitStock,
+  commitForOrder,
+  releaseReservation,
+  releaseReservedItems,
+  releaseByRazorpayOrder,
+  releaseExpiredReservations,
+  releaseOrderStock,
+  restockItems,
+  adjustStock,
+};
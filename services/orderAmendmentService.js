@@ -0,0 +1,350 @@
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const Address = require('../models/Address');
+const Invoice = require('../models/Invoice');
+const Coupon = require('../models/Coupon');
+const { computeTax, taxSettings } = require('./taxService');
+const { checkPincode } = require('./serviceabilityService');
+const { deliveryOptions } = require('./shippingService');
+const { restockItems, releaseReservedItems } = require('./inventoryService');
+const { refundOrderPayment } = require('./refundService');
+const { createInvoiceFromOrder } = require('../controllers/invoiceController');
+const { lineName, resolveVariant } = require('../utils/variants');
+const logger = require('../utils/logger');
+
+// Orders that have not left the warehouse yet
+const AMENDABLE_STATUSES = ['pending', 'processing'];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const amendmentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const invoiceAddress = (address) => ({
+  full_name: address.full_name,
+  phone: address.phone,
+  address_line1: address.address_line1,
+  address_line2: address.address_line2,
+  city: address.city,
+  state: address.state,
+  postal_code: address.postal_code,
+  country: address.country,
+});
+
+/**
+ * Issue a new revision of the order's invoice for its amended items and totals
+ * The previous invoice is cancelled and points at the new one; payment details carry over.
+ */
+const reviseInvoice = async (order, orderItems, tax, shippingAddress) => {
+  const previous = order.invoice_id ? await Invoice.findById(order.invoice_id).lean() : null;
+  const taxedLines = new Map(tax.lines.map((l) => [String(l.order_item_id), l]));
+
+  const invoiceData = {
+    user_id: order.user_id,
+    items: orderItems.map((item) => {
+      const line = taxedLines.get(String(item._id));
+      return {
+        product_id: item.product_id._id,
+        variant_id: item.variant_id,
+        sku: item.sku,
+        variant_label: item.variant_label,
+        name: lineName(item.product_id.name, item.variant_label),
+        description: item.product_id.description || '',
+        quantity: item.quantity,
+        price: item.price,
+        hsn_code: item.hsn_code,
+        gst_rate: line.gst_rate,
+        taxable_value: line.taxable_value,
+        tax_amount: line.tax_amount,
+        cgst: line.cgst,
+        sgst: line.sgst,
+        igst: line.igst,
+      };
+    }),
+    subtotal: round2(orderItems.reduce((s, it) => s + it.price * it.quantity, 0)),
+    discount_amount: 0,
+    coupon_discount: order.discount_amount,
+    gift_price: order.gift_price,
+    delivery_charges: order.delivery_charges,
+    cod_fee: order.cod_fee,
+    tax_amount: order.tax_amount,
+    taxable_amount: order.taxable_amount,
+    cgst_amount: order.cgst_amount,
+    sgst_amount: order.sgst_amount,
+    igst_amount: order.igst_amount,
+    supply_type: order.supply_type,
+    prices_include_tax: order.prices_include_tax,
+    total_amount: order.total_amount,
+    payment_method: previous?.payment_method || (order.payment_method === 'cod' ? 'COD' : 'razorpay'),
+    sale_type: 'online',
+    razorpay_payment_id: previous?.razorpay_payment_id || null,
+    razorpay_order_id: previous?.razorpay_order_id || order.razorpay_order_id || null,
+    billing_address: previous?.billing_address || invoiceAddress(shippingAddress),
+    shipping_address: invoiceAddress(shippingAddress),
+    notes: previous?.notes,
+    terms: previous?.terms,
+    revision: (previous?.revision || 1) + 1,
+    previous_invoice_id: previous?._id || null,
+  };
+
+  const invoice = await createInvoiceFromOrder(order._id, invoiceData);
+
+  if (previous) {
+    // Same payment state as the invoice it replaces
+    invoice.payment_status = previous.payment_status;
+    invoice.status = previous.status === 'cancelled' ? invoice.status : previous.status;
+    invoice.payment_date = previous.payment_date || null;
+    await invoice.save();
+    await Invoice.updateOne({ _id: previous._id }, { status: 'cancelled', superseded_by: invoice._id });
+  }
+  return invoice;
+};
+
+/**
+ * Amend a pending or processing order (Admin)
+ *
+ * items: [{ order_item_id, quantity }] - lower a line's quantity, or 0 to remove it (quantities
+ * cannot be increased and at least one line must remain); shippingAddressId: another address of the
+ * customer. Lines keep the prices they were ordered at and the coupon discount scales with the
+ * subtotal; GST is recomputed (the address can change CGST/SGST to IGST) and so is the delivery
+ * charge, for the order's delivery type, the new weight, address and order value. An amendment that
+ * would raise the total of a prepaid order is rejected. Removed stock goes back to inventory (or
+ * out of the reservation of an order awaiting payment), a paid order is refunded the difference
+ * through Razorpay, the invoice is reissued as a new revision and the change is logged in statusHistory.
+ * Returns { order, invoice, refund, changes }
+ */
+const amendOrder = async ({ orderId, adminId, items = [], shippingAddressId = null, reason }) => {
+  if (!reason) throw amendmentError('A reason for the amendment is required', 400);
+  if (!Array.isArray(items)) throw amendmentError('items must be an array', 400);
+  if (items.length === 0 && !shippingAddressId) {
+    throw amendmentError('Nothing to amend: send items and/or shipping_address_id', 400);
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) throw amendmentError('Order not found', 404);
+  if (!AMENDABLE_STATUSES.includes(order.status)) {
+    throw amendmentError(`Cannot amend order with status: ${order.status}`, 400);
+  }
+
+  const orderItems = await OrderItem.find({ order_id: order._id }).populate('product_id');
+
+  // New quantity per line
+  const changes = [];
+  const quantities = new Map(orderItems.map((item) => [String(item._id), item.quantity]));
+  for (const change of items) {
+    const key = String(change.order_item_id || '');
+    const item = orderItems.find((oi) => String(oi._id) === key);
+    if (!item) throw amendmentError('Item is not part of this order', 400);
+    const quantity = Number(change.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw amendmentError('Quantity must be a whole number of 0 or more', 400);
+    }
+    if (quantity > item.quantity) {
+      throw amendmentError('Quantities can only be reduced; place a new order for more', 400);
+    }
+    quantities.set(key, quantity);
+  }
+  orderItems.forEach((item) => {
+    const quantity = quantities.get(String(item._id));
+    if (quantity !== item.quantity) {
+      changes.push({
+        order_item_id: item._id,
+        name: lineName(item.product_id?.name || '', item.variant_label),
+        from: item.quantity,
+        to: quantity,
+      });
+    }
+  });
+  const remaining = orderItems.filter((item) => quantities.get(String(item._id)) > 0);
+  if (remaining.length === 0) {
+    throw amendmentError('An amendment cannot remove every item; cancel the order instead', 400);
+  }
+
+  let address = null;
+  if (shippingAddressId && String(shippingAddressId) !== String(order.shipping_address_id)) {
+    address = await Address.findOne({ _id: shippingAddressId, user_id: order.user_id });
+    if (!address) throw amendmentError('Shipping address not found', 404);
+    const serviceability = await checkPincode(address.postal_code);
+    if (!serviceability.serviceable) {
+      throw amendmentError(serviceability.message || 'We do not deliver to this pincode', 400);
+    }
+  }
+  if (changes.length === 0 && !address) {
+    throw amendmentError('The amendment does not change the order', 400);
+  }
+  const shippingAddress = address || (await Address.findById(order.shipping_address_id));
+  if (!shippingAddress) throw amendmentError('Shipping address not found', 404);
+
+  // Reprice at the ordered prices
+  const previousTotal = order.total_amount;
+  const previousSubtotal = orderItems.reduce((s, item) => s + item.price * item.quantity, 0);
+  const lines = remaining.map((item) => ({
+    order_item_id: item._id,
+    line_total: round2(item.price * quantities.get(String(item._id))),
+    gst_rate: item.gst_rate,
+    hsn_code: item.hsn_code,
+  }));
+  const subtotal = round2(lines.reduce((s, l) => s + l.line_total, 0));
+  const discountAmount = previousSubtotal > 0
+    ? round2((order.discount_amount || 0) * (subtotal / previousSubtotal))
+    : 0;
+
+  const { placeOfSupply } = await taxSettings();
+  const tax = computeTax({
+    lines,
+    discountAmount,
+    giftPrice: order.gift_price || 0,
+    shippingState: shippingAddress.state,
+    placeOfSupply,
+    pricesIncludeTax: Boolean(order.prices_include_tax),
+  });
+
+  const orderValue = round2(subtotal - discountAmount + (order.gift_price || 0));
+
+  // Delivery for what is left, where it is going now
+  const coupon = order.coupon_code
+    ? await Coupon.findOne({ code: order.coupon_code }).select('type').lean()
+    : null;
+  const shipping = await deliveryOptions({
+    lines: remaining.map((item) => ({
+      quantity: quantities.get(String(item._id)),
+      weight_grams: item.product_id ? resolveVariant(item.product_id, item.variant_id).weight_grams : null,
+    })),
+    address: shippingAddress,
+    orderValue,
+    freeShipping: coupon?.type === 'free_shipping',
+  });
+  const deliveryType = order.delivery_type || 'standard';
+  const delivery = shipping.options.find((o) => o.delivery_type === deliveryType);
+  if (!delivery || !delivery.available) {
+    throw amendmentError(delivery?.reason || `${deliveryType} delivery is not available for this order`, 400);
+  }
+  if (order.payment_method === 'cod' && !shipping.cod_available) {
+    throw amendmentError('Cash on delivery is not available for this address', 400);
+  }
+  const deliveryCharges = round2(delivery.charge);
+
+  const totalAmount = round2(
+    (order.prices_include_tax ? orderValue : orderValue + tax.tax_amount)
+      + deliveryCharges
+      + (order.cod_fee || 0)
+  );
+  const difference = round2(previousTotal - totalAmount);
+  if (difference < 0 && order.payment_method !== 'cod') {
+    throw amendmentError(
+      `The amendment would raise the total from ₹${previousTotal} to ₹${totalAmount}; cancel and place a new order instead`,
+      400
+    );
+  }
+
+  const summary = [
+    ...changes.map((c) => (c.to === 0 ? `${c.name} removed` : `${c.name} ${c.from} → ${c.to}`)),
+    ...(address ? ['shipping address changed'] : []),
+    ...(deliveryCharges !== (order.delivery_charges || 0)
+      ? [`delivery ₹${order.delivery_charges || 0} → ₹${deliveryCharges}`]
+      : []),
+  ].join('; ');
+
+  // Claim the order unchanged since it was read, so concurrent amendments or status updates cannot interleave
+  const amended = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, updatedAt: order.updatedAt },
+    {
+      $set: {
+        total_amount: totalAmount,
+        discount_amount: discountAmount,
+        tax_amount: tax.tax_amount,
+        tax_rate: tax.tax_rate,
+        taxable_amount: tax.taxable_amount,
+        cgst_amount: tax.cgst_amount,
+        sgst_amount: tax.sgst_amount,
+        igst_amount: tax.igst_amount,
+        supply_type: tax.supply_type,
+        delivery_charges: deliveryCharges,
+        shipping_zone: shipping.zone ? shipping.zone.name : null,
+        shipping_weight_grams: shipping.weight_grams,
+        estimated_delivery_date: delivery.estimated_delivery_date,
+        ...(address ? { shipping_address_id: address._id } : {}),
+      },
+      $push: {
+        statusHistory: {
+          status: order.status,
+          changedBy: adminId,
+          changedAt: new Date(),
+          comment: `Order amended: ${summary}. Total ₹${previousTotal} → ₹${totalAmount}. Reason: ${reason}`,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!amended) {
+    throw amendmentError('Order has changed. Please refresh and try again.', 409);
+  }
+
+  // Order items: new quantities and tax, removed lines deleted
+  const taxedLines = new Map(tax.lines.map((l) => [String(l.order_item_id), l]));
+  const removed = [];
+  for (const item of orderItems) {
+    const quantity = quantities.get(String(item._id));
+    if (quantity < item.quantity) {
+      removed.push({ product_id: item.product_id._id, variant_id: item.variant_id, quantity: item.quantity - quantity });
+    }
+    if (quantity === 0) {
+      await OrderItem.deleteOne({ _id: item._id });
+      continue;
+    }
+    const line = taxedLines.get(String(item._id));
+    item.quantity = quantity;
+    item.gst_rate = line.gst_rate;
+    item.taxable_value = line.taxable_value;
+    item.tax_amount = line.tax_amount;
+    await item.save();
+  }
+
+  if (removed.length && amended.inventory_status === 'committed') {
+    await restockItems(removed, { orderId: amended._id, reason: 'order_amended', userId: adminId });
+  } else if (removed.length && amended.inventory_status === 'reserved') {
+    await releaseReservedItems(amended._id, removed, { reason: 'order_amended', userId: adminId });
+  }
+
+  const refund = difference > 0
+    ? await refundOrderPayment(amended, { amount: difference, reason: `Order amended: ${reason}`, userId: adminId })
+    : { status: 'none', amount: 0, refund_id: null };
+
+  const invoice = await reviseInvoice(amended, remaining, tax, shippingAddress);
+  amended.invoice_id = invoice._id;
+  amended.invoice_number = invoice.invoice_number;
+  await amended.save();
+
+  logger.info('orderAmendment:amended', {
+    orderId: amended._id.toString(),
+    adminId,
+    changes: summary,
+    previous_total: previousTotal,
+    total_amount: totalAmount,
+    refund_status: refund.status,
+    invoice_number: invoice.invoice_number,
+  });
+
+  return {
+    order: amended,
+    invoice,
+    refund,
+    changes: {
+      items: changes,
+      shipping_address_changed: Boolean(address),
+      previous_delivery_charges: order.delivery_charges || 0,
+      delivery_charges: deliveryCharges,
+      previous_total: previousTotal,
+      total_amount: totalAmount,
+      summary,
+    },
+  };
+};
+
+module.exports = {
+  AMENDABLE_STATUSES,
+  amendOrder,
+};
@@ -0,0 +1,166 @@
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const Coupon = require('../models/Coupon');
+const CompanySettings = require('../models/CompanySettings');
+const { releaseOrderStock } = require('./inventoryService');
+const { refundOrderPayment } = require('./refundService');
+const { cancelShipment } = require('./courierService');
+const logger = require('../utils/logger');
+
+// Statuses a customer may cancel from; once shipped the order has left the warehouse
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'processing'];
+
+// Used until an admin sets CompanySettings.cancellationWindowHours
+const DEFAULT_CANCELLATION_WINDOW_HOURS = 24;
+
+const cancellationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Customer cancellation settings (CompanySettings)
+ * window_hours: 0 allows cancelling at any time before shipping
+ */
+const cancellationPolicy = async () => {
+  const settings = await CompanySettings.findOne()
+    .select('customerCancellationEnabled cancellationWindowHours')
+    .lean();
+  return {
+    enabled: settings?.customerCancellationEnabled ?? true,
+    window_hours: settings?.cancellationWindowHours ?? DEFAULT_CANCELLATION_WINDOW_HOURS,
+  };
+};
+
+/**
+ * Whether a customer may still cancel an order
+ * Returns { cancellable, cancel_before, message }
+ */
+const customerCancellation = (order, policy, now = new Date()) => {
+  const cancelBefore = policy.window_hours > 0
+    ? new Date(new Date(order.createdAt).getTime() + policy.window_hours * 60 * 60 * 1000)
+    : null;
+
+  let message = null;
+  if (!policy.enabled) {
+    message = 'Order cancellation is currently unavailable. Please contact customer support for assistance.';
+  } else if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+    message = `Cannot cancel order with status: ${order.status}`;
+  } else if (cancelBefore && now > cancelBefore) {
+    message = `Orders can only be cancelled within ${policy.window_hours} hours of being placed. Please contact customer support for assistance.`;
+  }
+
+  return {
+    cancellable: !message,
+    cancel_before: CUSTOMER_CANCELLABLE_STATUSES.includes(order.status) ? cancelBefore : null,
+    message,
+  };
+};
+
+/**
+ * Cancel an order: courier booking, status, stock, coupon use, refund and invoice
+ * The order is claimed in its current status so concurrent cancels or status updates cannot both win.
+ * A courier booking not yet picked up is cancelled first, so the parcel is not collected.
+ * Returns { order, refund }
+ */
+const cancelOrder = async (order, { userId, reason = '', comment }) => {
+  if (order.shipment?.courier && order.shipment.tracking_status === 'created') {
+    await cancelShipment({ orderId: order._id, adminId: userId });
+  }
+
+  const cancelledAt = new Date();
+  const cancelled = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: {
+        status: 'cancelled',
+        cancellation_reason: reason,
+        cancelled_at: cancelledAt,
+        cancelled_by: userId,
+      },
+      $push: {
+        statusHistory: {
+          status: 'cancelled',
+          changedBy: userId,
+          changedAt: cancelledAt,
+          comment: reason || comment,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw cancellationError('Order status has changed. Please refresh and try again.', 409);
+  }
+
+  await releaseOrderStock(cancelled._id, { reason: 'order_cancelled', userId });
+
+  if (cancelled.coupon_code) {
+    await Coupon.updateOne(
+      { code: cancelled.coupon_code, usage_count: { $gt: 0 } },
+      { $inc: { usage_count: -1 } }
+    );
+    cancelled.coupon_redeemed = false;
+  }
+
+  const refund = await refundOrderPayment(cancelled, { reason, userId });
+  await cancelled.save();
+
+  if (cancelled.invoice_id) {
+    await Invoice.findByIdAndUpdate(cancelled.invoice_id, {
+      status: 'cancelled',
+      ...(refund.status === 'processed' ? { payment_status: 'refunded' } : {}),
+    });
+  }
+
+  logger.info('orderCancellation:cancelled', {
+    orderId: cancelled._id.toString(),
+    userId,
+    refund_status: refund.status,
+    refund_amount: refund.amount,
+  });
+
+  return { order: cancelled, refund };
+};
+
+/**
+ * Cancel a customer's own order
+ *
+ * Only pending or processing orders within the cancellation window can be cancelled.
+ * Returns { order, refund }
+ */
+const cancelCustomerOrder = async ({ orderId, userId, reason = '' }) => {
+  const order = await Order.findOne({ _id: orderId, user_id: userId });
+  if (!order) throw cancellationError('Order not found', 404);
+
+  const policy = await cancellationPolicy();
+  const check = customerCancellation(order, policy);
+  if (!check.cancellable) throw cancellationError(check.message, 400);
+
+  return cancelOrder(order, { userId, reason, comment: 'Cancelled by customer' });
+};
+
+/**
+ * Cancel any pending or processing order (Admin)
+ * No cancellation window or policy applies; the refund and coupon handling match a customer cancel.
+ * Returns { order, refund }
+ */
+const cancelOrderAsAdmin = async ({ orderId, adminId, reason = '' }) => {
+  const order = await Order.findById(orderId);
+  if (!order) throw cancellationError('Order not found', 404);
+  if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+    throw cancellationError(`Cannot cancel order with status: ${order.status}`, 400);
+  }
+
+  return cancelOrder(order, { userId: adminId, reason, comment: 'Cancelled by admin' });
+};
+
+module.exports = {
+  CUSTOMER_CANCELLABLE_STATUSES,
+  DEFAULT_CANCELLATION_WINDOW_HOURS,
+  cancellationPolicy,
+  customerCancellation,
+  cancelCustomerOrder,
+  cancelOrderAsAdmin,
+};
@@ -0,0 +1,62 @@
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+
+/**
+ * Order shaped like the API response (items and shipping address), for email templates
+ * Used by the order controller and courierService for order and tracking emails.
+ */
+const populateOrderForEmail = async (orderId) => {
+  const order = await Order.findById(orderId)
+    .populate('shipping_address_id')
+    .lean();
+  const orderItems = await OrderItem.find({ order_id: orderId })
+    .populate('product_id')
+    .lean();
+
+  order.order_items = orderItems.map((item) => ({
+    id: item._id.toString(),
+    order_id: item.order_id.toString(),
+    product_id: item.product_id._id.toString(),
+    variant_id: item.variant_id ? item.variant_id.toString() : null,
+    sku: item.sku,
+    variant_label: item.variant_label,
+    quantity: item.quantity,
+    price: item.price,
+    created_at: item.createdAt,
+    product: {
+      id: item.product_id._id.toString(),
+      name: item.product_id.name,
+      images: item.product_id.images,
+      price: item.product_id.price,
+    },
+  }));
+
+  if (order.shipping_address_id) {
+    const address = order.shipping_address_id;
+    order.shipping_address = {
+      id: address._id.toString(),
+      full_name: address.full_name,
+      phone: address.phone,
+      address_line1: address.address_line1,
+      address_line2: address.address_line2,
+      city: address.city,
+      state: address.state,
+      postal_code: address.postal_code,
+      country: address.country,
+    };
+    delete order.shipping_address_id;
+  }
+
+  order.id = order._id.toString();
+  order.created_at = order.createdAt;
+  order.updated_at = order.updatedAt;
+  delete order._id;
+  delete order.__v;
+  delete order.createdAt;
+  delete order.updatedAt;
+  return order;
+};
+
+module.exports = {
+  populateOrderForEmail,
+};
@@ -0,0 +1,51 @@
+const Counter = require('../models/Counter');
+
+// Order numbers look like GF-2026-000123: prefix, financial year it started in, sequence within that year
+const ORDER_NUMBER_PREFIX = process.env.ORDER_NUMBER_PREFIX || 'GF';
+
+// Indian financial year: April to March
+const FINANCIAL_YEAR_START_MONTH = 4;
+
+// Financial years roll over at midnight IST, whatever the server's timezone
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * Year the financial year containing `date` started in (March 2027 -> 2026)
+ */
+const financialYear = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCFullYear();
+  return ist.getUTCMonth() + 1 >= FINANCIAL_YEAR_START_MONTH ? year : year - 1;
+};
+
+const formatOrderNumber = (year, seq) => `${ORDER_NUMBER_PREFIX}-${year}-${String(seq).padStart(6, '0')}`;
+
+/**
+ * Allocate the next order number for the financial year of `date`
+ * The counter is incremented atomically, so concurrent checkouts never share a number. Numbers taken
+ * by checkouts that are abandoned or rolled back are not reused, so the sequence can have gaps.
+ */
+const nextOrderNumber = async (date = new Date()) => {
+  const year = financialYear(date);
+  const increment = () => Counter.findOneAndUpdate(
+    { _id: `order:${year}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+
+  let counter;
+  try {
+    counter = await increment();
+  } catch (error) {
+    // Two first orders of the year raced to create the counter; it exists now
+    if (error.code !== 11000) throw error;
+    counter = await increment();
+  }
+  return formatOrderNumber(year, counter.seq);
+};
+
+module.exports = {
+  ORDER_NUMBER_PREFIX,
+  financialYear,
+  nextOrderNumber,
+};
@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const CartItem = require('../models/CartItem');
+const Coupon = require('../models/Coupon');
+const Invoice = require('../models/Invoice');
+const StockReservation = require('../models/StockReservation');
+const { commitForOrder, releaseOrderStock } = require('./inventoryService');
+const logger = require('../utils/logger');
+
+// Pending placements older than this were interrupted (crash, restart) and are rolled back
+const PLACEMENT_TIMEOUT_MINUTES = parseInt(process.env.ORDER_PLACEMENT_TIMEOUT_MINUTES, 10) || 10;
+
+let transactionSupport = null;
+
+/**
+ * Whether the database supports multi-document transactions (replica set or sharded cluster)
+ */
+const supportsTransactions = async () => {
+  if (transactionSupport !== null) return transactionSupport;
+  try {
+    const info = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(info.setName || info.msg === 'isdbgrid');
+  } catch (error) {
+    logger.warn('orderPlacement:transaction_check_failed', { message: error.message });
+    return false;
+  }
+  logger.info('orderPlacement:mode', { transactions: transactionSupport });
+  return transactionSupport;
+};
+
+/**
+ * Undo a placement that did not complete, using the order's progress flags
+ * cartItems: the cart as it was before placement; without it the cart is rebuilt from the order items
+ */
+const rollbackPlacement = async (order, { cartItems = null, reason = 'placement_failed' } = {}) => {
+  const orderId = order._id;
+
+  await Invoice.deleteMany({ order_id: orderId });
+
+  if (order.coupon_redeemed && order.coupon_code) {
+    await Coupon.updateOne(
+      { code: order.coupon_code, usage_count: { $gt: 0 } },
+      { $inc: { usage_count: -1 } }
+    );
+  }
+
+  if (order.cart_cleared) {
+    const restore = cartItems || (await OrderItem.find({ order_id: orderId }).lean());
+    if (restore.length) {
+      await CartItem.bulkWrite(
+        restore.map((item) => ({
+          updateOne: {
+            filter: { user_id: order.user_id, product_id: item.product_id, variant_id: item.variant_id || null },
+            update: {
+              $setOnInsert: {
+                quantity: item.quantity,
+                price_at_add: item.price_at_add ?? item.price ?? null,
+              },
+            },
+            upsert: true,
+          },
+        }))
+      );
+    }
+  }
+
+  await releaseOrderStock(orderId, { reason });
+  await OrderItem.deleteMany({ order_id: orderId });
+  await Order.deleteOne({ _id: orderId, placement_status: 'pending' });
+
+  logger.warn('orderPlacement:rolled_back', { orderId: orderId.toString(), reason });
+};
+
+/**
+ * Roll back placements left pending past PLACEMENT_TIMEOUT_MINUTES
+ * Returns the number of orders rolled back.
+ */
+const reconcilePendingOrders = async () => {
+  const cutoff = new Date(Date.now() - PLACEMENT_TIMEOUT_MINUTES * 60 * 1000);
+  const stale = await Order.find({ placement_status: 'pending', createdAt: { $lte: cutoff } })
+    .limit(100)
+    .lean();
+
+  let rolledBack = 0;
+  for (const order of stale) {
+    try {
+      await rollbackPlacement(order, { reason: 'placement_abandoned' });
+      rolledBack += 1;
+    } catch (error) {
+      logger.error('orderPlacement:reconcile_failed', {
+        message: error.message,
+        orderId: order._id.toString(),
+      });
+    }
+  }
+  return rolledBack;
+};
+
+/**
+ * Every write of a placement; with a session they all commit or abort together
+ */
+const runPlacement = async (
+  { userId, orderFields, items, orderItems, couponId, razorpayOrderId, createInvoice },
+  session,
+  progress
+) => {
+  const [order] = await Order.create([{ ...orderFields, user_id: userId, placement_status: 'pending' }], {
+    session,
+  });
+  progress.order = order;
+
+  const stockSource = await commitForOrder({
+    userId,
+    items,
+    orderId: order._id,
+    razorpayOrderId,
+    session,
+  });
+
+  await OrderItem.insertMany(
+    orderItems.map((item) => ({ ...item, order_id: order._id })),
+    { session }
+  );
+
+  progress.cartItems = await CartItem.find({ user_id: userId }).session(session).lean();
+  await CartItem.deleteMany({ user_id: userId }, { session });
+  order.cart_cleared = true;
+  await order.save({ session });
+
+  if (couponId) {
+    await Coupon.updateOne({ _id: couponId }, { $inc: { usage_count: 1 } }, { session });
+    order.coupon_redeemed = true;
+    await order.save({ session });
+  }
+
+  const invoice = await createInvoice(order, session);
+  order.invoice_id = invoice._id;
+  order.invoice_number = invoice.invoice_number;
+  order.placement_status = 'placed';
+  await order.save({ session });
+
+  return { order, invoice, stockSource };
+};
+
+/**
+ * Place an order atomically: order, stock, order items, cart clearing, coupon redemption and invoice
+ *
+ * Uses a MongoDB transaction when the deployment supports one. Otherwise each step is applied in turn
+ * and a failure undoes the completed ones; an order interrupted midway stays 'pending' and is rolled
+ * back by reconcilePendingOrders.
+ *
+ * orderFields: Order fields (without user_id); items: priced lines to take stock for;
+ * orderItems: OrderItem rows (without order_id); createInvoice(order, session) creates the invoice.
+ * Returns { order, invoice, stockSource }. Stock errors keep their statusCode and details.
+ */
+const placeOrder = async (placement) => {
+  await reconcilePendingOrders().catch((error) => {
+    logger.error('orderPlacement:reconcile_failed', { message: error.message });
+  });
+
+  // A cart paid through Razorpay keeps the order number already used as its receipt
+  if (placement.razorpayOrderId && !placement.orderFields.order_number) {
+    const reservation = await StockReservation.findOne({ razorpay_order_id: placement.razorpayOrderId })
+      .select('order_number')
+      .lean();
+    if (reservation?.order_number) {
+      placement = { ...placement, orderFields: { ...placement.orderFields, order_number: reservation.order_number } };
+    }
+  }
+
+  if (await supportsTransactions()) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await runPlacement(placement, session, {});
+      });
+      return result;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  const progress = {};
+  try {
+    return await runPlacement(placement, null, progress);
+  } catch (error) {
+    if (progress.order) {
+      try {
+        await rollbackPlacement(progress.order, { cartItems: progress.cartItems });
+      } catch (rollbackError) {
+        // The order stays pending; the reconciler retries the rollback
+        logger.error('orderPlacement:rollback_failed', {
+          message: rollbackError.message,
+          orderId: progress.order._id.toString(),
+        });
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  PLACEMENT_TIMEOUT_MINUTES,
+  supportsTransactions,
+  placeOrder,
+  rollbackPlacement,
+  reconcilePendingOrders,
+};
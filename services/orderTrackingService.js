@@ -0,0 +1,181 @@
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const Address = require('../models/Address');
+const { lineName } = require('../utils/variants');
+
+const ORDER_STATUS_TITLES = {
+  pending: 'Order placed',
+  processing: 'Order is being prepared',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Order cancelled',
+};
+
+const trackingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Same answer whether the order does not exist or the contact does not match
+const notFound = () => trackingError('No order found with these details', 404);
+
+const normaliseEmail = (value) => String(value || '').trim().toLowerCase();
+
+// Last 10 digits, so +91 / 0 prefixes and spacing do not matter
+const normalisePhone = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * Find an order by its order number, ID or invoice number
+ */
+const findTrackedOrder = async (reference) => {
+  const ref = String(reference || '').trim();
+  const byNumber = await Order.findOne({ order_number: ref.toUpperCase() }).lean();
+  if (byNumber) return { order: byNumber, invoice: null };
+  if (/^[a-f\d]{24}$/i.test(ref)) {
+    const order = await Order.findById(ref).lean();
+    if (order) return { order, invoice: null };
+  }
+  const invoice = await Invoice.findOne({ invoice_number: ref.toUpperCase() })
+    .select('order_id invoice_number billing_address shipping_address')
+    .lean();
+  if (!invoice?.order_id) return { order: null, invoice: null };
+  const order = await Order.findById(invoice.order_id).lean();
+  return { order, invoice };
+};
+
+/**
+ * Whether the email or phone belongs to the order: the customer's account, the shipping address
+ * or the invoice addresses (offline sales)
+ */
+const contactMatches = async (order, invoice, contact) => {
+  const email = normaliseEmail(contact);
+  const phone = normalisePhone(contact);
+  const isEmail = email.includes('@');
+  if (!isEmail && phone.length < 10) return false;
+
+  const [user, address, orderInvoice] = await Promise.all([
+    User.findById(order.user_id).select('email phone').lean(),
+    order.shipping_address_id ? Address.findById(order.shipping_address_id).select('phone').lean() : null,
+    invoice || (order.invoice_id
+      ? Invoice.findById(order.invoice_id).select('billing_address shipping_address').lean()
+      : Invoice.findOne({ order_id: order._id }).select('billing_address shipping_address').lean()),
+  ]);
+
+  if (isEmail) return normaliseEmail(user?.email) === email;
+  return [
+    user?.phone,
+    address?.phone,
+    orderInvoice?.billing_address?.phone,
+    orderInvoice?.shipping_address?.phone,
+  ].some((p) => p && normalisePhone(p) === phone);
+};
+
+/**
+ * Customer-facing timeline: order status changes plus courier tracking events, oldest first
+ * Admin comments and who made each change are left out.
+ */
+const buildTimeline = (order) => {
+  const timeline = [{
+    type: 'order',
+    status: 'pending',
+    title: ORDER_STATUS_TITLES.pending,
+    at: order.createdAt,
+  }];
+
+  (order.statusHistory || []).forEach((entry) => {
+    const last = timeline.filter((t) => t.type === 'order').pop();
+    if (last.status === entry.status) return;
+    timeline.push({
+      type: 'order',
+      status: entry.status,
+      title: ORDER_STATUS_TITLES[entry.status] || entry.status,
+      at: entry.changedAt,
+    });
+  });
+
+  // Orders set up without history (offline sales are created delivered)
+  if (timeline[timeline.length - 1].status !== order.status) {
+    timeline.push({
+      type: 'order',
+      status: order.status,
+      title: ORDER_STATUS_TITLES[order.status] || order.status,
+      at: order.updatedAt,
+    });
+  }
+
+  (order.shipment?.events || []).forEach((event) => {
+    timeline.push({
+      type: 'shipment',
+      status: event.status,
+      title: event.description || event.status,
+      location: event.location || undefined,
+      at: event.occurred_at,
+    });
+  });
+
+  return timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+/**
+ * Look up an order for public tracking
+ * reference: order number, order ID or invoice number; contact: the email or phone number on the order.
+ * Returns a sanitised view without prices, addresses or admin notes.
+ */
+const trackOrder = async ({ reference, contact }) => {
+  if (!reference || !contact) {
+    throw trackingError('Please provide the order number (or invoice number) and the email or phone used', 400);
+  }
+
+  const { order, invoice } = await findTrackedOrder(reference);
+  if (!order || order.placement_status === 'pending') throw notFound();
+  if (!(await contactMatches(order, invoice, contact))) throw notFound();
+
+  const [items, address] = await Promise.all([
+    OrderItem.find({ order_id: order._id }).populate('product_id', 'name').lean(),
+    order.shipping_address_id
+      ? Address.findById(order.shipping_address_id).select('city state postal_code').lean()
+      : null,
+  ]);
+  const shipment = order.shipment || {};
+
+  // Offline sales have no order items; their invoice lists what was sold
+  let lines = items.map((item) => ({
+    name: lineName(item.product_id?.name || 'Item', item.variant_label),
+    quantity: item.quantity,
+  }));
+  if (lines.length === 0) {
+    const saleInvoice = await Invoice.findOne({ order_id: order._id }).select('items').lean();
+    lines = (saleInvoice?.items || []).map((item) => ({ name: item.name, quantity: item.quantity }));
+  }
+
+  return {
+    order_id: order._id,
+    order_number: order.order_number || null,
+    invoice_number: order.invoice_number || invoice?.invoice_number || null,
+    placed_at: order.createdAt,
+    status: order.status,
+    status_title: ORDER_STATUS_TITLES[order.status] || order.status,
+    sale_type: order.sale_type,
+    items: lines,
+    delivery_to: address
+      ? { city: address.city, state: address.state, postal_code: address.postal_code }
+      : null,
+    estimated_delivery: shipment.estimatedDelivery || order.estimated_delivery_date || null,
+    shipment: shipment.trackingNumber
+      ? {
+        partner: shipment.deliveryPartner,
+        tracking_number: shipment.trackingNumber,
+        tracking_status: shipment.tracking_status || null,
+        shipped_at: shipment.shippedAt,
+      }
+      : null,
+    timeline: buildTimeline(order),
+  };
+};
+
+module.exports = {
+  trackOrder,
+};
@@ -0,0 +1,229 @@
+const Product = require('../models/Product');
+const GiftDesign = require('../models/GiftDesign');
+const Coupon = require('../models/Coupon');
+const { computeDiscount, isUsable } = require('../utils/coupon');
+const { resolveVariant, lineName } = require('../utils/variants');
+const { applySalePricing } = require('./salePricingService');
+const { deliveryOptions } = require('./shippingService');
+const { DEFAULT_GST_RATE, computeTax, taxSettings } = require('./taxService');
+const { isCodMethod, codFee } = require('./codService');
+
+// Allowed gap between the client's expected total and the server total (rounding)
+const TOTAL_TOLERANCE = 0.01;
+
+// Most units of one product (or pack size) a single order may contain
+const MAX_QUANTITY_PER_ITEM = parseInt(process.env.CART_MAX_QUANTITY_PER_ITEM, 10) || 10;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Build an error carrying an HTTP status for the error handler
+ */
+const pricingError = (message, statusCode, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+/**
+ * Price an order from the database, ignoring any client-supplied amounts
+ *
+ * items: [{ product_id, variant_id, quantity }]
+ * address: shipping address ({ postal_code, state }) the delivery charge and the GST split are computed for
+ * delivery_type: null prices the order without choosing a delivery option (no delivery charge)
+ * payment_method: 'cod' adds the cash on delivery fee (untaxed, like delivery)
+ * Returns the line items with server prices and the full breakdown.
+ */
+const quoteOrder = async ({
+  items,
+  coupon_code = null,
+  gift_design_id = null,
+  delivery_type = 'standard',
+  address = null,
+  payment_method = null,
+}) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw pricingError('Items are required', 400);
+  }
+
+  for (const item of items) {
+    const qty = Number(item.quantity);
+    if (!item.product_id || !Number.isInteger(qty) || qty < 1) {
+      throw pricingError('Each item needs a product_id and a quantity of at least 1', 400);
+    }
+  }
+
+  const productIds = [...new Set(items.map((i) => String(i.product_id)))];
+  const products = await Product.find({ _id: { $in: productIds } }).lean();
+  if (products.length !== productIds.length) {
+    throw pricingError('One or more products not found', 404);
+  }
+  await applySalePricing(products);
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const lines = items.map((item) => {
+    const product = productMap.get(String(item.product_id));
+    const quantity = Number(item.quantity);
+    const unit = resolveVariant(product, item.variant_id);
+    if (unit.error) {
+      throw pricingError(unit.error, 400);
+    }
+    return {
+      product_id: product._id.toString(),
+      variant_id: unit.variant ? unit.variant._id.toString() : null,
+      sku: unit.sku,
+      variant_label: unit.variant_label,
+      name: product.name,
+      category: product.category,
+      hsn_code: product.hsn_code || null,
+      gst_rate: product.gst_rate ?? DEFAULT_GST_RATE,
+      quantity,
+      weight_grams: unit.weight_grams,
+      price: unit.price,
+      sale_label: unit.sale ? unit.sale.label : null,
+      line_total: round2(unit.price * quantity),
+    };
+  });
+
+  // Same limit as cart validation, counting repeated lines of a product or pack size together
+  const unitQuantities = new Map();
+  lines.forEach((line) => {
+    const key = `${line.product_id}:${line.variant_id || ''}`;
+    unitQuantities.set(key, (unitQuantities.get(key) || 0) + line.quantity);
+    if (unitQuantities.get(key) > MAX_QUANTITY_PER_ITEM) {
+      throw pricingError(
+        `You can buy at most ${MAX_QUANTITY_PER_ITEM} of ${lineName(line.name, line.variant_label)}`,
+        400,
+        { product_id: line.product_id, variant_id: line.variant_id, max_quantity: MAX_QUANTITY_PER_ITEM }
+      );
+    }
+  });
+
+  const subtotal = round2(lines.reduce((sum, l) => sum + l.line_total, 0));
+
+  // Coupon
+  let discount_amount = 0;
+  let coupon = null;
+  let coupon_error = null;
+  if (coupon_code) {
+    const found = await Coupon.findOne({
+      code: String(coupon_code).toUpperCase().trim(),
+    }).lean();
+    if (!found) {
+      coupon_error = 'Coupon not found';
+    } else if (!isUsable(found)) {
+      coupon_error = 'Coupon is not active or has expired';
+    } else {
+      coupon = found;
+      discount_amount = round2(computeDiscount(lines, found));
+    }
+  }
+
+  // Gift wrapping
+  let gift_price = 0;
+  if (gift_design_id) {
+    const design = await GiftDesign.findOne({ _id: gift_design_id, is_active: true }).lean();
+    if (!design) {
+      throw pricingError('Gift design not found', 404);
+    }
+    gift_price = round2(design.price);
+  }
+
+  // Amount the customer pays for goods (GST included when prices include tax)
+  const order_value = round2(Math.max(0, subtotal - discount_amount + gift_price));
+
+  // GST per line at the product's rate; CGST + SGST or IGST by the shipping state
+  const { placeOfSupply, pricesIncludeTax } = await taxSettings();
+  const tax = computeTax({
+    lines,
+    discountAmount: discount_amount,
+    giftPrice: gift_price,
+    shippingState: address?.state,
+    placeOfSupply,
+    pricesIncludeTax,
+  });
+
+  // Delivery by shipping zone, weight and order value
+  const shipping = await deliveryOptions({
+    lines,
+    address,
+    orderValue: order_value,
+    freeShipping: coupon?.type === 'free_shipping',
+  });
+  let delivery_charges = 0;
+  let estimated_delivery_date = null;
+  if (delivery_type !== null) {
+    const option = shipping.options.find((o) => o.delivery_type === delivery_type);
+    if (!option) {
+      throw pricingError(
+        `Invalid delivery type. Must be one of: ${shipping.options.map((o) => o.delivery_type).join(', ')}`,
+        400
+      );
+    }
+    if (!option.available) {
+      throw pricingError(option.reason, 400);
+    }
+    delivery_charges = option.charge;
+    estimated_delivery_date = option.estimated_delivery_date;
+  }
+  const cod_fee = isCodMethod(payment_method) ? codFee() : 0;
+  const total_amount = round2(
+    (pricesIncludeTax ? order_value : order_value + tax.tax_amount) + delivery_charges + cod_fee
+  );
+
+  return {
+    items: tax.lines,
+    subtotal,
+    coupon_code: coupon ? coupon.code : null,
+    coupon_error,
+    discount_amount,
+    gift_design_id: gift_design_id || null,
+    gift_price,
+    gift_tax: tax.gift_tax,
+    order_value,
+    prices_include_tax: tax.prices_include_tax,
+    supply_type: tax.supply_type,
+    taxable_amount: tax.taxable_amount,
+    tax_rate: tax.tax_rate,
+    tax_amount: tax.tax_amount,
+    cgst_amount: tax.cgst_amount,
+    sgst_amount: tax.sgst_amount,
+    igst_amount: tax.igst_amount,
+    delivery_type,
+    delivery_charges,
+    delivery_options: shipping.options,
+    shipping_zone: shipping.zone ? shipping.zone.name : null,
+    weight_grams: shipping.weight_grams,
+    estimated_delivery_date,
+    cod_available: shipping.cod_available,
+    payment_method: isCodMethod(payment_method) ? 'cod' : 'razorpay',
+    cod_fee,
+    total_amount,
+    coupon,
+  };
+};
+
+/**
+ * Whether the client's expected total matches the server quote
+ */
+const matchesExpectedTotal = (quote, expectedTotal) => {
+  if (expectedTotal === undefined || expectedTotal === null || expectedTotal === '') return true;
+  return Math.abs(round2(expectedTotal) - quote.total_amount) <= TOTAL_TOLERANCE;
+};
+
+/**
+ * Quote without internal fields, for API responses
+ */
+const formatQuote = (quote) => {
+  const { coupon, ...rest } = quote;
+  return rest;
+};
+
+module.exports = {
+  MAX_QUANTITY_PER_ITEM,
+  round2,
+  quoteOrder,
+  matchesExpectedTotal,
+  formatQuote,
+};
@@ -0,0 +1,305 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const ProductAlert = require('../models/ProductAlert');
+const WishlistItem = require('../models/WishlistItem');
+const { applySalePricing } = require('./salePricingService');
+const { findVariant } = require('../utils/variants');
+const { sendProductAlertEmail } = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+// How long a subscription lasts without being renewed
+const ALERT_TTL_DAYS = parseInt(process.env.PRODUCT_ALERT_TTL_DAYS, 10) || 90;
+
+// Emails sent in parallel per batch
+const EMAIL_BATCH_SIZE = 25;
+
+const ALERT_TYPES = ['restock', 'price_drop'];
+
+const alertError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const expiresAt = () => new Date(Date.now() + ALERT_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const variantKey = (variantId) => (variantId ? String(variantId) : null);
+
+/**
+ * Product with effective (sale) prices, as compared before and after a change
+ */
+const productAlertSnapshot = async (productId) => {
+  const product = await Product.findById(productId)
+    .select({
+      name: 1,
+      price: 1,
+      original_price: 1,
+      in_stock: 1,
+      category_id: 1,
+      variants: 1,
+      images: { $slice: 1 },
+    })
+    .lean();
+  if (product) await applySalePricing(product);
+  return product;
+};
+
+/**
+ * Sellable units of a product: the product as a whole (variant_id null) and each pack size
+ */
+const unitsOf = (product) => [
+  { variant_id: null, label: null, available: Boolean(product.in_stock), price: product.price },
+  ...(product.variants || []).map((v) => ({
+    variant_id: String(v._id),
+    label: v.label,
+    available: Boolean(v.is_active) && (v.stock || 0) - (v.reserved_stock || 0) > 0,
+    price: v.price,
+  })),
+];
+
+const findUnit = (product, variantId) => unitsOf(product).find((u) => u.variant_id === variantKey(variantId));
+
+/**
+ * Subscribe a user to restock or price-drop emails for a product or pack size.
+ * Subscribing again renews the existing subscription instead of adding another.
+ */
+const subscribe = async ({ userId, productId, variantId = null, type, source = 'manual' }) => {
+  if (!ALERT_TYPES.includes(type)) {
+    throw alertError(`Alert type must be one of: ${ALERT_TYPES.join(', ')}`, 400);
+  }
+
+  const product = await productAlertSnapshot(productId);
+  if (!product) {
+    throw alertError('Product not found', 404);
+  }
+  if (variantId && !findVariant(product, variantId, { includeInactive: true })) {
+    throw alertError(`Selected pack size of ${product.name} does not exist`, 400);
+  }
+
+  const unit = findUnit(product, variantId);
+  if (type === 'restock' && source === 'manual' && unit.available) {
+    throw alertError(`${product.name} is in stock`, 400);
+  }
+
+  const filter = { user_id: userId, product_id: product._id, variant_id: variantKey(variantId), type };
+  const update = {
+    $set: { status: 'active', baseline_price: unit.price, expires_at: expiresAt() },
+    // A manual subscription outlives the wishlist item; a wishlist one never downgrades a manual one
+    ...(source === 'manual' ? {} : { $setOnInsert: { source } }),
+  };
+  if (source === 'manual') update.$set.source = 'manual';
+
+  try {
+    return await ProductAlert.findOneAndUpdate(filter, update, {
+      upsert: true,
+      new: true,
+      setDefaultsOnInsert: true,
+      runValidators: true,
+    });
+  } catch (error) {
+    // Concurrent subscribe of the same alert
+    if (error.code === 11000) return ProductAlert.findOne(filter);
+    throw error;
+  }
+};
+
+/**
+ * Subscribe a wishlist item to both alert types when the user has opted in
+ */
+const subscribeWishlistItem = async (user, item) => {
+  if (!user.wishlist_alerts) return;
+  for (const type of ALERT_TYPES) {
+    await subscribe({
+      userId: user._id,
+      productId: item.product_id,
+      variantId: item.variant_id,
+      type,
+      source: 'wishlist',
+    });
+  }
+};
+
+/**
+ * Drop the alerts that were created for a wishlist item
+ */
+const unsubscribeWishlistItem = (userId, productId, variantId) =>
+  ProductAlert.deleteMany({
+    user_id: userId,
+    product_id: productId,
+    variant_id: variantKey(variantId),
+    source: 'wishlist',
+  });
+
+/**
+ * Turn wishlist alerts on (subscribing every wishlist item) or off (dropping those alerts)
+ */
+const setWishlistAlerts = async (user, enabled) => {
+  await User.updateOne({ _id: user._id }, { wishlist_alerts: enabled });
+  user.wishlist_alerts = enabled;
+
+  if (!enabled) {
+    const { deletedCount } = await ProductAlert.deleteMany({ user_id: user._id, source: 'wishlist' });
+    return { wishlist_alerts: false, removed: deletedCount || 0 };
+  }
+
+  const items = await WishlistItem.find({ user_id: user._id }).select('product_id variant_id').lean();
+  let subscribed = 0;
+  for (const item of items) {
+    try {
+      await subscribeWishlistItem(user, item);
+      subscribed += 1;
+    } catch (error) {
+      // Products deleted or pack sizes removed since they were wishlisted
+      if (!error.statusCode) throw error;
+    }
+  }
+  return { wishlist_alerts: true, subscribed };
+};
+
+/**
+ * Claim an alert for sending; returns false when another update already notified it.
+ * Restock alerts are one-shot; price-drop alerts stay active with the new price as baseline.
+ */
+const claimAlert = async (alert, unit) => {
+  const now = new Date();
+  const claimed =
+    alert.type === 'restock'
+      ? await ProductAlert.updateOne(
+          { _id: alert._id, status: 'active' },
+          { $set: { status: 'notified', last_notified_at: now }, $inc: { notifications_sent: 1 } }
+        )
+      : await ProductAlert.updateOne(
+          { _id: alert._id, status: 'active', baseline_price: { $gt: unit.price } },
+          { $set: { baseline_price: unit.price, last_notified_at: now }, $inc: { notifications_sent: 1 } }
+        );
+  return claimed.modifiedCount === 1;
+};
+
+// Put a claimed alert back when its email could not be sent
+const releaseAlert = (alert) =>
+  ProductAlert.updateOne(
+    { _id: alert._id },
+    {
+      $set: { status: 'active', baseline_price: alert.baseline_price, last_notified_at: alert.last_notified_at },
+      $inc: { notifications_sent: -1 },
+    }
+  );
+
+/**
+ * Email a list of { alert, unit } in batches
+ */
+const sendAlerts = async (product, pending) => {
+  let sent = 0;
+  let failed = 0;
+
+  for (let i = 0; i < pending.length; i += EMAIL_BATCH_SIZE) {
+    const batch = pending.slice(i, i + EMAIL_BATCH_SIZE);
+    const results = await Promise.allSettled(
+      batch.map(async ({ alert, unit }) => {
+        const user = alert.user_id;
+        if (!user || !user.email) {
+          await ProductAlert.deleteOne({ _id: alert._id });
+          return false;
+        }
+        if (!(await claimAlert(alert, unit))) return false;
+
+        try {
+          await sendProductAlertEmail(user.email, user.name, {
+            type: alert.type,
+            product_id: product._id.toString(),
+            product_name: product.name,
+            variant_label: unit.label,
+            image: product.images?.[0] || null,
+            price: unit.price,
+            previous_price: alert.baseline_price,
+          });
+          return true;
+        } catch (error) {
+          await releaseAlert(alert);
+          throw error;
+        }
+      })
+    );
+    results.forEach((r) => {
+      if (r.status === 'fulfilled' && r.value) sent += 1;
+      if (r.status === 'rejected') failed += 1;
+    });
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Email subscribers about a product change: units that came back in stock and units whose
+ * effective price fell below a subscriber's baseline. `before` is a productAlertSnapshot taken
+ * before the change. Never throws; meant to run without being awaited.
+ */
+const notifyProductChanges = async (before) => {
+  try {
+    if (!before) return null;
+    const after = await productAlertSnapshot(before._id);
+    if (!after) return null;
+
+    const previous = new Map(unitsOf(before).map((u) => [u.variant_id, u]));
+    const restocked = unitsOf(after).filter((u) => u.available && !previous.get(u.variant_id)?.available);
+    const cheaper = unitsOf(after).filter((u) => previous.has(u.variant_id) && u.price < previous.get(u.variant_id).price);
+    if (restocked.length === 0 && cheaper.length === 0) return { sent: 0, failed: 0 };
+
+    const now = new Date();
+    const pending = [];
+    const collect = async (type, unit, extra = {}) => {
+      const alerts = await ProductAlert.find({
+        product_id: after._id,
+        variant_id: unit.variant_id,
+        type,
+        status: 'active',
+        expires_at: { $gt: now },
+        ...extra,
+      })
+        .populate('user_id', 'name email')
+        .lean();
+      alerts.forEach((alert) => pending.push({ alert, unit }));
+    };
+
+    for (const unit of restocked) await collect('restock', unit);
+    for (const unit of cheaper) await collect('price_drop', unit, { baseline_price: { $gt: unit.price } });
+
+    const result = await sendAlerts(after, pending);
+    if (pending.length > 0) {
+      logger.info('alerts:product_notified', { product_id: after._id.toString(), ...result });
+    }
+    return result;
+  } catch (error) {
+    logger.error('alerts:notify_failed', { product_id: before?._id?.toString(), message: error.message });
+    return null;
+  }
+};
+
+/**
+ * Snapshots of the products with active back-in-stock subscriptions, taken before their stock
+ * goes up so notifyProductChanges can tell which units came back
+ */
+const restockAlertSnapshots = async (productIds) => {
+  const ids = [...new Set(productIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return [];
+
+  const watched = await ProductAlert.distinct('product_id', {
+    product_id: { $in: ids },
+    type: 'restock',
+    status: 'active',
+    expires_at: { $gt: new Date() },
+  });
+  const snapshots = await Promise.all(watched.map((id) => productAlertSnapshot(id)));
+  return snapshots.filter(Boolean);
+};
+
+module.exports = {
+  ALERT_TYPES,
+  productAlertSnapshot,
+  restockAlertSnapshots,
+  subscribe,
+  subscribeWishlistItem,
+  unsubscribeWishlistItem,
+  setWishlistAlerts,
+  notifyProductChanges,
+};
@@ -0,0 +1,420 @@
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const { Parser } = require('json2csv');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { adjustStock } = require('./inventoryService');
+const { resolveProductCategory } = require('./categoryService');
+const { refreshEffectivePrices } = require('./salePricingService');
+const { NUTRIENTS, parseKeys } = require('../utils/nutrition');
+const { decodeUpload, parseSheet } = require('../utils/sheets');
+
+// Nutrition columns map to Product.nutrition.<key>
+const NUTRITION_COLUMNS = ['serving_size_g', 'servings_per_pack', ...NUTRIENTS.map((n) => n.key)];
+
+// Sheet columns, in order. One row per product, or per pack size for products with variants.
+const COLUMNS = [
+  'id',
+  'sku',
+  'name',
+  'description',
+  'category',
+  'hsn_code',
+  'gst_rate',
+  'variant_label',
+  'weight_grams',
+  'price',
+  'original_price',
+  'stock',
+  'variant_active',
+  'low_stock_threshold',
+  'benefits',
+  'ingredients',
+  'usage',
+  'images',
+  'allergens',
+  'dietary_tags',
+  ...NUTRITION_COLUMNS,
+];
+
+// Separator for list cells (benefits, images)
+const LIST_SEPARATOR = '|';
+
+const MAX_IMPORT_ROWS = 5000;
+
+const isUrl = (value) => /^https?:\/\//i.test(String(value || ''));
+
+// --- Export ------------------------------------------------------------------
+
+/**
+ * Flatten the catalogue into sheet rows
+ */
+const exportRows = async () => {
+  const products = await Product.find().sort({ category: 1, name: 1 }).lean();
+  const rows = [];
+
+  products.forEach((p) => {
+    const base = {
+      id: p._id.toString(),
+      name: p.name,
+      description: p.description,
+      category: p.category,
+      hsn_code: p.hsn_code || '',
+      gst_rate: p.gst_rate ?? '',
+      low_stock_threshold: p.low_stock_threshold ?? '',
+      benefits: (p.benefits || []).join(` ${LIST_SEPARATOR} `),
+      ingredients: p.ingredients || '',
+      usage: p.usage || '',
+      // Inline (base64) images cannot round-trip through a sheet
+      images: (p.images || []).filter(isUrl).join(` ${LIST_SEPARATOR} `),
+      allergens: (p.allergens || []).join(` ${LIST_SEPARATOR} `),
+      dietary_tags: (p.dietary_tags || []).join(` ${LIST_SEPARATOR} `),
+      ...Object.fromEntries(NUTRITION_COLUMNS.map((key) => [key, p.nutrition?.[key] ?? ''])),
+    };
+
+    if (p.variants && p.variants.length > 0) {
+      p.variants.forEach((v) => {
+        rows.push({
+          ...base,
+          sku: v.sku,
+          variant_label: v.label,
+          weight_grams: v.weight_grams ?? '',
+          price: v.price,
+          original_price: v.original_price ?? '',
+          stock: v.stock || 0,
+          variant_active: v.is_active ? 'yes' : 'no',
+        });
+      });
+    } else {
+      rows.push({
+        ...base,
+        sku: '',
+        variant_label: '',
+        weight_grams: p.weight_grams ?? '',
+        price: p.price,
+        original_price: p.original_price ?? '',
+        stock: p.stock || 0,
+        variant_active: '',
+      });
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * Export the catalogue as { buffer, contentType, extension }
+ */
+const exportProducts = async (format = 'csv') => {
+  const rows = await exportRows();
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Products');
+    sheet.columns = COLUMNS.map((key) => ({ header: key, key, width: key === 'description' ? 50 : 18 }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach((row) => sheet.addRow(row));
+    return {
+      buffer: Buffer.from(await workbook.xlsx.writeBuffer()),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      extension: 'xlsx',
+    };
+  }
+
+  const csv = new Parser({ fields: COLUMNS }).parse(rows);
+  return { buffer: Buffer.from(csv, 'utf8'), contentType: 'text/csv', extension: 'csv' };
+};
+
+// --- Import: planning ----------------------------------------------------------
+
+const splitList = (value) =>
+  String(value || '')
+    .split(LIST_SEPARATOR)
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+// Number from a cell; undefined when empty, NaN when not numeric
+const numberCell = (value) => (value === '' || value === undefined ? undefined : Number(value));
+
+// Number to write to the document; undefined when empty or not numeric (reported by cellErrors)
+const numberValue = (value) => {
+  const n = numberCell(value);
+  return Number.isNaN(n) ? undefined : n;
+};
+
+const booleanCell = (value) => {
+  if (value === '' || value === undefined) return undefined;
+  return !['no', 'false', '0', 'inactive', 'n'].includes(String(value).toLowerCase());
+};
+
+/**
+ * Per-row checks that do not need the schema
+ */
+const cellErrors = (data) => {
+  const errors = [];
+  ['price', 'original_price', 'weight_grams', 'gst_rate', 'low_stock_threshold', ...NUTRITION_COLUMNS].forEach((key) => {
+    if (Number.isNaN(numberCell(data[key]))) errors.push(`${key} must be a number`);
+  });
+  const stock = numberCell(data.stock);
+  if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+    errors.push('stock must be a whole number of at least 0');
+  }
+  if (data.id && !mongoose.Types.ObjectId.isValid(data.id)) {
+    errors.push('id is not a valid product ID');
+  }
+  return errors;
+};
+
+// Product-level fields from a row; empty cells leave existing values untouched
+const productFields = (data, isNew) => {
+  const fields = {};
+  const text = (key) => {
+    if (data[key] !== undefined && data[key] !== '') fields[key] = data[key];
+  };
+  ['name', 'description', 'category', 'hsn_code', 'ingredients', 'usage'].forEach(text);
+  if (numberValue(data.gst_rate) !== undefined) fields.gst_rate = numberValue(data.gst_rate);
+  if (numberValue(data.low_stock_threshold) !== undefined) {
+    fields.low_stock_threshold = numberValue(data.low_stock_threshold);
+  }
+  if (data.benefits !== undefined && (data.benefits !== '' || isNew)) fields.benefits = splitList(data.benefits);
+  if (data.images !== undefined && data.images !== '') fields.images = splitList(data.images);
+  ['allergens', 'dietary_tags'].forEach((key) => {
+    if (data[key] !== undefined && (data[key] !== '' || isNew)) fields[key] = parseKeys(splitList(data[key]));
+  });
+  NUTRITION_COLUMNS.forEach((key) => {
+    if (numberValue(data[key]) !== undefined) fields[`nutrition.${key}`] = numberValue(data[key]);
+  });
+  return fields;
+};
+
+/**
+ * Group rows by target product: ID, else the product owning the SKU, else a new product by name
+ */
+const groupRows = async (rows) => {
+  const skus = [...new Set(rows.map((r) => String(r.data.sku || '').toUpperCase()).filter(Boolean))];
+  const ids = [...new Set(rows.map((r) => r.data.id).filter((id) => id && mongoose.Types.ObjectId.isValid(id)))];
+
+  const [bySku, byId] = await Promise.all([
+    skus.length ? Product.find({ 'variants.sku': { $in: skus } }).select('_id variants.sku').lean() : [],
+    ids.length ? Product.find({ _id: { $in: ids } }).lean() : [],
+  ]);
+
+  const skuOwner = new Map();
+  bySku.forEach((p) => p.variants.forEach((v) => skuOwner.set(v.sku, p._id.toString())));
+  const existing = new Map(byId.map((p) => [p._id.toString(), p]));
+  const missingOwners = [...new Set(skuOwner.values())].filter((id) => !existing.has(id));
+  if (missingOwners.length) {
+    (await Product.find({ _id: { $in: missingOwners } }).lean()).forEach((p) => existing.set(p._id.toString(), p));
+  }
+
+  const groups = new Map();
+  const seenSkus = new Map();
+
+  rows.forEach((r) => {
+    r.errors = cellErrors(r.data);
+    const sku = String(r.data.sku || '').toUpperCase();
+    r.sku = sku || null;
+
+    if (sku) {
+      if (seenSkus.has(sku)) r.errors.push(`SKU ${sku} also appears on row ${seenSkus.get(sku)}`);
+      else seenSkus.set(sku, r.row);
+    }
+
+    let key;
+    if (r.data.id) {
+      if (!existing.has(r.data.id)) {
+        if (!r.errors.length) r.errors.push('Product not found for this id');
+        return;
+      }
+      key = r.data.id;
+      if (sku && skuOwner.has(sku) && skuOwner.get(sku) !== key) {
+        r.errors.push(`SKU ${sku} belongs to another product`);
+      }
+    } else if (sku && skuOwner.has(sku)) {
+      key = skuOwner.get(sku);
+    } else if (r.data.name) {
+      key = `new:${r.data.name.trim().toLowerCase()}`;
+    } else {
+      r.errors.push('A row needs an id, an existing sku or a name');
+      return;
+    }
+
+    if (!groups.has(key)) {
+      groups.set(key, { key, existing: existing.get(key) || null, rows: [] });
+    }
+    groups.get(key).rows.push(r);
+  });
+
+  return [...groups.values()];
+};
+
+/**
+ * Build the product document for a group and validate it against the schema.
+ * Sets group.doc, group.action and group.stock ([{ sku | null, target }]).
+ */
+const planGroup = async (group) => {
+  const isNew = !group.existing;
+  const variantRows = group.rows.filter((r) => r.sku);
+  const plainRows = group.rows.filter((r) => !r.sku);
+  const first = group.rows[0];
+
+  if (variantRows.length && plainRows.length) {
+    plainRows.forEach((r) => r.errors.push('Rows for a product with pack sizes need a sku'));
+  }
+  if (plainRows.length > 1) {
+    plainRows.slice(1).forEach((r) => r.errors.push(`Duplicate of row ${plainRows[0].row}`));
+  }
+  if (!isNew && plainRows.length && (group.existing.variants || []).length) {
+    plainRows.forEach((r) => r.errors.push('This product has pack sizes; add a sku to the row'));
+  }
+  if (!isNew && variantRows.length && !(group.existing.variants || []).length && (group.existing.reserved_stock || 0) > 0) {
+    variantRows.forEach((r) => r.errors.push('Product has stock held by pending checkouts; add pack sizes later'));
+  }
+
+  const doc = isNew ? new Product({ benefits: [] }) : Product.hydrate(group.existing);
+  const fields = productFields(first.data, isNew);
+  if (fields.images && !isNew) {
+    // Inline images are not exported, so keep them alongside the sheet's URLs
+    fields.images = [...fields.images, ...(group.existing.images || []).filter((img) => !isUrl(img))];
+  }
+  doc.set(fields);
+
+  group.stock = [];
+  const variantRowAt = new Map();
+
+  if (variantRows.length) {
+    variantRows.forEach((r) => {
+      const d = r.data;
+      let variant = doc.variants.find((v) => v.sku === r.sku);
+      if (!variant) {
+        doc.variants.push({ sku: r.sku, label: d.variant_label, price: numberValue(d.price) });
+        variant = doc.variants[doc.variants.length - 1];
+      }
+      if (d.variant_label) variant.label = d.variant_label;
+      if (numberValue(d.weight_grams) !== undefined) variant.weight_grams = numberValue(d.weight_grams);
+      if (numberValue(d.price) !== undefined) variant.price = numberValue(d.price);
+      if (numberValue(d.original_price) !== undefined) variant.original_price = numberValue(d.original_price);
+      if (booleanCell(d.variant_active) !== undefined) variant.is_active = booleanCell(d.variant_active);
+      variantRowAt.set(doc.variants.indexOf(variant), r);
+
+      const target = numberValue(d.stock);
+      if (target !== undefined && target !== (variant.stock || 0)) {
+        group.stock.push({ sku: r.sku, target });
+      }
+    });
+  } else if (plainRows.length) {
+    const d = plainRows[0].data;
+    if (numberValue(d.price) !== undefined) doc.price = numberValue(d.price);
+    if (numberValue(d.original_price) !== undefined) doc.original_price = numberValue(d.original_price);
+    if (numberValue(d.weight_grams) !== undefined) doc.weight_grams = numberValue(d.weight_grams);
+    const target = numberValue(d.stock);
+    if (target !== undefined && target !== (doc.stock || 0)) {
+      group.stock.push({ sku: null, target });
+    }
+  }
+
+  try {
+    await doc.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    Object.entries(error.errors).forEach(([path, err]) => {
+      const variantPath = /^variants\.(\d+)\./.exec(path);
+      const row = (variantPath && variantRowAt.get(Number(variantPath[1]))) || first;
+      if (!row.errors.includes(err.message)) row.errors.push(err.message);
+    });
+  }
+
+  if (isNew && doc.category && !(await Category.exists({ name: doc.category }))) {
+    first.warnings = [`Category "${doc.category}" will be created`];
+  }
+
+  group.doc = doc;
+  group.action = isNew ? 'create' : doc.isModified() || group.stock.length ? 'update' : 'unchanged';
+};
+
+/**
+ * Validate an uploaded sheet and optionally apply it.
+ * Returns { dry_run, applied, summary, rows }; nothing is written when any row has errors.
+ */
+const importProducts = async ({ file, format, filename, dryRun = true, userId = null }) => {
+  const rows = await parseSheet(decodeUpload({ file, format, filename }), {
+    columns: COLUMNS,
+    requiredHeaders: ['id', 'sku', 'name'],
+    rowLabel: 'product',
+    maxRows: MAX_IMPORT_ROWS,
+  });
+  const groups = await groupRows(rows);
+  for (const group of groups) {
+    await planGroup(group);
+  }
+
+  const report = () => {
+    const actionOf = new Map();
+    groups.forEach((g) => g.rows.forEach((r) => actionOf.set(r, g)));
+    const out = rows.map((r) => {
+      const group = actionOf.get(r);
+      return {
+        row: r.row,
+        action: r.errors.length ? 'error' : group.action,
+        product_id: group?.doc && !group.doc.isNew ? group.doc._id.toString() : null,
+        name: r.data.name || group?.doc?.name || null,
+        sku: r.sku,
+        errors: r.errors,
+        warnings: r.warnings || [],
+      };
+    });
+    const count = (action) => out.filter((r) => r.action === action).length;
+    return {
+      summary: {
+        rows: out.length,
+        create: count('create'),
+        update: count('update'),
+        unchanged: count('unchanged'),
+        errors: count('error'),
+      },
+      rows: out,
+    };
+  };
+
+  const hasErrors = rows.some((r) => r.errors.length);
+  if (dryRun || hasErrors) {
+    return { dry_run: dryRun, applied: false, ...report() };
+  }
+
+  const savedIds = [];
+  for (const group of groups) {
+    if (group.action === 'unchanged') continue;
+    const { doc } = group;
+
+    if (doc.isNew || doc.isModified('category')) {
+      const cat = await resolveProductCategory({ category: doc.category });
+      doc.category = cat.name;
+      doc.category_id = cat._id;
+    }
+    await doc.save();
+    savedIds.push(doc._id);
+
+    for (const { sku, target } of group.stock) {
+      const variant = sku ? doc.variants.find((v) => v.sku === sku) : null;
+      await adjustStock(doc._id, {
+        variantId: variant ? variant._id : null,
+        set: target,
+        reason: 'bulk_import',
+        userId,
+      });
+    }
+  }
+
+  // New prices and categories pick up running sales
+  await refreshEffectivePrices(savedIds);
+
+  return { dry_run: false, applied: true, ...report() };
+};
+
+module.exports = {
+  COLUMNS,
+  LIST_SEPARATOR,
+  MAX_IMPORT_ROWS,
+  exportProducts,
+  importProducts,
+};
@@ -0,0 +1,349 @@
+const Product = require('../models/Product');
+const OrderItem = require('../models/OrderItem');
+const CartItem = require('../models/CartItem');
+const ProductRecommendation = require('../models/ProductRecommendation');
+const { loadCategories } = require('./categoryService');
+const { applySalePricing } = require('./salePricingService');
+const logger = require('../utils/logger');
+
+// Recommendations stored per product and list
+const STORED_LIMIT = 12;
+
+// Order history considered when counting co-purchases
+const LOOKBACK_DAYS = parseInt(process.env.RECOMMENDATION_LOOKBACK_DAYS, 10) || 730;
+
+// Stored recommendations older than this are rebuilt in the background on the next read
+const REFRESH_HOURS = parseInt(process.env.RECOMMENDATION_REFRESH_HOURS, 10) || 24;
+
+// Orders a pair must share before it counts as "bought together"
+const MIN_PAIR_ORDERS = 2;
+
+// Larger orders (bulk/gift orders) are trimmed so one order cannot dominate the pair counts
+const MAX_BASKET_SIZE = 30;
+
+// Fields used to score similarity
+const SIMILARITY_FIELDS = 'category category_id price dietary_tags rating';
+
+// Fields returned for recommendation cards
+const CARD_FIELDS = {
+  name: 1,
+  description: 1,
+  price: 1,
+  original_price: 1,
+  images: { $slice: 1 },
+  category: 1,
+  category_id: 1,
+  rating: 1,
+  reviews_count: 1,
+  in_stock: 1,
+  variants: 1,
+  dietary_tags: 1,
+};
+
+const recommendationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+/**
+ * Co-purchase counts from non-cancelled orders since a date
+ * Returns { orderCounts: Map(id -> orders), pairCounts: Map(id -> Map(id -> orders)) }
+ */
+const coPurchaseCounts = async (since) => {
+  const orderCounts = new Map();
+  const pairCounts = new Map();
+  const bump = (map, key, by = 1) => map.set(key, (map.get(key) || 0) + by);
+
+  const cursor = OrderItem.aggregate([
+    { $match: { created_at: { $gte: since } } },
+    { $group: { _id: '$order_id', products: { $addToSet: '$product_id' } } },
+    { $lookup: { from: 'orders', localField: '_id', foreignField: '_id', as: 'order' } },
+    { $match: { 'order.0': { $exists: true }, 'order.status': { $ne: 'cancelled' } } },
+    { $project: { products: { $slice: ['$products', MAX_BASKET_SIZE] } } },
+  ])
+    .allowDiskUse(true)
+    .cursor();
+
+  for await (const { products } of cursor) {
+    const ids = products.map(String);
+    ids.forEach((a) => {
+      bump(orderCounts, a);
+      if (!pairCounts.has(a)) pairCounts.set(a, new Map());
+      ids.forEach((b) => {
+        if (a !== b) bump(pairCounts.get(a), b);
+      });
+    });
+  }
+
+  return { orderCounts, pairCounts };
+};
+
+/**
+ * How alike two products are (0-1): price closeness, shared dietary tags and rating
+ */
+const similarity = (product, candidate) => {
+  const priceRatio = (candidate.price || 1) / (product.price || 1);
+  const priceCloseness = 1 / (1 + Math.abs(Math.log(priceRatio)));
+
+  const tags = new Set(product.dietary_tags || []);
+  const candidateTags = candidate.dietary_tags || [];
+  const union = new Set([...tags, ...candidateTags]).size;
+  const shared = candidateTags.filter((t) => tags.has(t)).length;
+  const tagOverlap = union > 0 ? shared / union : 0;
+
+  return 0.5 * priceCloseness + 0.3 * tagOverlap + 0.2 * ((candidate.rating || 0) / 5);
+};
+
+/**
+ * Products in the same category (then its parent's subtree), most similar first
+ * categoryKey(p) -> category id (or name for products without one); familyKey(p) -> parent category id
+ */
+const similarProducts = (product, { byCategory, byFamily, categoryKey, familyKey }) => {
+  const id = String(product._id);
+  const seen = new Set([id]);
+  const scored = [];
+
+  const add = (candidates, weight) => {
+    candidates.forEach((c) => {
+      const cid = String(c._id);
+      if (seen.has(cid)) return;
+      seen.add(cid);
+      scored.push({ product_id: c._id, score: round4(similarity(product, c) * weight), source: 'similar' });
+    });
+  };
+
+  add(byCategory.get(categoryKey(product)) || [], 1);
+  const family = familyKey(product);
+  if (family && scored.length < STORED_LIMIT) {
+    add(byFamily.get(family) || [], 0.8);
+  }
+
+  return scored.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Fill a list of co-purchased products up to the stored limit with similar products
+ */
+const withFallback = (bought, similar) => {
+  const ids = new Set(bought.map((r) => String(r.product_id)));
+  return [...bought, ...similar.filter((r) => !ids.has(String(r.product_id)))].slice(0, STORED_LIMIT);
+};
+
+/**
+ * Category lookups shared by every product in a rebuild
+ */
+const categoryIndex = async (products) => {
+  const categories = await loadCategories();
+  const parentOf = new Map(categories.map((c) => [String(c._id), c.parent_id ? String(c.parent_id) : null]));
+
+  const categoryKey = (p) => (p.category_id ? String(p.category_id) : `name:${p.category}`);
+  const familyKey = (p) => (p.category_id ? parentOf.get(String(p.category_id)) || null : null);
+
+  const byCategory = new Map();
+  const byFamily = new Map();
+  const push = (map, key, p) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(p);
+  };
+  products.forEach((p) => {
+    push(byCategory, categoryKey(p), p);
+    const family = familyKey(p);
+    if (family) push(byFamily, family, p);
+  });
+
+  return { byCategory, byFamily, categoryKey, familyKey };
+};
+
+/**
+ * Recompute and store bought-together and related products for every product.
+ *
+ * bought_together: products most often in the same orders (cosine similarity of order
+ * baskets, at least MIN_PAIR_ORDERS shared orders); related: co-purchased products from the
+ * same category family first. Both are padded with same-category similar products.
+ */
+const rebuildRecommendations = async () => {
+  const startedAt = new Date();
+  const since = new Date(startedAt.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  const [products, { orderCounts, pairCounts }] = await Promise.all([
+    Product.find().select(SIMILARITY_FIELDS).lean(),
+    coPurchaseCounts(since),
+  ]);
+  const index = await categoryIndex(products);
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  const ops = products.map((product) => {
+    const id = String(product._id);
+    const pairs = pairCounts.get(id) || new Map();
+
+    const bought = [...pairs.entries()]
+      .filter(([otherId, count]) => count >= MIN_PAIR_ORDERS && byId.has(otherId))
+      .map(([otherId, count]) => ({
+        product_id: byId.get(otherId)._id,
+        score: round4(count / Math.sqrt(orderCounts.get(id) * orderCounts.get(otherId))),
+        source: 'orders',
+        orders: count,
+      }))
+      .sort((a, b) => b.score - a.score || b.orders - a.orders);
+
+    const family = index.familyKey(product) || index.categoryKey(product);
+    const sameFamily = (r) => {
+      const other = byId.get(String(r.product_id));
+      return index.categoryKey(other) === index.categoryKey(product)
+        || (index.familyKey(other) || index.categoryKey(other)) === family;
+    };
+    const similar = similarProducts(product, index);
+
+    return {
+      updateOne: {
+        filter: { product_id: product._id },
+        update: {
+          $set: {
+            bought_together: withFallback(bought.slice(0, STORED_LIMIT), similar),
+            related: withFallback(bought.filter(sameFamily).slice(0, STORED_LIMIT), similar),
+            computed_at: startedAt,
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+
+  for (let i = 0; i < ops.length; i += 500) {
+    await ProductRecommendation.bulkWrite(ops.slice(i, i + 500), { ordered: false });
+  }
+  // Products deleted since the last run
+  const removed = await ProductRecommendation.deleteMany({ computed_at: { $lt: startedAt } });
+
+  return {
+    products: products.length,
+    products_with_co_purchases: products.filter((p) => (pairCounts.get(String(p._id)) || new Map()).size > 0).length,
+    removed: removed.deletedCount || 0,
+    lookback_days: LOOKBACK_DAYS,
+    computed_at: startedAt,
+  };
+};
+
+let rebuilding = null;
+
+/**
+ * Start a rebuild unless one is already running in this process
+ */
+const startRebuild = () => {
+  if (!rebuilding) {
+    rebuilding = rebuildRecommendations().finally(() => {
+      rebuilding = null;
+    });
+  }
+  return rebuilding;
+};
+
+/**
+ * Rebuild in the background when the stored recommendations are missing or stale
+ */
+const refreshIfStale = async () => {
+  if (rebuilding) return;
+  const latest = await ProductRecommendation.findOne().sort({ computed_at: -1 }).select('computed_at').lean();
+  if (latest && Date.now() - latest.computed_at.getTime() < REFRESH_HOURS * 60 * 60 * 1000) return;
+
+  startRebuild().catch((error) => {
+    logger.error('recommendations:rebuild_failed', { message: error.message });
+  });
+};
+
+/**
+ * Recommended products in stored order: in stock, not excluded, with effective prices
+ * entries: [{ product_id, score, source }]
+ */
+const hydrate = async (entries, { limit, exclude = [] }) => {
+  const skip = new Set(exclude.map(String));
+  const wanted = entries.filter((e) => !skip.has(String(e.product_id)));
+  const products = await Product.find({ _id: { $in: wanted.map((e) => e.product_id) }, in_stock: true })
+    .select(CARD_FIELDS)
+    .lean();
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  const data = wanted
+    .filter((e) => byId.has(String(e.product_id)))
+    .slice(0, limit)
+    .map((e) => ({
+      ...byId.get(String(e.product_id)),
+      recommendation: { source: e.source, score: e.score },
+    }));
+  await applySalePricing(data);
+  return data;
+};
+
+/**
+ * Bought-together or related products for a product page
+ * kind: 'bought_together' | 'related'
+ */
+const productRecommendations = async (productId, kind, limit) => {
+  refreshIfStale().catch((error) => {
+    logger.error('recommendations:refresh_check_failed', { message: error.message });
+  });
+
+  const stored = await ProductRecommendation.findOne({ product_id: productId }).lean();
+  if (stored) {
+    return hydrate(stored[kind], { limit, exclude: [productId] });
+  }
+
+  // Not in the last rebuild (e.g. a new product): similar products only
+  const product = await Product.findById(productId).select(SIMILARITY_FIELDS).lean();
+  if (!product) {
+    throw recommendationError('Product not found', 404);
+  }
+  const candidates = await Product.find({
+    _id: { $ne: product._id },
+    ...(product.category_id ? { category_id: product.category_id } : { category: product.category }),
+  })
+    .select(SIMILARITY_FIELDS)
+    .lean();
+  const index = await categoryIndex([product, ...candidates]);
+  return hydrate(similarProducts(product, index), { limit });
+};
+
+/**
+ * Add-on suggestions for a user's cart: products bought together with the cart contents,
+ * scored by summing across cart products; falls back to related products.
+ */
+const cartRecommendations = async (userId, limit) => {
+  const cartItems = await CartItem.find({ user_id: userId }).select('product_id').lean();
+  const cartIds = [...new Set(cartItems.map((i) => String(i.product_id)))];
+  if (cartIds.length === 0) return [];
+
+  refreshIfStale().catch((error) => {
+    logger.error('recommendations:refresh_check_failed', { message: error.message });
+  });
+
+  const stored = await ProductRecommendation.find({ product_id: { $in: cartIds } }).lean();
+  const totals = new Map();
+  const add = (entry, weight) => {
+    const key = String(entry.product_id);
+    const current = totals.get(key) || { product_id: entry.product_id, score: 0, source: entry.source };
+    current.score = round4(current.score + entry.score * weight);
+    if (entry.source === 'orders') current.source = 'orders';
+    totals.set(key, current);
+  };
+  stored.forEach((rec) => {
+    rec.bought_together.forEach((e) => add(e, e.source === 'orders' ? 1 : 0.5));
+    rec.related.forEach((e) => add(e, 0.25));
+  });
+
+  const ranked = [...totals.values()].sort(
+    (a, b) => (b.source === 'orders') - (a.source === 'orders') || b.score - a.score
+  );
+  return hydrate(ranked, { limit, exclude: cartIds });
+};
+
+module.exports = {
+  STORED_LIMIT,
+  rebuildRecommendations,
+  startRebuild,
+  refreshIfStale,
+  productRecommendations,
+  cartRecommendations,
+};
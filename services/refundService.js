@@ -0,0 +1,230 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const { createRefund } = require('./razorpayService');
+const logger = require('../utils/logger');
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const refundError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// What the customer paid; orders paid before amount_paid was recorded fall back to their total
+const paidAmount = (order) => round2(order.amount_paid > 0 ? order.amount_paid : order.total_amount);
+
+/**
+ * Record money refunded (or owed by a manual refund) on the order
+ * A retry pays off refund_due; nothing more can be due than is left to refund.
+ */
+const recordRefunded = (order, { refundAmount, refundable, fromDue }) => {
+  order.refund_amount = round2((order.refund_amount || 0) + refundAmount);
+  let due = order.refund_due || 0;
+  if (fromDue) due -= refundAmount;
+  order.refund_due = round2(Math.max(0, Math.min(due, refundable - refundAmount)));
+};
+
+/**
+ * Refund an order's payment through Razorpay, in full or in part
+ *
+ * amount: defaults to everything not yet refunded; larger amounts are capped to that.
+ * Updates the order's and the payment's refund fields (the caller saves the order). refund_amount only
+ * grows once money is refunded, or is left 'pending' for a manual refund (cash on delivery collections
+ * and payments without a Razorpay payment id). The order becomes payment_status 'refunded' once
+ * everything paid (amount_paid, not the possibly amended total) is refunded.
+ * A failed refund is recorded as 'failed'; with trackDue its amount is added to refund_due for
+ * retryOrderRefund (returns pass false: they are retried from the return request).
+ * fromDue: the refund is a retry of refund_due.
+ * Returns { status, amount, refund_id }
+ */
+const refundOrderPayment = async (
+  order,
+  { amount = null, reason = '', userId = null, trackDue = true, fromDue = false } = {}
+) => {
+  if (order.payment_status !== 'paid') {
+    return { status: 'none', amount: 0, refund_id: null };
+  }
+
+  const payment = await Payment.findOne({
+    order_id: order._id,
+    status: { $in: ['captured', 'authorized', 'partial_refund'] },
+  });
+  let razorpayPaymentId = payment?.razorpay_payment_id || null;
+  if (!razorpayPaymentId && order.invoice_id) {
+    const invoice = await Invoice.findById(order.invoice_id).select('razorpay_payment_id').lean();
+    razorpayPaymentId = invoice?.razorpay_payment_id || null;
+  }
+
+  const refundable = round2(
+    payment ? payment.amount - (payment.refund_amount || 0) : paidAmount(order) - (order.refund_amount || 0)
+  );
+  const refundAmount = round2(amount === null ? refundable : Math.min(amount, refundable));
+  if (refundAmount <= 0) {
+    return { status: 'none', amount: 0, refund_id: null };
+  }
+
+  if (order.payment_method === 'cod' || !razorpayPaymentId) {
+    recordRefunded(order, { refundAmount, refundable, fromDue });
+    order.refund_status = 'pending';
+    logger.warn('refund:manual_refund_needed', {
+      orderId: order._id.toString(),
+      payment_method: order.payment_method,
+      amount: refundAmount,
+    });
+    return { status: 'pending', amount: refundAmount, refund_id: null };
+  }
+
+  let refund;
+  try {
+    refund = await createRefund(razorpayPaymentId, refundAmount, {
+      reason: reason || 'Order refund',
+      order_id: order._id.toString(),
+      requested_by: userId ? userId.toString() : '',
+    });
+  } catch (error) {
+    logger.error('refund:failed', {
+      orderId: order._id.toString(),
+      amount: refundAmount,
+      message: error.message,
+    });
+    order.refund_status = 'failed';
+    if (trackDue && !fromDue) {
+      order.refund_due = round2(Math.min((order.refund_due || 0) + refundAmount, refundable));
+    }
+    if (payment) {
+      payment.refund_status = 'failed';
+      await payment.save();
+    }
+    return { status: 'failed', amount: refundAmount, refund_id: null };
+  }
+
+  recordRefunded(order, { refundAmount, refundable, fromDue });
+  const fullyRefunded = order.refund_amount >= paidAmount(order);
+
+  if (payment) {
+    payment.refund_id = refund.id;
+    payment.refund_amount = round2((payment.refund_amount || 0) + refundAmount);
+    payment.refund_status = 'processed';
+    payment.status = payment.refund_amount >= payment.amount ? 'refunded' : 'partial_refund';
+    await payment.save();
+  } else if (order.razorpay_order_id) {
+    // Cart checkouts placed before payments were recorded have no Payment; keep one for the refund
+    await Payment.create({
+      order_id: order._id,
+      user_id: order.user_id,
+      razorpay_order_id: order.razorpay_order_id,
+      razorpay_payment_id: razorpayPaymentId,
+      amount: paidAmount(order),
+      status: fullyRefunded ? 'refunded' : 'partial_refund',
+      refund_id: refund.id,
+      refund_amount: refundAmount,
+      refund_status: 'processed',
+      sale_type: order.sale_type,
+    });
+  }
+
+  if (fullyRefunded) order.payment_status = 'refunded';
+  order.refund_status = order.refund_due > 0 ? 'failed' : 'processed';
+  order.refund_id = refund.id;
+  order.refunded_at = new Date();
+
+  return { status: 'processed', amount: refundAmount, refund_id: refund.id };
+};
+
+/**
+ * Give back a Razorpay payment that did not become an order (checkout rejected after paying)
+ * Captured payments are refunded in full; authorized ones are left uncaptured, which Razorpay
+ * releases to the customer on its own. Nothing is refunded if an order was placed with the
+ * payment after all (a concurrent retry of the same checkout).
+ * Returns { status: 'processed' | 'uncaptured' | 'skipped' | 'failed', amount, refund_id }
+ */
+const refundUnplacedPayment = async ({
+  razorpayPaymentId,
+  razorpayOrderId,
+  amount,
+  status,
+  reason = '',
+  userId = null,
+}) => {
+  if (await Order.exists({ razorpay_order_id: razorpayOrderId })) {
+    return { status: 'skipped', amount: 0, refund_id: null };
+  }
+  if (status !== 'captured') {
+    logger.warn('refund:unplaced_payment_uncaptured', { razorpayPaymentId, razorpayOrderId, amount, reason });
+    return { status: 'uncaptured', amount, refund_id: null };
+  }
+
+  try {
+    const refund = await createRefund(razorpayPaymentId, amount, {
+      reason: reason || 'Order could not be placed',
+      razorpay_order_id: razorpayOrderId,
+      requested_by: userId ? userId.toString() : '',
+    });
+    logger.warn('refund:unplaced_payment_refunded', { razorpayPaymentId, razorpayOrderId, amount, reason });
+    return { status: 'processed', amount, refund_id: refund.id };
+  } catch (error) {
+    logger.error('refund:unplaced_payment_failed', {
+      razorpayPaymentId,
+      razorpayOrderId,
+      amount,
+      message: error.message,
+    });
+    return { status: 'failed', amount, refund_id: null };
+  }
+};
+
+/**
+ * Retry an order refund that failed (Admin)
+ * Refunds refund_due; the order is claimed first so two retries cannot both refund it.
+ * Returns { order, refund }
+ */
+const retryOrderRefund = async ({ orderId, adminId }) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, refund_status: 'failed', refund_due: { $gt: 0 } },
+    { $set: { refund_status: 'processing' } },
+    { new: true }
+  );
+  if (!order) {
+    const exists = await Order.exists({ _id: orderId });
+    if (!exists) throw refundError('Order not found', 404);
+    throw refundError('This order has no failed refund to retry', 400);
+  }
+
+  let refund;
+  try {
+    refund = await refundOrderPayment(order, {
+      amount: order.refund_due,
+      reason: 'Refund retry',
+      userId: adminId,
+      fromDue: true,
+    });
+    // Nothing left to refund (e.g. refunded by hand in the meantime)
+    if (refund.status === 'none') {
+      order.refund_due = 0;
+      order.refund_status = order.refund_amount > 0 ? 'processed' : 'none';
+    }
+  } finally {
+    if (order.refund_status === 'processing') order.refund_status = 'failed';
+    await order.save();
+  }
+
+  if (order.payment_status === 'refunded' && order.invoice_id) {
+    await Invoice.findByIdAndUpdate(order.invoice_id, { payment_status: 'refunded' });
+  }
+
+  logger.info('refund:retried', {
+    orderId: order._id.toString(),
+    adminId,
+    status: refund.status,
+    amount: refund.amount,
+  });
+  return { order, refund };
+};
+
+module.exports = {
+  refundOrderPayment,
+  refundUnplacedPayment,
+  retryOrderRefund,
+};
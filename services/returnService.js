@@ -0,0 +1,458 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const User = require('../models/User');
+const StoreCreditTransaction = require('../models/StoreCreditTransaction');
+const { restockItems } = require('./inventoryService');
+const { refundOrderPayment } = require('./refundService');
+const { lineName } = require('../utils/variants');
+const logger = require('../utils/logger');
+
+// Days after delivery a return can be requested
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 7;
+
+const MAX_RETURN_PHOTOS = 5;
+
+// original: Razorpay; store_credit: User.store_credit_balance; bank_transfer: paid out by an admin
+// (cash on delivery orders, which have no online payment to refund)
+const REFUND_METHODS = ['original', 'store_credit', 'bank_transfer'];
+
+// Check a refund method against the order's payment method
+const checkRefundMethod = (refundMethod, order) => {
+  if (!REFUND_METHODS.includes(refundMethod)) {
+    throw returnError(`Refund method must be one of: ${REFUND_METHODS.join(', ')}`, 400);
+  }
+  if (order.payment_method === 'cod' && refundMethod === 'original') {
+    throw returnError('Cash on delivery orders are refunded by bank transfer or as store credit', 400);
+  }
+  if (order.payment_method !== 'cod' && refundMethod === 'bank_transfer') {
+    throw returnError('Bank transfer refunds are only for cash on delivery orders', 400);
+  }
+};
+
+// Pickup and receiving steps an admin can move an approved return through
+const LOGISTICS_TRANSITIONS = {
+  approved: ['pickup_scheduled', 'picked_up', 'received'],
+  pickup_scheduled: ['picked_up', 'received'],
+  picked_up: ['received'],
+};
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const returnError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * When an order was delivered (its latest 'delivered' history entry)
+ */
+const deliveredAt = (order) => {
+  const entry = (order.statusHistory || [])
+    .filter((h) => h.status === 'delivered')
+    .pop();
+  return new Date(entry?.changedAt || order.updatedAt);
+};
+
+/**
+ * Last day a delivered order can be returned, or null for orders not delivered
+ */
+const returnDeadline = (order) => {
+  if (order.status !== 'delivered') return null;
+  return new Date(deliveredAt(order).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// What the customer paid per unit of an order line: after the coupon share, with GST
+const unitRefund = (orderItem) => {
+  const paid = orderItem.taxable_value !== null && orderItem.taxable_value !== undefined
+    ? orderItem.taxable_value + (orderItem.tax_amount || 0)
+    : orderItem.price * orderItem.quantity;
+  return round2(paid / orderItem.quantity);
+};
+
+// Refund due for the items that passed quality check
+const refundableAmount = (returnRequest) =>
+  round2(
+    returnRequest.items
+      .filter((item) => ['restock', 'discard'].includes(item.qc_result))
+      .reduce((sum, item) => sum + item.unit_refund * item.quantity, 0)
+  );
+
+const pushHistory = (returnRequest, status, changedBy, comment = '') => {
+  returnRequest.status = status;
+  returnRequest.statusHistory.push({ status, changedBy, changedAt: new Date(), comment });
+};
+
+const loadReturn = async (returnId) => {
+  const returnRequest = await ReturnRequest.findById(returnId);
+  if (!returnRequest) throw returnError('Return request not found', 404);
+  return returnRequest;
+};
+
+/**
+ * Open a return for items of the customer's delivered order
+ *
+ * items: [{ order_item_id, quantity }]; photos: image URLs from /api/upload
+ * bankDetails: account or UPI ID for a bank_transfer refund (required with it)
+ * A line can't be returned beyond its ordered quantity across the order's returns (rejected ones excluded).
+ */
+const createReturnRequest = async ({
+  userId,
+  orderId,
+  items,
+  reason,
+  comments = '',
+  photos = [],
+  refundMethod = 'original',
+  bankDetails = '',
+}) => {
+  const order = await Order.findOne({ _id: orderId, user_id: userId }).lean();
+  if (!order) throw returnError('Order not found', 404);
+
+  const deadline = returnDeadline(order);
+  if (!deadline) {
+    throw returnError('Only delivered orders can be returned', 400);
+  }
+  if (new Date() > deadline) {
+    throw returnError(`Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`, 400);
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw returnError('Select at least one item to return', 400);
+  }
+  if (!Array.isArray(photos) || photos.length > MAX_RETURN_PHOTOS) {
+    throw returnError(`Attach up to ${MAX_RETURN_PHOTOS} photos`, 400);
+  }
+  if (photos.some((url) => typeof url !== 'string' || !/^https?:\/\//.test(url))) {
+    throw returnError('Photos must be image URLs uploaded through /api/upload', 400);
+  }
+  checkRefundMethod(refundMethod, order);
+  if (refundMethod === 'bank_transfer' && !bankDetails) {
+    throw returnError('Please provide the bank account or UPI ID for the refund', 400);
+  }
+
+  const [orderItems, previousReturns] = await Promise.all([
+    OrderItem.find({ order_id: order._id }).populate('product_id', 'name').lean(),
+    ReturnRequest.find({ order_id: order._id, status: { $ne: 'rejected' } }).lean(),
+  ]);
+
+  const alreadyReturned = new Map();
+  previousReturns.forEach((r) =>
+    r.items
+      .filter((item) => item.qc_result !== 'rejected')
+      .forEach((item) => {
+        const key = String(item.order_item_id);
+        alreadyReturned.set(key, (alreadyReturned.get(key) || 0) + item.quantity);
+      })
+  );
+
+  const requested = new Map();
+  items.forEach((item) => {
+    const key = String(item.order_item_id || '');
+    requested.set(key, (requested.get(key) || 0) + (Number(item.quantity) || 0));
+  });
+
+  const lines = [];
+  for (const [orderItemId, quantity] of requested) {
+    const orderItem = orderItems.find((oi) => String(oi._id) === orderItemId);
+    if (!orderItem) throw returnError('Item is not part of this order', 400);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw returnError('Return quantity must be a whole number of at least 1', 400);
+    }
+    const returnable = orderItem.quantity - (alreadyReturned.get(orderItemId) || 0);
+    const name = lineName(orderItem.product_id?.name || '', orderItem.variant_label);
+    if (quantity > returnable) {
+      throw returnError(
+        returnable > 0
+          ? `Only ${returnable} of ${name} can be returned`
+          : `${name} has already been returned`,
+        400
+      );
+    }
+    lines.push({
+      order_item_id: orderItem._id,
+      product_id: orderItem.product_id?._id || orderItem.product_id,
+      variant_id: orderItem.variant_id || null,
+      sku: orderItem.sku || null,
+      name,
+      quantity,
+      unit_refund: unitRefund(orderItem),
+    });
+  }
+
+  const returnRequest = await ReturnRequest.create({
+    order_id: order._id,
+    order_number: order.order_number || null,
+    user_id: userId,
+    items: lines,
+    reason,
+    comments,
+    photos,
+    refund_method: refundMethod,
+    bank_details: refundMethod === 'bank_transfer' ? bankDetails : '',
+    statusHistory: [{ status: 'requested', changedBy: userId, comment: comments }],
+  });
+
+  logger.info('returns:requested', {
+    returnId: returnRequest._id.toString(),
+    orderId: order._id.toString(),
+    items: lines.length,
+  });
+  return returnRequest;
+};
+
+/**
+ * Approve or reject a requested return (Admin)
+ */
+const reviewReturnRequest = async ({ returnId, adminId, action, comment = '' }) => {
+  if (!['approve', 'reject'].includes(action)) {
+    throw returnError('Action must be approve or reject', 400);
+  }
+  const returnRequest = await loadReturn(returnId);
+  if (returnRequest.status !== 'requested') {
+    throw returnError(`Cannot review a return with status: ${returnRequest.status}`, 400);
+  }
+  if (action === 'reject' && !comment) {
+    throw returnError('A reason is required to reject a return', 400);
+  }
+
+  if (action === 'reject') returnRequest.rejection_reason = comment;
+  pushHistory(returnRequest, action === 'approve' ? 'approved' : 'rejected', adminId, comment);
+  await returnRequest.save();
+  return returnRequest;
+};
+
+/**
+ * Record reverse pickup and receipt of an approved return (Admin)
+ * status: pickup_scheduled (scheduled_for, courier, tracking_number), picked_up or received
+ */
+const updateReturnLogistics = async ({
+  returnId,
+  adminId,
+  status,
+  scheduledFor,
+  courier,
+  trackingNumber,
+  comment = '',
+}) => {
+  const returnRequest = await loadReturn(returnId);
+  const allowed = LOGISTICS_TRANSITIONS[returnRequest.status] || [];
+  if (!allowed.includes(status)) {
+    throw returnError(
+      `Invalid status transition from ${returnRequest.status} to ${status}. Allowed: ${allowed.join(', ') || 'none'}`,
+      400
+    );
+  }
+
+  if (status === 'pickup_scheduled') {
+    const when = scheduledFor ? new Date(scheduledFor) : null;
+    if (!when || Number.isNaN(when.getTime())) {
+      throw returnError('A valid pickup date (scheduled_for) is required', 400);
+    }
+    returnRequest.pickup.scheduled_for = when;
+  }
+  if (courier !== undefined) returnRequest.pickup.courier = courier || null;
+  if (trackingNumber !== undefined) returnRequest.pickup.tracking_number = trackingNumber || null;
+  if (status === 'picked_up') returnRequest.pickup.picked_up_at = new Date();
+  if (status === 'received') returnRequest.received_at = new Date();
+
+  pushHistory(returnRequest, status, adminId, comment);
+  await returnRequest.save();
+  return returnRequest;
+};
+
+/**
+ * Quality check of a received return (Admin)
+ *
+ * results: [{ item_id, result }] with result restock, discard or rejected for every item.
+ * Restocked items go back into inventory straight away.
+ */
+const inspectReturn = async ({ returnId, adminId, results, notes = '' }) => {
+  const returnRequest = await loadReturn(returnId);
+  if (returnRequest.status !== 'received') {
+    throw returnError('Only received returns can be quality checked', 400);
+  }
+  if (!Array.isArray(results)) {
+    throw returnError('results are required', 400);
+  }
+
+  const byItem = new Map(results.map((r) => [String(r.item_id), r.result]));
+  for (const item of returnRequest.items) {
+    const result = byItem.get(String(item._id));
+    if (!['restock', 'discard', 'rejected'].includes(result)) {
+      throw returnError(`Quality check result (restock, discard or rejected) is required for ${item.name}`, 400);
+    }
+    item.qc_result = result;
+  }
+
+  // Claim the inspection so items are never restocked twice
+  const claimed = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: 'received' },
+    { $set: { status: 'inspected' } }
+  );
+  if (!claimed) {
+    throw returnError('Return status has changed. Please refresh and try again.', 409);
+  }
+
+  const restock = returnRequest.items.filter((item) => item.qc_result === 'restock');
+  if (restock.length) {
+    await restockItems(restock, {
+      orderId: returnRequest.order_id,
+      reason: `return ${returnRequest._id}`,
+      userId: adminId,
+    });
+  }
+
+  returnRequest.quality_check = { notes, inspected_by: adminId, inspected_at: new Date() };
+  pushHistory(returnRequest, 'inspected', adminId, notes);
+  await returnRequest.save();
+  return returnRequest;
+};
+
+// Credit a user's store credit balance and record it in the ledger
+const issueStoreCredit = async ({ userId, amount, orderId, returnId, createdBy, note }) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { store_credit_balance: amount } },
+    { new: true }
+  );
+  if (!user) throw returnError('Customer not found', 404);
+
+  const entry = await StoreCreditTransaction.create({
+    user_id: userId,
+    amount,
+    balance_after: user.store_credit_balance,
+    source: 'return_refund',
+    order_id: orderId,
+    return_id: returnId,
+    note,
+    created_by: createdBy,
+  });
+  return entry;
+};
+
+/**
+ * Refund an inspected return to the original payment method, as store credit or by bank transfer (Admin)
+ *
+ * method defaults to the customer's choice; amount defaults to the items that passed quality
+ * check and cannot exceed it. A failed Razorpay refund can be retried. A bank transfer is made by the
+ * admin beforehand; reference (e.g. the UTR) records it.
+ */
+const refundReturn = async ({ returnId, adminId, method, amount, reference = '' }) => {
+  const existing = await loadReturn(returnId);
+  if (existing.status !== 'inspected') {
+    throw returnError('Only inspected returns can be refunded', 400);
+  }
+
+  const refundMethod = method || existing.refund_method;
+  if (refundMethod === 'bank_transfer' && !reference) {
+    throw returnError('Please provide the bank transfer reference', 400);
+  }
+
+  const refundable = refundableAmount(existing);
+  if (refundable <= 0) {
+    throw returnError('No returned items passed quality check', 400);
+  }
+  const refundAmount = amount === undefined || amount === null ? refundable : round2(amount);
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    throw returnError(`Refund amount must be between 0 and ₹${refundable}`, 400);
+  }
+
+  const order = await Order.findById(existing.order_id);
+  if (!order) throw returnError('Order not found', 404);
+  checkRefundMethod(refundMethod, order);
+
+  // Claim the refund so it is only issued once
+  const returnRequest = await ReturnRequest.findOneAndUpdate(
+    { _id: existing._id, status: 'inspected', 'refund.status': { $in: ['none', 'failed'] } },
+    { $set: { 'refund.status': 'pending', 'refund.method': refundMethod, 'refund.amount': refundAmount } },
+    { new: true }
+  );
+  if (!returnRequest) {
+    throw returnError('A refund for this return is already in progress', 409);
+  }
+
+  const reason = `Return ${returnRequest._id}`;
+  let refundId = null;
+  let refundStatus = 'processed';
+
+  try {
+    if (refundMethod === 'store_credit') {
+      const entry = await issueStoreCredit({
+        userId: returnRequest.user_id,
+        amount: refundAmount,
+        orderId: order._id,
+        returnId: returnRequest._id,
+        createdBy: adminId,
+        note: reason,
+      });
+      refundId = entry._id.toString();
+    } else if (refundMethod === 'bank_transfer') {
+      // Already paid out by the admin; recorded on the order like any other refund
+      order.refund_amount = round2((order.refund_amount || 0) + refundAmount);
+      order.refund_status = 'processed';
+      order.refunded_at = new Date();
+      await order.save();
+      refundId = reference;
+    } else {
+      // A failed refund is retried from the return, not from the order's refund_due
+      const result = await refundOrderPayment(order, {
+        amount: refundAmount,
+        reason,
+        userId: adminId,
+        trackDue: false,
+      });
+      await order.save();
+      if (result.status === 'none') {
+        throw returnError('This order has no payment left to refund', 400);
+      }
+      refundStatus = result.status;
+      refundId = result.refund_id;
+    }
+  } catch (error) {
+    returnRequest.refund.status = 'none';
+    await returnRequest.save();
+    throw error;
+  }
+
+  returnRequest.refund.status = refundStatus;
+  returnRequest.refund.refund_id = refundId;
+  if (refundStatus === 'failed') {
+    await returnRequest.save();
+    throw returnError('The refund could not be processed. Please try again.', 502);
+  }
+
+  returnRequest.refund.processed_at = new Date();
+  pushHistory(
+    returnRequest,
+    'refunded',
+    adminId,
+    {
+      store_credit: `₹${refundAmount} issued as store credit`,
+      bank_transfer: `₹${refundAmount} refunded by bank transfer (${reference})`,
+      original: `₹${refundAmount} refunded to the original payment method`,
+    }[refundMethod]
+  );
+  await returnRequest.save();
+
+  logger.info('returns:refunded', {
+    returnId: returnRequest._id.toString(),
+    method: refundMethod,
+    amount: refundAmount,
+    status: refundStatus,
+  });
+  return returnRequest;
+};
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  REFUND_METHODS,
+  returnDeadline,
+  refundableAmount,
+  createReturnRequest,
+  reviewReturnRequest,
+  updateReturnLogistics,
+  inspectReturn,
+  refundReturn,
+};
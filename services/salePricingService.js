@@ -0,0 +1,264 @@
+const PriceSchedule = require('../models/PriceSchedule');
+const Product = require('../models/Product');
+const { loadCategories, ancestorsOf, descendantIds } = require('./categoryService');
+const logger = require('../utils/logger');
+
+// How often listing requests look for sales that started or ended since the last check
+const SALE_CHECK_INTERVAL_MS = 60 * 1000;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// Lean documents carry _id; toJSON output carries id
+const idOf = (doc) => String(doc._id || doc.id);
+
+/**
+ * Status of a schedule at a point in time: scheduled | active | expired | cancelled
+ */
+const scheduleStatus = (schedule, now = new Date()) => {
+  if (schedule.cancelled_at) return 'cancelled';
+  if (new Date(schedule.starts_at) > now) return 'scheduled';
+  if (new Date(schedule.ends_at) <= now) return 'expired';
+  return 'active';
+};
+
+/**
+ * Schedules running at the given time
+ */
+const liveSchedules = (now) =>
+  PriceSchedule.find({
+    cancelled_at: null,
+    starts_at: { $lte: now },
+    ends_at: { $gt: now },
+  }).lean();
+
+/**
+ * Price of a unit with the given regular price under a schedule
+ */
+const scheduledPrice = (schedule, regularPrice) =>
+  schedule.type === 'sale_price'
+    ? round2(schedule.value)
+    : round2(regularPrice * (1 - schedule.value / 100));
+
+/**
+ * Apply the lowest applicable schedule to a product or variant (only ever lowers the price)
+ * The regular price moves to original_price unless that is already higher (MRP).
+ */
+const applyToUnit = (unit, schedules) => {
+  const regular = unit.price;
+  let best = null;
+  schedules.forEach((schedule) => {
+    const price = scheduledPrice(schedule, regular);
+    if (price < regular && (!best || price < best.price)) best = { price, schedule };
+  });
+
+  if (!best) {
+    unit.sale = null;
+    return;
+  }
+
+  unit.price = best.price;
+  unit.original_price = Math.max(unit.original_price || 0, regular);
+  unit.sale = {
+    schedule_id: best.schedule._id.toString(),
+    label: best.schedule.label || null,
+    ends_at: best.schedule.ends_at,
+    regular_price: regular,
+  };
+};
+
+/**
+ * Resolve the effective price of products (plain objects, mutated in place) at `now`.
+ *
+ * Product schedules take precedence over category schedules (including those of parent
+ * categories); among schedules at the same level the lowest price wins. Products with pack
+ * sizes are priced per variant and list the cheapest active pack, as on save.
+ * Each product and variant gets `sale` ({ schedule_id, label, ends_at, regular_price } or null).
+ */
+const applySalePricing = async (products, now = new Date()) => {
+  const list = (Array.isArray(products) ? products : [products]).filter(Boolean);
+  if (list.length === 0) return products;
+
+  const schedules = await liveSchedules(now);
+
+  const byProduct = new Map();
+  const byCategory = new Map();
+  schedules.forEach((s) => {
+    const map = s.scope === 'product' ? byProduct : byCategory;
+    const key = String(s.scope === 'product' ? s.product_id : s.category_id);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(s);
+  });
+
+  const categories = byCategory.size > 0 ? await loadCategories() : [];
+  const categoryById = new Map(categories.map((c) => [String(c._id), c]));
+
+  // Category schedules for a category and its ancestors
+  const categorySchedules = (categoryId) => {
+    const category = categoryId && categoryById.get(String(categoryId));
+    if (!category) return [];
+    return [category, ...ancestorsOf(categories, category)].flatMap(
+      (c) => byCategory.get(String(c._id)) || []
+    );
+  };
+
+  list.forEach((product) => {
+    const own = byProduct.get(idOf(product)) || [];
+    const inherited = categorySchedules(product.category_id);
+
+    const forUnit = (variantId) => {
+      const matching = own.filter((s) => !s.variant_id || String(s.variant_id) === variantId);
+      return matching.length > 0 ? matching : inherited;
+    };
+
+    if (!Array.isArray(product.variants) || product.variants.length === 0) {
+      applyToUnit(product, forUnit(null));
+      return;
+    }
+
+    product.variants.forEach((v) => applyToUnit(v, forUnit(idOf(v))));
+
+    const active = product.variants.filter((v) => v.is_active);
+    if (active.length > 0) {
+      const cheapest = active.reduce((min, v) => (v.price < min.price ? v : min), active[0]);
+      product.price = cheapest.price;
+      product.original_price = cheapest.original_price;
+      product.sale = cheapest.sale;
+    } else {
+      product.sale = null;
+    }
+  });
+
+  return products;
+};
+
+/**
+ * Write the current sale prices of products to effective_price (product and pack sizes)
+ * Price filters and sorts read effective_price, so it must follow every sale that starts, ends
+ * or changes. productIds: the products to refresh (all when null). Returns the number updated.
+ */
+const refreshEffectivePrices = async (productIds = null, now = new Date()) => {
+  if (Array.isArray(productIds) && productIds.length === 0) return 0;
+
+  const products = await Product.find(productIds ? { _id: { $in: productIds } } : {})
+    .select('price original_price effective_price category_id variants._id variants.price variants.original_price variants.effective_price variants.is_active')
+    .lean();
+  const stored = new Map(products.map((p) => [
+    idOf(p),
+    {
+      price: p.effective_price,
+      variants: new Map((p.variants || []).map((v) => [idOf(v), v.effective_price])),
+    },
+  ]));
+
+  await applySalePricing(products, now);
+
+  const ops = [];
+  products.forEach((product) => {
+    const before = stored.get(idOf(product));
+    const set = {};
+    const arrayFilters = [];
+    if (before.price !== product.price) set.effective_price = product.price;
+    (product.variants || []).forEach((v, i) => {
+      if (before.variants.get(idOf(v)) !== v.price) {
+        set[`variants.$[v${i}].effective_price`] = v.price;
+        arrayFilters.push({ [`v${i}._id`]: v._id });
+      }
+    });
+    if (Object.keys(set).length === 0) return;
+    ops.push({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: set },
+        ...(arrayFilters.length > 0 ? { arrayFilters } : {}),
+      },
+    });
+  });
+
+  if (ops.length > 0) await Product.bulkWrite(ops, { ordered: false });
+  return ops.length;
+};
+
+/**
+ * IDs of the products that schedules apply to (category schedules include subcategories)
+ */
+const scheduleProductIds = async (schedules) => {
+  const ids = new Set();
+  const categoryIds = new Set();
+  schedules.forEach((s) => {
+    if (s.scope === 'product' && s.product_id) ids.add(String(s.product_id));
+    if (s.scope === 'category' && s.category_id) categoryIds.add(String(s.category_id));
+  });
+
+  if (categoryIds.size > 0) {
+    const categories = await loadCategories();
+    const inCategories = [...categoryIds].flatMap((id) => descendantIds(categories, id));
+    const products = await Product.find({ category_id: { $in: inCategories } }).select('_id').lean();
+    products.forEach((p) => ids.add(String(p._id)));
+  }
+  return [...ids];
+};
+
+/**
+ * Refresh effective prices for the targets of changed schedules and record whether each is applied
+ * Pass the schedule as it was before an edit first, so products it no longer covers are reset.
+ */
+const applyScheduleChanges = async (schedules, now = new Date()) => {
+  const list = schedules.filter(Boolean);
+  if (list.length === 0) return 0;
+
+  const updated = await refreshEffectivePrices(await scheduleProductIds(list), now);
+
+  // The last snapshot of each schedule decides whether it is applied
+  const latest = new Map(list.filter((s) => s._id).map((s) => [idOf(s), s]));
+  if (latest.size > 0) {
+    await PriceSchedule.bulkWrite([...latest.values()].map((s) => ({
+      updateOne: {
+        filter: { _id: s._id },
+        update: { $set: { applied: scheduleStatus(s, now) === 'active' } },
+      },
+    })));
+  }
+  return updated;
+};
+
+let nextSaleCheck = 0;
+
+/**
+ * Apply sales that have started and remove those that have ended or been cancelled (best-effort)
+ * Runs at most once per SALE_CHECK_INTERVAL_MS per process; called before product listings.
+ * Returns the number of products updated.
+ */
+const applyDueSchedules = async ({ force = false } = {}) => {
+  const now = new Date();
+  if (!force && now.getTime() < nextSaleCheck) return 0;
+  nextSaleCheck = now.getTime() + SALE_CHECK_INTERVAL_MS;
+
+  try {
+    const due = await PriceSchedule.find({
+      $or: [
+        { applied: false, cancelled_at: null, starts_at: { $lte: now }, ends_at: { $gt: now } },
+        { applied: true, ends_at: { $lte: now } },
+        { applied: true, cancelled_at: { $ne: null } },
+      ],
+    })
+      .select('scope product_id category_id starts_at ends_at cancelled_at')
+      .lean();
+    if (due.length === 0) return 0;
+
+    const updated = await applyScheduleChanges(due, now);
+    logger.info('salePricing:schedules_applied', { schedules: due.length, products: updated });
+    return updated;
+  } catch (error) {
+    logger.error('salePricing:apply_due_failed', { message: error.message });
+    return 0;
+  }
+};
+
+module.exports = {
+  scheduleStatus,
+  scheduledPrice,
+  applySalePricing,
+  refreshEffectivePrices,
+  applyScheduleChanges,
+  applyDueSchedules,
+};
@@ -0,0 +1,360 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { loadCategories, findCategory, descendantIds } = require('./categoryService');
+const { NUTRIENT_FILTERS, parseKeys } = require('../utils/nutrition');
+
+// Lower bounds of the price facet buckets; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 100, 250, 500, 1000];
+
+// Minimum ratings offered as "N & up" facets
+const RATING_FACETS = [4, 3, 2, 1];
+
+const SORTS = {
+  relevance: { score: -1, rating: -1, createdAt: -1 },
+  // Sale-aware: effective_price is the price with any running sale applied
+  price_asc: { effective_price: 1, createdAt: -1 },
+  price_desc: { effective_price: -1, createdAt: -1 },
+  rating: { rating: -1, reviews_count: -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  best_selling: { units_sold: -1, rating: -1, createdAt: -1 },
+};
+
+// Autocomplete reads product names from memory; refreshed at most this often
+const AUTOCOMPLETE_TTL_MS = 60 * 1000;
+
+// Longest query autocomplete looks at, in characters and words; the rest is ignored so every
+// request's typo matching stays cheap
+const AUTOCOMPLETE_MAX_QUERY_LENGTH = 64;
+const AUTOCOMPLETE_MAX_TOKENS = 5;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const tokenize = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/i)
+    .filter(Boolean);
+
+/**
+ * Product filter shared by listing and search (everything except the search text)
+ * Values are cast so the filter also works inside aggregation pipelines.
+ */
+const buildProductFilter = async (params) => {
+  const { category, category_id, minPrice, maxPrice, inStockOnly, minRating, dietaryTags, excludeAllergens } = params;
+  const filter = {};
+  const and = [];
+
+  // Category (by id, slug or name; includes subcategories)
+  const categoryRef = category_id || (category !== 'All Products' ? category : null);
+  if (categoryRef) {
+    const cat = (await findCategory(categoryRef)) || (await Category.findOne({ name: categoryRef }));
+    if (cat) {
+      const categories = await loadCategories();
+      filter.category_id = {
+        $in: descendantIds(categories, cat._id).map((id) => new mongoose.Types.ObjectId(id)),
+      };
+    } else {
+      filter.category = categoryRef;
+    }
+  }
+
+  // Price range on the sale-aware price (products with pack sizes match if any active variant is in range)
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const range = {};
+    if (minPrice !== undefined) {
+      range.$gte = parseFloat(minPrice);
+    }
+    if (maxPrice !== undefined) {
+      range.$lte = parseFloat(maxPrice);
+    }
+    and.push({
+      $or: [
+        { 'variants.0': { $exists: false }, effective_price: range },
+        { variants: { $elemMatch: { is_active: true, effective_price: range } } },
+      ],
+    });
+  }
+
+  if (inStockOnly === 'true' || inStockOnly === true) {
+    filter.in_stock = true;
+  }
+
+  if (minRating !== undefined && minRating !== '') {
+    filter.rating = { $gte: parseFloat(minRating) || 0 };
+  }
+
+  // Dietary tags must all apply; excluded allergens must all be absent
+  const tags = parseKeys(dietaryTags);
+  if (tags.length > 0) {
+    filter.dietary_tags = { $all: tags };
+  }
+  const allergens = parseKeys(excludeAllergens);
+  if (allergens.length > 0) {
+    filter.allergens = { $nin: allergens };
+  }
+
+  // Nutrient limits per serving (products without the value do not match)
+  Object.entries(NUTRIENT_FILTERS).forEach(([param, { key, op }]) => {
+    const value = parseFloat(params[param]);
+    if (!Number.isNaN(value)) {
+      filter[`nutrition.${key}`] = { ...filter[`nutrition.${key}`], [op]: value };
+    }
+  });
+
+  if (and.length > 0) filter.$and = and;
+  return filter;
+};
+
+/**
+ * Relevance of a product for the search tokens.
+ * Whole-word and word-prefix name matches outrank substring name matches,
+ * which outrank description matches.
+ */
+const scoreExpr = (tokens) => ({
+  $add: tokens.flatMap((token) => {
+    const t = escapeRegex(token);
+    const hit = (input, regex, points) => ({
+      $cond: [{ $regexMatch: { input: { $ifNull: [input, ''] }, regex, options: 'i' } }, points, 0],
+    });
+    return [
+      hit('$name', `^${t}`, 20),
+      hit('$name', `\\b${t}\\b`, 15),
+      hit('$name', `\\b${t}`, 10),
+      hit('$name', t, 5),
+      hit('$description', `\\b${t}`, 2),
+      hit('$description', t, 1),
+    ];
+  }),
+});
+
+/**
+ * Facet pipelines: category, price bucket, rating and availability counts
+ */
+const facetStages = () => ({
+  categories: [
+    { $group: { _id: { id: '$category_id', name: '$category' }, count: { $sum: 1 } } },
+    { $sort: { count: -1, '_id.name': 1 } },
+  ],
+  price: [
+    {
+      $bucket: {
+        groupBy: '$effective_price',
+        boundaries: [...PRICE_BUCKETS, Number.MAX_SAFE_INTEGER],
+        default: 'other',
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ],
+  rating: [
+    {
+      $group: {
+        _id: null,
+        ...Object.fromEntries(
+          RATING_FACETS.map((min) => [
+            `r${min}`,
+            { $sum: { $cond: [{ $gte: [{ $ifNull: ['$rating', 0] }, min] }, 1, 0] } },
+          ])
+        ),
+      },
+    },
+  ],
+  availability: [{ $group: { _id: '$in_stock', count: { $sum: 1 } } }],
+});
+
+const formatFacets = (raw) => {
+  const ratingRow = raw.rating[0] || {};
+  const inStock = raw.availability.find((a) => a._id === true);
+  const outOfStock = raw.availability.filter((a) => a._id !== true);
+
+  return {
+    categories: raw.categories.map((c) => ({
+      id: c._id.id ? c._id.id.toString() : null,
+      name: c._id.name,
+      count: c.count,
+    })),
+    price: PRICE_BUCKETS.map((min, i) => {
+      const bucket = raw.price.find((b) => b._id === min);
+      return {
+        min,
+        max: i + 1 < PRICE_BUCKETS.length ? PRICE_BUCKETS[i + 1] : null,
+        count: bucket ? bucket.count : 0,
+      };
+    }),
+    rating: RATING_FACETS.map((min) => ({ min, count: ratingRow[`r${min}`] || 0 })),
+    availability: {
+      in_stock: inStock ? inStock.count : 0,
+      out_of_stock: outOfStock.reduce((sum, a) => sum + a.count, 0),
+    },
+  };
+};
+
+/**
+ * Ranked, filtered, sorted product search with facet counts
+ * Returns { products, total, facets, sort }
+ */
+const searchProducts = async ({ q, sort, page = 1, limit = 10, ...filters }) => {
+  const tokens = tokenize(q);
+  const sortKey = SORTS[sort] ? sort : tokens.length > 0 ? 'relevance' : 'newest';
+  const match = await buildProductFilter(filters);
+
+  if (tokens.length > 0) {
+    const any = tokens.map((t) => new RegExp(escapeRegex(t), 'i'));
+    match.$and = [
+      ...(match.$and || []),
+      { $or: [{ name: { $in: any } }, { description: { $in: any } }] },
+    ];
+  }
+
+  const results = [{ $match: match }];
+  if (tokens.length > 0) {
+    results.push({ $addFields: { score: scoreExpr(tokens) } });
+  }
+  if (sortKey === 'best_selling') {
+    results.push(
+      {
+        $lookup: {
+          from: 'orderitems',
+          localField: '_id',
+          foreignField: 'product_id',
+          as: 'sales',
+        },
+      },
+      { $addFields: { units_sold: { $sum: '$sales.quantity' } } },
+      { $project: { sales: 0 } }
+    );
+  }
+  results.push(
+    { $sort: sortKey === 'relevance' && tokens.length === 0 ? SORTS.newest : SORTS[sortKey] },
+    { $skip: (page - 1) * limit },
+    { $limit: limit }
+  );
+
+  // Products and facets run separately so large product documents stay out of the $facet output
+  const [products, [raw]] = await Promise.all([
+    Product.aggregate(results),
+    Product.aggregate([
+      { $match: match },
+      { $facet: { total: [{ $count: 'count' }], ...facetStages() } },
+    ]),
+  ]);
+
+  return {
+    products,
+    total: raw.total[0]?.count || 0,
+    facets: formatFacets(raw),
+    sort: sortKey,
+  };
+};
+
+// --- Autocomplete -------------------------------------------------------------
+
+let nameCache = { loadedAt: 0, entries: [] };
+
+const loadNameEntries = async () => {
+  if (Date.now() - nameCache.loadedAt < AUTOCOMPLETE_TTL_MS) return nameCache.entries;
+  const products = await Product.find()
+    .select({ name: 1, category: 1, price: 1, effective_price: 1, images: { $slice: 1 }, in_stock: 1, rating: 1 })
+    .lean();
+  nameCache = {
+    loadedAt: Date.now(),
+    entries: products.map((p) => ({ product: p, tokens: tokenize(p.name) })),
+  };
+  return nameCache.entries;
+};
+
+/**
+ * Drop the cached product names (call after products change)
+ */
+const invalidateAutocomplete = () => {
+  nameCache = { loadedAt: 0, entries: [] };
+};
+
+// Edits allowed for a query token of this length
+const maxEdits = (length) => (length <= 2 ? 0 : length <= 5 ? 1 : 2);
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ */
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+/**
+ * Fewest edits turning the query token into a prefix of the word (or the whole word)
+ */
+const prefixDistance = (token, word, { prefix }) => {
+  if (!prefix) return editDistance(token, word);
+  let best = Infinity;
+  for (let len = Math.max(1, token.length - 2); len <= Math.min(word.length, token.length + 2); len++) {
+    best = Math.min(best, editDistance(token, word.slice(0, len)));
+  }
+  return best;
+};
+
+/**
+ * Typo-tolerant prefix suggestions for a partially typed query.
+ * Every query token must match a name word; the last token may be incomplete.
+ * Only the first AUTOCOMPLETE_MAX_QUERY_LENGTH characters and AUTOCOMPLETE_MAX_TOKENS words are used.
+ */
+const autocomplete = async (q, limit = 8) => {
+  const tokens = tokenize(String(q || '').slice(0, AUTOCOMPLETE_MAX_QUERY_LENGTH)).slice(0, AUTOCOMPLETE_MAX_TOKENS);
+  if (tokens.length === 0) return [];
+
+  const entries = await loadNameEntries();
+  const scored = [];
+
+  entries.forEach(({ product, tokens: words }) => {
+    let edits = 0;
+    let position = 0;
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const prefix = i === tokens.length - 1;
+      const distances = words.map((w) => prefixDistance(token, w, { prefix }));
+      const best = Math.min(...distances);
+      if (best > maxEdits(token.length)) return;
+      edits += best;
+      if (i === 0) position = distances.indexOf(best);
+    }
+    scored.push({ product, edits, position });
+  });
+
+  scored.sort(
+    (a, b) =>
+      a.edits - b.edits ||
+      a.position - b.position ||
+      (b.product.rating || 0) - (a.product.rating || 0) ||
+      a.product.name.localeCompare(b.product.name)
+  );
+
+  return scored.slice(0, limit).map(({ product, edits }) => ({
+    id: product._id.toString(),
+    name: product.name,
+    category: product.category,
+    price: product.effective_price ?? product.price,
+    image: product.images?.[0] || null,
+    in_stock: product.in_stock,
+    exact: edits === 0,
+  }));
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  SORTS,
+  escapeRegex,
+  buildProductFilter,
+  searchProducts,
+  autocomplete,
+  invalidateAutocomplete,
+};
@@ -0,0 +1,179 @@
+const PincodeServiceability = require('../models/PincodeServiceability');
+const { decodeUpload, parseSheet } = require('../utils/sheets');
+
+// Days to deliver when a pincode has no ETA of its own
+const DEFAULT_ETA_DAYS = {
+  standard: parseInt(process.env.DEFAULT_STANDARD_ETA_DAYS, 10) || 5,
+  express: parseInt(process.env.DEFAULT_EXPRESS_ETA_DAYS, 10) || 2,
+};
+
+// Whether pincodes missing from the table can be delivered to
+const UNLISTED_PINCODES_SERVICEABLE = process.env.UNLISTED_PINCODES_SERVICEABLE !== 'false';
+
+// Whether unlisted pincodes get cash on delivery; 'false' makes the table's cod_allowed an allowlist
+const UNLISTED_PINCODES_COD = process.env.UNLISTED_PINCODES_COD !== 'false';
+
+// Sheet columns for the bulk import
+const COLUMNS = ['pincode', 'city', 'state', 'serviceable', 'cod_allowed', 'standard_eta_days', 'express_eta_days'];
+
+const MAX_IMPORT_ROWS = 20000;
+
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+
+const normalizePincode = (value) => String(value ?? '').replace(/\s/g, '');
+
+/**
+ * Date `days` working days after `from` (Sundays are skipped)
+ */
+const addWorkingDays = (from, days) => {
+  const date = new Date(from);
+  let remaining = days;
+  while (remaining > 0) {
+    date.setDate(date.getDate() + 1);
+    if (date.getDay() !== 0) remaining -= 1;
+  }
+  return date;
+};
+
+/**
+ * ETA (days and date) per delivery type for a serviceability entry (or the defaults)
+ */
+const deliveryEstimates = (entry, now = new Date()) => {
+  const estimates = {};
+  Object.keys(DEFAULT_ETA_DAYS).forEach((deliveryType) => {
+    const etaDays = entry?.eta_days?.[deliveryType] ?? DEFAULT_ETA_DAYS[deliveryType];
+    estimates[deliveryType] = {
+      eta_days: etaDays,
+      estimated_delivery_date: addWorkingDays(now, etaDays),
+    };
+  });
+  return estimates;
+};
+
+/**
+ * Serviceability of a pincode
+ * Returns { pincode, listed, serviceable, cod_allowed, message, city, state, delivery: { standard, express } }
+ */
+const checkPincode = async (value, now = new Date()) => {
+  const pincode = normalizePincode(value);
+  if (!PINCODE_PATTERN.test(pincode)) {
+    return {
+      pincode,
+      listed: false,
+      serviceable: false,
+      cod_allowed: false,
+      message: 'Enter a valid 6-digit pincode',
+      delivery: null,
+    };
+  }
+
+  const entry = await PincodeServiceability.findOne({ pincode }).lean();
+  const serviceable = entry ? entry.is_serviceable : UNLISTED_PINCODES_SERVICEABLE;
+  return {
+    pincode,
+    listed: Boolean(entry),
+    serviceable,
+    cod_allowed: serviceable && (entry ? entry.cod_allowed : UNLISTED_PINCODES_COD),
+    message: serviceable ? null : `Sorry, we do not deliver to ${pincode} yet`,
+    city: entry?.city || null,
+    state: entry?.state || null,
+    delivery: serviceable ? deliveryEstimates(entry, now) : null,
+  };
+};
+
+// --- Bulk import ----------------------------------------------------------------
+
+// true/false from a yes/no cell; undefined when empty
+const booleanCell = (value) => {
+  if (value === '' || value === undefined) return undefined;
+  return !['no', 'false', '0', 'n'].includes(String(value).toLowerCase());
+};
+
+// Whole number of days from a cell; undefined when empty, NaN when invalid
+const etaCell = (value) => {
+  if (value === '' || value === undefined) return undefined;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+};
+
+/**
+ * Validate an uploaded pincode sheet and optionally apply it
+ * Rows are upserted by pincode; empty cells keep existing values (or the defaults for new pincodes).
+ * Returns { dry_run, applied, summary, rows }; nothing is written when any row has errors.
+ */
+const importPincodes = async ({ file, format, filename, dryRun = true, userId = null }) => {
+  const rows = await parseSheet(decodeUpload({ file, format, filename }), {
+    columns: COLUMNS,
+    requiredHeaders: ['pincode'],
+    rowLabel: 'pincode',
+    maxRows: MAX_IMPORT_ROWS,
+  });
+
+  const existing = await PincodeServiceability.find({
+    pincode: { $in: rows.map((r) => normalizePincode(r.data.pincode)) },
+  })
+    .select('pincode')
+    .lean();
+  const existingPincodes = new Set(existing.map((e) => e.pincode));
+  const seen = new Map();
+
+  const planned = rows.map(({ row, data }) => {
+    const pincode = normalizePincode(data.pincode);
+    const errors = [];
+    const set = {};
+
+    if (!PINCODE_PATTERN.test(pincode)) errors.push('pincode must be a 6-digit number');
+    if (seen.has(pincode)) errors.push(`pincode is repeated (row ${seen.get(pincode)})`);
+    seen.set(pincode, row);
+
+    if (data.city) set.city = data.city;
+    if (data.state) set.state = data.state;
+    if (booleanCell(data.serviceable) !== undefined) set.is_serviceable = booleanCell(data.serviceable);
+    if (booleanCell(data.cod_allowed) !== undefined) set.cod_allowed = booleanCell(data.cod_allowed);
+    [['standard_eta_days', 'standard'], ['express_eta_days', 'express']].forEach(([column, deliveryType]) => {
+      const eta = etaCell(data[column]);
+      if (Number.isNaN(eta)) errors.push(`${column} must be a whole number of days`);
+      else if (eta !== undefined) set[`eta_days.${deliveryType}`] = eta;
+    });
+
+    return {
+      row,
+      pincode,
+      action: errors.length ? 'error' : existingPincodes.has(pincode) ? 'update' : 'create',
+      errors,
+      set,
+    };
+  });
+
+  const count = (action) => planned.filter((r) => r.action === action).length;
+  const report = {
+    summary: { rows: planned.length, create: count('create'), update: count('update'), errors: count('error') },
+    rows: planned.map(({ set, ...r }) => r),
+  };
+
+  if (dryRun || count('error') > 0) {
+    return { dry_run: dryRun, applied: false, ...report };
+  }
+
+  await PincodeServiceability.bulkWrite(
+    planned.map((r) => ({
+      updateOne: {
+        filter: { pincode: r.pincode },
+        update: { $set: { ...r.set, updated_by: userId } },
+        upsert: true,
+      },
+    }))
+  );
+  return { dry_run: false, applied: true, ...report };
+};
+
+module.exports = {
+  DEFAULT_ETA_DAYS,
+  UNLISTED_PINCODES_SERVICEABLE,
+  UNLISTED_PINCODES_COD,
+  COLUMNS,
+  addWorkingDays,
+  deliveryEstimates,
+  checkPincode,
+  importPincodes,
+};
@@ -0,0 +1,117 @@
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const CompanySettings = require('../models/CompanySettings');
+const { lineName } = require('../utils/variants');
+
+// Most orders merged into one bulk packing slip / label PDF
+const MAX_BULK_DOCUMENTS = parseInt(process.env.MAX_BULK_SHIPPING_DOCUMENTS, 10) || 100;
+
+const documentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Sender details printed on packing slips and labels
+ */
+const senderDetails = async () => {
+  const settings = await CompanySettings.findOne()
+    .select('companyName address phone email website gstNumber logo')
+    .lean();
+  return {
+    companyName: settings?.companyName || 'Your Company',
+    address: settings?.address || '',
+    phone: settings?.phone || '',
+    email: settings?.email || '',
+    website: settings?.website || '',
+    gstin: settings?.gstNumber || '',
+    logo: settings?.logo || null,
+  };
+};
+
+/**
+ * Load orders for packing slips / shipping labels, in the order the IDs were given
+ * Each entry: { id, order_number, created_at, status, delivery_type, payment_method, payment_status, total_amount,
+ * shipping_weight_grams, shipment, customer, shipping_address, items: [{ name, sku, quantity }], gift }
+ * Cancelled orders are rejected (nothing to ship).
+ */
+const loadShippingDocuments = async (orderIds) => {
+  if (!Array.isArray(orderIds) || orderIds.length === 0) {
+    throw documentError('order_ids must be a non-empty array', 400);
+  }
+  const ids = [...new Set(orderIds.map(String))];
+  if (ids.length > MAX_BULK_DOCUMENTS) {
+    throw documentError(`At most ${MAX_BULK_DOCUMENTS} orders can be printed at once`, 400);
+  }
+
+  const [orders, orderItems] = await Promise.all([
+    Order.find({ _id: { $in: ids } })
+      .populate('shipping_address_id')
+      .populate('user_id', 'name email phone')
+      .populate('gift_design_id', 'name')
+      .lean(),
+    OrderItem.find({ order_id: { $in: ids } }).populate('product_id', 'name').lean(),
+  ]);
+
+  const byId = new Map(orders.map((o) => [String(o._id), o]));
+  const missing = ids.filter((id) => !byId.has(id));
+  if (missing.length) {
+    throw documentError(`Order not found: ${missing.join(', ')}`, 404);
+  }
+  const cancelled = orders.filter((o) => o.status === 'cancelled').map((o) => String(o._id));
+  if (cancelled.length) {
+    throw documentError(`Cancelled orders cannot be shipped: ${cancelled.join(', ')}`, 400);
+  }
+
+  return ids.map((id) => {
+    const order = byId.get(id);
+    const address = order.shipping_address_id || {};
+    const customer = order.user_id || {};
+    const hasGift = Boolean(order.gift_design_id || order.gift_wrapping_type || order.gift_card_message);
+
+    return {
+      id,
+      order_number: order.order_number || null,
+      created_at: order.createdAt,
+      status: order.status,
+      delivery_type: order.delivery_type,
+      payment_method: order.payment_method,
+      payment_status: order.payment_status,
+      total_amount: order.total_amount,
+      shipping_weight_grams: order.shipping_weight_grams,
+      shipment: order.shipment || {},
+      customer: { name: customer.name, email: customer.email, phone: customer.phone },
+      shipping_address: {
+        full_name: address.full_name,
+        phone: address.phone,
+        address_line1: address.address_line1,
+        address_line2: address.address_line2,
+        city: address.city,
+        state: address.state,
+        postal_code: address.postal_code,
+        country: address.country,
+      },
+      items: orderItems
+        .filter((item) => String(item.order_id) === id)
+        .map((item) => ({
+          name: lineName(item.product_id?.name || 'Item', item.variant_label),
+          sku: item.sku || '',
+          quantity: item.quantity,
+        })),
+      gift: hasGift
+        ? {
+          design_name: order.gift_design_id?.name || null,
+          wrapping_type: order.gift_wrapping_type || null,
+          card_message: order.gift_card_message || '',
+        }
+        : null,
+    };
+  });
+};
+
+module.exports = {
+  MAX_BULK_DOCUMENTS,
+  senderDetails,
+  loadShippingDocuments,
+};
@@ -0,0 +1,229 @@
+const ShippingZone = require('../models/ShippingZone');
+const Address = require('../models/Address');
+const { checkPincode, deliveryEstimates } = require('./serviceabilityService');
+
+// Flat rates by delivery_type, used until shipping zones are configured; free_above = order value for free delivery
+const DELIVERY_RULES = {
+  standard: {
+    charge: Number(process.env.STANDARD_DELIVERY_CHARGE ?? 50),
+    free_above: Number(process.env.FREE_DELIVERY_THRESHOLD ?? 500),
+  },
+  express: {
+    charge: Number(process.env.EXPRESS_DELIVERY_CHARGE ?? 100),
+    free_above: null,
+  },
+};
+
+const DELIVERY_LABELS = {
+  standard: 'Standard delivery',
+  express: 'Express delivery',
+};
+
+// Weight assumed for products and pack sizes without weight_grams
+const DEFAULT_ITEM_WEIGHT_GRAMS = parseInt(process.env.DEFAULT_ITEM_WEIGHT_GRAMS, 10) || 500;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const shippingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Pincode as a number, or null when it is not a valid 6-digit Indian pincode
+ */
+const parsePincode = (value) => {
+  const pincode = String(value ?? '').replace(/\s/g, '');
+  return /^[1-9]\d{5}$/.test(pincode) ? Number(pincode) : null;
+};
+
+/**
+ * Total shipment weight of priced lines ({ weight_grams, quantity })
+ */
+const shipmentWeight = (lines) =>
+  lines.reduce((sum, line) => sum + (line.weight_grams || DEFAULT_ITEM_WEIGHT_GRAMS) * line.quantity, 0);
+
+/**
+ * Flat-rate delivery charge for an order value (no zones configured)
+ */
+const computeDeliveryCharge = (deliveryType, orderValue, { freeShipping = false } = {}) => {
+  const rule = DELIVERY_RULES[deliveryType];
+  if (!rule) {
+    throw shippingError(
+      `Invalid delivery type. Must be one of: ${Object.keys(DELIVERY_RULES).join(', ')}`,
+      400
+    );
+  }
+  if (freeShipping) return 0;
+  if (rule.free_above !== null && orderValue >= rule.free_above) return 0;
+  return rule.charge;
+};
+
+/**
+ * Zone for a destination: pincode range match, then state match, then the default zone
+ */
+const matchZone = (zones, { pincode, state }) => {
+  const pin = parsePincode(pincode);
+  const stateName = String(state || '').trim().toLowerCase();
+  return (
+    (pin && zones.find((z) => z.pincode_ranges.some((r) => pin >= r.from && pin <= r.to))) ||
+    (stateName && zones.find((z) => z.states.some((s) => s.toLowerCase() === stateName))) ||
+    zones.find((z) => z.is_default) ||
+    null
+  );
+};
+
+/**
+ * Weight slab charge of a zone; above the heaviest slab each started kg adds extra_charge_per_kg
+ */
+const slabCharge = (zone, weightGrams) => {
+  const slabs = [...zone.weight_slabs].sort((a, b) => a.max_grams - b.max_grams);
+  const slab = slabs.find((s) => weightGrams <= s.max_grams);
+  if (slab) return slab.charge;
+  const heaviest = slabs[slabs.length - 1];
+  const extraKg = Math.ceil((weightGrams - heaviest.max_grams) / 1000);
+  return heaviest.charge + extraKg * (zone.extra_charge_per_kg || 0);
+};
+
+const flatRateOptions = (orderValue, freeShipping) =>
+  Object.keys(DELIVERY_RULES).map((deliveryType) => {
+    const charge = computeDeliveryCharge(deliveryType, orderValue, { freeShipping });
+    return {
+      delivery_type: deliveryType,
+      label: DELIVERY_LABELS[deliveryType],
+      available: true,
+      charge: round2(charge),
+      free_shipping: charge === 0,
+      reason: null,
+    };
+  });
+
+const zoneOptions = (zone, weightGrams, orderValue, freeShipping) => {
+  const base = slabCharge(zone, weightGrams);
+  const freeByThreshold = zone.free_shipping_above !== null && zone.free_shipping_above !== undefined
+    && orderValue >= zone.free_shipping_above;
+  const standardCharge = freeShipping || freeByThreshold ? 0 : base;
+
+  return [
+    {
+      delivery_type: 'standard',
+      label: DELIVERY_LABELS.standard,
+      available: true,
+      charge: round2(standardCharge),
+      free_shipping: standardCharge === 0,
+      reason: null,
+    },
+    {
+      delivery_type: 'express',
+      label: DELIVERY_LABELS.express,
+      available: Boolean(zone.express_available),
+      // The express surcharge is always paid, on top of the (possibly waived) standard charge
+      charge: zone.express_available ? round2(standardCharge + (zone.express_surcharge || 0)) : null,
+      free_shipping: false,
+      reason: zone.express_available ? null : 'Express delivery is not available to this address',
+    },
+  ];
+};
+
+const unavailableOptions = (reason) =>
+  Object.keys(DELIVERY_LABELS).map((deliveryType) => ({
+    delivery_type: deliveryType,
+    label: DELIVERY_LABELS[deliveryType],
+    available: false,
+    charge: null,
+    free_shipping: false,
+    reason,
+    eta_days: null,
+    estimated_delivery_date: null,
+  }));
+
+/**
+ * Delivery options for priced lines ({ weight_grams, quantity }) going to an address
+ *
+ * address: { postal_code, state } (either may be missing; then only the default zone applies)
+ * orderValue: amount the free-shipping threshold is compared with (after discounts)
+ * freeShipping: a free-shipping coupon waives the standard charge
+ * Unserviceable pincodes get no available options. Returns { serviceable, zone, weight_grams, cod_available,
+ * options: [{ delivery_type, label, available, charge, free_shipping, reason, eta_days, estimated_delivery_date }] }
+ */
+const deliveryOptions = async ({ lines, address = null, orderValue = 0, freeShipping = false }) => {
+  const weight_grams = shipmentWeight(lines);
+
+  let coverage = null;
+  if (address?.postal_code) {
+    coverage = await checkPincode(address.postal_code);
+    if (!coverage.serviceable) {
+      return {
+        serviceable: false,
+        zone: null,
+        weight_grams,
+        cod_available: false,
+        options: unavailableOptions(coverage.message),
+      };
+    }
+  }
+  const estimates = coverage ? coverage.delivery : deliveryEstimates(null);
+  const withEstimates = (options) =>
+    options.map((option) => ({
+      ...option,
+      eta_days: option.available ? estimates[option.delivery_type].eta_days : null,
+      estimated_delivery_date: option.available ? estimates[option.delivery_type].estimated_delivery_date : null,
+    }));
+  const cod_available = coverage ? coverage.cod_allowed : true;
+
+  const zones = await ShippingZone.find({ is_active: true }).sort({ priority: -1, createdAt: 1 }).lean();
+  if (zones.length === 0) {
+    return {
+      serviceable: true,
+      zone: null,
+      weight_grams,
+      cod_available,
+      options: withEstimates(flatRateOptions(orderValue, freeShipping)),
+    };
+  }
+
+  const zone = matchZone(zones, { pincode: address?.postal_code, state: address?.state });
+  if (!zone) {
+    return {
+      serviceable: false,
+      zone: null,
+      weight_grams,
+      cod_available: false,
+      options: unavailableOptions(
+        address ? 'We do not deliver to this address yet' : 'Enter a delivery pincode to see delivery options'
+      ),
+    };
+  }
+
+  return {
+    serviceable: true,
+    zone: { id: zone._id.toString(), name: zone.name },
+    weight_grams,
+    cod_available,
+    options: withEstimates(zoneOptions(zone, weight_grams, orderValue, freeShipping)),
+  };
+};
+
+/**
+ * A user's saved address for shipping calculations (404 when it is not theirs)
+ */
+const shippingAddressFor = async (userId, addressId) => {
+  const address = await Address.findOne({ _id: addressId, user_id: userId }).lean();
+  if (!address) {
+    throw shippingError('Shipping address not found', 404);
+  }
+  return address;
+};
+
+module.exports = {
+  DELIVERY_RULES,
+  DEFAULT_ITEM_WEIGHT_GRAMS,
+  parsePincode,
+  shipmentWeight,
+  computeDeliveryCharge,
+  matchZone,
+  slabCharge,
+  deliveryOptions,
+  shippingAddressFor,
+};
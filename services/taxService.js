@@ -0,0 +1,118 @@
+const CompanySettings = require('../models/CompanySettings');
+
+// GST slabs a product can be assigned
+const GST_RATES = [0, 5, 12, 18, 28];
+
+// Rate for products without their own gst_rate, and for gift wrapping
+const DEFAULT_GST_RATE = Number(process.env.DEFAULT_GST_RATE ?? 5);
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// State name for comparison: "29 - Karnataka", "karnataka" and "KARNATAKA (29)" all match
+const normalizeState = (value) => String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Whether a shipment is an inter-state supply (IGST) rather than intra-state (CGST + SGST)
+ * Unknown states (no place of supply configured, or no shipping state yet) are treated as intra-state.
+ */
+const isInterState = (shippingState, placeOfSupply) => {
+  const to = normalizeState(shippingState);
+  const from = normalizeState(placeOfSupply);
+  return Boolean(to && from && to !== from);
+};
+
+/**
+ * Store-wide tax settings: { placeOfSupply, pricesIncludeTax }
+ */
+const taxSettings = async () => {
+  const settings = await CompanySettings.findOne().select('placeOfSupply pricesIncludeTax').lean();
+  return {
+    placeOfSupply: settings?.placeOfSupply || '',
+    pricesIncludeTax: Boolean(settings?.pricesIncludeTax),
+  };
+};
+
+// CGST/SGST halves (SGST takes the odd paisa) or the whole amount as IGST
+const splitTax = (tax, interState) => {
+  if (interState) return { cgst: 0, sgst: 0, igst: tax };
+  const cgst = round2(tax / 2);
+  return { cgst, sgst: round2(tax - cgst), igst: 0 };
+};
+
+// Taxable value and tax of an amount at a rate
+const taxOn = (amount, rate, pricesIncludeTax) => {
+  if (pricesIncludeTax) {
+    const taxable = round2((amount * 100) / (100 + rate));
+    return { taxable, tax: round2(amount - taxable) };
+  }
+  return { taxable: round2(amount), tax: round2((amount * rate) / 100) };
+};
+
+/**
+ * GST for priced lines ({ line_total, gst_rate, hsn_code })
+ *
+ * The order discount is spread over the lines in proportion to their value before tax is worked out.
+ * Gift wrapping is taxed at DEFAULT_GST_RATE; delivery charges are not taxed.
+ * With pricesIncludeTax the line amounts already contain GST and it is backed out of them.
+ * Returns the lines with taxable_value, tax_amount and cgst/sgst/igst, plus the order totals.
+ */
+const computeTax = ({
+  lines,
+  discountAmount = 0,
+  giftPrice = 0,
+  shippingState = null,
+  placeOfSupply = '',
+  pricesIncludeTax = false,
+}) => {
+  const interState = isInterState(shippingState, placeOfSupply);
+  const gross = lines.reduce((sum, l) => sum + l.line_total, 0);
+  let discountLeft = round2(Math.min(discountAmount, gross));
+
+  const taxedLines = lines.map((line, index) => {
+    // The last line takes the rounding remainder so the shares add up to the discount
+    const share = index === lines.length - 1
+      ? discountLeft
+      : round2(gross > 0 ? (discountAmount * line.line_total) / gross : 0);
+    discountLeft = round2(discountLeft - share);
+
+    const rate = line.gst_rate ?? DEFAULT_GST_RATE;
+    const { taxable, tax } = taxOn(Math.max(0, line.line_total - share), rate, pricesIncludeTax);
+    return {
+      ...line,
+      gst_rate: rate,
+      discount_share: share,
+      taxable_value: taxable,
+      tax_amount: tax,
+      ...splitTax(tax, interState),
+    };
+  });
+
+  const gift = giftPrice > 0 ? taxOn(giftPrice, DEFAULT_GST_RATE, pricesIncludeTax) : null;
+  const giftSplit = gift ? splitTax(gift.tax, interState) : { cgst: 0, sgst: 0, igst: 0 };
+
+  const total = (key) => round2(taxedLines.reduce((sum, l) => sum + l[key], 0));
+  const rates = [...new Set([...taxedLines.map((l) => l.gst_rate), ...(gift ? [DEFAULT_GST_RATE] : [])])];
+
+  return {
+    lines: taxedLines,
+    supply_type: interState ? 'inter_state' : 'intra_state',
+    prices_include_tax: pricesIncludeTax,
+    // Single rate when every line shares it, otherwise null (see the lines)
+    tax_rate: rates.length === 1 ? rates[0] : null,
+    taxable_amount: round2(total('taxable_value') + (gift ? gift.taxable : 0)),
+    tax_amount: round2(total('tax_amount') + (gift ? gift.tax : 0)),
+    cgst_amount: round2(total('cgst') + giftSplit.cgst),
+    sgst_amount: round2(total('sgst') + giftSplit.sgst),
+    igst_amount: round2(total('igst') + giftSplit.igst),
+    gift_tax: gift ? { gst_rate: DEFAULT_GST_RATE, taxable_value: gift.taxable, tax_amount: gift.tax, ...giftSplit } : null,
+  };
+};
+
+module.exports = {
+  GST_RATES,
+  DEFAULT_GST_RATE,
+  isInterState,
+  splitTax,
+  taxSettings,
+  computeTax,
+};
@@ -144,10 +144,15 @@ const sendOTPEmail = async (email, otp, type) => {
   }
 };
 
+// Number customers know the order by; older orders without one fall back to the ID
+function orderRef(order) {
+  return order.order_number || order.id || String(order._id);
+}
 
 function renderOrderHtml(order, extra = '') {
   const items = (order.order_items || []).map((it) => {
-    const name = it?.product?.name || it.product_id;
+    const baseName = it?.product?.name || it.product_id;
+    const name = it.variant_label ? `${baseName} (${it.variant_label})` : baseName;
     const qty = it.quantity || 0;
     const price = it.price || 0;
     const subtotal = qty * price;
@@ -168,7 +173,7 @@ function renderOrderHtml(order, extra = '') {
   return `
     <div style="font-family: Arial, sans-serif; max-width: 640px; margin: 0 auto;">
       ${extra ? `<div style="margin-bottom:12px">${extra}</div>` : ''}
-      <h2 style="margin:0 0 8px">Order ${order.id}</h2>
+      <h2 style="margin:0 0 8px">Order ${orderRef(order)}</h2>
       <p style="margin:0 0 12px;color:#555">Status: <b>${order.status}</b> • Date: ${new Date(order.created_at || order.createdAt || Date.now()).toLocaleString()}</p>
       <h3 style="margin:16px 0 8px">Items</h3>
       <table cellspacing="0" cellpadding="0" style="border-collapse:collapse;width:100%;">
@@ -183,6 +188,7 @@ function renderOrderHtml(order, extra = '') {
         <tbody>${items}</tbody>
       </table>
       <h3 style="margin:16px 0 8px">Total: ₹${order.total_amount ?? order.total}</h3>
+      ${order.estimated_delivery_date ? `<p style="margin:0 0 12px;color:#555">Estimated delivery: <b>${new Date(order.estimated_delivery_date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}</b></p>` : ''}
       <h3 style="margin:16px 0 8px">Shipping Address</h3>
       <p style="margin:0;color:#555">${address}</p>
     </div>
@@ -209,8 +215,8 @@ async function sendOrderCreatedEmail(order, userEmail) {
   const html = renderOrderHtml(order, `<h2 style="margin:0 0 8px;color:#333;">Order Confirmation</h2>`);
   const admin = process.env.ADMIN_EMAIL;
   await Promise.all([
-    sendMailSafe({ to: userEmail, subject: `Order Confirmation - ${order.id}`, html }),
-    admin ? sendMailSafe({ to: admin, subject: `New Order - ${order.id}`, html }) : Promise.resolve(),
+    sendMailSafe({ to: userEmail, subject: `Order Confirmation - ${orderRef(order)}`, html }),
+    admin ? sendMailSafe({ to: admin, subject: `New Order - ${orderRef(order)}`, html }) : Promise.resolve(),
   ]);
 }
 
@@ -219,8 +225,8 @@ async function sendOrderCancelledEmail(order, userEmail, reason) {
   const html = renderOrderHtml(order, `<h2 style="margin:0 0 8px;color:#c1121f;">Order Cancelled</h2><p><b>Reason:</b> ${reason || 'No reason provided'}</p>`);
   const admin = process.env.ADMIN_EMAIL;
   await Promise.all([
-    sendMailSafe({ to: userEmail, subject: `Order Cancelled - ${order.id}`, html }),
-    admin ? sendMailSafe({ to: admin, subject: `Order Cancelled - ${order.id}`, html }) : Promise.resolve(),
+    sendMailSafe({ to: userEmail, subject: `Order Cancelled - ${orderRef(order)}`, html }),
+    admin ? sendMailSafe({ to: admin, subject: `Order Cancelled - ${orderRef(order)}`, html }) : Promise.resolve(),
   ]);
 }
 
@@ -244,8 +250,8 @@ async function sendOrderShippedEmail(order, userEmail, shipmentDetails) {
   
   const admin = process.env.ADMIN_EMAIL;
   await Promise.all([
-    sendMailSafe({ to: userEmail, subject: `Order Shipped - ${order.id}`, html }),
-    admin ? sendMailSafe({ to: admin, subject: `Order Shipped - ${order.id}`, html }) : Promise.resolve(),
+    sendMailSafe({ to: userEmail, subject: `Order Shipped - ${orderRef(order)}`, html }),
+    admin ? sendMailSafe({ to: admin, subject: `Order Shipped - ${orderRef(order)}`, html }) : Promise.resolve(),
   ]);
 }
 
@@ -262,8 +268,8 @@ async function sendOrderDeliveredEmail(order, userEmail) {
   
   const admin = process.env.ADMIN_EMAIL;
   await Promise.all([
-    sendMailSafe({ to: userEmail, subject: `Order Delivered - ${order.id}`, html }),
-    admin ? sendMailSafe({ to: admin, subject: `Order Delivered - ${order.id}`, html }) : Promise.resolve(),
+    sendMailSafe({ to: userEmail, subject: `Order Delivered - ${orderRef(order)}`, html }),
+    admin ? sendMailSafe({ to: admin, subject: `Order Delivered - ${orderRef(order)}`, html }) : Promise.resolve(),
   ]);
 }
 
@@ -280,11 +286,27 @@ async function sendOrderProcessingEmail(order, userEmail) {
   
   const admin = process.env.ADMIN_EMAIL;
   await Promise.all([
-    sendMailSafe({ to: userEmail, subject: `Order Processing - ${order.id}`, html }),
-    admin ? sendMailSafe({ to: admin, subject: `Order Processing - ${order.id}`, html }) : Promise.resolve(),
+    sendMailSafe({ to: userEmail, subject: `Order Processing - ${orderRef(order)}`, html }),
+    admin ? sendMailSafe({ to: admin, subject: `Order Processing - ${orderRef(order)}`, html }) : Promise.resolve(),
   ]);
 }
 
+// Admin amended the order (items or shipping address) before shipping
+async function sendOrderAmendedEmail(order, userEmail, { summary, reason, refund } = {}) {
+  const html = renderOrderHtml(order, `
+    <h2 style="margin:0 0 8px;color:#1971c2;">Your Order Has Been Updated</h2>
+    <p style="color: #666;">We have made the following changes to your order:</p>
+    <div style="background-color: #e7f5ff; padding: 15px; border-left: 4px solid #1971c2; margin: 20px 0;">
+      <p style="margin: 5px 0;"><strong>Changes:</strong> ${summary || '-'}</p>
+      ${reason ? `<p style="margin: 5px 0;"><strong>Reason:</strong> ${reason}</p>` : ''}
+      ${refund && refund.amount > 0 ? `<p style="margin: 5px 0;"><strong>Refund:</strong> ₹${refund.amount} ${refund.status === 'processed' ? 'has been initiated to your original payment method' : 'will be processed shortly'}</p>` : ''}
+    </div>
+    <p style="margin: 10px 0 0; font-size: 12px; color: #666;">A revised invoice is available from your account.</p>
+  `);
+
+  await sendMailSafe({ to: userEmail, subject: `Order Updated - ${orderRef(order)}`, html });
+}
+
 async function sendWelcomeEmail(email, name, tempPassword) {
   const subject = 'Welcome to Grain Fusion - Your Account Created';
   const resetUrl = `${process.env.FRONTEND_URL || ''}/forgot-password`;
@@ -330,6 +352,100 @@ async function sendPasswordResetEmail(email, name) {
   return sendMailSafe({ to: email, subject, html });
 }
 
+// Back-in-stock / price-drop alert for a subscribed product
+// alert: { type: 'restock' | 'price_drop', product_id, product_name, variant_label, image, price, previous_price }
+async function sendProductAlertEmail(email, name, alert) {
+  const productName = alert.variant_label ? `${alert.product_name} (${alert.variant_label})` : alert.product_name;
+  const productUrl = `${process.env.FRONTEND_URL || ''}/products/${alert.product_id}`;
+  const restock = alert.type === 'restock';
+  const subject = restock ? `Back in stock: ${productName}` : `Price drop: ${productName}`;
+  const message = restock
+    ? `Good news! <strong>${productName}</strong> is back in stock. Stock is limited, so order soon.`
+    : `The price of <strong>${productName}</strong> has dropped from <s>₹${alert.previous_price}</s> to <strong>₹${alert.price}</strong>.`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color:#333;">${restock ? 'Back in Stock' : 'Price Drop Alert'}</h2>
+      <p>Hi <strong>${name || 'there'}</strong>,</p>
+      <p>${message}</p>
+      ${alert.image && /^https?:\/\//.test(alert.image) ? `<img src="${alert.image}" alt="${productName}" style="max-width:200px;border-radius:8px;margin:8px 0;" />` : ''}
+      ${restock ? `<p style="color:#555">Price: ₹${alert.price}</p>` : ''}
+      <a href="${productUrl}" style="display: inline-block; background-color: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0;">View Product</a>
+      <p style="color: #999; font-size: 12px; margin-top: 30px;">You are receiving this because you asked to be notified about this product. You can manage your alerts from your account.</p>
+    </div>
+  `;
+  return sendMailSafe({ to: email, subject, html });
+}
+
+// Return (RMA) update to the customer at every step; new requests also go to admin
+const RETURN_EMAIL_COPY = {
+  requested: { title: 'Return Request Received', color: '#1971c2', message: 'We have received your return request and will review it shortly.' },
+  approved: { title: 'Return Approved', color: '#16a34a', message: 'Your return has been approved. We will arrange a pickup and let you know the details.' },
+  rejected: { title: 'Return Not Approved', color: '#c1121f', message: 'Unfortunately we could not approve your return request.' },
+  pickup_scheduled: { title: 'Return Pickup Scheduled', color: '#1971c2', message: 'A pickup has been scheduled for your return. Please keep the items packed and ready.' },
+  picked_up: { title: 'Return Picked Up', color: '#ea580c', message: 'Your return has been picked up and is on its way to us.' },
+  received: { title: 'Return Received', color: '#ea580c', message: 'We have received your return and will inspect the items shortly.' },
+  inspected: { title: 'Return Inspected', color: '#ea580c', message: 'We have inspected your returned items. Your refund will be processed next.' },
+  refunded: { title: 'Refund Issued', color: '#16a34a', message: 'Your refund for the returned items has been issued.' },
+};
+
+async function sendReturnStatusEmail(returnRequest, userEmail) {
+  const copy = RETURN_EMAIL_COPY[returnRequest.status];
+  if (!copy) return;
+  const returnId = returnRequest.id || returnRequest._id;
+
+  const items = (returnRequest.items || []).map((it) => `
+      <tr>
+        <td style="padding:6px 8px;border:1px solid #eee">${it.name}</td>
+        <td style="padding:6px 8px;border:1px solid #eee">${it.quantity}</td>
+        ${returnRequest.status === 'inspected' || returnRequest.status === 'refunded'
+          ? `<td style="padding:6px 8px;border:1px solid #eee">${it.qc_result === 'rejected' ? 'Not accepted' : 'Accepted'}</td>`
+          : ''}
+      </tr>
+    `).join('');
+
+  const pickup = returnRequest.pickup || {};
+  const refund = returnRequest.refund || {};
+  const details = [
+    returnRequest.status === 'rejected' && returnRequest.rejection_reason
+      ? `<p><b>Reason:</b> ${returnRequest.rejection_reason}</p>` : '',
+    returnRequest.status === 'pickup_scheduled' && pickup.scheduled_for
+      ? `<p><b>Pickup date:</b> ${new Date(pickup.scheduled_for).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}</p>` : '',
+    pickup.courier && ['pickup_scheduled', 'picked_up'].includes(returnRequest.status)
+      ? `<p><b>Courier:</b> ${pickup.courier}${pickup.tracking_number ? ` (${pickup.tracking_number})` : ''}</p>` : '',
+    returnRequest.status === 'refunded'
+      ? `<p><b>Refund:</b> ₹${refund.amount} ${refund.method === 'store_credit' ? 'added to your store credit' : 'to your original payment method'}</p>` : '',
+  ].join('');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 640px; margin: 0 auto;">
+      <h2 style="margin:0 0 8px;color:${copy.color};">${copy.title}</h2>
+      <p style="color:#555">${copy.message}</p>
+      ${details}
+      <p style="margin:0 0 12px;color:#555">Return ${returnId} • Order ${returnRequest.order_number || returnRequest.order_id}</p>
+      <table cellspacing="0" cellpadding="0" style="border-collapse:collapse;width:100%;">
+        <thead>
+          <tr>
+            <th style="padding:6px 8px;border:1px solid #eee;text-align:left">Product</th>
+            <th style="padding:6px 8px;border:1px solid #eee;text-align:left">Qty</th>
+            ${returnRequest.status === 'inspected' || returnRequest.status === 'refunded'
+              ? '<th style="padding:6px 8px;border:1px solid #eee;text-align:left">Quality check</th>'
+              : ''}
+          </tr>
+        </thead>
+        <tbody>${items}</tbody>
+      </table>
+    </div>
+  `;
+
+  const admin = process.env.ADMIN_EMAIL;
+  await Promise.all([
+    sendMailSafe({ to: userEmail, subject: `${copy.title} - ${returnId}`, html }),
+    admin && returnRequest.status === 'requested'
+      ? sendMailSafe({ to: admin, subject: `New Return Request - ${returnId}`, html })
+      : Promise.resolve(),
+  ]);
+}
+
 // Optional: simple test helper to verify SMTP to any target inbox
 async function sendTestEmail(to, subject = 'SMTP Test', text = 'This is a test email from Grain Fusion') {
   const fromName = process.env.SMTP_FROM_NAME || 'Grain Fusion';
@@ -409,9 +525,12 @@ module.exports = {
   sendOrderShippedEmail,
   sendOrderDeliveredEmail,
   sendOrderProcessingEmail,
+  sendOrderAmendedEmail,
   sendWelcomeEmail,
   sendPasswordResetEmail,
   sendTestEmail,
   sendContactQueryCreatedEmails,
   sendContactQueryResponseEmail,
+  sendProductAlertEmail,
+  sendReturnStatusEmail,
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Nutrition facts, allergens and dietary tags for food products
+ */
+
+// Nutrients per serving, in label order
+const NUTRIENTS = [
+  { key: 'energy_kcal', label: 'Energy', unit: 'kcal' },
+  { key: 'protein_g', label: 'Protein', unit: 'g' },
+  { key: 'carbohydrates_g', label: 'Carbohydrates', unit: 'g' },
+  { key: 'total_sugars_g', label: 'Total Sugars', unit: 'g' },
+  { key: 'added_sugars_g', label: 'Added Sugars', unit: 'g' },
+  { key: 'dietary_fibre_g', label: 'Dietary Fibre', unit: 'g' },
+  { key: 'total_fat_g', label: 'Total Fat', unit: 'g' },
+  { key: 'saturated_fat_g', label: 'Saturated Fat', unit: 'g' },
+  { key: 'trans_fat_g', label: 'Trans Fat', unit: 'g' },
+  { key: 'cholesterol_mg', label: 'Cholesterol', unit: 'mg' },
+  { key: 'sodium_mg', label: 'Sodium', unit: 'mg' },
+  { key: 'iron_mg', label: 'Iron', unit: 'mg' },
+  { key: 'calcium_mg', label: 'Calcium', unit: 'mg' },
+];
+
+const ALLERGENS = {
+  gluten: 'Cereals containing gluten',
+  milk: 'Milk',
+  soy: 'Soy',
+  peanuts: 'Peanuts',
+  tree_nuts: 'Tree nuts',
+  sesame: 'Sesame',
+  mustard: 'Mustard',
+  eggs: 'Eggs',
+  fish: 'Fish',
+  crustaceans: 'Crustaceans',
+  sulphites: 'Sulphites',
+};
+
+const DIETARY_TAGS = {
+  vegan: 'Vegan',
+  vegetarian: 'Vegetarian',
+  gluten_free: 'Gluten Free',
+  dairy_free: 'Dairy Free',
+  nut_free: 'Nut Free',
+  no_added_sugar: 'No Added Sugar',
+  high_protein: 'High Protein',
+  high_fibre: 'High Fibre',
+  organic: 'Organic',
+  jain: 'Jain',
+};
+
+// getProducts query params that filter on a nutrient per serving
+const NUTRIENT_FILTERS = {
+  minProtein: { key: 'protein_g', op: '$gte' },
+  minFibre: { key: 'dietary_fibre_g', op: '$gte' },
+  maxCalories: { key: 'energy_kcal', op: '$lte' },
+  maxSugar: { key: 'total_sugars_g', op: '$lte' },
+  maxFat: { key: 'total_fat_g', op: '$lte' },
+};
+
+// "Gluten Free" / "gluten-free" -> "gluten_free"
+const normalizeKey = (value) => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Comma-separated (or array) value as a list of normalized keys
+ */
+const parseKeys = (value) => [
+  ...new Set(
+    (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(normalizeKey)
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * Consistent nutrition block for product detail responses
+ */
+const formatNutritionFacts = (product) => {
+  const nutrition = product.nutrition || {};
+  const allergens = (product.allergens || []).map((key) => ({ key, label: ALLERGENS[key] || key }));
+
+  return {
+    serving_size_g: nutrition.serving_size_g ?? null,
+    servings_per_pack: nutrition.servings_per_pack ?? null,
+    per_serving: NUTRIENTS.filter((n) => nutrition[n.key] !== undefined && nutrition[n.key] !== null).map((n) => ({
+      key: n.key,
+      label: n.label,
+      amount: nutrition[n.key],
+      unit: n.unit,
+    })),
+    allergens,
+    contains: allergens.length ? `Contains: ${allergens.map((a) => a.label).join(', ')}` : null,
+    dietary_tags: (product.dietary_tags || []).map((key) => ({ key, label: DIETARY_TAGS[key] || key })),
+  };
+};
+
+module.exports = {
+  NUTRIENTS,
+  ALLERGENS,
+  DIETARY_TAGS,
+  NUTRIENT_FILTERS,
+  parseKeys,
+  formatNutritionFacts,
+};
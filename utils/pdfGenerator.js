@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
+const QRCode = require('qrcode');
 
 /**
  * Fetch remote image and convert to buffer
@@ -252,14 +253,24 @@ async function generateInvoicePDF(invoiceData, companySettings = {}) {
       const tableTop = yPosition;
       const itemNoX = 45;
       const itemNameX = 75;
+      const hsnX = 230;
       const rateX = 300;
       const qtyX = 370;
+      const gstRateX = 430;
       const totalAmountX = 520;
 
+      // Offline sales are GST-inclusive without a breakup, so HSN and GST % are shown for online sales only
+      const showGstColumns = !isOffline;
+      const itemNameWidth = showGstColumns ? 150 : 200;
+
       doc.rect(35, tableTop, 530, 24).fill(primaryColor);
       doc.fontSize(9).fillColor('#FFFFFF').font('Helvetica-Bold');
       doc.text('#', itemNoX, tableTop + 8);
       doc.text('Item Description', itemNameX, tableTop + 8);
+      if (showGstColumns) {
+        doc.text('HSN', hsnX, tableTop + 8, { width: 60 });
+        doc.text('GST %', gstRateX, tableTop + 8, { width: 50, align: 'center' });
+      }
       doc.text('Rate', rateX, tableTop + 8, { width: 60, align: 'right' });
       doc.text('Qty', qtyX, tableTop + 8, { width: 40, align: 'center' });
       doc.text('Total', totalAmountX, tableTop + 8, { width: 40, align: 'right' });
@@ -284,7 +295,12 @@ async function generateInvoicePDF(invoiceData, companySettings = {}) {
         rowBgColor = !rowBgColor;
 
         doc.fontSize(9).fillColor(textColor).font('Helvetica').text((index + 1).toString(), itemNoX, yPosition + 2);
-        doc.font('Helvetica').text(itemName, itemNameX, yPosition + 2, { width: 200 });
+        doc.font('Helvetica').text(itemName, itemNameX, yPosition + 2, { width: itemNameWidth });
+        if (showGstColumns) {
+          doc.text(item.hsn_code || '-', hsnX, yPosition + 2, { width: 60 });
+          const gstRate = item.gst_rate ?? null;
+          doc.text(gstRate === null ? '-' : `${gstRate}%`, gstRateX, yPosition + 2, { width: 50, align: 'center' });
+        }
         doc.text(formatCurrency(itemRate), rateX, yPosition + 2, { width: 60, align: 'right' });
         doc.text(itemQty.toString(), qtyX, yPosition + 2, { width: 40, align: 'center' });
         doc.fontSize(9).fillColor(textColor).font('Helvetica-Bold').text(formatCurrency(itemTotal), totalAmountX, yPosition + 2, { width: 40, align: 'right' });
@@ -325,6 +341,7 @@ async function generateInvoicePDF(invoiceData, companySettings = {}) {
       const giftPrice = parseAmount(invoiceData.gift_price ?? invoiceData.giftPrice ?? 0);
       const deliveryCharges = parseAmount(invoiceData.delivery_charges ?? invoiceData.deliveryCharges ?? 0);
       const shippingCharges = deliveryCharges;
+      const codFee = parseAmount(invoiceData.cod_fee ?? 0);
 
       // Normalize sale type. DEFAULT: treat missing as 'online' for backward compatibility.
       let saleTypeRaw = invoiceData.sale_type;
@@ -344,13 +361,30 @@ async function generateInvoicePDF(invoiceData, companySettings = {}) {
       }
       // For online sales, use the exact tax_amount from the invoice (already calculated and stored)
 
+      // GST split: CGST + SGST (intra-state) or IGST (inter-state); older invoices only have tax_amount
+      const cgstAmount = parseAmount(invoiceData.cgst_amount ?? 0);
+      const sgstAmount = parseAmount(invoiceData.sgst_amount ?? 0);
+      const igstAmount = parseAmount(invoiceData.igst_amount ?? 0);
+      const pricesIncludeTax = Boolean(invoiceData.prices_include_tax);
+      const itemRates = [...new Set((invoiceData.items || []).map(i => i.gst_rate).filter(r => r !== null && r !== undefined))];
+      const uniformRate = itemRates.length === 1 ? itemRates[0] : null;
+      const taxLines = [];
+      if (igstAmount > 0) {
+        taxLines.push([uniformRate === null ? 'IGST' : `IGST (${uniformRate}%)`, igstAmount]);
+      } else if (cgstAmount > 0 || sgstAmount > 0) {
+        const halfRate = uniformRate === null ? '' : ` (${uniformRate / 2}%)`;
+        taxLines.push([`CGST${halfRate}`, cgstAmount], [`SGST${halfRate}`, sgstAmount]);
+      } else if (gstAmount > 0) {
+        taxLines.push(['Tax', gstAmount]);
+      }
+
       // final total calculation: prefer invoiceData.total or invoiceData.total_amount if provided
       const providedTotal = parseAmount(invoiceData.total ?? invoiceData.total_amount ?? invoiceData.totalAmount ?? 0);
       let computedTotal;
       if (isOfflineSale) {
         computedTotal = subtotal - appliedDiscount;
       } else {
-        computedTotal = subtotal + shippingCharges + giftPrice + gstAmount - appliedCoupon;
+        computedTotal = subtotal + shippingCharges + codFee + giftPrice + (pricesIncludeTax ? 0 : gstAmount) - appliedCoupon;
       }
       const finalTotal = providedTotal || computedTotal;
 
@@ -388,13 +422,20 @@ async function generateInvoicePDF(invoiceData, companySettings = {}) {
         doc.text(formatCurrency(shippingCharges), valueX, yPosition, { width: 80, align: 'right' });
         yPosition += 14;
 
-        // Tax (5%)
-        if (gstAmount > 0) {
-          doc.text('Tax (5%):', 380, yPosition);
-          doc.text(formatCurrency(gstAmount), valueX, yPosition, { width: 80, align: 'right' });
+        // Cash on delivery fee
+        if (codFee > 0) {
+          doc.text('COD Fee:', 380, yPosition);
+          doc.text(`+${formatCurrency(codFee)}`, valueX, yPosition, { width: 80, align: 'right' });
           yPosition += 14;
         }
 
+        // GST (already part of the prices when they include tax)
+        taxLines.forEach(([label, amount]) => {
+          doc.text(`${label}${pricesIncludeTax ? ' (incl.)' : ''}:`, 380, yPosition);
+          doc.text(formatCurrency(amount), valueX, yPosition, { width: 80, align: 'right' });
+          yPosition += 14;
+        });
+
         // Gift Price
         if (giftPrice > 0) {
           doc.text('Gift Price:', 380, yPosition);
@@ -418,8 +459,8 @@ async function generateInvoicePDF(invoiceData, companySettings = {}) {
         doc.strokeColor(borderColor).lineWidth(1.5).moveTo(380, yPosition).lineTo(560, yPosition).stroke();
         yPosition += 12;
 
-        // Total Paid / Grand Total
-        doc.fontSize(11).fillColor(primaryColor).font('Helvetica-Bold').text('Total Paid:', 380, yPosition);
+        // Total Paid / Grand Total (cash on delivery invoices are still due)
+        doc.fontSize(11).fillColor(primaryColor).font('Helvetica-Bold').text(paymentStatus === 'paid' ? 'Total Paid:' : 'Amount Due:', 380, yPosition);
         doc.fontSize(12).text(formatCurrency(finalTotal), valueX, yPosition, { width: 80, align: 'right' });
         doc.font('Helvetica');
         yPosition += 18;
@@ -541,6 +582,268 @@ async function generateInvoicePDF(invoiceData, companySettings = {}) {
   });
 }
 
+/**
+ * Shipping address as printable lines (name and phone excluded)
+ * @param {Object} address - Address with snake_case fields
+ * @returns {string[]} - Non-empty lines
+ */
+function addressLines(address = {}) {
+  return [
+    (address.address_line1 || '').trim(),
+    (address.address_line2 || '').trim(),
+    [address.city, address.state].filter(Boolean).join(', ').trim(),
+    [address.postal_code, address.country].filter(Boolean).join(' ').trim(),
+  ].filter(Boolean);
+}
+
+/**
+ * Render a PDF from one page-drawing callback per document
+ * @param {Object} options - PDFKit document options (size, margin)
+ * @param {Array} documents - One entry per page group
+ * @param {Function} drawPage - async (doc, document) drawing one document
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+function renderPages(options, documents, drawPage) {
+  return new Promise(async (resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ ...options, autoFirstPage: false });
+
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      for (const document of documents) {
+        doc.addPage();
+        await drawPage(doc, document);
+      }
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Generate packing slips - one A4 page per order, no prices
+ * Lists the items to pick with SKU and quantity, plus gift wrapping and the gift card message.
+ * @param {Object[]} orders - From shippingDocumentService.loadShippingDocuments
+ * @param {Object} companySettings - Sender details (companyName, address, phone, email)
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+async function generatePackingSlipPDF(orders, companySettings = {}) {
+  const primaryColor = '#1e40af';
+  const textColor = '#1f2937';
+  const lightText = '#6b7280';
+  const borderColor = '#e5e7eb';
+  const headerBgColor = '#f9fafb';
+
+  const formatDate = (date) => (date
+    ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+    : 'N/A');
+
+  return renderPages({ size: 'A4', margin: 35 }, orders, async (doc, order) => {
+    let y = 35;
+
+    // ===== Header =====
+    doc.rect(35, y, 525, 60).fill(headerBgColor);
+    doc.fontSize(14).fillColor(primaryColor).font('Helvetica-Bold')
+      .text(companySettings.companyName || 'COMPANY NAME', 45, y + 10, { width: 300 });
+    doc.fontSize(8).fillColor(lightText).font('Helvetica')
+      .text(companySettings.address || '', 45, y + 30, { width: 300 });
+    doc.fontSize(14).fillColor(primaryColor).font('Helvetica-Bold')
+      .text('PACKING SLIP', 400, y + 10, { width: 150, align: 'right' });
+    y += 75;
+
+    // ===== Order & ship-to =====
+    const address = order.shipping_address || {};
+    doc.fontSize(9).fillColor(primaryColor).font('Helvetica-Bold').text('ORDER', 45, y);
+    doc.text('SHIP TO', 320, y);
+    y += 14;
+
+    const orderDetails = [
+      `Order: ${order.order_number || order.id}`,
+      `Order date: ${formatDate(order.created_at)}`,
+      `Delivery: ${order.delivery_type || 'standard'}`,
+      `Payment: ${order.payment_method === 'cod' ? 'Cash on delivery' : 'Prepaid'}`,
+    ];
+    doc.fontSize(8).fillColor(textColor).font('Helvetica');
+    orderDetails.forEach((line, i) => doc.text(line, 45, y + i * 12, { width: 250 }));
+
+    let shipY = y;
+    doc.fontSize(9).font('Helvetica-Bold')
+      .text(address.full_name || order.customer?.name || 'Customer', 320, shipY, { width: 230 });
+    shipY += 12;
+    doc.fontSize(8).font('Helvetica');
+    [...addressLines(address), `Phone: ${address.phone || order.customer?.phone || 'N/A'}`].forEach((line) => {
+      doc.text(line, 320, shipY, { width: 230 });
+      shipY += doc.heightOfString(line, { width: 230 }) + 2;
+    });
+    y = Math.max(y + orderDetails.length * 12, shipY) + 20;
+
+    // ===== Items =====
+    const columns = { index: 45, name: 75, sku: 360, qty: 490 };
+    const drawItemsHeader = () => {
+      doc.rect(35, y, 525, 20).fill(headerBgColor);
+      doc.fontSize(8).fillColor(textColor).font('Helvetica-Bold');
+      doc.text('#', columns.index, y + 6);
+      doc.text('ITEM', columns.name, y + 6);
+      doc.text('SKU', columns.sku, y + 6);
+      doc.text('QTY', columns.qty, y + 6, { width: 60, align: 'right' });
+      y += 24;
+    };
+    drawItemsHeader();
+
+    doc.font('Helvetica').fontSize(9);
+    order.items.forEach((item, i) => {
+      const rowHeight = Math.max(doc.heightOfString(item.name, { width: 275 }), 12) + 8;
+      if (y + rowHeight > 760) {
+        doc.addPage();
+        y = 35;
+        drawItemsHeader();
+        doc.font('Helvetica').fontSize(9);
+      }
+      doc.fillColor(textColor);
+      doc.text(String(i + 1), columns.index, y);
+      doc.text(item.name, columns.name, y, { width: 275 });
+      doc.text(item.sku || '-', columns.sku, y, { width: 120 });
+      doc.font('Helvetica-Bold').text(String(item.quantity), columns.qty, y, { width: 60, align: 'right' });
+      doc.font('Helvetica');
+      y += rowHeight;
+      doc.strokeColor(borderColor).lineWidth(0.5).moveTo(35, y - 4).lineTo(560, y - 4).stroke();
+    });
+
+    const totalUnits = order.items.reduce((sum, item) => sum + item.quantity, 0);
+    y += 4;
+    doc.fontSize(9).font('Helvetica-Bold').fillColor(textColor)
+      .text(`Total units: ${totalUnits}`, 400, y, { width: 150, align: 'right' });
+    y += 25;
+
+    // ===== Gift =====
+    if (order.gift) {
+      const message = order.gift.card_message || '';
+      const boxHeight = 50 + (message ? doc.heightOfString(message, { width: 495 }) : 0);
+      if (y + boxHeight > 760) {
+        doc.addPage();
+        y = 35;
+      }
+      doc.rect(35, y, 525, boxHeight).lineWidth(1).strokeColor(primaryColor).stroke();
+      doc.fontSize(9).fillColor(primaryColor).font('Helvetica-Bold').text('GIFT ORDER', 45, y + 10);
+      const wrapping = [
+        order.gift.wrapping_type ? `Wrapping: ${order.gift.wrapping_type}` : null,
+        order.gift.design_name ? `Design: ${order.gift.design_name}` : null,
+      ].filter(Boolean).join(' | ');
+      doc.fontSize(8).fillColor(textColor).font('Helvetica')
+        .text(wrapping || 'Gift wrap', 45, y + 24, { width: 495 });
+      if (message) {
+        doc.font('Helvetica-Oblique').text(`Card message: ${message}`, 45, y + 38, { width: 495 });
+      }
+      y += boxHeight + 20;
+    }
+
+    // ===== Sign-off =====
+    if (y + 30 > 790) {
+      doc.addPage();
+      y = 35;
+    }
+    doc.fontSize(8).fillColor(lightText).font('Helvetica')
+      .text('Packed by: ____________________', 45, y)
+      .text('Checked by: ____________________', 320, y);
+  });
+}
+
+/**
+ * Generate 4x6 inch shipping labels - one page per order
+ * Sender, recipient, COD amount to collect, and QR codes of the order number and tracking number.
+ * @param {Object[]} orders - From shippingDocumentService.loadShippingDocuments
+ * @param {Object} companySettings - Sender details (companyName, address, phone)
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+async function generateShippingLabelPDF(orders, companySettings = {}) {
+  const width = 288; // 4in
+  const margin = 12;
+  const inner = width - margin * 2;
+
+  return renderPages({ size: [288, 432], margin }, orders, async (doc, order) => {
+    const address = order.shipping_address || {};
+    const shipment = order.shipment || {};
+    let y = margin;
+
+    // ===== From =====
+    doc.fontSize(7).fillColor('#000000').font('Helvetica-Bold').text('FROM:', margin, y);
+    doc.font('Helvetica')
+      .text(
+        [companySettings.companyName, companySettings.address, companySettings.phone ? `Ph: ${companySettings.phone}` : null]
+          .filter(Boolean).join(', '),
+        margin + 32, y, { width: inner - 32 }
+      );
+    y = doc.y + 6;
+    doc.strokeColor('#000000').lineWidth(1).moveTo(margin, y).lineTo(width - margin, y).stroke();
+    y += 8;
+
+    // ===== To =====
+    doc.fontSize(8).font('Helvetica-Bold').text('SHIP TO:', margin, y);
+    y += 11;
+    doc.fontSize(12).text(address.full_name || order.customer?.name || 'Customer', margin, y, { width: inner });
+    y = doc.y + 2;
+    doc.fontSize(10).font('Helvetica');
+    addressLines(address).forEach((line) => {
+      doc.text(line, margin, y, { width: inner });
+      y = doc.y;
+    });
+    doc.text(`Phone: ${address.phone || order.customer?.phone || 'N/A'}`, margin, y + 2, { width: inner });
+    y = doc.y + 4;
+    doc.fontSize(16).font('Helvetica-Bold').text(`PIN ${address.postal_code || '-'}`, margin, y);
+    y = doc.y + 6;
+    doc.lineWidth(1).moveTo(margin, y).lineTo(width - margin, y).stroke();
+    y += 6;
+
+    // ===== Payment & parcel =====
+    const collect = order.payment_method === 'cod' && order.payment_status !== 'paid';
+    doc.rect(margin, y, inner, 24).fill(collect ? '#000000' : '#ffffff');
+    doc.fontSize(12).font('Helvetica-Bold').fillColor(collect ? '#ffffff' : '#000000')
+      .text(
+        collect ? `COD - COLLECT Rs. ${Number(order.total_amount || 0).toFixed(2)}` : 'PREPAID - DO NOT COLLECT',
+        margin, y + 7, { width: inner, align: 'center' }
+      );
+    doc.fillColor('#000000');
+    y += 30;
+    const parcel = [
+      order.shipping_weight_grams ? `Weight: ${(order.shipping_weight_grams / 1000).toFixed(2)} kg` : null,
+      `Items: ${order.items.reduce((sum, item) => sum + item.quantity, 0)}`,
+      `Service: ${order.delivery_type || 'standard'}`,
+    ].filter(Boolean).join(' | ');
+    doc.fontSize(8).font('Helvetica').text(parcel, margin, y, { width: inner });
+    y = doc.y + 6;
+    doc.lineWidth(1).moveTo(margin, y).lineTo(width - margin, y).stroke();
+    y += 8;
+
+    // ===== Codes =====
+    const qrSize = 96;
+    const orderRef = order.order_number || order.id;
+    const orderQr = await QRCode.toBuffer(orderRef, { margin: 0, width: qrSize * 3 });
+    doc.image(orderQr, margin, y, { width: qrSize, height: qrSize });
+    doc.fontSize(7).font('Helvetica-Bold').text('ORDER', margin, y + qrSize + 4, { width: qrSize, align: 'center' });
+    doc.font('Helvetica').text(orderRef, margin, y + qrSize + 13, { width: qrSize, align: 'center' });
+
+    const trackingX = width - margin - qrSize;
+    if (shipment.trackingNumber) {
+      const trackingQr = await QRCode.toBuffer(shipment.trackingNumber, { margin: 0, width: qrSize * 3 });
+      doc.image(trackingQr, trackingX, y, { width: qrSize, height: qrSize });
+      doc.fontSize(7).font('Helvetica-Bold')
+        .text((shipment.deliveryPartner || 'TRACKING').toUpperCase(), trackingX, y + qrSize + 4, { width: qrSize, align: 'center' });
+      doc.font('Helvetica').text(shipment.trackingNumber, trackingX, y + qrSize + 13, { width: qrSize, align: 'center' });
+    } else {
+      doc.rect(trackingX, y, qrSize, qrSize).lineWidth(0.5).dash(3, { space: 3 }).stroke().undash();
+      doc.fontSize(7).font('Helvetica')
+        .text('Tracking number not assigned', trackingX + 8, y + qrSize / 2 - 8, { width: qrSize - 16, align: 'center' });
+    }
+  });
+}
+
 module.exports = {
   generateInvoicePDF,
+  generatePackingSlipPDF,
+  generateShippingLabelPDF,
 };
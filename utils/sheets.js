@@ -0,0 +1,110 @@
+/**
+ * CSV/XLSX upload helpers shared by the admin sheet imports
+ */
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+const sheetError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Plain text of an ExcelJS cell value (rich text, hyperlinks and formulas included)
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map((r) => r.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.hyperlink) return value.hyperlink;
+    return '';
+  }
+  return String(value).trim();
+}
+
+/**
+ * Decode a base64 (or data URI) upload into { buffer, format }
+ */
+function decodeUpload({ file, format, filename }) {
+  if (!file || typeof file !== 'string') {
+    throw sheetError('File is required (base64 encoded CSV or XLSX)', 400);
+  }
+
+  let data = file;
+  let mime = '';
+  const dataUri = /^data:([^;]+);base64,/.exec(file);
+  if (dataUri) {
+    mime = dataUri[1];
+    data = file.slice(dataUri[0].length);
+  }
+
+  let resolved = String(format || '').toLowerCase();
+  if (!resolved && filename) resolved = String(filename).split('.').pop().toLowerCase();
+  if (!resolved && mime) resolved = mime.includes('csv') ? 'csv' : mime.includes('sheet') ? 'xlsx' : '';
+  if (!['csv', 'xlsx'].includes(resolved)) {
+    throw sheetError('Format must be csv or xlsx', 400);
+  }
+
+  return { buffer: Buffer.from(data, 'base64'), format: resolved };
+}
+
+/**
+ * Parse the first worksheet into [{ row, data }] keyed by header name
+ *
+ * columns: headers to keep (others are ignored)
+ * requiredHeaders: at least one of these must be in the header row
+ * rowLabel: what a row is, for error messages (e.g. 'product')
+ */
+async function parseSheet({ buffer, format }, { columns, requiredHeaders, rowLabel, maxRows }) {
+  const workbook = new ExcelJS.Workbook();
+  let sheet;
+  try {
+    if (format === 'xlsx') {
+      await workbook.xlsx.load(buffer);
+      sheet = workbook.worksheets[0];
+    } else {
+      sheet = await workbook.csv.read(Readable.from([buffer]));
+    }
+  } catch (error) {
+    throw sheetError(`Could not read the ${format.toUpperCase()} file`, 400);
+  }
+  if (!sheet || sheet.rowCount < 2) {
+    throw sheetError(`The file has no ${rowLabel} rows`, 400);
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    headers[col] = cellText(cell.value).toLowerCase().replace(/\s+/g, '_');
+  });
+  if (!requiredHeaders.some((h) => headers.includes(h))) {
+    const names = requiredHeaders.length > 1
+      ? `${requiredHeaders.slice(0, -1).join(', ')} or ${requiredHeaders[requiredHeaders.length - 1]}`
+      : requiredHeaders[0];
+    throw sheetError(`Header row must include ${names}`, 400);
+  }
+
+  const rows = [];
+  sheet.eachRow((sheetRow, rowNumber) => {
+    if (rowNumber === 1) return;
+    const data = {};
+    sheetRow.eachCell({ includeEmpty: true }, (cell, col) => {
+      if (headers[col] && columns.includes(headers[col])) data[headers[col]] = cellText(cell.value);
+    });
+    if (Object.values(data).some((v) => v !== '')) rows.push({ row: rowNumber, data });
+  });
+
+  if (rows.length > maxRows) {
+    throw sheetError(`A single import can contain at most ${maxRows} rows`, 400);
+  }
+  return rows;
+}
+
+module.exports = {
+  cellText,
+  decodeUpload,
+  parseSheet,
+};
@@ -0,0 +1,96 @@
+/**
+ * Product variant (pack size) helpers
+ */
+
+/**
+ * Whether the product is sold by variant
+ */
+function hasVariants(product) {
+  return Array.isArray(product?.variants) && product.variants.length > 0;
+}
+
+/**
+ * Find a variant by id (active variants only unless includeInactive)
+ */
+function findVariant(product, variantId, { includeInactive = false } = {}) {
+  if (!hasVariants(product) || !variantId) return null;
+  const variant = product.variants.find((v) => String(v._id) === String(variantId));
+  if (!variant) return null;
+  return variant.is_active || includeInactive ? variant : null;
+}
+
+/**
+ * Resolve the sellable unit for a product + optional variant
+ * Returns { variant, price, original_price, sku, variant_label, weight_grams, available, sale }
+ * or { error } when a variant is required/invalid
+ */
+function resolveVariant(product, variantId) {
+  if (!hasVariants(product)) {
+    if (variantId) {
+      return { error: `${product.name} has no pack sizes` };
+    }
+    return {
+      variant: null,
+      price: product.price,
+      original_price: product.original_price,
+      sku: null,
+      variant_label: null,
+      weight_grams: product.weight_grams ?? null,
+      available: Math.max(0, (product.stock || 0) - (product.reserved_stock || 0)),
+      sale: product.sale || null,
+    };
+  }
+
+  if (!variantId) {
+    return { error: `Please select a pack size for ${product.name}` };
+  }
+
+  const variant = findVariant(product, variantId);
+  if (!variant) {
+    return { error: `Selected pack size of ${product.name} is not available` };
+  }
+
+  return {
+    variant,
+    price: variant.price,
+    original_price: variant.original_price,
+    sku: variant.sku,
+    variant_label: variant.label,
+    weight_grams: variant.weight_grams ?? null,
+    available: Math.max(0, (variant.stock || 0) - (variant.reserved_stock || 0)),
+    sale: variant.sale || null,
+  };
+}
+
+/**
+ * API shape of a variant
+ */
+function formatVariant(variant) {
+  return {
+    id: variant._id.toString(),
+    sku: variant.sku,
+    label: variant.label,
+    weight_grams: variant.weight_grams ?? null,
+    price: variant.price,
+    original_price: variant.original_price ?? null,
+    stock: variant.stock || 0,
+    available_stock: Math.max(0, (variant.stock || 0) - (variant.reserved_stock || 0)),
+    is_active: variant.is_active,
+    sale: variant.sale || null,
+  };
+}
+
+/**
+ * Display name for a line item, e.g. "Sattu Atta (500g)"
+ */
+function lineName(productName, variantLabel) {
+  return variantLabel ? `${productName} (${variantLabel})` : productName;
+}
+
+module.exports = {
+  hasVariants,
+  findVariant,
+  resolveVariant,
+  formatVariant,
+  lineName,
+};